@@ -59,33 +59,48 @@ document.querySelectorAll('.tab').forEach(btn => {
 /* ══════════════════════════════════════════════════════════════
    TAB 1: PUBLIC FEED
 ══════════════════════════════════════════════════════════════ */
+let feedCursor = null;   // next_cursor of the last feed page (null once all are shown)
+
 async function loadFeed() {
     const grid = document.getElementById('feed-grid');
     const loading = document.getElementById('feed-loading');
     const empty = document.getElementById('feed-empty');
+    const moreBtn = document.getElementById('feed-more-btn');
 
     try {
-        const res = await fetchWithTimeout('/api/analytics/feed?limit=50');
+        const params = new URLSearchParams({ limit: 50 });
+        if (feedCursor) params.set('cursor', feedCursor);
+        const res = await fetchWithTimeout(`/api/analytics/feed?${params}`);
         if (!res.ok) throw new Error(`HTTP ${res.status}`);
-        const { reports } = await res.json();
+        const { reports, next_cursor } = await res.json();
 
-        loading.remove();
+        loading?.remove();
+        feedCursor = next_cursor;
+        moreBtn.hidden = !next_cursor;
 
-        if (!reports.length) {
+        if (!reports.length && !grid.children.length) {
             empty.hidden = false;
             return;
         }
 
-        grid.innerHTML = reports.map(r => buildFeedCard(r)).join('');
+        grid.insertAdjacentHTML('beforeend', reports.map(r => buildFeedCard(r)).join(''));
 
         // Attach vote handlers
         reports.forEach(r => attachVoteHandlers(r.id));
 
     } catch (err) {
-        loading.innerHTML = `<p style="color:var(--clr-warn)">⚠️ ${err.message}</p>`;
+        if (loading) loading.innerHTML = `<p style="color:var(--clr-warn)">⚠️ ${err.message}</p>`;
+        else showToast(err.message, 3000, '⚠️');
     }
 }
 
+document.getElementById('feed-more-btn')?.addEventListener('click', async (e) => {
+    const btn = e.currentTarget;
+    btn.disabled = true;
+    await loadFeed();
+    btn.disabled = false;
+});
+
 function buildFeedCard(r) {
     const catIcons = { pothole: '🕳️', streetlight: '💡', garbage: '🗑️', flooding: '🌊', sidewalk: '🚶', graffiti: '🎨', other: '📋' };
     const icon = catIcons[r.category] || '📋';
@@ -102,23 +117,16 @@ function buildFeedCard(r) {
         ? `<span class="proof-badge">✅ GPS verified (${Math.round(r.distance_m)}m on-site)</span>`
         : `<span class="proof-badge proof-badge-warn">⚠️ No GPS proof</span>`;
 
-    const beforeSrc = r.before_image_url || null;
-    const afterSrc = r.after_image_url || null;
+    // Before / after sets — the first photo is shown, the rest as thumbnails
+    const beforeSet = r.before_images?.length ? r.before_images
+        : r.before_image_url ? [{ url: r.before_image_url, variants: r.before_image_variants }] : [];
+    const afterSet = r.after_images?.length ? r.after_images
+        : r.after_image_url ? [{ url: r.after_image_url, variants: r.after_image_variants }] : [];
 
     const photoSection = `
       <div class="photo-compare">
-        <div class="photo-slot">
-          ${beforeSrc
-            ? `<img src="${escHtml(beforeSrc)}" alt="Before" loading="lazy"/>`
-            : `<div class="no-photo">📷 No before photo</div>`}
-          <span class="photo-label label-before">Before</span>
-        </div>
-        <div class="photo-slot">
-          ${afterSrc
-            ? `<img src="${escHtml(afterSrc)}" alt="After" loading="lazy"/>`
-            : `<div class="no-photo">📷 No after photo</div>`}
-          <span class="photo-label label-after">After</span>
-        </div>
+        ${buildPhotoSlot(beforeSet, 'Before', 'label-before')}
+        ${buildPhotoSlot(afterSet, 'After', 'label-after')}
       </div>`;
 
     const voteSection = myVote
@@ -166,6 +174,40 @@ function buildFeedCard(r) {
 </div>`;
 }
 
+function buildPhotoSlot(photos, label, labelCls) {
+    if (!photos.length) {
+        return `
+        <div class="photo-slot">
+          <div class="no-photo">📷 No ${label.toLowerCase()} photo</div>
+          <span class="photo-label ${labelCls}">${label}</span>
+        </div>`;
+    }
+    // Each thumbnail carries its medium-size URLs for the swap below
+    const thumbs = photos.length > 1
+        ? `<div class="photo-thumbs">${photos.map((p, i) => photoHtml(p.url, p.variants, 'thumb',
+            `class="photo-thumb${i === 0 ? ' active' : ''}" alt="${label} ${i + 1}" loading="lazy"
+             data-webp="${escHtml(p.variants?.medium?.webp || p.url)}" data-jpeg="${escHtml(p.variants?.medium?.jpeg || p.url)}"`)).join('')}</div>`
+        : '';
+    return `
+        <div class="photo-slot">
+          ${photoHtml(photos[0].url, photos[0].variants, 'medium', `class="photo-main" alt="${label}" loading="lazy"`)}
+          ${thumbs}
+          <span class="photo-label ${labelCls}">${label}${photos.length > 1 ? ` · ${photos.length}` : ''}</span>
+        </div>`;
+}
+
+// Thumbnail click swaps the slot's main photo
+document.getElementById('feed-grid')?.addEventListener('click', (e) => {
+    const thumb = e.target.closest('.photo-thumb');
+    if (!thumb) return;
+    const slot = thumb.closest('.photo-slot');
+    const main = slot.querySelector('.photo-main');
+    const source = main.parentElement.tagName === 'PICTURE' ? main.parentElement.querySelector('source') : null;
+    if (source) source.srcset = thumb.dataset.webp;
+    main.src = thumb.dataset.jpeg;
+    slot.querySelectorAll('.photo-thumb').forEach(t => t.classList.toggle('active', t === thumb));
+});
+
 function attachVoteHandlers(reportId) {
     // Handlers are inline onclick for simplicity — castVote is global
 }
@@ -206,7 +248,9 @@ window.castVote = async function (reportId, vote) {
                 btns.outerHTML = `<div class="voted-badge">You voted: ${vote === 'accept' ? '✅ Accepted' : '❌ Rejected'} · ${data.accept_count} accept / ${data.reject_count} reject</div>`;
             }
 
-            if (data.resolution_accepted) {
+            if (data.reopened) {
+                showToast('🔁 Citizens rejected this fix — the report has been reopened', 4000, '🔁');
+            } else if (data.resolution_accepted) {
                 showToast('🎉 Community has accepted this resolution!', 4000, '🎉');
             } else {
                 showToast(vote === 'accept' ? '✅ Vote recorded' : '❌ Rejection recorded', 2500, vote === 'accept' ? '✅' : '❌');
@@ -401,7 +445,7 @@ async function loadRepeatOffenders() {
   <div class="ro-ward">📍 ${escHtml(h.ward_name || 'Unknown ward')} · ${escHtml(h.zone || '')}</div>
   <div class="ro-meta">
     First: ${firstDate} · Last: ${lastDate}<br>
-    👥 ${h.total_supporters} total supporters
+    👥 ${h.total_supporters} total supporters · within ${Math.round(h.radius_m)}m
   </div>
 </div>`;
         }).join('');
@@ -463,6 +507,14 @@ function escHtml(str) {
         .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
 }
 
+/** Photo as WebP with a JPEG fallback at the given variant size (thumb | medium | full);
+ *  photos uploaded before variants existed only have the original URL */
+function photoHtml(url, variants, size, attrs = '') {
+    const v = variants?.[size];
+    if (!v) return `<img src="${escHtml(url)}" ${attrs}/>`;
+    return `<picture><source type="image/webp" srcset="${escHtml(v.webp)}"/><img src="${escHtml(v.jpeg)}" ${attrs}/></picture>`;
+}
+
 /** fetch with a timeout so pages never hang forever */
 async function fetchWithTimeout(url, timeoutMs = 10000) {
     const controller = new AbortController();
@@ -544,6 +596,9 @@ function renderNearbyCards(grid, reports) {
         ASSIGNED: { label: 'Assigned', emoji: '👷', color: '#a78bfa' },
         IN_PROGRESS: { label: 'In Progress', emoji: '🔧', color: '#f59e0b' },
         RESOLVED: { label: 'Resolved', emoji: '🎉', color: '#10b981' },
+        REOPENED: { label: 'Reopened', emoji: '🔁', color: '#f97316' },
+        REJECTED: { label: 'Rejected', emoji: '🚫', color: '#ef4444' },
+        TRANSFERRED: { label: 'Transferred', emoji: '↪️', color: '#94a3b8' },
     };
     const SEV_COLORS = { critical: '#dc2626', high: '#ef4444', medium: '#f59e0b', low: '#10b981' };
     const SEV_ICONS = { critical: '🔥', high: '🔴', medium: '🟡', low: '🟢' };
@@ -3,8 +3,11 @@
  *
  * Orchestrates:
  *  • Service Worker registration (offline + background sync)
- *  • Web Worker image pipeline (compress + EXIF strip + GPS signature)
+ *  • Web Worker image pipeline (compress + EXIF strip + GPS signature), up to 5 photos
+ *  • Privacy redaction — boxes over faces / number plates are pixelated in the worker before upload
+ *  • Location pin map — drag to correct GPS / IP fixes, ward outlined live
  *  • Online/offline UI state
+ *  • "Same issue?" suggestions — support an existing report instead of filing a duplicate
  *  • Form submission: online → fetch API, offline → IndexedDB queue
  *  • Offline queue display
  *  • SW message handler (sync-complete notification)
@@ -29,6 +32,8 @@ const locationDetailField = document.getElementById('location-detail');
 const locDetailCount = document.getElementById('loc-detail-count');
 const gpsBtn = document.getElementById('gps-btn');
 const gpsStatus = document.getElementById('gps-status');
+const pinMapEl = document.getElementById('pin-map');
+const pinStatus = document.getElementById('pin-status');
 
 const dropZone = document.getElementById('drop-zone');
 const photoInput = document.getElementById('photo-input');
@@ -42,6 +47,12 @@ const statSavings = document.getElementById('stat-savings');
 const previewContainer = document.getElementById('preview-container');
 const photoPreview = document.getElementById('photo-preview');
 const removePhotoBtn = document.getElementById('remove-photo-btn');
+const photoGallery = document.getElementById('photo-gallery');
+const redactPhotoBtn = document.getElementById('redact-photo-btn');
+const redactPanel = document.getElementById('redact-panel');
+const redactStage = document.getElementById('redact-stage');
+const redactImage = document.getElementById('redact-image');
+const redactMode = document.getElementById('redact-mode');
 
 const signatureCard = document.getElementById('signature-card');
 const sigTimestamp = document.getElementById('sig-timestamp');
@@ -78,8 +89,13 @@ const responseZoneRow = document.getElementById('response-zone-row');
 const responseOfficerRow = document.getElementById('response-officer-row');
 const responseId = document.getElementById('response-id');
 const mergeBanner = document.getElementById('merge-banner');
+const mergeReason = document.getElementById('merge-reason');
 const mergeMsg = document.getElementById('merge-msg');
 
+// Existing reports this one may duplicate
+const dupSuggest = document.getElementById('dup-suggest');
+const dupList = document.getElementById('dup-list');
+
 // Push Notifications
 const notifBtn = document.getElementById('notif-btn');
 const notifBtnLabel = document.getElementById('notif-btn-label');
@@ -87,10 +103,19 @@ const notifBtnLabel = document.getElementById('notif-btn-label');
 /* ════════════════════════════════════════════
    State
    ════════════════════════════════════════════ */
-let compressedBlob = null;   // Result from Web Worker
+let compressedBlob = null;   // Result from Web Worker (cover photo)
+let coverFile = null;        // Original cover file — redaction re-processes from it
+let coverRedaction = null;   // { mode, regions } last applied to the cover
+let coverRedactedRegions = 0;
+let extraPhotos = [];      // [{ file, blob, url, redaction, redactedRegions }] — close-ups / context shots after the cover
 let digitalSignature = {};     // { gpsLat, gpsLon, captureTimestamp }
+let exifFix = {};              // { lat, lon, timestamp } read from the cover photo's EXIF
+let deviceFix = {};            // { lat, lon, accuracy } from the browser's geolocation (not IP)
+let locationFix = null;        // { lat, lon, source, accuracy } — the report's location (mandatory)
+let pinLocked = false;         // Citizen moved the pin — automatic fixes no longer override it
 let imageWorker = null;   // Current Web Worker instance
-let gpsAcquired = false;      // Phase 5: GPS is mandatory
+
+const MAX_PHOTOS = 5;           // cover + 4 (server enforces the same limit)
 
 // Phase 5: Reporter token for "my reports" tracking
 let reporterToken = localStorage.getItem('civicpulse-reporter-token');
@@ -99,6 +124,13 @@ if (!reporterToken) {
     localStorage.setItem('civicpulse-reporter-token', reporterToken);
 }
 
+// Same token tracking.html uses for "I see this too" verifications
+let voterToken = localStorage.getItem('civicpulse-voter-token');
+if (!voterToken) {
+    voterToken = Math.random().toString(36).slice(2) + Date.now().toString(36);
+    localStorage.setItem('civicpulse-voter-token', voterToken);
+}
+
 /* ════════════════════════════════════════════
    1. Service Worker Registration
    ════════════════════════════════════════════ */
@@ -199,11 +231,20 @@ async function reverseGeocode(lat, lon) {
 }
 
 /** Set location from coordinates — also fills the text field with address */
-async function applyLocation(lat, lon, source = 'GPS') {
+async function applyLocation(lat, lon, source = 'GPS', accuracy = null) {
+    // Kept apart from the photo's EXIF so the server can compare the two
+    if (source !== 'IP') deviceFix = { lat, lon, accuracy };
+    if (pinLocked) {
+        showGpsStatus(`✅ ${source} fix received — keeping the pin you placed`);
+        gpsBtn.disabled = false;
+        gpsBtn.querySelector('span:last-child').textContent = '✅ GPS';
+        return;
+    }
     digitalSignature.gpsLat = lat;
     digitalSignature.gpsLon = lon;
     digitalSignature.captureTimestamp = new Date().toISOString();
-    gpsAcquired = true;
+    locationFix = { lat, lon, source: source.toLowerCase(), accuracy: source === 'IP' ? IP_ACCURACY_M : accuracy };
+    showPin(lat, lon);
 
     // Fill coords immediately, then upgrade to address
     locationField.value = `${lat.toFixed(6)}, ${lon.toFixed(6)}`;
@@ -217,6 +258,7 @@ async function applyLocation(lat, lon, source = 'GPS') {
     gpsBtn.querySelector('span:last-child').textContent = '✅ GPS';
     gpsBtn.style.borderColor = 'var(--clr-accent)';
     checkFormValidity();
+    suggestExistingReports();
 }
 
 /** Fallback: get location via IP geolocation (works even if GPS is denied) */
@@ -271,11 +313,11 @@ function acquireGPS(silent = false) {
     }
 
     function onBrowserSuccess(pos) {
-        applyLocation(pos.coords.latitude, pos.coords.longitude, 'GPS');
+        applyLocation(pos.coords.latitude, pos.coords.longitude, 'GPS', pos.coords.accuracy);
     }
 
     function onNetworkSuccess(pos) {
-        applyLocation(pos.coords.latitude, pos.coords.longitude, 'Network');
+        applyLocation(pos.coords.latitude, pos.coords.longitude, 'Network', pos.coords.accuracy);
     }
 
     // Attempt 1: High-accuracy GPS
@@ -303,7 +345,10 @@ function acquireGPS(silent = false) {
 }
 
 
-gpsBtn.addEventListener('click', () => acquireGPS(false));
+gpsBtn.addEventListener('click', () => {
+    pinLocked = false;      // an explicit GPS request may move a hand-placed pin
+    acquireGPS(false);
+});
 
 // Auto-acquire location on page load (tries GPS → network → IP fallback)
 acquireGPS(true);
@@ -314,13 +359,124 @@ function showGpsStatus(msg, type = 'ok') {
     gpsStatus.hidden = false;
 }
 
+/* ════════════════════════════════════════════
+   4b. Location Pin
+   Every fix (GPS / network / IP / photo) drops a draggable pin. Dragging it
+   or tapping the map marks the location as manual; the ward under the pin
+   is outlined from /api/wards so a wrong ward is obvious before submitting.
+   ════════════════════════════════════════════ */
+const IP_ACCURACY_M = 5000;        // IP geolocation is city-level at best
+const PIN_TOLERANCE_PX = 10;       // how precisely a finger places the pin
+const WARD_STYLE = { color: '#8b93a8', weight: 1, fillOpacity: 0.03 };
+const WARD_ACTIVE_STYLE = { color: '#00d9b8', weight: 2, fillOpacity: 0.15 };
+const LOCATION_SOURCE_LABELS = {
+    gps: 'GPS', network: 'network', ip: 'IP — approximate', exif: 'photo GPS', manual: 'placed by you',
+};
+
+let pinMap = null;
+let pinMarker = null;
+let wardLayer = null;   // L.geoJSON of /api/wards
+let pinWard = null;     // ward feature under the pin
+
+function showPin(lat, lon) {
+    if (typeof L === 'undefined') return;   // Leaflet not loaded (offline) — the fix still works
+    if (!pinMap) initPinMap(lat, lon);
+    pinMarker.setLatLng([lat, lon]);
+    pinMap.setView([lat, lon], locationFix.accuracy > 2000 ? 13 : 17);
+    updatePinWard();
+}
+
+function initPinMap(lat, lon) {
+    pinMapEl.hidden = false;
+    pinMap = L.map(pinMapEl).setView([lat, lon], 17);
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        attribution: '© OpenStreetMap contributors',
+        maxZoom: 19,
+    }).addTo(pinMap);
+
+    pinMarker = L.marker([lat, lon], { draggable: true, autoPan: true, title: 'Drag to the exact spot' }).addTo(pinMap);
+    pinMarker.on('dragend', () => placePinManually(pinMarker.getLatLng()));
+    pinMap.on('click', (e) => placePinManually(e.latlng));
+    loadWardLayer();
+}
+
+async function loadWardLayer() {
+    try {
+        const res = await fetch('/api/wards');
+        if (!res.ok) return;
+        wardLayer = L.geoJSON(await res.json(), { style: WARD_STYLE, interactive: false }).addTo(pinMap);
+        updatePinWard();
+    } catch { /* offline — the pin works without ward outlines */ }
+}
+
+async function placePinManually({ lat, lng }) {
+    pinLocked = true;
+    locationFix = { lat, lon: lng, source: 'manual', accuracy: pinAccuracy(lat) };
+    pinMarker.setLatLng([lat, lng]);
+    updatePinWard();
+    checkFormValidity();
+    suggestExistingReports();
+
+    locationField.value = `${lat.toFixed(6)}, ${lng.toFixed(6)}`;
+    const address = await reverseGeocode(lat, lng);
+    // Ignore a slow lookup if the pin has moved again since
+    if (address && locationFix.lat === lat && locationFix.lon === lng) locationField.value = address;
+}
+
+/** Ground distance covered by PIN_TOLERANCE_PX at the current zoom (Web Mercator, 256 px tiles) */
+function pinAccuracy(lat) {
+    const metresPerPx = 40075016.686 * Math.cos(lat * Math.PI / 180) / 2 ** (pinMap.getZoom() + 8);
+    return Math.max(1, Math.round(metresPerPx * PIN_TOLERANCE_PX));
+}
+
+function updatePinWard() {
+    if (wardLayer) {
+        const { lat, lng } = pinMarker.getLatLng();
+        pinWard = null;
+        wardLayer.eachLayer(layer => {
+            const inside = !pinWard && geometryContains(layer.feature.geometry, lng, lat);
+            if (inside) pinWard = layer.feature;
+            layer.setStyle(inside ? WARD_ACTIVE_STYLE : WARD_STYLE);
+        });
+    }
+    showPinStatus();
+}
+
+function showPinStatus() {
+    if (!locationFix) return;
+    const { source, accuracy } = locationFix;
+    const ward = !wardLayer ? '' : pinWard ? `🗺️ ${pinWard.properties.wardName} · ` : '⚠️ Outside every ward · ';
+    const fix = `${LOCATION_SOURCE_LABELS[source] || source}${accuracy != null ? ` ±${Math.round(accuracy)} m` : ''}`;
+    pinStatus.textContent = `${ward}${fix}${source === 'manual' ? '' : ' — drag the pin if it is off'}`;
+    pinStatus.style.color = source === 'ip' || (wardLayer && !pinWard) ? 'var(--clr-warn)' : 'var(--clr-accent)';
+    pinStatus.hidden = false;
+}
+
+/** Even-odd ray cast over GeoJSON (Multi)Polygon rings, holes included */
+function geometryContains(geometry, x, y) {
+    const polygons = geometry?.type === 'Polygon' ? [geometry.coordinates]
+        : geometry?.type === 'MultiPolygon' ? geometry.coordinates : [];
+    return polygons.some(rings => rings.filter(ring => ringContains(ring, x, y)).length % 2 === 1);
+}
+
+function ringContains(ring, x, y) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+}
+
 /* ════════════════════════════════════════════
    5. Image Drop Zone & File Picker
    ════════════════════════════════════════════ */
 dropZone.addEventListener('click', () => photoInput.click());
 dropZone.addEventListener('keydown', (e) => { if (e.key === 'Enter' || e.key === ' ') photoInput.click(); });
 photoInput.addEventListener('change', () => {
-    if (photoInput.files[0]) handleImageFile(photoInput.files[0]);
+    handleImageFiles(photoInput.files);
+    photoInput.value = '';
 });
 
 // Drag & drop
@@ -332,8 +488,7 @@ dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragover
 dropZone.addEventListener('drop', (e) => {
     e.preventDefault();
     dropZone.classList.remove('dragover');
-    const file = e.dataTransfer.files?.[0];
-    if (file?.type.startsWith('image/')) handleImageFile(file);
+    if (e.dataTransfer.files?.length) handleImageFiles(e.dataTransfer.files);
 });
 
 // Remove photo
@@ -341,8 +496,16 @@ removePhotoBtn.addEventListener('click', resetPhotoState);
 
 function resetPhotoState() {
     compressedBlob = null;
+    coverFile = null;
+    coverRedaction = null;
+    coverRedactedRegions = 0;
+    closeRedactor();
     digitalSignature = {};
+    exifFix = {};
     photoInput.value = '';
+    extraPhotos.forEach(p => URL.revokeObjectURL(p.url));
+    extraPhotos = [];
+    renderPhotoGallery();
     previewContainer.hidden = true;
     signatureCard.hidden = true;
     compressionPanel.hidden = true;
@@ -354,14 +517,113 @@ function resetPhotoState() {
 
 /* ════════════════════════════════════════════
    6. Web Worker — Image Processing Pipeline
+   The first photo is the cover (EXIF GPS + signature come from it);
+   further photos are compressed the same way and shown in the gallery.
    ════════════════════════════════════════════ */
-function handleImageFile(file) {
-    if (!file.type.startsWith('image/')) return;
+function handleImageFiles(fileList) {
+    const files = [...fileList].filter(f => f.type.startsWith('image/'));
+    if (!files.length) return;
+    if (!compressedBlob && !imageWorker) handleImageFile(files.shift());
+    files.forEach(addExtraPhoto);
+}
+
+async function addExtraPhoto(file) {
+    if (1 + extraPhotos.length >= MAX_PHOTOS) {
+        showToast(`📷 Up to ${MAX_PHOTOS} photos per report`);
+        return;
+    }
+    const entry = { file, blob: null, url: URL.createObjectURL(file), redaction: null, redactedRegions: 0 };
+    extraPhotos.push(entry);
+    renderPhotoGallery();
+    checkFormValidity();
+    const { blob } = await compressInWorker(file);
+    if (!extraPhotos.includes(entry)) return;
+    if (!blob) return dropExtraPhoto(entry, '⚠️ Could not process a photo — it was not added');
+    entry.blob = blob;
+    checkFormValidity();
+}
+
+/** Runs image-worker.js on one file; resolves with { blob, redactedRegions } — blob is null on failure.
+ *  The original file is never a fallback: it still has its EXIF tags and any regions meant to be hidden. */
+function compressInWorker(file, redaction = null) {
+    return new Promise((resolve) => {
+        const worker = new Worker('/image-worker.js');
+        const finish = (blob, redactedRegions = 0) => { worker.terminate(); resolve({ blob, redactedRegions }); };
+        worker.onmessage = (evt) => {
+            if (evt.data.type === 'done') finish(evt.data.blob, evt.data.redactedRegions);
+            if (evt.data.type === 'error') finish(null);
+        };
+        worker.onerror = () => finish(null);
+        worker.postMessage({ imageFile: file, redaction });
+    });
+}
+
+function dropExtraPhoto(entry, message) {
+    extraPhotos = extraPhotos.filter(p => p !== entry);
+    URL.revokeObjectURL(entry.url);
+    renderPhotoGallery();
+    checkFormValidity();
+    showToast(message);
+}
+
+function renderPhotoGallery() {
+    photoGallery.hidden = !extraPhotos.length;
+    photoGallery.innerHTML = extraPhotos.map((p, i) => `
+        <div class="gallery-thumb">
+            <img src="${p.url}" alt="Additional photo ${i + 2}" />
+            <button type="button" class="gallery-remove" data-index="${i}" aria-label="Remove photo ${i + 2}">✕</button>
+            <button type="button" class="gallery-redact${p.redactedRegions ? ' active' : ''}" data-index="${i}"
+                aria-label="Hide faces and number plates in photo ${i + 2}">🙈</button>
+        </div>`).join('');
+}
+
+photoGallery.addEventListener('click', (e) => {
+    const redactBtn = e.target.closest('.gallery-redact');
+    if (redactBtn) {
+        const entry = extraPhotos[parseInt(redactBtn.dataset.index)];
+        if (entry) openRedactor(entry.file, entry.redaction, (redaction) => redactExtraPhoto(entry, redaction));
+        return;
+    }
+    const btn = e.target.closest('.gallery-remove');
+    if (!btn) return;
+    const [removed] = extraPhotos.splice(parseInt(btn.dataset.index), 1);
+    if (removed) URL.revokeObjectURL(removed.url);
+    renderPhotoGallery();
+    checkFormValidity();
+});
+
+async function redactExtraPhoto(entry, redaction) {
+    entry.blob = null;
+    entry.redaction = redaction;
+    checkFormValidity();
+    const { blob, redactedRegions } = await compressInWorker(entry.file, redaction);
+    if (!extraPhotos.includes(entry) || entry.redaction !== redaction) return;
+    if (!blob) return dropExtraPhoto(entry, '⚠️ Could not hide the marked areas — the photo was removed');
+    entry.blob = blob;
+    entry.redactedRegions = redactedRegions;
+    // Thumbnail shows what will be uploaded
+    URL.revokeObjectURL(entry.url);
+    entry.url = URL.createObjectURL(blob);
+    renderPhotoGallery();
+    checkFormValidity();
+}
+
+/** Compressed extra photos in gallery order — submit stays disabled until every one is ready */
+function extraPhotoBlobs() {
+    return extraPhotos.map(p => p.blob);
+}
 
-    // Show preview immediately
-    const previewUrl = URL.createObjectURL(file);
-    photoPreview.src = previewUrl;
-    photoPreview.onload = () => URL.revokeObjectURL(previewUrl);
+function handleImageFile(file, redaction = null) {
+    if (!file.type.startsWith('image/')) return;
+    coverFile = file;
+    coverRedaction = redaction;
+
+    // Show preview immediately (a re-run for redaction keeps the current one until done)
+    if (!redaction) {
+        const previewUrl = URL.createObjectURL(file);
+        photoPreview.src = previewUrl;
+        photoPreview.onload = () => URL.revokeObjectURL(previewUrl);
+    }
     previewContainer.hidden = false;
 
     // Reset previous state
@@ -387,17 +649,26 @@ function handleImageFile(file) {
 
         if (msg.type === 'done') {
             compressedBlob = msg.blob;
+            coverRedactedRegions = msg.redactedRegions || 0;
+            redactPhotoBtn.classList.toggle('active', coverRedactedRegions > 0);
             digitalSignature = {
                 gpsLat: msg.gpsLat,
                 gpsLon: msg.gpsLon,
                 captureTimestamp: msg.captureTimestamp,
             };
+            exifFix = { lat: msg.gpsLat, lon: msg.gpsLon, timestamp: msg.exifTimestamp };
+            // The photo's GPS tag marks where the issue is, unless the citizen placed the pin
+            if (msg.gpsLat != null && msg.gpsLon != null && !pinLocked) {
+                locationFix = { lat: msg.gpsLat, lon: msg.gpsLon, source: 'exif', accuracy: null };
+                showPin(msg.gpsLat, msg.gpsLon);
+            }
 
             // Update UI
             setProgress(100);
             showCompressionStats(msg.originalSize, msg.compressedSize);
             showDigitalSignature(digitalSignature);
             checkFormValidity();
+            suggestExistingReports();
 
             console.log(
                 `[App] Worker done — Original: ${formatBytes(msg.originalSize)} → ` +
@@ -415,23 +686,129 @@ function handleImageFile(file) {
 
         if (msg.type === 'error') {
             console.error('[App] Worker error:', msg.message);
-            compressionPanel.hidden = true;
-            // Still allow form submission with original file if worker fails
-            compressedBlob = file;
-            checkFormValidity();
+            coverPhotoFailed();
         }
     };
 
     imageWorker.onerror = (err) => {
         console.error('[App] Worker uncaught error:', err.message);
-        compressionPanel.hidden = true;
-        compressedBlob = file;
-        checkFormValidity();
+        coverPhotoFailed();
     };
 
-    imageWorker.postMessage({ imageFile: file });
+    imageWorker.postMessage({ imageFile: file, redaction });
+}
+
+/** The original is never uploaded instead — it still has its EXIF tags and any areas meant to be hidden */
+function coverPhotoFailed() {
+    compressionPanel.hidden = true;
+    compressedBlob = null;
+    imageWorker = null;
+    checkFormValidity();
+    showToast(coverRedaction
+        ? '⚠️ Could not hide the marked areas — try again or choose another photo'
+        : '⚠️ Could not process this photo — please choose another');
+}
+
+/* ════════════════════════════════════════════
+   6b. Privacy Redaction
+   Boxes drawn over faces / number plates are sent to the worker with the
+   original file, which pixelates or blurs them before compressing — the
+   unredacted pixels never leave the device.
+   ════════════════════════════════════════════ */
+let redactRegions = [];     // [{ x, y, w, h }] as fractions of the image
+let redactApply = null;     // callback({ mode, regions }) for the photo being edited
+let redactDrag = null;      // { x0, y0, box } while drawing
+
+function openRedactor(file, previous, apply) {
+    redactApply = apply;
+    redactRegions = previous ? [...previous.regions] : [];
+    if (previous) redactMode.value = previous.mode;
+    if (redactImage.src) URL.revokeObjectURL(redactImage.src);
+    redactImage.src = URL.createObjectURL(file);
+    renderRedactBoxes();
+    redactPanel.hidden = false;
+    redactPanel.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+function closeRedactor() {
+    redactPanel.hidden = true;
+    redactApply = null;
+    redactRegions = [];
+    if (redactImage.src) URL.revokeObjectURL(redactImage.src);
+    redactImage.removeAttribute('src');
+}
+
+function renderRedactBoxes() {
+    redactStage.querySelectorAll('.redact-box').forEach(el => el.remove());
+    redactRegions.forEach(r => redactStage.appendChild(redactBox(r)));
 }
 
+function redactBox({ x, y, w, h }) {
+    const box = document.createElement('div');
+    box.className = 'redact-box';
+    Object.assign(box.style, { left: `${x * 100}%`, top: `${y * 100}%`, width: `${w * 100}%`, height: `${h * 100}%` });
+    return box;
+}
+
+/** Pointer position as fractions of the displayed image, clamped to it */
+function redactPoint(evt) {
+    const rect = redactImage.getBoundingClientRect();
+    return {
+        x: Math.min(1, Math.max(0, (evt.clientX - rect.left) / rect.width)),
+        y: Math.min(1, Math.max(0, (evt.clientY - rect.top) / rect.height)),
+    };
+}
+
+redactStage.addEventListener('pointerdown', (evt) => {
+    if (!redactImage.src) return;
+    evt.preventDefault();
+    redactStage.setPointerCapture(evt.pointerId);
+    const { x, y } = redactPoint(evt);
+    redactDrag = { x0: x, y0: y, box: redactBox({ x, y, w: 0, h: 0 }) };
+    redactStage.appendChild(redactDrag.box);
+});
+
+redactStage.addEventListener('pointermove', (evt) => {
+    if (!redactDrag) return;
+    const { x, y } = redactPoint(evt);
+    const { x0, y0, box } = redactDrag;
+    Object.assign(box.style, {
+        left: `${Math.min(x0, x) * 100}%`, top: `${Math.min(y0, y) * 100}%`,
+        width: `${Math.abs(x - x0) * 100}%`, height: `${Math.abs(y - y0) * 100}%`,
+    });
+});
+
+redactStage.addEventListener('pointerup', (evt) => {
+    if (!redactDrag) return;
+    const { x, y } = redactPoint(evt);
+    const { x0, y0 } = redactDrag;
+    redactDrag = null;
+    // Ignore taps — a region must cover at least 1% of each side
+    if (Math.abs(x - x0) > 0.01 && Math.abs(y - y0) > 0.01) {
+        redactRegions.push({ x: Math.min(x0, x), y: Math.min(y0, y), w: Math.abs(x - x0), h: Math.abs(y - y0) });
+    }
+    renderRedactBoxes();
+});
+
+redactPhotoBtn.addEventListener('click', () => {
+    if (coverFile) openRedactor(coverFile, coverRedaction, (redaction) => handleImageFile(coverFile, redaction));
+});
+
+document.getElementById('redact-undo').addEventListener('click', () => {
+    redactRegions.pop();
+    renderRedactBoxes();
+});
+
+document.getElementById('redact-cancel').addEventListener('click', closeRedactor);
+
+document.getElementById('redact-apply').addEventListener('click', () => {
+    // Applying with no boxes restores the unredacted photo
+    const apply = redactApply;
+    const redaction = redactRegions.length ? { mode: redactMode.value, regions: redactRegions } : null;
+    closeRedactor();
+    if (apply) apply(redaction);
+});
+
 function setProgress(pct) {
     progressBar.style.width = `${pct}%`;
     compressionPct.textContent = `${pct}%`;
@@ -462,10 +839,10 @@ function showDigitalSignature({ gpsLat, gpsLon, captureTimestamp }) {
 function checkFormValidity() {
     const hasCategory = categoryField.value !== '';
     const hasDescription = descField.value.trim().length > 0;
-    const hasPhoto = compressedBlob !== null;
-    // GPS is mandatory — either from button or EXIF
-    const hasGPS = gpsAcquired ||
-        (digitalSignature.gpsLat != null && digitalSignature.gpsLon != null);
+    // Every photo must be processed (compressed, EXIF stripped, redacted) before it can leave
+    const hasPhoto = compressedBlob !== null && extraPhotos.every(p => p.blob);
+    // GPS is mandatory — from the GPS button, IP fallback, EXIF or the pin
+    const hasGPS = locationFix != null;
 
     submitBtn.disabled = !(hasCategory && hasDescription && hasPhoto && hasGPS);
 
@@ -483,21 +860,111 @@ function checkFormValidity() {
     el.addEventListener('input', checkFormValidity)
 );
 
+/* ════════════════════════════════════════════
+   7b. Support an Existing Report
+   Once GPS + category are known, show open reports the server would
+   treat as duplicates so the citizen can back one instead of re-filing.
+   ════════════════════════════════════════════ */
+let suggestTimer = null;
+let suggestSeq = 0;
+
+function suggestExistingReports() {
+    if (suggestTimer) clearTimeout(suggestTimer);
+    suggestTimer = setTimeout(fetchCandidateDuplicates, 500);
+}
+
+async function fetchCandidateDuplicates() {
+    const lat = locationFix?.lat;
+    const lon = locationFix?.lon;
+    const category = categoryField.value;
+    if (lat == null || lon == null || !category || !navigator.onLine) {
+        dupSuggest.hidden = true;
+        return;
+    }
+
+    const seq = ++suggestSeq;
+    try {
+        const params = new URLSearchParams({ lat, lon, category, description: descField.value.trim() });
+        const res = await fetch(`/api/reports/candidate-duplicates?${params}`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const { candidates } = await res.json();
+        if (seq !== suggestSeq) return;   // a newer lookup is in flight
+
+        dupSuggest.hidden = !candidates.length;
+        dupList.innerHTML = candidates.map(c => `
+            <li class="dup-item">
+                ${c.image_url ? photoHtml(c.image_url, c.image_variants, 'thumb', `class="dup-photo" alt="Photo of report #${c.id}" loading="lazy"`) : '<span class="dup-photo dup-photo-empty">📋</span>'}
+                <div class="dup-body">
+                    <span class="dup-desc">#${c.id} — ${escapeHtml(c.description || '')}</span>
+                    <span class="dup-meta">📏 ${c.distance_m}m away · 🤝 ${c.supporter_count} supporter${c.supporter_count !== 1 ? 's' : ''}</span>
+                </div>
+                <button type="button" class="btn btn-secondary dup-same-btn" data-report-id="${c.id}">Same issue</button>
+            </li>`).join('');
+    } catch (err) {
+        console.warn('[App] Candidate duplicate lookup failed:', err.message);
+        dupSuggest.hidden = true;
+    }
+}
+
+async function supportExistingReport(reportId, btn) {
+    btn.disabled = true;
+    try {
+        const res = await fetch(`/api/reports/${reportId}/verify`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ voter_token: voterToken }),
+        });
+        const data = await res.json();
+
+        if (res.ok || data.alreadyVerified) {
+            showToast(res.ok
+                ? `🤝 Thanks! You now support report #${reportId} — no need to file a new one`
+                : `🤝 You already support report #${reportId}`, 5000);
+            subscribeToPush(reportId).catch(() => { });
+            resetFormAfterSubmit();
+            return;
+        }
+        showToast(`❌ ${data.error || `Server error ${res.status}`}`, 5000);
+    } catch (err) {
+        showToast(`❌ ${err.message}`, 5000);
+    }
+    btn.disabled = false;
+}
+
+categoryField.addEventListener('change', suggestExistingReports);
+descField.addEventListener('input', suggestExistingReports);
+dupList.addEventListener('click', (evt) => {
+    const btn = evt.target.closest('.dup-same-btn');
+    if (btn) supportExistingReport(parseInt(btn.dataset.reportId), btn);
+});
+
 /* ════════════════════════════════════════════
    8. Form Submission
    ════════════════════════════════════════════ */
 reportForm.addEventListener('submit', async (evt) => {
     evt.preventDefault();
+    if (!compressedBlob || extraPhotos.some(p => !p.blob)) return;   // photos still processing
 
     const reportData = {
         category: categoryField.value,
         description: descField.value.trim(),
         location: locationField.value.trim(),
         location_detail: locationDetailField.value.trim() || null,
-        // GPS from button click OR from EXIF
-        gpsLat: digitalSignature.gpsLat ?? null,
-        gpsLon: digitalSignature.gpsLon ?? null,
+        // The pin's position and how it was obtained
+        gpsLat: locationFix?.lat ?? null,
+        gpsLon: locationFix?.lon ?? null,
+        locationSource: locationFix?.source ?? null,
+        locationAccuracy: locationFix?.accuracy ?? null,
         captureTimestamp: digitalSignature.captureTimestamp ?? new Date().toISOString(),
+        // Raw claims for the server's authenticity check
+        exifLat: exifFix.lat ?? null,
+        exifLon: exifFix.lon ?? null,
+        exifTimestamp: exifFix.timestamp ?? null,
+        deviceLat: deviceFix.lat ?? null,
+        deviceLon: deviceFix.lon ?? null,
+        deviceAccuracy: deviceFix.accuracy ?? null,
+        // Regions hidden per photo, cover first — the pixels are already gone
+        redactedRegions: [coverRedactedRegions, ...extraPhotos.map(p => p.redactedRegions)].join(','),
         severity_level: document.getElementById('severity-select')?.value || 'medium',
         reporter_token: reporterToken,
         submittedAt: new Date().toISOString(),
@@ -513,7 +980,7 @@ reportForm.addEventListener('submit', async (evt) => {
 
 async function submitOnline(reportData) {
     try {
-        const formData = buildFormDataFromReport(reportData, compressedBlob);
+        const formData = buildFormDataFromReport(reportData, compressedBlob, extraPhotoBlobs());
         const response = await fetch('/api/reports', { method: 'POST', body: formData });
 
         if (response.ok) {
@@ -553,7 +1020,7 @@ async function submitOnline(reportData) {
         console.warn('[App] Network error, retrying once…', err.message);
         try {
             await new Promise(r => setTimeout(r, 1000));
-            const formData = buildFormDataFromReport(reportData, compressedBlob);
+            const formData = buildFormDataFromReport(reportData, compressedBlob, extraPhotoBlobs());
             const retryRes = await fetch('/api/reports', { method: 'POST', body: formData });
             if (retryRes.ok) {
                 const data = await retryRes.json();
@@ -596,8 +1063,9 @@ function storeMyReport(data, reportData) {
 async function submitOffline(reportData) {
     // Convert blob to base64 for IndexedDB storage (Blobs aren't reliably persisted)
     const imageBase64 = compressedBlob ? await blobToBase64(compressedBlob) : null;
+    const extraImagesBase64 = await Promise.all(extraPhotoBlobs().map(blobToBase64));
 
-    await saveReport({ ...reportData, imageBase64 });
+    await saveReport({ ...reportData, imageBase64, extraImagesBase64 });
 
     // Register background sync
     if ('serviceWorker' in navigator) {
@@ -617,10 +1085,11 @@ async function submitOffline(reportData) {
     resetFormAfterSubmit();
 }
 
-function buildFormDataFromReport(reportData, blob) {
+function buildFormDataFromReport(reportData, blob, extraBlobs = []) {
     const fd = new FormData();
     Object.entries(reportData).forEach(([k, v]) => { if (v !== null) fd.append(k, v); });
     if (blob) fd.append('photo', blob, 'report.jpg');
+    extraBlobs.forEach((b, i) => fd.append('photos', b, `report-${i + 2}.jpg`));
     return fd;
 }
 
@@ -629,6 +1098,7 @@ function resetFormAfterSubmit() {
     charCount.textContent = '0';
     resetPhotoState();
     gpsStatus.hidden = true;
+    dupSuggest.hidden = true;
     submitBtn.disabled = true;
     submitLabel.textContent = navigator.onLine ? 'Submit Report' : 'Save for Later (Offline)';
 }
@@ -663,15 +1133,30 @@ function showResponseCard(data) {
         mergeMsg.textContent = `Another neighbor already reported this! ${data.supporterCount} people now support this report.`;
         responseSupportRow.hidden = false;
         responseSupporters.textContent = `${data.supporterCount} citizen${data.supporterCount !== 1 ? 's' : ''}`;
+    } else if (data.pendingDuplicateOf) {
+        mergeBanner.hidden = false;
+        mergeMsg.textContent = `This looks like report #${data.pendingDuplicateOf} — an officer will check whether it is the same issue.`;
+        responseSupportRow.hidden = true;
     } else {
         mergeBanner.hidden = true;
         responseSupportRow.hidden = true;
     }
+    mergeReason.hidden = !(data.isDuplicate || data.pendingDuplicateOf) || !data.dedup;
+    if (!mergeReason.hidden) mergeReason.textContent = formatDedupReasoning(data.dedup);
 
     // Scroll response card into view
     responseCard.scrollIntoView({ behavior: 'smooth', block: 'center' });
 }
 
+/**
+ * formatDedupReasoning(dedup) — "📏 32m apart · 📝 text 82% · 📷 photo 88% → 91% match"
+ */
+function formatDedupReasoning(dedup) {
+    const parts = [`📏 ${dedup.distance_m}m apart`, `📝 text ${Math.round(dedup.text_score * 100)}%`];
+    if (dedup.image_score != null) parts.push(`📷 photo ${Math.round(dedup.image_score * 100)}%`);
+    return `${parts.join(' · ')} → ${Math.round(dedup.confidence * 100)}% match`;
+}
+
 /* ════════════════════════════════════════════
    8c. Push Notification Subscription
    ════════════════════════════════════════════ */
@@ -818,15 +1303,17 @@ async function flushOfflineQueue() {
         try {
             const fd = new FormData();
             ['category', 'description', 'location', 'location_detail', 'gpsLat', 'gpsLon',
-                'captureTimestamp', 'severity_level', 'reporter_token'].forEach(k => {
+                'captureTimestamp', 'severity_level', 'reporter_token',
+                'exifLat', 'exifLon', 'exifTimestamp', 'deviceLat', 'deviceLon', 'deviceAccuracy',
+                'redactedRegions', 'locationSource', 'locationAccuracy'].forEach(k => {
                     if (report[k] != null) fd.append(k, report[k]);
                 });
             if (report.imageBase64) {
-                const byteStr = atob(report.imageBase64);
-                const bytes = new Uint8Array(byteStr.length);
-                for (let i = 0; i < byteStr.length; i++) bytes[i] = byteStr.charCodeAt(i);
-                fd.append('photo', new Blob([bytes], { type: 'image/jpeg' }), 'report.jpg');
+                fd.append('photo', base64ToBlob(report.imageBase64), 'report.jpg');
             }
+            (report.extraImagesBase64 || []).forEach((b64, i) =>
+                fd.append('photos', base64ToBlob(b64), `report-${i + 2}.jpg`)
+            );
 
             const res = await fetch('/api/reports', { method: 'POST', body: fd });
             if (res.ok) {
@@ -876,6 +1363,13 @@ function blobToBase64(blob) {
     });
 }
 
+function base64ToBlob(b64) {
+    const byteStr = atob(b64);
+    const bytes = new Uint8Array(byteStr.length);
+    for (let i = 0; i < byteStr.length; i++) bytes[i] = byteStr.charCodeAt(i);
+    return new Blob([bytes], { type: 'image/jpeg' });
+}
+
 function escapeHtml(str) {
     return str
         .replace(/&/g, '&amp;')
@@ -885,6 +1379,14 @@ function escapeHtml(str) {
         .replace(/'/g, '&#39;');
 }
 
+/** Photo as WebP with a JPEG fallback at the given variant size (thumb | medium | full);
+ *  photos uploaded before variants existed only have the original URL */
+function photoHtml(url, variants, size, attrs = '') {
+    const v = variants?.[size];
+    if (!v) return `<img src="${escapeHtml(url)}" ${attrs} />`;
+    return `<picture><source type="image/webp" srcset="${escapeHtml(v.webp)}" /><img src="${escapeHtml(v.jpeg)}" ${attrs} /></picture>`;
+}
+
 /* ════════════════════════════════════════════
    Init
    ════════════════════════════════════════════ */
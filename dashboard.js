@@ -3,12 +3,15 @@
  *
  * Features:
  *  • SSE live feed (replaces 30s polling)
- *  • Leaflet map with color-coded report pins
+ *  • Leaflet map of vector tiles — every report, clustered below zoom 14, over ward outlines
  *  • Emergency alert banner
- *  • Issue detail modal: Action / Timeline / Chat tabs
+ *  • Issue detail modal: photo gallery + Action / Timeline / Chat tabs (incl. reject / transfer triage,
+ *    manual merge / split of duplicates, photo authenticity checks)
+ *  • Trust badge on each card from the server's photo authenticity score
  *  • Ward performance table
  *  • Nearby complaints (user GPS radius)
  *  • Severity filter + state filter
+ *  • Search box — descriptions, addresses and chat with highlighted matches
  */
 
 /* ── State ─────────────────────────────────────────────────── */
@@ -18,7 +21,6 @@ let activeSevFilter = 'all';
 let timerInterval = null;
 let pendingTransition = null;
 let dashMap = null;
-let mapMarkers = {};
 let activeReportId = null;
 let userLat = null, userLon = null;
 let nearbyRadius = 500;
@@ -27,6 +29,13 @@ let sseConn = null;
 // Reporter token for My Reports
 const reporterToken = localStorage.getItem('civicpulse-reporter-token') || null;
 
+// Staff session (officer / supervisor / admin)
+let staffToken = localStorage.getItem('civicpulse-staff-token') || null;
+let staffUser = null;
+
+// Reason codes for REJECTED / TRANSFERRED (loaded from /api/triage-reasons)
+let triageReasons = null;
+
 /* ── DOM refs ──────────────────────────────────────────────── */
 const grid = document.getElementById('dash-grid');
 const loadingEl = document.getElementById('dash-loading');
@@ -56,6 +65,8 @@ const issueModal = document.getElementById('issue-modal');
 const modalIcon = document.getElementById('modal-icon');
 const modalTitle = document.getElementById('modal-title');
 const modalSub = document.getElementById('modal-sub');
+const modalGallery = document.getElementById('modal-gallery');
+const modalTrust = document.getElementById('modal-trust');
 const modalConfirm = document.getElementById('modal-confirm');
 const modalConfirmLabel = document.getElementById('modal-confirm-label');
 const modalCancel = document.getElementById('modal-cancel');
@@ -63,6 +74,18 @@ const modalClose = document.getElementById('modal-close');
 const modalGeoWarn = document.getElementById('modal-geo-warning');
 const modalGeoErr = document.getElementById('modal-geo-error');
 const modalGeoErrMsg = document.getElementById('modal-geo-error-msg');
+const modalTriage = document.getElementById('modal-triage');
+const triageState = document.getElementById('triage-state');
+const triageReason = document.getElementById('triage-reason');
+const triageAgency = document.getElementById('triage-agency');
+const triageNote = document.getElementById('triage-note');
+const triageConfirm = document.getElementById('triage-confirm');
+const modalMerge = document.getElementById('modal-merge');
+const mergeInto = document.getElementById('merge-into');
+const mergeReason = document.getElementById('merge-reason');
+const mergeConfirm = document.getElementById('merge-confirm');
+const mergeChildren = document.getElementById('merge-children');
+const mergeReviews = document.getElementById('merge-reviews');
 
 /* ── Config ────────────────────────────────────────────────── */
 const STATE_META = {
@@ -71,6 +94,9 @@ const STATE_META = {
     ASSIGNED: { label: 'Assigned', emoji: '👷', cls: 'state-assigned', color: '#a78bfa' },
     IN_PROGRESS: { label: 'In Progress', emoji: '🔧', cls: 'state-in-progress', color: '#f59e0b' },
     RESOLVED: { label: 'Resolved', emoji: '🎉', cls: 'state-resolved', color: '#10b981' },
+    REOPENED: { label: 'Reopened', emoji: '🔁', cls: 'state-reopened', color: '#f97316' },
+    REJECTED: { label: 'Rejected', emoji: '🚫', cls: 'state-rejected', color: '#ef4444' },
+    TRANSFERRED: { label: 'Transferred', emoji: '↪️', cls: 'state-transferred', color: '#94a3b8' },
     MERGED: { label: 'Merged', emoji: '🤝', cls: 'state-merged', color: '#475569' },
 };
 
@@ -84,6 +110,13 @@ const SEV_META = {
 const NEXT_STATE = {
     SUBMITTED: 'VERIFIED', VERIFIED: 'ASSIGNED',
     ASSIGNED: 'IN_PROGRESS', IN_PROGRESS: 'RESOLVED',
+    REOPENED: 'IN_PROGRESS',
+};
+// Triage exits available from each state (mirrors TRANSITIONS in lib/stateMachine.js)
+const TRIAGE_FROM = {
+    SUBMITTED: ['REJECTED', 'TRANSFERRED'],
+    VERIFIED: ['REJECTED', 'TRANSFERRED'],
+    ASSIGNED: ['TRANSFERRED'],
 };
 const NEXT_STATE_LABELS = {
     VERIFIED: { label: 'Mark Verified', icon: '✅' },
@@ -94,7 +127,7 @@ const NEXT_STATE_LABELS = {
 const SLA_STATUS_META = {
     ON_TRACK: { cls: 'sla-ok', ring: '#10b981', label: 'On Track' },
     WATCH: { cls: 'sla-watch', ring: '#22d3ee', label: 'Watch' },
-    WARNING: { cls: 'sla-warning', ring: '#f59e0b', label: 'L1 — 72h breach' },
+    WARNING: { cls: 'sla-warning', ring: '#f59e0b', label: 'L1 — SLA breach' },
     URGENT: { cls: 'sla-urgent', ring: '#ef4444', label: 'L2 — Urgent!', flash: true },
     CRITICAL: { cls: 'sla-critical', ring: '#7c3aed', label: 'L3 — Critical!', flash: true },
 };
@@ -102,6 +135,13 @@ const CAT_ICONS = {
     pothole: '🕳️', streetlight: '💡', garbage: '🗑️',
     graffiti: '🎨', flooding: '🌊', sidewalk: '🚶', other: '📋',
 };
+// Authenticity score bands (server: lib/authenticity.js)
+const TRUST_META = [
+    { min: 80, cls: 'trust-ok', icon: '🛡️', label: 'Trusted' },
+    { min: 50, cls: 'trust-check', icon: '⚠️', label: 'Check photo' },
+    { min: 0, cls: 'trust-bad', icon: '🚩', label: 'Suspicious' },
+];
+const trustMeta = (score) => TRUST_META.find(t => score >= t.min);
 
 /* ══════════════════════════════════════════════════════════════
    SSE — Live Feed
@@ -119,14 +159,14 @@ function connectSSE() {
         try {
             const data = JSON.parse(evt.data);
             if (data.type === 'snapshot') {
-                allReports = data.reports || [];
+                mergeLiveReports(data.reports || []);
                 renderGrid();
                 updateSummaryFromReports();
                 updateMapPins();
                 lastUpdated.textContent = `Live — ${new Date().toLocaleTimeString()}`;
             } else if (data.type === 'chat' && data.reportId === activeReportId) {
                 appendChatMessage(data.msg);
-            } else if (data.type === 'transition' || data.type === 'verify') {
+            } else if (data.type === 'transition' || data.type === 'verify' || data.type === 'merge') {
                 fetchDashboard(); // re-fetch on state change
             }
         } catch { }
@@ -144,11 +184,8 @@ function connectSSE() {
    ══════════════════════════════════════════════════════════════ */
 async function fetchDashboard() {
     try {
-        const res = await fetch('/api/dashboard?limit=200');
-        if (!res.ok) throw new Error(`Server error ${res.status}: ${await res.text()}`);
-        const { reports, summary } = await res.json();
-        allReports = reports;
-        updateSummary(summary);
+        allReports = await fetchAllPages('/api/dashboard');
+        updateSummaryFromReports();
         renderGrid();
         updateMapPins();
         lastUpdated.textContent = `Updated ${new Date().toLocaleTimeString()}`;
@@ -160,6 +197,32 @@ async function fetchDashboard() {
     }
 }
 
+/** Every page of a report list endpoint (filters / cursor: server lib/reportQuery.js) */
+async function fetchAllPages(path, params = {}) {
+    const reports = [];
+    let cursor = null;
+    do {
+        const qs = new URLSearchParams({ ...params, limit: 500 });
+        if (cursor) qs.set('cursor', cursor);
+        const res = await fetch(`${path}?${qs}`);
+        if (!res.ok) throw new Error(`Server error ${res.status}: ${await res.text()}`);
+        const page = await res.json();
+        reports.push(...page.reports);
+        cursor = page.next_cursor;
+    } while (cursor);
+    return reports;
+}
+
+/** Folds a live snapshot (only the 200 most urgent reports) into the full paged list */
+function mergeLiveReports(fresh) {
+    const byId = new Map(allReports.map(r => [r.id, r]));
+    fresh.forEach(r => byId.set(r.id, { ...byId.get(r.id), ...r }));
+    allReports = [...byId.values()].sort((a, b) =>
+        (b.is_emergency ? 1 : 0) - (a.is_emergency ? 1 : 0)
+        || (b.sla_level || 0) - (a.sla_level || 0)
+        || new Date(b.created_at) - new Date(a.created_at));
+}
+
 async function fetchEmergencyAlerts() {
     try {
         const res = await fetch('/api/emergency-alerts');
@@ -225,6 +288,7 @@ function initMap() {
         maxZoom: 18,
     }).addTo(dashMap);
     dashMap.setView([28.62, 77.22], 12); // Default: Central Delhi
+    initMapTiles();
 }
 
 function severityToColor(sev) {
@@ -232,49 +296,85 @@ function severityToColor(sev) {
 }
 
 function stateToMapColor(state) {
-    const m = { SUBMITTED: '#64748b', VERIFIED: '#22d3ee', ASSIGNED: '#a78bfa', IN_PROGRESS: '#f59e0b', RESOLVED: '#10b981' };
+    const m = { SUBMITTED: '#64748b', VERIFIED: '#22d3ee', ASSIGNED: '#a78bfa', IN_PROGRESS: '#f59e0b', RESOLVED: '#10b981', REOPENED: '#f97316', REJECTED: '#ef4444', TRANSFERRED: '#94a3b8' };
     return m[state] || '#64748b';
 }
 
-function updateMapPins() {
-    if (!dashMap) return;
-    // Remove old markers not in current list
-    const currentIds = new Set(allReports.map(r => r.id));
-    Object.keys(mapMarkers).forEach(id => {
-        if (!currentIds.has(parseInt(id))) {
-            dashMap.removeLayer(mapMarkers[id]);
-            delete mapMarkers[id];
-        }
-    });
+/* ── Report + ward vector tiles (server routes/tiles.js) ──
+   Every report in the city, clustered below CLUSTER_MAX_ZOOM; the state and
+   severity pills filter the tiles like they filter the grid. */
+const CLUSTER_MAX_ZOOM = 14;
+const TILE_REFRESH_MS = 60_000;
+let reportTiles = null;
+let tilesRefreshedAt = Date.now();
+
+function reportTileUrl() {
+    const qs = new URLSearchParams({ v: tilesRefreshedAt });
+    if (activeFilter !== 'all') qs.set('state', activeFilter);
+    if (activeSevFilter !== 'all') qs.set('severity', activeSevFilter);
+    return `/api/tiles/reports/{z}/{x}/{y}.mvt?${qs}`;
+}
 
-    allReports.forEach(r => {
-        if (!r.gps_lat || !r.gps_lon) return;
-        const color = r.is_emergency ? '#dc2626' : stateToMapColor(r.state);
-        const icon = L.divIcon({
-            className: '',
-            html: `<div style="background:${color};width:14px;height:14px;border-radius:50%;border:2px solid white;box-shadow:0 0 ${r.is_emergency ? '8px #dc2626' : '4px rgba(0,0,0,.4)'}${r.is_emergency ? ',0 0 16px #dc262660' : ''}"></div>`,
-            iconSize: [14, 14], iconAnchor: [7, 7],
-        });
-        if (mapMarkers[r.id]) {
-            mapMarkers[r.id].setLatLng([r.gps_lat, r.gps_lon]);
-            mapMarkers[r.id].setIcon(icon);
-        } else {
-            const m = L.marker([r.gps_lat, r.gps_lon], { icon });
-            m.bindPopup(`
-                <div style="min-width:200px">
-                    <strong>#${r.id} — ${escHtml(r.category)}</strong><br>
-                    <span style="color:${color}">● ${r.state}</span><br>
-                    <small>${escHtml((r.description || '').slice(0, 80))}…</small><br>
-                    <small>👥 ${r.supporter_count} supporters</small><br>
-                    <button onclick="openIssueModal(${r.id})" style="margin-top:6px;padding:4px 8px;background:#6c63ff;color:white;border:none;border-radius:4px;cursor:pointer">Details</button>
-                </div>
-            `);
-            m.addTo(dashMap);
-            mapMarkers[r.id] = m;
+function reportTileStyle(p) {
+    const color = p.emergency_count || p.is_emergency ? '#dc2626' : stateToMapColor(p.state);
+    if (p.point_count) {
+        return {
+            radius: Math.min(7 + 2 * Math.sqrt(p.point_count), 26),
+            fill: true, fillColor: color, fillOpacity: .55, color, weight: 2, opacity: .9,
+        };
+    }
+    return {
+        radius: 6,
+        fill: true, fillColor: color, fillOpacity: .9,
+        color: p.is_emergency ? '#dc2626' : 'white', weight: p.is_emergency ? 4 : 2, opacity: p.is_emergency ? .6 : 1,
+    };
+}
+
+function initMapTiles() {
+    L.vectorGrid.protobuf('/api/tiles/wards/{z}/{x}/{y}.mvt', {
+        rendererFactory: L.canvas.tile,
+        vectorTileLayerStyles: {
+            wards: { weight: 1.5, color: '#6c63ff', opacity: .5, fill: true, fillColor: '#6c63ff', fillOpacity: .03 },
+        },
+        maxZoom: 18,
+        zIndex: 2,
+    }).addTo(dashMap);
+
+    reportTiles = L.vectorGrid.protobuf(reportTileUrl(), {
+        // SVG: VectorGrid's canvas click handling breaks on Leaflet ≥ 1.8
+        vectorTileLayerStyles: { reports: reportTileStyle },
+        interactive: true,
+        maxZoom: 18,
+        zIndex: 3,
+    }).addTo(dashMap);
+
+    reportTiles.on('click', (e) => {
+        const p = e.layer.properties;
+        if (p.point_count) {
+            dashMap.setView(e.latlng, Math.min(dashMap.getZoom() + 2, CLUSTER_MAX_ZOOM));
+            return;
         }
+        const r = allReports.find(x => x.id === p.id);
+        const color = p.is_emergency ? '#dc2626' : stateToMapColor(p.state);
+        L.popup().setLatLng(e.latlng).setContent(`
+            <div style="min-width:200px">
+                <strong>#${p.id} — ${escHtml(p.category)}</strong><br>
+                <span style="color:${color}">● ${p.state}</span><br>
+                ${r ? `<small>${escHtml((r.description || '').slice(0, 80))}…</small><br>
+                <small>👥 ${r.supporter_count} supporters</small><br>` : ''}
+                <button onclick="openIssueModal(${p.id})" style="margin-top:6px;padding:4px 8px;background:#6c63ff;color:white;border:none;border-radius:4px;cursor:pointer">Details</button>
+            </div>
+        `).openOn(dashMap);
     });
 }
 
+/** Re-fetch tiles after filter changes, and on live updates at most once a minute */
+function updateMapPins(force = false) {
+    if (!reportTiles || (!force && Date.now() - tilesRefreshedAt < TILE_REFRESH_MS)) return;
+    tilesRefreshedAt = Date.now();
+    reportTiles.setUrl(reportTileUrl());
+}
+
 /* ══════════════════════════════════════════════════════════════
    RENDER GRID
    ══════════════════════════════════════════════════════════════ */
@@ -313,11 +413,9 @@ function buildCard(r) {
     const nextState = NEXT_STATE[r.state];
     const nextLabel = nextState ? NEXT_STATE_LABELS[nextState] : null;
 
-    const hoursElapsed = r.assigned_at
-        ? (Date.now() - new Date(r.assigned_at).getTime()) / 3_600_000
-        : (Date.now() - new Date(r.created_at).getTime()) / 3_600_000;
+    const hoursElapsed = slaHoursElapsed(r);
     const circumference = 2 * Math.PI * 20;
-    const pct = Math.min(hoursElapsed / 168, 1);
+    const pct = Math.min(hoursElapsed / (r.sla_l3_hours || 168), 1);
     const filled = circumference * pct;
 
     return `
@@ -337,6 +435,7 @@ function buildCard(r) {
       <span class="card-id">#${r.id}</span>
       <span class="state-badge ${sm.cls}">${sm.emoji} ${sm.label}</span>
       <span class="sev-badge" style="background:${sevM.color}20;color:${sevM.color};border:1px solid ${sevM.color}40">${sevM.icon} ${r.severity_level}</span>
+      ${trustBadge(r.authenticity_score)}
     </div>
     <span class="card-category">${catIcon} ${capitalize(r.category)}</span>
   </div>
@@ -344,7 +443,7 @@ function buildCard(r) {
     <div class="sla-bar ${slaMeta.cls}">
       <span class="sla-bar-dot"></span>
       <span class="sla-bar-label">${slaMeta.label}</span>
-      <span class="sla-timer" id="timer-${r.id}">${hoursElapsed.toFixed(1)}h</span>
+      <span class="sla-timer" id="timer-${r.id}">${formatSlaTimer(r, hoursElapsed)}</span>
     </div>
   </div>
   <div class="card-fields">
@@ -359,8 +458,12 @@ function buildCard(r) {
       <span class="cf-val">${r.verification_count || 0} ${(r.verification_count || 0) !== 1 ? 'times' : 'time'}</span>
     </div>
     ${r.location_text ? `<div class="card-field"><span class="cf-key">📍 Location</span><span class="cf-val loc">${escHtml(r.location_text)}</span></div>` : ''}
+    ${r.location_source ? `<div class="card-field"><span class="cf-key">🎯 Fix</span><span class="cf-val${r.location_source === 'ip' ? ' loc-rough' : ''}">${locationSourceLabel(r)}</span></div>` : ''}
+  </div>
+  <div class="card-desc-row">
+    <p class="card-desc">${escHtml((r.description || '').slice(0, 120))}${(r.description?.length || 0) > 120 ? '…' : ''}</p>
+    ${r.image_url ? photoHtml(r.image_url, r.image_variants, 'thumb', 'class="card-thumb" alt="Report photo" loading="lazy"') : ''}
   </div>
-  <p class="card-desc">${escHtml((r.description || '').slice(0, 120))}${(r.description?.length || 0) > 120 ? '…' : ''}</p>
   ${nextLabel ? `
   <button id="btn-transition-${r.id}" class="btn btn-transition" data-report-id="${r.id}" data-to-state="${nextState}">
     ${nextLabel.icon} ${nextLabel.label}
@@ -375,12 +478,27 @@ function updateTimers(reports) {
     reports.forEach(r => {
         const el = document.getElementById(`timer-${r.id}`);
         if (!el) return;
-        const base = r.assigned_at ? r.assigned_at : r.created_at;
-        const h = (Date.now() - new Date(base).getTime()) / 3_600_000;
-        el.textContent = `${h.toFixed(1)}h`;
+        el.textContent = formatSlaTimer(r, slaHoursElapsed(r));
     });
 }
 
+// Wall-clock policies tick live; business-hours policies use the server's working-hours figure
+function slaHoursElapsed(r) {
+    if (r.sla_clock === 'business') return parseFloat(r.hours_elapsed || 0);
+    const base = r.assigned_at ? r.assigned_at : r.created_at;
+    return (Date.now() - new Date(base).getTime()) / 3_600_000;
+}
+
+// Elapsed hours plus the countdown to the next deadline in this report's SLA policy
+function formatSlaTimer(r, hoursElapsed) {
+    const deadlines = [r.sla_l1_hours, r.sla_l2_hours, r.sla_l3_hours].filter(h => h != null);
+    const next = deadlines.find(h => hoursElapsed < h);
+    const unit = r.sla_clock === 'business' ? 'h work' : 'h';
+    return next != null
+        ? `${hoursElapsed.toFixed(1)}${unit} · L${deadlines.indexOf(next) + 1} in ${(next - hoursElapsed).toFixed(1)}${unit}`
+        : `${hoursElapsed.toFixed(1)}${unit}`;
+}
+
 /* ══════════════════════════════════════════════════════════════
    ISSUE DETAIL MODAL
    ══════════════════════════════════════════════════════════════ */
@@ -401,15 +519,92 @@ window.openIssueModal = async function (reportId) {
     issueModal.hidden = false;
     switchTab('transition');
 
-    // Lazy load timeline and chat
+    // Lazy load photos, authenticity, timeline and chat
+    loadGallery(reportId);
+    loadAuthenticity(reportId);
     loadTimeline(reportId);
     loadChat(reportId);
 };
 
+/* ── Photo gallery: citizen photos + resolution proof photos ── */
+async function loadGallery(reportId) {
+    modalGallery.hidden = true;
+    modalGallery.innerHTML = '';
+    try {
+        const res = await fetch(`/api/reports/${reportId}/media`);
+        if (!res.ok) return;
+        const media = await res.json();
+        if (reportId !== activeReportId) return;
+
+        const sets = [
+            { label: '📷 Reported', items: media.report },
+            { label: '✅ Resolution proof', items: media.proof },
+        ].filter(set => set.items.length);
+        modalGallery.hidden = !sets.length;
+        modalGallery.innerHTML = sets.map(set => `
+            <div class="gallery-set">
+                <span class="gallery-label">${set.label} (${set.items.length})${redactionNote(set.items)}</span>
+                <div class="gallery-strip">
+                    ${set.items.map(m => `
+                        <a href="${escHtml(m.variants?.full?.jpeg || m.url)}" target="_blank" rel="noopener"
+                            ${m.redacted_regions ? `title="${m.redacted_regions} region(s) hidden by the reporter"` : ''}>
+                            ${photoHtml(m.url, m.variants, 'thumb', `alt="${set.label}" loading="lazy"`)}
+                        </a>`).join('')}
+                </div>
+            </div>`).join('');
+    } catch { }
+}
+
+// How the citizen's location was obtained — IP fixes can be kilometres off
+const LOCATION_SOURCE_LABELS = {
+    gps: '🛰️ GPS', network: '📶 Network', ip: '⚠️ IP (approximate)', exif: '📷 Photo GPS', manual: '🖐️ Pin placed by citizen',
+};
+function locationSourceLabel(r) {
+    const label = LOCATION_SOURCE_LABELS[r.location_source] || r.location_source;
+    return r.location_accuracy_m != null ? `${label} · ±${Math.round(r.location_accuracy_m)} m` : label;
+}
+
+// Faces / plates the reporter hid before upload — officers should not expect them in the photo
+function redactionNote(items) {
+    const regions = items.reduce((sum, m) => sum + (m.redacted_regions || 0), 0);
+    return regions ? ` · 🙈 ${regions} region${regions === 1 ? '' : 's'} hidden by reporter` : '';
+}
+
+/* ── Authenticity: trust badge + the checks behind it (staff only) ── */
+function trustBadge(score) {
+    if (score == null) return '';
+    const t = trustMeta(score);
+    return `<span class="trust-badge ${t.cls}" title="Photo authenticity ${score}/100">${t.icon} ${score}</span>`;
+}
+
+async function loadAuthenticity(reportId) {
+    modalTrust.hidden = true;
+    modalTrust.open = false;
+    if (!staffUser) return;
+    try {
+        const res = await fetch(`/api/reports/${reportId}/authenticity`, { headers: authHeaders() });
+        if (!res.ok) return;
+        const a = await res.json();
+        if (reportId !== activeReportId) return;
+
+        const t = trustMeta(a.score);
+        document.getElementById('modal-trust-summary').textContent = `${t.icon} Photo authenticity — ${a.score}/100 (${t.label})`;
+        document.getElementById('trust-checks').innerHTML = a.checks.map(c => `
+            <div class="merge-child">
+                <span>${c.penalty ? '⚠️' : '✅'} ${escHtml(c.detail)}</span>
+                <span>${c.penalty ? `−${c.penalty}` : ''}</span>
+            </div>`).join('');
+        modalTrust.hidden = false;
+        modalTrust.open = a.score < TRUST_META[0].min;
+    } catch { }
+}
+
 function setupTransitionTab(r) {
     const nextState = NEXT_STATE[r.state];
     modalGeoWarn.hidden = true;
     modalGeoErr.hidden = true;
+    setupTriage(r);
+    setupMerge(r);
 
     if (!nextState) {
         modalConfirm.hidden = true;
@@ -457,6 +652,10 @@ function acquireOfficerGPS() {
 
 async function confirmTransition() {
     if (!pendingTransition) return;
+    if (!staffUser) {
+        openLoginModal();
+        return;
+    }
     const { reportId, toState, officerLat, officerLon } = pendingTransition;
     modalConfirm.disabled = true;
     modalConfirmLabel.textContent = 'Applying…';
@@ -468,11 +667,18 @@ async function confirmTransition() {
 
         const res = await fetch(`/api/reports/${reportId}/transition`, {
             method: 'PATCH',
-            headers: { 'Content-Type': 'application/json' },
+            headers: authHeaders({ 'Content-Type': 'application/json' }),
             body: JSON.stringify(body),
         });
         const data = await res.json();
 
+        if (res.status === 401) {
+            setStaffSession(null, null);
+            modalConfirm.disabled = false;
+            modalConfirmLabel.textContent = 'Sign in to continue';
+            openLoginModal();
+            return;
+        }
         if (res.ok) {
             showToast(data.message, 4000);
             closeModal();
@@ -492,6 +698,189 @@ async function confirmTransition() {
     }
 }
 
+/* ── Triage: reject / transfer with a reason code ───────────── */
+async function setupTriage(r) {
+    const exits = TRIAGE_FROM[r.state] || [];
+    modalTriage.hidden = !exits.length;
+    modalTriage.open = false;
+    if (!exits.length) return;
+
+    if (!triageReasons) {
+        try {
+            const res = await fetch('/api/triage-reasons');
+            triageReasons = (await res.json()).reasons;
+        } catch {
+            modalTriage.hidden = true;
+            return;
+        }
+    }
+    triageState.innerHTML = exits.map(s =>
+        `<option value="${s}">${STATE_META[s].emoji} ${s === 'REJECTED' ? 'Reject' : 'Transfer to another agency'}</option>`
+    ).join('');
+    triageNote.value = '';
+    triageAgency.value = '';
+    fillTriageReasons();
+}
+
+function fillTriageReasons() {
+    const reasons = triageReasons?.[triageState.value] || {};
+    triageReason.innerHTML = Object.entries(reasons)
+        .map(([code, label]) => `<option value="${code}">${escHtml(label)}</option>`).join('');
+    triageAgency.hidden = triageState.value !== 'TRANSFERRED';
+}
+
+async function confirmTriage() {
+    if (!activeReportId) return;
+    if (!staffUser) {
+        openLoginModal();
+        return;
+    }
+    triageConfirm.disabled = true;
+    try {
+        const res = await fetch(`/api/reports/${activeReportId}/transition`, {
+            method: 'PATCH',
+            headers: authHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({
+                toState: triageState.value,
+                reasonCode: triageReason.value,
+                reasonNote: triageNote.value,
+                transferredTo: triageState.value === 'TRANSFERRED' ? triageAgency.value : undefined,
+            }),
+        });
+        const data = await res.json();
+        if (res.status === 401) {
+            setStaffSession(null, null);
+            openLoginModal();
+        } else if (res.ok) {
+            showToast(data.message, 4000);
+            closeModal();
+            await fetchDashboard();
+        } else {
+            modalGeoErr.hidden = false;
+            modalGeoErrMsg.textContent = data.error;
+        }
+    } catch (err) {
+        modalGeoErr.hidden = false;
+        modalGeoErrMsg.textContent = 'Network error: ' + err.message;
+    } finally {
+        triageConfirm.disabled = false;
+    }
+}
+
+/* ── Merge: fold a duplicate into another report, or split one out ── */
+function setupMerge(r) {
+    modalMerge.open = false;
+    mergeInto.value = '';
+    mergeReason.value = '';
+    loadMergedChildren(r.id);
+    loadDuplicateReviews(r.id);
+}
+
+// Possible duplicates held by the dedup check for an officer's decision (staff only)
+async function loadDuplicateReviews(reportId) {
+    mergeReviews.innerHTML = '';
+    if (!staffUser) return;
+    try {
+        const res = await fetch(`/api/duplicate-reviews?report_id=${reportId}`, { headers: authHeaders() });
+        if (!res.ok) return;
+        const { reviews = [] } = await res.json();
+        if (reportId !== activeReportId) return;
+        mergeReviews.innerHTML = reviews.map(d => {
+            const other = d.report_id === reportId ? d.candidate_report_id : d.report_id;
+            return `
+            <div class="merge-child">
+                <span>🔍 Possibly the same as #${other} — ${Math.round(d.confidence * 100)}% match, ${Math.round(d.distance_m)}m apart</span>
+                <span>
+                    <button class="btn btn-secondary" data-review="${d.id}" data-decision="confirm">🤝 Same issue</button>
+                    <button class="btn btn-secondary" data-review="${d.id}" data-decision="dismiss">Different</button>
+                </span>
+            </div>`;
+        }).join('');
+        if (reviews.length) modalMerge.open = true;
+    } catch { }
+}
+
+async function decideDuplicateReview(reviewId, decision, btn) {
+    const reportId = activeReportId;
+    btn.disabled = true;
+    const data = await sendMergeRequest(`/api/duplicate-reviews/${reviewId}/${decision}`, {});
+    btn.disabled = false;
+    if (!data) return;
+    if (decision === 'confirm') closeModal();
+    else if (reportId === activeReportId) loadDuplicateReviews(reportId);
+    await fetchDashboard();
+}
+
+async function loadMergedChildren(reportId) {
+    mergeChildren.innerHTML = '';
+    try {
+        const res = await fetch(`/api/reports/${reportId}/merges`);
+        const { children = [] } = await res.json();
+        if (reportId !== activeReportId) return;
+        mergeChildren.innerHTML = children.map(c => `
+            <div class="merge-child">
+                <span>🤝 #${c.id} — ${escHtml(c.description || c.location_text || capitalize(c.category))}${c.merged_by_name ? ` · by ${escHtml(c.merged_by_name)}` : ''}</span>
+                <button class="btn btn-secondary" data-unmerge="${c.id}">✂️ Split out</button>
+            </div>`).join('');
+        // Open the section when there is something to act on
+        if (children.length) modalMerge.open = true;
+    } catch { }
+}
+
+async function sendMergeRequest(url, body) {
+    if (!staffUser) {
+        openLoginModal();
+        return null;
+    }
+    try {
+        const res = await fetch(url, {
+            method: 'POST',
+            headers: authHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify(body),
+        });
+        const data = await res.json();
+        if (res.status === 401) {
+            setStaffSession(null, null);
+            openLoginModal();
+            return null;
+        }
+        if (!res.ok) {
+            modalGeoErr.hidden = false;
+            modalGeoErrMsg.textContent = data.error;
+            return null;
+        }
+        showToast(data.message, 4000);
+        return data;
+    } catch (err) {
+        modalGeoErr.hidden = false;
+        modalGeoErrMsg.textContent = 'Network error: ' + err.message;
+        return null;
+    }
+}
+
+async function confirmMerge() {
+    const into = parseInt(mergeInto.value);
+    if (!activeReportId || !into) return;
+    mergeConfirm.disabled = true;
+    const data = await sendMergeRequest(`/api/reports/${activeReportId}/merge`, { into, reason: mergeReason.value });
+    mergeConfirm.disabled = false;
+    if (data) {
+        closeModal();
+        await fetchDashboard();
+    }
+}
+
+async function splitOutChild(childId, btn) {
+    const parentId = activeReportId;
+    btn.disabled = true;
+    const data = await sendMergeRequest(`/api/reports/${childId}/unmerge`, {});
+    btn.disabled = false;
+    if (data && parentId === activeReportId) {
+        loadMergedChildren(parentId);
+        await fetchDashboard();
+    }
+}
+
 // Transition modal (standalone — for quick card button press)
 function openTransitionModal(report) {
     openIssueModal(report.id);
@@ -530,7 +919,8 @@ async function loadTimeline(reportId) {
                 <div class="timeline-content">
                     <strong>${STATE_META[t.state]?.emoji || '•'} ${t.state}</strong>
                     <p>${escHtml(t.label)}</p>
-                    <small>${new Date(t.at).toLocaleString()}</small>
+                    ${t.note ? `<p class="triage-reason">📝 ${escHtml(t.note)}</p>` : ''}
+                    <small>${new Date(t.at).toLocaleString()}${t.by ? ` · by ${escHtml(t.by)}` : ''}</small>
                 </div>
             </div>
         `).join('') + (escalations.length ? `
@@ -589,13 +979,16 @@ document.getElementById('chat-send').addEventListener('click', async () => {
     try {
         const res = await fetch(`/api/reports/${activeReportId}/chat`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: authHeaders({ 'Content-Type': 'application/json' }),
             body: JSON.stringify({ sender_role: role, sender_name: name, message: msg }),
         });
         if (res.ok) {
             const { message } = await res.json();
             appendChatMessage(message);
             document.getElementById('chat-input').value = '';
+        } else {
+            const { error } = await res.json();
+            showToast('❌ ' + error);
         }
     } catch (err) {
         showToast('❌ Failed to send message: ' + err.message);
@@ -606,6 +999,139 @@ document.getElementById('chat-input').addEventListener('keydown', (e) => {
     if (e.key === 'Enter') document.getElementById('chat-send').click();
 });
 
+/* ══════════════════════════════════════════════════════════════
+   STAFF SIGN-IN
+   ══════════════════════════════════════════════════════════════ */
+const staffBtn = document.getElementById('staff-btn');
+const loginModal = document.getElementById('login-modal');
+const loginForm = document.getElementById('login-form');
+const loginError = document.getElementById('login-error');
+const loginErrorMsg = document.getElementById('login-error-msg');
+
+function authHeaders(headers = {}) {
+    return staffToken ? { ...headers, Authorization: `Bearer ${staffToken}` } : headers;
+}
+
+function setStaffSession(token, user) {
+    staffToken = token;
+    staffUser = user;
+    if (token) localStorage.setItem('civicpulse-staff-token', token);
+    else localStorage.removeItem('civicpulse-staff-token');
+
+    staffBtn.textContent = user ? `🏛️ ${user.name} (${user.role}) · Sign out` : '🔐 Staff Sign-in';
+    staffBtn.classList.toggle('signed-in', !!user);
+
+    // Only signed-in staff may post as authority; their name comes from the account
+    const roleSel = document.getElementById('chat-role');
+    const nameInput = document.getElementById('chat-name');
+    const authorityOpt = roleSel.querySelector('option[value="authority"]');
+    authorityOpt.disabled = !user;
+    authorityOpt.textContent = user ? '🏛️ Authority' : '🏛️ Authority (sign in)';
+    if (!user && roleSel.value === 'authority') roleSel.value = 'citizen';
+    if (user) nameInput.value = user.name;
+}
+
+async function restoreStaffSession() {
+    if (!staffToken) return setStaffSession(null, null);
+    try {
+        const res = await fetch('/api/auth/me', { headers: authHeaders() });
+        if (!res.ok) return setStaffSession(null, null);
+        const { user } = await res.json();
+        setStaffSession(staffToken, user);
+        subscribeStaffPush();
+    } catch {
+        // Offline — keep the token, retry on next load
+    }
+}
+
+/**
+ * subscribeStaffPush({ prompt }) — register this browser for the signed-in
+ * staff member's escalation alerts (the 'push' channel of escalation chains).
+ * Only asks for notification permission when `prompt` is set, i.e. on sign-in.
+ */
+async function subscribeStaffPush({ prompt = false } = {}) {
+    if (!staffToken || !('serviceWorker' in navigator) || !('PushManager' in window)) return;
+    if (Notification.permission !== 'granted') {
+        if (!prompt || await Notification.requestPermission() !== 'granted') return;
+    }
+    try {
+        const keyRes = await fetch('/api/push/vapid-public-key');
+        if (!keyRes.ok) return;
+        const { publicKey } = await keyRes.json();
+
+        const reg = await navigator.serviceWorker.register('/sw.js', { scope: '/' });
+        await navigator.serviceWorker.ready;
+        const subscription = await reg.pushManager.getSubscription() || await reg.pushManager.subscribe({
+            userVisibleOnly: true,
+            applicationServerKey: urlBase64ToUint8Array(publicKey),
+        });
+
+        const { endpoint, keys } = subscription.toJSON();
+        const res = await fetch('/api/push/staff-subscribe', {
+            method: 'POST',
+            headers: authHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ endpoint, keys }),
+        });
+        if (!res.ok) throw new Error((await res.json()).error);
+    } catch (err) {
+        console.warn('[Push] Staff subscription failed:', err.message);
+    }
+}
+
+function urlBase64ToUint8Array(base64String) {
+    const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+    const raw = atob((base64String + padding).replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(raw, c => c.charCodeAt(0));
+}
+
+function openLoginModal() {
+    loginError.hidden = true;
+    loginModal.hidden = false;
+    document.getElementById('login-email').focus();
+}
+
+loginForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const submitBtn = document.getElementById('login-submit');
+    submitBtn.disabled = true;
+    loginError.hidden = true;
+    try {
+        const res = await fetch('/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                email: document.getElementById('login-email').value.trim(),
+                password: document.getElementById('login-password').value,
+            }),
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        setStaffSession(data.token, data.user);
+        loginModal.hidden = true;
+        loginForm.reset();
+        if (pendingTransition) modalConfirmLabel.textContent = NEXT_STATE_LABELS[pendingTransition.toState].label;
+        showToast(`🏛️ Signed in as ${data.user.name}`);
+        subscribeStaffPush({ prompt: true });
+    } catch (err) {
+        loginError.hidden = false;
+        loginErrorMsg.textContent = err.message;
+    } finally {
+        submitBtn.disabled = false;
+    }
+});
+
+staffBtn.addEventListener('click', async () => {
+    if (!staffUser) return openLoginModal();
+    try {
+        await fetch('/api/auth/logout', { method: 'POST', headers: authHeaders() });
+    } catch { }
+    setStaffSession(null, null);
+    showToast('👋 Signed out');
+});
+
+document.getElementById('login-close').addEventListener('click', () => { loginModal.hidden = true; });
+loginModal.addEventListener('click', (e) => { if (e.target === loginModal) loginModal.hidden = true; });
+
 /* ══════════════════════════════════════════════════════════════
    WARD PERFORMANCE TABLE
    ══════════════════════════════════════════════════════════════ */
@@ -712,6 +1238,7 @@ document.querySelectorAll('.fpill').forEach(btn => {
         btn.classList.add('active');
         activeFilter = btn.dataset.filter;
         renderGrid();
+        updateMapPins(true);
     });
 });
 
@@ -721,9 +1248,66 @@ document.querySelectorAll('.fpill-sev').forEach(btn => {
         btn.classList.add('active');
         activeSevFilter = btn.dataset.sev;
         renderGrid();
+        updateMapPins(true);
     });
 });
 
+/* ══════════════════════════════════════════════════════════════
+   SEARCH — descriptions, addresses and chat (GET /api/search)
+   ══════════════════════════════════════════════════════════════ */
+const searchInput = document.getElementById('dash-search');
+const searchResults = document.getElementById('dash-search-results');
+let searchTimer = null;
+let searchSeq = 0;
+
+async function runSearch() {
+    const q = searchInput.value.trim();
+    if (q.length < 2) { searchResults.hidden = true; return; }
+
+    const seq = ++searchSeq;
+    try {
+        const res = await fetch(`/api/search?${new URLSearchParams({ q, limit: 15 })}`);
+        if (!res.ok) throw new Error((await res.json()).error || `HTTP ${res.status}`);
+        const { results } = await res.json();
+        if (seq !== searchSeq) return;   // a newer search is in flight
+
+        // Snippets arrive as escaped HTML with <mark> around the matches
+        searchResults.innerHTML = results.length ? results.map(r => {
+            const sm = STATE_META[r.state] || STATE_META.SUBMITTED;
+            const chat = r.snippets.chat?.html
+                ? `<div class="search-hit-snippet">💬 ${escHtml(r.snippets.chat.sender_name)}: ${r.snippets.chat.html}</div>` : '';
+            return `
+            <li class="search-hit" data-report-id="${r.id}">
+                <div class="search-hit-title">#${r.id} · ${capitalize(r.category)} · ${sm.emoji} ${sm.label}${r.ward_name ? ` · ${escHtml(r.ward_name)}` : ''}</div>
+                <div class="search-hit-snippet">${r.snippets.description || escHtml((r.description || '').slice(0, 100))}</div>
+                ${r.snippets.location ? `<div class="search-hit-snippet">📍 ${r.snippets.location}</div>` : ''}
+                ${chat}
+            </li>`;
+        }).join('') : `<li class="search-empty">No reports match “${escHtml(q)}”</li>`;
+        searchResults.hidden = false;
+    } catch (err) {
+        if (seq !== searchSeq) return;
+        searchResults.innerHTML = `<li class="search-empty">⚠️ ${escHtml(err.message)}</li>`;
+        searchResults.hidden = false;
+    }
+}
+
+searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(runSearch, 300);
+});
+
+searchResults.addEventListener('click', (e) => {
+    const hit = e.target.closest('.search-hit');
+    if (!hit) return;
+    searchResults.hidden = true;
+    openIssueModal(parseInt(hit.dataset.reportId));
+});
+
+document.addEventListener('click', (e) => {
+    if (!e.target.closest('.search-group')) searchResults.hidden = true;
+});
+
 /* ══════════════════════════════════════════════════════════════
    EVENTS
    ══════════════════════════════════════════════════════════════ */
@@ -736,6 +1320,17 @@ document.getElementById('refresh-btn').addEventListener('click', () => {
 });
 
 modalConfirm.addEventListener('click', confirmTransition);
+triageState.addEventListener('change', fillTriageReasons);
+triageConfirm.addEventListener('click', confirmTriage);
+mergeConfirm.addEventListener('click', confirmMerge);
+mergeChildren.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-unmerge]');
+    if (btn) splitOutChild(parseInt(btn.dataset.unmerge), btn);
+});
+mergeReviews.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-review]');
+    if (btn) decideDuplicateReview(parseInt(btn.dataset.review), btn.dataset.decision, btn);
+});
 modalCancel.addEventListener('click', closeModal);
 modalClose.addEventListener('click', closeModal);
 issueModal.addEventListener('click', (e) => { if (e.target === issueModal) closeModal(); });
@@ -767,6 +1362,14 @@ function escHtml(str) {
 }
 function capitalize(s) { return s ? s.charAt(0).toUpperCase() + s.slice(1) : ''; }
 
+/** Photo as WebP with a JPEG fallback at the given variant size (thumb | medium | full);
+ *  photos uploaded before variants existed only have the original URL */
+function photoHtml(url, variants, size, attrs = '') {
+    const v = variants?.[size];
+    if (!v) return `<img src="${escHtml(url)}" ${attrs} />`;
+    return `<picture><source type="image/webp" srcset="${escHtml(v.webp)}" /><img src="${escHtml(v.jpeg)}" ${attrs} /></picture>`;
+}
+
 /* ══════════════════════════════════════════════════════════════
    MY REPORTS
    ══════════════════════════════════════════════════════════════ */
@@ -821,6 +1424,7 @@ function renderMyReports(reports) {
     <span class="state-badge ${sm.cls}">${sm.emoji} ${sm.label}</span>
   </div>
   <p class="my-report-desc">${escHtml((r.description || '').slice(0, 120))}${(r.description?.length || 0) > 120 ? '…' : ''}</p>
+  ${r.triage_reason ? `<p class="triage-reason">${sm.emoji} ${escHtml(r.triage_reason)}${r.transferred_to ? ` → ${escHtml(r.transferred_to)}` : ''}${r.triage_note ? ` — ${escHtml(r.triage_note)}` : ''}</p>` : ''}
   <div class="my-report-meta">
     <span class="sev-badge" style="background:${sevM.color}20;color:${sevM.color};border:1px solid ${sevM.color}40">${sevM.icon} ${r.severity_level}</span>
     ${r.ward_name ? `<span class="my-report-chip">🗺️ ${escHtml(r.ward_name)}</span>` : ''}
@@ -839,6 +1443,7 @@ function renderMyReports(reports) {
    ══════════════════════════════════════════════════════════════ */
 (async function init() {
     updateOnlineStatus();
+    await restoreStaffSession();
     initMap();
     connectSSE();
     await fetchDashboard();
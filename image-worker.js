@@ -4,15 +4,19 @@
  * Responsibilities:
  *  1. Parse raw image bytes to extract EXIF GPS lat/lon + capture timestamp
  *  2. Strip ALL EXIF data (privacy protection)
+ *  2b. Pixelate or blur user-marked regions (faces, number plates) before compression
  *  3. Compress image to ≤ 300 KB using OffscreenCanvas + iterative quality stepping
  *  4. Post progress updates { type:'progress', pct } during processing
- *  5. Post final result { type:'done', blob, originalSize, compressedSize, gpsLat, gpsLon, captureTimestamp }
+ *  5. Post final result { type:'done', blob, originalSize, compressedSize, gpsLat, gpsLon, captureTimestamp, exifTimestamp }
+ *     (exifTimestamp is null when the photo has no capture time; captureTimestamp falls back to now;
+ *     redactedRegions is how many regions were hidden)
  *
- * Message in: { imageFile: File }
+ * Message in: { imageFile: File, redaction?: { mode: 'pixelate' | 'blur', regions: [{ x, y, w, h }] } }
+ *             (region coordinates are fractions 0–1 of the displayed image)
  */
 
 self.onmessage = async (evt) => {
-    const { imageFile } = evt.data;
+    const { imageFile, redaction } = evt.data;
 
     try {
         // ── Step 1: Read raw bytes ──────────────────────────────────────────
@@ -45,6 +49,9 @@ self.onmessage = async (evt) => {
         const ctx = canvas.getContext('2d');
         ctx.drawImage(imageBitmap, 0, 0, width, height);
         imageBitmap.close();
+        const redactedRegions = redaction?.regions?.length
+            ? redactRegions(canvas, ctx, redaction.regions, redaction.mode)
+            : 0;
         postProgress(55);
 
         // ── Step 5: Iterative compression to hit ≤ 300 KB ───────────────────
@@ -78,6 +85,8 @@ self.onmessage = async (evt) => {
             gpsLat: signature.lat,
             gpsLon: signature.lon,
             captureTimestamp: signature.timestamp,
+            exifTimestamp: signature.exifTimestamp,
+            redactedRegions,
         });
 
     } catch (err) {
@@ -85,6 +94,39 @@ self.onmessage = async (evt) => {
     }
 };
 
+/* ════════════════════════════════════════════
+   Redaction — faces & number plates
+   Each region is shrunk to a handful of blocks and stretched back:
+   without smoothing that pixelates, with smoothing it blurs. Unlike
+   ctx.filter this works on every OffscreenCanvas implementation.
+   ════════════════════════════════════════════ */
+
+function redactRegions(canvas, ctx, regions, mode = 'pixelate') {
+    const BLOCKS = mode === 'blur' ? 6 : 10;   // across the region's long side
+    let count = 0;
+    for (const r of regions) {
+        const x = Math.max(0, Math.floor(r.x * canvas.width));
+        const y = Math.max(0, Math.floor(r.y * canvas.height));
+        const w = Math.min(canvas.width - x, Math.ceil(r.w * canvas.width));
+        const h = Math.min(canvas.height - y, Math.ceil(r.h * canvas.height));
+        if (w < 2 || h < 2) continue;
+
+        const blockPx = Math.max(6, Math.max(w, h) / BLOCKS);
+        const sw = Math.max(1, Math.round(w / blockPx));
+        const sh = Math.max(1, Math.round(h / blockPx));
+        const small = new OffscreenCanvas(sw, sh);
+        const sctx = small.getContext('2d');
+        sctx.drawImage(canvas, x, y, w, h, 0, 0, sw, sh);
+
+        ctx.imageSmoothingEnabled = mode === 'blur';
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(small, 0, 0, sw, sh, x, y, w, h);
+        count++;
+    }
+    ctx.imageSmoothingEnabled = true;
+    return count;
+}
+
 /* ════════════════════════════════════════════
    EXIF Parser — pure bitwise, zero dependencies
    Handles JFIF JPEG with standard APP1 marker
@@ -244,10 +286,14 @@ function buildSignature(exifData) {
         // Replace first two colons in date part with dashes
         ts = exifData.timestamp.replace(/^(\d{4}):(\d{2}):(\d{2})/, '$1-$2-$3');
     }
+    // EXIF time has no zone — it is the phone's local time, which is ours too
+    const local = ts ? new Date(ts.replace(' ', 'T')) : null;
+    const exifTimestamp = local && !isNaN(local) ? local.toISOString() : null;
     return {
         lat: exifData.lat,
         lon: exifData.lon,
         timestamp: ts ?? new Date().toISOString(), // fallback to submission time
+        exifTimestamp,
     };
 }
 
@@ -0,0 +1,162 @@
+/**
+ * db/migrate.js — Versioned, forward-only migration runner
+ *
+ * Migrations live in db/migrations as NNN_description.sql and are applied in
+ * numeric order, each inside its own transaction, then recorded in
+ * schema_migrations with a checksum. Applied files must never be edited —
+ * a checksum mismatch stops startup. Add a new numbered file instead.
+ *
+ * CLI:
+ *   node db/migrate.js status   — list applied + pending migrations
+ *   node db/migrate.js up       — apply all pending migrations
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const pool = require('./pool');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const SEED_FILE = path.join(__dirname, 'seed.sql');
+const LOCK_KEY = 7_310_512; // pg_advisory_lock id — one migrator at a time across instances
+
+/**
+ * loadMigrations() — [{ version, name, file, sql, checksum }] sorted by version
+ */
+function loadMigrations() {
+    const seen = new Set();
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(f => f.endsWith('.sql'))
+        .map(file => {
+            const match = file.match(/^(\d+)_([\w-]+)\.sql$/);
+            if (!match) throw new Error(`Migration file '${file}' must be named NNN_description.sql`);
+            const version = parseInt(match[1], 10);
+            if (seen.has(version)) throw new Error(`Duplicate migration version ${version} (${file})`);
+            seen.add(version);
+            const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+            return {
+                version,
+                name: match[2],
+                file,
+                sql,
+                checksum: crypto.createHash('sha256').update(sql).digest('hex'),
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version     INTEGER PRIMARY KEY,
+            name        VARCHAR(200) NOT NULL,
+            checksum    CHAR(64) NOT NULL,
+            applied_at  TIMESTAMPTZ DEFAULT NOW()
+        )
+    `);
+}
+
+/**
+ * getMigrationStatus(client?)
+ * Returns { applied: [...], pending: [...] }. Throws if an applied file was edited
+ * or an applied version no longer exists on disk.
+ */
+async function getMigrationStatus(client = pool) {
+    await ensureMigrationsTable(client);
+    const { rows } = await client.query(
+        'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+    );
+    const appliedByVersion = new Map(rows.map(r => [r.version, r]));
+    const migrations = loadMigrations();
+    const onDisk = new Set(migrations.map(m => m.version));
+
+    for (const row of rows) {
+        if (!onDisk.has(row.version)) {
+            throw new Error(`Applied migration ${row.version}_${row.name} is missing from db/migrations`);
+        }
+    }
+
+    const applied = [];
+    const pending = [];
+    for (const m of migrations) {
+        const row = appliedByVersion.get(m.version);
+        if (!row) {
+            pending.push(m);
+            continue;
+        }
+        if (row.checksum !== m.checksum) {
+            throw new Error(
+                `Migration ${m.file} was modified after it was applied (checksum mismatch). ` +
+                'Migrations are forward-only — add a new migration instead.'
+            );
+        }
+        applied.push({ ...m, applied_at: row.applied_at });
+    }
+    return { applied, pending };
+}
+
+/**
+ * runMigrations() — apply every pending migration, then seed wards if empty.
+ * Throws on the first failure; the failing migration is rolled back.
+ */
+async function runMigrations() {
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+
+        const { pending } = await getMigrationStatus(client);
+        if (!pending.length) console.log('[DB] Schema up to date — no pending migrations');
+
+        for (const m of pending) {
+            console.log(`[DB] Applying migration ${m.file}…`);
+            try {
+                await client.query('BEGIN');
+                await client.query(m.sql);
+                await client.query(
+                    'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+                    [m.version, m.name, m.checksum]
+                );
+                await client.query('COMMIT');
+            } catch (err) {
+                await client.query('ROLLBACK');
+                throw Object.assign(new Error(`Migration ${m.file} failed: ${err.message}`), { cause: err });
+            }
+            console.log(`[DB] Migration ${m.file} OK`);
+        }
+
+        // Only seed if city_wards table is empty
+        const { rows } = await client.query('SELECT COUNT(*) AS n FROM city_wards');
+        if (parseInt(rows[0].n) === 0) {
+            console.log('[DB] Seeding ward data…');
+            await client.query(fs.readFileSync(SEED_FILE, 'utf8'));
+            console.log('[DB] Seed OK');
+        }
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => { });
+        client.release();
+    }
+}
+
+module.exports = { runMigrations, getMigrationStatus, loadMigrations };
+
+// ── CLI ───────────────────────────────────────────────────────
+if (require.main === module) {
+    const command = process.argv[2] || 'status';
+    (async () => {
+        if (command === 'up') {
+            await runMigrations();
+        } else if (command === 'status') {
+            const { applied, pending } = await getMigrationStatus();
+            for (const m of applied) console.log(`  ✅ ${m.file}  (applied ${new Date(m.applied_at).toISOString()})`);
+            for (const m of pending) console.log(`  ⏳ ${m.file}  (pending)`);
+            console.log(`\n${applied.length} applied, ${pending.length} pending`);
+        } else {
+            throw new Error(`Unknown command '${command}'. Use: status | up`);
+        }
+    })()
+        .then(() => pool.end())
+        .catch(err => {
+            console.error('[DB] ❌', err.message);
+            pool.end().finally(() => process.exit(1));
+        });
+}
@@ -0,0 +1,153 @@
+/**
+ * db/migrateStorage.js — Move stored photos from one storage driver to another
+ *
+ * Walks every photo URL the database holds (reports.image_url, report_media.url,
+ * resolution_proofs / rejected_resolution_proofs.after_image_url, and the
+ * thumb / medium / full URLs inside the matching *variants columns). Each URL that
+ * belongs to the source driver is copied to the target driver and rewritten in
+ * every column in one transaction, so a run can be interrupted and repeated —
+ * URLs already moved no longer match the source and are skipped.
+ *
+ * CLI:
+ *   node db/migrateStorage.js [--from local] [--to s3] [--dir PATH] [--dry-run] [--delete]
+ *
+ *   --from / --to  driver names (lib/storage.js); defaults local → STORAGE_DRIVER
+ *   --dir          read local files from PATH instead of UPLOAD_DIR
+ *   --dry-run      list what would move, change nothing
+ *   --delete       remove each source file once it has been moved
+ */
+
+const path = require('path');
+const pool = require('./pool');
+const { createDriver, createLocalDriver } = require('../lib/storage');
+
+// Every column that stores a photo URL
+const URL_COLUMNS = [
+    ['reports', 'image_url'],
+    ['report_media', 'url'],
+    ['resolution_proofs', 'after_image_url'],
+    ['rejected_resolution_proofs', 'after_image_url'],
+];
+
+// JSONB columns of { thumb: { webp, jpeg }, … } URLs (lib/imageVariants.js)
+const VARIANT_COLUMNS = [
+    ['reports', 'image_variants'],
+    ['report_media', 'variants'],
+    ['resolution_proofs', 'after_image_variants'],
+    ['rejected_resolution_proofs', 'after_image_variants'],
+];
+
+const CONTENT_TYPES = {
+    '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png',
+    '.webp': 'image/webp', '.gif': 'image/gif', '.heic': 'image/heic',
+};
+
+/**
+ * storedUrls(client) — distinct photo URLs across URL_COLUMNS and VARIANT_COLUMNS
+ */
+async function storedUrls(client) {
+    const union = [
+        ...URL_COLUMNS.map(([table, column]) =>
+            `SELECT ${column} AS url FROM ${table} WHERE ${column} IS NOT NULL`),
+        ...VARIANT_COLUMNS.map(([table, column]) =>
+            `SELECT jsonb_path_query(${column}, '$.*.*') #>> '{}' AS url FROM ${table} WHERE ${column} IS NOT NULL`),
+    ].join(' UNION ');
+    const { rows } = await client.query(`${union} ORDER BY url`);
+    return rows.map(r => r.url);
+}
+
+/**
+ * migrateStorage({ from, to, dryRun?, deleteSource? })
+ * Returns { moved, skipped, missing, failed } counts.
+ */
+async function migrateStorage({ from, to, dryRun = false, deleteSource = false }) {
+    const counts = { moved: 0, skipped: 0, missing: 0, failed: 0 };
+    const client = await pool.connect();
+    try {
+        for (const url of await storedUrls(client)) {
+            const key = from.keyFromUrl(url);
+            if (!key) { counts.skipped++; continue; }
+
+            let buffer;
+            try {
+                buffer = await from.get(key);
+            } catch (err) {
+                console.warn(`  ⚠️  ${url} — source missing (${err.code || err.name})`);
+                counts.missing++;
+                continue;
+            }
+
+            const newUrl = to.urlFor(key);
+            if (dryRun) {
+                console.log(`  ➡️  ${url} → ${newUrl}`);
+                counts.moved++;
+                continue;
+            }
+
+            try {
+                const contentType = CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+                await to.put(key, buffer, contentType);
+
+                await client.query('BEGIN');
+                for (const [table, column] of URL_COLUMNS) {
+                    await client.query(`UPDATE ${table} SET ${column} = $2 WHERE ${column} = $1`, [url, newUrl]);
+                }
+                for (const [table, column] of VARIANT_COLUMNS) {
+                    await client.query(
+                        `UPDATE ${table}
+                         SET ${column} = REPLACE(${column}::text, to_json($1::text)::text, to_json($2::text)::text)::jsonb
+                         WHERE ${column}::text LIKE '%' || to_json($1::text)::text || '%'`,
+                        [url, newUrl]
+                    );
+                }
+                await client.query('COMMIT');
+            } catch (err) {
+                await client.query('ROLLBACK').catch(() => { });
+                console.error(`  ❌ ${url} — ${err.message}`);
+                counts.failed++;
+                continue;
+            }
+
+            if (deleteSource) await from.remove(key);
+            console.log(`  ✅ ${url} → ${newUrl}`);
+            counts.moved++;
+        }
+    } finally {
+        client.release();
+    }
+    return counts;
+}
+
+module.exports = { migrateStorage, storedUrls };
+
+// ── CLI ───────────────────────────────────────────────────────
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const i = args.indexOf(`--${name}`);
+        return i >= 0 ? args[i + 1] : undefined;
+    };
+
+    (async () => {
+        const fromName = option('from') || 'local';
+        const toName = option('to') || process.env.STORAGE_DRIVER || 'local';
+        const dir = option('dir');
+        if (fromName === toName) throw new Error(`Source and target are both '${fromName}'. Use --from / --to`);
+
+        const from = fromName === 'local' && dir ? createLocalDriver({ dir: path.resolve(dir) }) : createDriver(fromName);
+        const to = createDriver(toName);
+        const dryRun = args.includes('--dry-run');
+
+        console.log(`[Storage] Migrating ${fromName} → ${toName}${dryRun ? ' (dry run)' : ''}…`);
+        const { moved, skipped, missing, failed } = await migrateStorage({
+            from, to, dryRun, deleteSource: args.includes('--delete'),
+        });
+        console.log(`\n${moved} ${dryRun ? 'to move' : 'moved'}, ${skipped} not on ${fromName}, ${missing} missing, ${failed} failed`);
+        if (failed) process.exitCode = 1;
+    })()
+        .then(() => pool.end())
+        .catch(err => {
+            console.error('[Storage] ❌', err.message);
+            pool.end().finally(() => process.exit(1));
+        });
+}
@@ -1,8 +1,9 @@
 -- ═══════════════════════════════════════════════════════════
--- CivicPulse — Master Schema v5 (Idempotent)
+-- Migration 001 — CivicPulse Master Schema v5 (baseline)
 -- Combines Phase 2 + Phase 3 + Phase 4 + Phase 5
 -- Requires: PostgreSQL ≥ 12 + PostGIS
--- Run: psql -d civicpulse -f server/db/schema_v5.sql
+-- Idempotent so databases created before the migration runner
+-- can record it as applied without changes.
 -- ═══════════════════════════════════════════════════════════
 
 -- Extensions
@@ -186,7 +187,3 @@ CREATE TRIGGER trg_emergency_flag
     BEFORE INSERT OR UPDATE ON reports
     FOR EACH ROW
     EXECUTE FUNCTION update_emergency_flag();
-
--- ─────────────────────────────────────────────────────────────
--- Done. Run seed.sql next to populate ward boundaries.
--- ─────────────────────────────────────────────────────────────
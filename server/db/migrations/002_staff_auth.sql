@@ -0,0 +1,46 @@
+-- ═══════════════════════════════════════════════════════════
+-- Migration 002 — Staff accounts, sessions and report audit log
+-- ═══════════════════════════════════════════════════════════
+
+-- ── Staff Accounts + Sessions ────────────────────────────────
+CREATE TABLE IF NOT EXISTS staff_users (
+    id             SERIAL PRIMARY KEY,
+    name           VARCHAR(100) NOT NULL,
+    email          VARCHAR(150) UNIQUE NOT NULL,        -- stored lower-case
+    phone          VARCHAR(30),
+    password_hash  TEXT NOT NULL,                       -- scrypt$salt$hash
+    role           VARCHAR(20) NOT NULL DEFAULT 'officer'
+                   CHECK (role IN ('officer','supervisor','admin')),
+    ward_id        INTEGER REFERENCES city_wards(ward_id) ON DELETE SET NULL,
+    is_active      BOOLEAN DEFAULT TRUE,
+    created_at     TIMESTAMPTZ DEFAULT NOW(),
+    last_login_at  TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS staff_sessions (
+    id          SERIAL PRIMARY KEY,
+    user_id     INTEGER NOT NULL REFERENCES staff_users(id) ON DELETE CASCADE,
+    token_hash  CHAR(64) UNIQUE NOT NULL,               -- SHA-256 of the bearer token
+    created_at  TIMESTAMPTZ DEFAULT NOW(),
+    expires_at  TIMESTAMPTZ NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_staff_sessions_user ON staff_sessions (user_id);
+
+-- Acting user on authority chat messages and resolution proofs
+ALTER TABLE report_chat       ADD COLUMN IF NOT EXISTS sender_user_id INTEGER REFERENCES staff_users(id) ON DELETE SET NULL;
+ALTER TABLE resolution_proofs ADD COLUMN IF NOT EXISTS submitted_by   INTEGER REFERENCES staff_users(id) ON DELETE SET NULL;
+
+-- ── Report Audit Log ─────────────────────────────────────────
+-- Who changed what on a report: transitions, proofs, status updates
+CREATE TABLE IF NOT EXISTS report_audit_log (
+    id             SERIAL PRIMARY KEY,
+    report_id      INTEGER REFERENCES reports(id) ON DELETE CASCADE,
+    action         VARCHAR(30) NOT NULL,
+    from_value     VARCHAR(50),
+    to_value       VARCHAR(50),
+    actor_user_id  INTEGER REFERENCES staff_users(id) ON DELETE SET NULL,
+    actor_name     VARCHAR(100),
+    detail         TEXT,
+    created_at     TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_report_audit_log_report ON report_audit_log (report_id);
@@ -0,0 +1,18 @@
+-- ═══════════════════════════════════════════════════════════
+-- Migration 003 — Ward management: codes, retirement, timestamps
+-- ═══════════════════════════════════════════════════════════
+
+ALTER TABLE city_wards ADD COLUMN IF NOT EXISTS ward_code  VARCHAR(50);   -- municipal ward number, import upsert key
+ALTER TABLE city_wards ADD COLUMN IF NOT EXISTS is_active  BOOLEAN DEFAULT TRUE;
+ALTER TABLE city_wards ADD COLUMN IF NOT EXISTS retired_at TIMESTAMPTZ;
+ALTER TABLE city_wards ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE city_wards ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wards_ward_code ON city_wards (ward_code) WHERE ward_code IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_wards_active ON city_wards (is_active) WHERE is_active = TRUE;
+
+DROP TRIGGER IF EXISTS trg_city_wards_updated_at ON city_wards;
+CREATE TRIGGER trg_city_wards_updated_at
+    BEFORE UPDATE ON city_wards
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,17 @@
+-- ═══════════════════════════════════════════════════════════
+-- Migration 004 — Ward assignment history (re-districting)
+-- ═══════════════════════════════════════════════════════════
+
+-- One row per report whose ward changed after a boundary edit
+CREATE TABLE IF NOT EXISTS report_ward_history (
+    id             SERIAL PRIMARY KEY,
+    report_id      INTEGER REFERENCES reports(id) ON DELETE CASCADE,
+    old_ward_id    INTEGER REFERENCES city_wards(ward_id) ON DELETE SET NULL,
+    new_ward_id    INTEGER REFERENCES city_wards(ward_id) ON DELETE SET NULL,
+    state          VARCHAR(20),                        -- report state at the time of the move
+    rerouted       BOOLEAN DEFAULT FALSE,              -- open report handed to the new ward officer
+    reason         VARCHAR(50) NOT NULL DEFAULT 'boundary_change',
+    changed_by     INTEGER REFERENCES staff_users(id) ON DELETE SET NULL,
+    changed_at     TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_report_ward_history_report ON report_ward_history (report_id);
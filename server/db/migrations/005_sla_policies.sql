@@ -0,0 +1,33 @@
+-- ═══════════════════════════════════════════════════════════
+-- Migration 005 — SLA policies per category + severity
+-- ═══════════════════════════════════════════════════════════
+
+-- '*' is a wildcard. The most specific row wins:
+--   category+severity  >  category+*  >  *+severity  >  *+*
+CREATE TABLE IF NOT EXISTS sla_policies (
+    category        VARCHAR(50) NOT NULL DEFAULT '*',
+    severity_level  VARCHAR(10) NOT NULL DEFAULT '*'
+                    CHECK (severity_level IN ('*','low','medium','high','critical')),
+    l1_hours        DOUBLE PRECISION NOT NULL,   -- Junior Engineer alert
+    l2_hours        DOUBLE PRECISION NOT NULL,   -- Executive Engineer escalation
+    l3_hours        DOUBLE PRECISION NOT NULL,   -- Commissioner weekly report
+    updated_by      INTEGER REFERENCES staff_users(id) ON DELETE SET NULL,
+    updated_at      TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (category, severity_level),
+    CHECK (l1_hours > 0 AND l1_hours <= l2_hours AND l2_hours <= l3_hours)
+);
+
+-- City-wide default (the previous hard-coded 72 / 120 / 168h)
+INSERT INTO sla_policies (category, severity_level, l1_hours, l2_hours, l3_hours)
+VALUES ('*', '*', 72, 120, 168)
+ON CONFLICT DO NOTHING;
+
+-- Resolve the policy for one report: LEFT JOIN LATERAL sla_policy_for(r.category, r.severity_level) sp ON TRUE
+CREATE OR REPLACE FUNCTION sla_policy_for(p_category TEXT, p_severity TEXT)
+RETURNS sla_policies AS $$
+    SELECT * FROM sla_policies
+    WHERE category IN (p_category, '*')
+      AND severity_level IN (p_severity, '*')
+    ORDER BY (category <> '*') DESC, (severity_level <> '*') DESC
+    LIMIT 1
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,80 @@
+-- ═══════════════════════════════════════════════════════════
+-- Migration 006 — Working calendars (business-hours SLA clocks)
+-- ═══════════════════════════════════════════════════════════
+
+-- One calendar per city: office hours, weekly offs, public holidays.
+-- The is_default calendar is the one SLA clocks are measured against.
+CREATE TABLE IF NOT EXISTS working_calendars (
+    id             SERIAL PRIMARY KEY,
+    city           VARCHAR(100) NOT NULL UNIQUE,
+    timezone       VARCHAR(64)  NOT NULL DEFAULT 'Asia/Kolkata',
+    day_start      TIME NOT NULL DEFAULT '09:00',
+    day_end        TIME NOT NULL DEFAULT '17:30',
+    weekly_offs    SMALLINT[] NOT NULL DEFAULT '{7}',   -- ISO weekday: 1 = Mon … 7 = Sun
+    is_default     BOOLEAN NOT NULL DEFAULT FALSE,
+    updated_at     TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (day_start < day_end),
+    CHECK (weekly_offs <@ ARRAY[1,2,3,4,5,6,7]::SMALLINT[])
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_working_calendars_default
+    ON working_calendars (is_default) WHERE is_default;
+
+CREATE TABLE IF NOT EXISTS calendar_holidays (
+    calendar_id    INTEGER NOT NULL REFERENCES working_calendars(id) ON DELETE CASCADE,
+    holiday_date   DATE NOT NULL,
+    name           VARCHAR(150) NOT NULL,
+    PRIMARY KEY (calendar_id, holiday_date)
+);
+
+INSERT INTO working_calendars (city, is_default)
+VALUES ('Delhi', TRUE)
+ON CONFLICT DO NOTHING;
+
+-- Policies opt in to the working-hours clock; 'wall' keeps the previous behaviour
+ALTER TABLE sla_policies
+    ADD COLUMN IF NOT EXISTS clock VARCHAR(10) NOT NULL DEFAULT 'wall'
+        CHECK (clock IN ('wall', 'business'));
+
+-- Working hours between two instants on a calendar (default calendar when NULL).
+-- Falls back to wall-clock hours if no calendar is configured.
+CREATE OR REPLACE FUNCTION working_hours_between(p_from TIMESTAMPTZ, p_to TIMESTAMPTZ, p_calendar_id INTEGER DEFAULT NULL)
+RETURNS DOUBLE PRECISION AS $$
+DECLARE
+    cal working_calendars;
+    total DOUBLE PRECISION;
+BEGIN
+    IF p_from IS NULL OR p_to IS NULL OR p_to <= p_from THEN
+        RETURN 0;
+    END IF;
+
+    SELECT * INTO cal FROM working_calendars
+    WHERE (p_calendar_id IS NULL AND is_default) OR id = p_calendar_id
+    LIMIT 1;
+    IF NOT FOUND THEN
+        RETURN EXTRACT(EPOCH FROM p_to - p_from) / 3600;
+    END IF;
+
+    SELECT COALESCE(SUM(GREATEST(0, EXTRACT(EPOCH FROM
+               LEAST(p_to, (d.day::date + cal.day_end) AT TIME ZONE cal.timezone)
+             - GREATEST(p_from, (d.day::date + cal.day_start) AT TIME ZONE cal.timezone)))), 0) / 3600
+    INTO total
+    FROM generate_series((p_from AT TIME ZONE cal.timezone)::date::timestamp,
+                         (p_to   AT TIME ZONE cal.timezone)::date::timestamp,
+                         INTERVAL '1 day') AS d(day)
+    WHERE NOT (EXTRACT(ISODOW FROM d.day)::SMALLINT = ANY (cal.weekly_offs))
+      AND NOT EXISTS (SELECT 1 FROM calendar_holidays h
+                      WHERE h.calendar_id = cal.id AND h.holiday_date = d.day::date);
+
+    RETURN total;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- SLA elapsed hours since p_from under a policy's clock
+CREATE OR REPLACE FUNCTION sla_hours_since(p_from TIMESTAMPTZ, p_clock TEXT, p_to TIMESTAMPTZ DEFAULT NOW())
+RETURNS DOUBLE PRECISION AS $$
+    SELECT CASE
+        WHEN p_from IS NULL THEN NULL
+        WHEN p_clock = 'business' THEN working_hours_between(p_from, p_to)
+        ELSE EXTRACT(EPOCH FROM p_to - p_from) / 3600
+    END
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,39 @@
+-- ═══════════════════════════════════════════════════════════
+-- Migration 007 — Escalation chains per ward / zone
+-- ═══════════════════════════════════════════════════════════
+
+-- Who is notified at each SLA level, and how. Scope is a ward, a zone, or
+-- city-wide (both NULL). For a given report and level the most specific scope
+-- with any active entry wins:  ward  >  zone  >  city-wide.
+CREATE TABLE IF NOT EXISTS escalation_chains (
+    id              SERIAL PRIMARY KEY,
+    ward_id         INTEGER REFERENCES city_wards(ward_id) ON DELETE CASCADE,
+    zone            VARCHAR(100),
+    level           SMALLINT NOT NULL CHECK (level BETWEEN 1 AND 3),
+    channel         VARCHAR(10) NOT NULL CHECK (channel IN ('email', 'sms', 'push')),
+    staff_user_id   INTEGER REFERENCES staff_users(id) ON DELETE CASCADE,
+    recipient_name  VARCHAR(100),
+    recipient_email VARCHAR(150),
+    recipient_phone VARCHAR(20),
+    is_active       BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at      TIMESTAMPTZ DEFAULT NOW(),
+    updated_at      TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (ward_id IS NULL OR zone IS NULL),
+    -- push goes to a staff account's devices; email / sms need an address
+    CHECK (channel <> 'push' OR staff_user_id IS NOT NULL),
+    CHECK (channel <> 'email' OR staff_user_id IS NOT NULL OR recipient_email IS NOT NULL),
+    CHECK (channel <> 'sms' OR staff_user_id IS NOT NULL OR recipient_phone IS NOT NULL)
+);
+CREATE INDEX IF NOT EXISTS idx_escalation_chains_ward ON escalation_chains (ward_id, level);
+CREATE INDEX IF NOT EXISTS idx_escalation_chains_zone ON escalation_chains (zone, level);
+
+-- Browser push subscriptions for staff (escalation 'push' channel)
+CREATE TABLE IF NOT EXISTS staff_push_subscriptions (
+    id          SERIAL PRIMARY KEY,
+    user_id     INTEGER NOT NULL REFERENCES staff_users(id) ON DELETE CASCADE,
+    endpoint    TEXT UNIQUE NOT NULL,
+    p256dh      TEXT NOT NULL,
+    auth        TEXT NOT NULL,
+    created_at  TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_staff_push_subscriptions_user ON staff_push_subscriptions (user_id);
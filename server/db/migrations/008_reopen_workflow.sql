@@ -0,0 +1,29 @@
+-- ═══════════════════════════════════════════════════════════
+-- Migration 008 — REOPENED state (citizens reject a resolution)
+-- ═══════════════════════════════════════════════════════════
+
+ALTER TABLE reports DROP CONSTRAINT IF EXISTS reports_state_check;
+ALTER TABLE reports ADD CONSTRAINT reports_state_check
+    CHECK (state IN ('SUBMITTED','VERIFIED','ASSIGNED','IN_PROGRESS','RESOLVED','REOPENED','MERGED'));
+
+ALTER TABLE reports
+    ADD COLUMN IF NOT EXISTS reopened_at  TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS reopen_count INTEGER NOT NULL DEFAULT 0;
+
+-- Proofs that citizens rejected. resolution_proofs keeps one live proof per
+-- report, so the rejected one is moved here when the report reopens.
+CREATE TABLE IF NOT EXISTS rejected_resolution_proofs (
+    id              SERIAL PRIMARY KEY,
+    report_id       INTEGER REFERENCES reports(id) ON DELETE CASCADE,
+    after_image_url TEXT NOT NULL,
+    officer_lat     DOUBLE PRECISION,
+    officer_lon     DOUBLE PRECISION,
+    distance_m      DOUBLE PRECISION,
+    submitted_by    INTEGER REFERENCES staff_users(id) ON DELETE SET NULL,
+    submitted_at    TIMESTAMPTZ,
+    accept_count    INTEGER NOT NULL DEFAULT 0,
+    reject_count    INTEGER NOT NULL DEFAULT 0,
+    reason          TEXT,
+    rejected_at     TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_rejected_resolution_proofs_report ON rejected_resolution_proofs (report_id);
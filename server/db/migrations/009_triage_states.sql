@@ -0,0 +1,19 @@
+-- ═══════════════════════════════════════════════════════════
+-- Migration 009 — Triage: REJECTED / TRANSFERRED terminal states
+-- ═══════════════════════════════════════════════════════════
+
+ALTER TABLE reports DROP CONSTRAINT IF EXISTS reports_state_check;
+ALTER TABLE reports ADD CONSTRAINT reports_state_check
+    CHECK (state IN ('SUBMITTED','VERIFIED','ASSIGNED','IN_PROGRESS','RESOLVED','REOPENED',
+                     'REJECTED','TRANSFERRED','MERGED'));
+
+ALTER TABLE reports DROP CONSTRAINT IF EXISTS reports_status_check;
+ALTER TABLE reports ADD CONSTRAINT reports_status_check
+    CHECK (status IN ('active','in_progress','resolved','merged','rejected','transferred'));
+
+-- Why the report was closed without a fix (reason codes live in lib/stateMachine.js)
+ALTER TABLE reports
+    ADD COLUMN IF NOT EXISTS triaged_at         TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS triage_reason_code VARCHAR(40),
+    ADD COLUMN IF NOT EXISTS triage_note        TEXT,
+    ADD COLUMN IF NOT EXISTS transferred_to     VARCHAR(150);   -- receiving agency (TRANSFERRED)
@@ -0,0 +1,26 @@
+-- ═══════════════════════════════════════════════════════════
+-- Migration 010 — Manual merge / unmerge history
+-- ═══════════════════════════════════════════════════════════
+
+-- One row per manual merge. Records what moved to the parent so an unmerge
+-- can move exactly those rows back. Automatic merges at submission time have
+-- no row here (nothing moves — the child is born MERGED).
+CREATE TABLE IF NOT EXISTS report_merges (
+    id                  SERIAL PRIMARY KEY,
+    child_report_id     INTEGER NOT NULL REFERENCES reports(id) ON DELETE CASCADE,
+    parent_report_id    INTEGER NOT NULL REFERENCES reports(id) ON DELETE CASCADE,
+    previous_parent_id  INTEGER REFERENCES reports(id) ON DELETE SET NULL,
+    previous_state      VARCHAR(20) NOT NULL,
+    previous_status     VARCHAR(20) NOT NULL,
+    moved_chat_ids          INTEGER[] NOT NULL DEFAULT '{}',
+    moved_verification_ids  INTEGER[] NOT NULL DEFAULT '{}',
+    moved_push_ids          INTEGER[] NOT NULL DEFAULT '{}',
+    moved_child_ids         INTEGER[] NOT NULL DEFAULT '{}',   -- the child's own merged duplicates
+    reason              TEXT,
+    merged_by           INTEGER REFERENCES staff_users(id) ON DELETE SET NULL,
+    merged_at           TIMESTAMPTZ DEFAULT NOW(),
+    unmerged_by         INTEGER REFERENCES staff_users(id) ON DELETE SET NULL,
+    unmerged_at         TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS idx_report_merges_child  ON report_merges (child_report_id) WHERE unmerged_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_report_merges_parent ON report_merges (parent_report_id);
@@ -0,0 +1,27 @@
+-- ═══════════════════════════════════════════════════════════
+-- Migration 011 — Perceptual-hash duplicate detection
+-- ═══════════════════════════════════════════════════════════
+
+-- 64-bit dHash of the report photo as 16 hex chars (lib/imageHash.js).
+-- Reports filed before this migration have none and are scored on distance only.
+ALTER TABLE reports
+    ADD COLUMN IF NOT EXISTS image_hash CHAR(16);
+
+-- Likely duplicates that scored too low to merge automatically. The new
+-- report is filed on its own and waits here for an officer's decision.
+CREATE TABLE IF NOT EXISTS duplicate_reviews (
+    id                  SERIAL PRIMARY KEY,
+    report_id           INTEGER NOT NULL REFERENCES reports(id) ON DELETE CASCADE,
+    candidate_report_id INTEGER NOT NULL REFERENCES reports(id) ON DELETE CASCADE,
+    confidence          REAL NOT NULL,
+    distance_m          DOUBLE PRECISION,
+    hash_distance       SMALLINT,
+    status              VARCHAR(20) NOT NULL DEFAULT 'pending'
+                        CHECK (status IN ('pending', 'merged', 'dismissed')),
+    reviewed_by         INTEGER REFERENCES staff_users(id) ON DELETE SET NULL,
+    reviewed_at         TIMESTAMPTZ,
+    created_at          TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (report_id, candidate_report_id)
+);
+CREATE INDEX IF NOT EXISTS idx_duplicate_reviews_pending ON duplicate_reviews (created_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_duplicate_reviews_candidate ON duplicate_reviews (candidate_report_id);
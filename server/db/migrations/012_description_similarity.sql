@@ -0,0 +1,12 @@
+-- ═══════════════════════════════════════════════════════════
+-- Migration 012 — Description similarity for duplicate detection
+-- ═══════════════════════════════════════════════════════════
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS idx_reports_description_trgm
+    ON reports USING GIN (description gin_trgm_ops);
+
+-- Trigram similarity (0–1) of the two descriptions when the pair was held
+ALTER TABLE duplicate_reviews
+    ADD COLUMN IF NOT EXISTS text_similarity REAL;
@@ -0,0 +1,28 @@
+-- ═══════════════════════════════════════════════════════════
+-- Migration 013 — Per-category dedup radius + look-back window
+-- ═══════════════════════════════════════════════════════════
+
+-- '*' is the city-wide default; a category row overrides it.
+--   radius_m     open reports further away are never duplicates
+--   window_days  open reports filed longer ago than this are never duplicates
+CREATE TABLE IF NOT EXISTS dedup_settings (
+    category        VARCHAR(50) PRIMARY KEY DEFAULT '*',
+    radius_m        DOUBLE PRECISION NOT NULL CHECK (radius_m > 0 AND radius_m <= 2000),
+    window_days     INTEGER NOT NULL CHECK (window_days > 0),
+    updated_by      INTEGER REFERENCES staff_users(id) ON DELETE SET NULL,
+    updated_at      TIMESTAMPTZ DEFAULT NOW()
+);
+
+INSERT INTO dedup_settings (category, radius_m, window_days) VALUES
+    ('*',           150, 30),
+    ('flooding',    400,  7),   -- one waterlogged street, reported from both ends
+    ('streetlight',  15, 60)    -- every pole is its own asset
+ON CONFLICT DO NOTHING;
+
+CREATE OR REPLACE FUNCTION dedup_settings_for(p_category TEXT)
+RETURNS dedup_settings AS $$
+    SELECT * FROM dedup_settings
+    WHERE category IN (p_category, '*')
+    ORDER BY (category <> '*') DESC
+    LIMIT 1
+$$ LANGUAGE sql STABLE;
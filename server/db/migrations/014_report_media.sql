@@ -0,0 +1,39 @@
+-- ═══════════════════════════════════════════════════════════
+-- Migration 014 — Multiple photos per report and per resolution proof
+-- ═══════════════════════════════════════════════════════════
+
+-- reports.image_url and resolution_proofs.after_image_url keep the first
+-- (cover) photo; every photo, cover included, has a row here.
+--   report          citizen photos of the issue
+--   proof           the live resolution proof's photos
+--   rejected_proof  photos of a proof citizens rejected (see rejected_resolution_proofs)
+CREATE TABLE IF NOT EXISTS report_media (
+    id                  SERIAL PRIMARY KEY,
+    report_id           INTEGER NOT NULL REFERENCES reports(id) ON DELETE CASCADE,
+    kind                VARCHAR(20) NOT NULL DEFAULT 'report'
+                        CHECK (kind IN ('report', 'proof', 'rejected_proof')),
+    rejected_proof_id   INTEGER REFERENCES rejected_resolution_proofs(id) ON DELETE CASCADE,
+    url                 TEXT NOT NULL,
+    image_hash          CHAR(16),
+    position            SMALLINT NOT NULL DEFAULT 0,
+    uploaded_by         INTEGER REFERENCES staff_users(id) ON DELETE SET NULL,
+    created_at          TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_report_media_report ON report_media (report_id, kind, position);
+
+-- Backfill the single photos stored so far
+INSERT INTO report_media (report_id, kind, url, image_hash, created_at)
+SELECT r.id, 'report', r.image_url, r.image_hash, r.created_at
+FROM reports r
+WHERE r.image_url IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM report_media m WHERE m.report_id = r.id AND m.kind = 'report');
+
+INSERT INTO report_media (report_id, kind, url, uploaded_by, created_at)
+SELECT p.report_id, 'proof', p.after_image_url, p.submitted_by, p.submitted_at
+FROM resolution_proofs p
+WHERE NOT EXISTS (SELECT 1 FROM report_media m WHERE m.report_id = p.report_id AND m.kind = 'proof');
+
+INSERT INTO report_media (report_id, kind, rejected_proof_id, url, uploaded_by, created_at)
+SELECT p.report_id, 'rejected_proof', p.id, p.after_image_url, p.submitted_by, p.submitted_at
+FROM rejected_resolution_proofs p
+WHERE NOT EXISTS (SELECT 1 FROM report_media m WHERE m.rejected_proof_id = p.id);
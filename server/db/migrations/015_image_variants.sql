@@ -0,0 +1,17 @@
+-- ═══════════════════════════════════════════════════════════
+-- Migration 015 — Thumbnail / medium / full photo variants
+-- ═══════════════════════════════════════════════════════════
+
+-- { thumb: { webp, jpeg }, medium: {…}, full: {…} } URLs made at upload
+-- (lib/imageVariants.js). NULL for photos uploaded before this migration —
+-- clients fall back to the original URL.
+ALTER TABLE report_media
+    ADD COLUMN IF NOT EXISTS variants JSONB;
+
+-- Cover photo's variants, alongside reports.image_url / …after_image_url
+ALTER TABLE reports
+    ADD COLUMN IF NOT EXISTS image_variants JSONB;
+ALTER TABLE resolution_proofs
+    ADD COLUMN IF NOT EXISTS after_image_variants JSONB;
+ALTER TABLE rejected_resolution_proofs
+    ADD COLUMN IF NOT EXISTS after_image_variants JSONB;
@@ -0,0 +1,28 @@
+-- ═══════════════════════════════════════════════════════════
+-- Migration 016 — Server-side photo authenticity score
+-- ═══════════════════════════════════════════════════════════
+
+-- 0–100, computed at submission (lib/authenticity.js). NULL for reports filed
+-- before this migration. Kept on reports so list views can show the badge.
+ALTER TABLE reports
+    ADD COLUMN IF NOT EXISTS authenticity_score SMALLINT
+        CHECK (authenticity_score BETWEEN 0 AND 100);
+
+-- What the score was computed from — staff only (GET /api/reports/:id/authenticity),
+-- since it holds the photo's EXIF position alongside the device fix.
+CREATE TABLE IF NOT EXISTS report_authenticity (
+    report_id           INTEGER PRIMARY KEY REFERENCES reports(id) ON DELETE CASCADE,
+    score               SMALLINT NOT NULL,
+    checks              JSONB NOT NULL DEFAULT '[]',
+    exif_lat            DOUBLE PRECISION,
+    exif_lon            DOUBLE PRECISION,
+    exif_timestamp      TIMESTAMPTZ,
+    device_lat          DOUBLE PRECISION,
+    device_lon          DOUBLE PRECISION,
+    device_accuracy_m   REAL,
+    created_at          TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Travel-speed check: a reporter's other recent submissions
+CREATE INDEX IF NOT EXISTS idx_reports_reporter_token
+    ON reports (reporter_token, created_at DESC) WHERE reporter_token IS NOT NULL;
@@ -0,0 +1,10 @@
+-- ═══════════════════════════════════════════════════════════
+-- Migration 017 — Privacy redaction applied before upload
+-- ═══════════════════════════════════════════════════════════
+
+-- Number of regions (faces, number plates) the reporter pixelated or blurred
+-- in the app before the photo left the device (image-worker.js). The stored
+-- photo is already redacted; this only records that it was.
+ALTER TABLE report_media
+    ADD COLUMN IF NOT EXISTS redacted_regions SMALLINT NOT NULL DEFAULT 0
+        CHECK (redacted_regions >= 0);
@@ -0,0 +1,14 @@
+-- ═══════════════════════════════════════════════════════════
+-- Migration 018 — Where a report's location came from
+-- ═══════════════════════════════════════════════════════════
+
+-- gps / network  browser geolocation (accuracy as reported by the device)
+-- ip             IP geolocation fallback — often kilometres off
+-- exif           the cover photo's GPS tag
+-- manual         the citizen dragged the pin on the report form map
+-- NULL for reports filed before this migration.
+ALTER TABLE reports
+    ADD COLUMN IF NOT EXISTS location_source TEXT
+        CHECK (location_source IN ('gps', 'network', 'ip', 'exif', 'manual')),
+    ADD COLUMN IF NOT EXISTS location_accuracy_m REAL
+        CHECK (location_accuracy_m >= 0);
@@ -0,0 +1,16 @@
+-- ═══════════════════════════════════════════════════════════
+-- Migration 019 — Indexes for the report query API
+-- ═══════════════════════════════════════════════════════════
+
+-- Keyset pages of lib/reportQuery.js walk these in sort order; merged
+-- child reports are never listed, so they are left out of the index.
+CREATE INDEX IF NOT EXISTS idx_reports_list_newest
+    ON reports (created_at DESC, id DESC) WHERE parent_report_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_reports_list_priority
+    ON reports (COALESCE(is_emergency, FALSE) DESC, COALESCE(sla_level, 0) DESC, created_at DESC, id DESC)
+    WHERE parent_report_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_reports_list_resolved
+    ON reports (COALESCE(resolved_at, '-infinity'::timestamptz) DESC, id DESC)
+    WHERE parent_report_id IS NULL;
@@ -0,0 +1,81 @@
+-- ═══════════════════════════════════════════════════════════
+-- Migration 020 — Full-text search over reports and chat
+-- ═══════════════════════════════════════════════════════════
+
+-- Weighted so ts_rank favours the description, then the address:
+--   A description · B location text · C category · D chat messages
+ALTER TABLE reports
+    ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', COALESCE(description, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(location_text, '')), 'B') ||
+        setweight(to_tsvector('simple', COALESCE(category, '')), 'C')
+    ) STORED;
+
+ALTER TABLE report_chat
+    ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', COALESCE(message, '')), 'D')
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_reports_search ON reports USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_report_chat_search ON report_chat USING GIN (search_vector);
+
+-- Spelling / transliteration variants searched as one word. Every term in a
+-- group shares its canonical word; searching any of them matches all of them.
+-- Kept in a table rather than a tsearch synonym file so hosted Postgres works.
+CREATE TABLE IF NOT EXISTS search_synonyms (
+    term        TEXT PRIMARY KEY,
+    canonical   TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_search_synonyms_canonical ON search_synonyms (canonical);
+
+INSERT INTO search_synonyms (term, canonical) VALUES
+    ('nali', 'drain'), ('naali', 'drain'), ('nala', 'drain'), ('naala', 'drain'),
+    ('nalla', 'drain'), ('nallah', 'drain'), ('nullah', 'drain'), ('gutter', 'drain'),
+    ('kachra', 'garbage'), ('kachara', 'garbage'), ('kuda', 'garbage'), ('kooda', 'garbage'),
+    ('trash', 'garbage'), ('rubbish', 'garbage'),
+    ('gaddha', 'pothole'), ('gadda', 'pothole'), ('khadda', 'pothole'), ('khaddha', 'pothole'),
+    ('batti', 'streetlight'), ('bijli', 'streetlight'), ('lamppost', 'streetlight'),
+    ('paani', 'water'), ('pani', 'water'),
+    ('sadak', 'road'), ('sarak', 'road'), ('rasta', 'road'), ('raasta', 'road'),
+    ('gali', 'lane'), ('galli', 'lane'),
+    ('chowk', 'crossing'), ('chauraha', 'crossing'), ('junction', 'crossing'),
+    ('footpath', 'sidewalk'), ('pavement', 'sidewalk'),
+    ('jalbharav', 'waterlogging'), ('flood', 'waterlogging'), ('flooding', 'waterlogging'),
+    ('bazaar', 'market'), ('bazar', 'market'), ('mandi', 'market'),
+    ('mandir', 'temple'), ('masjid', 'mosque'),
+    ('darwaza', 'gate'), ('dwar', 'gate')
+ON CONFLICT (term) DO NOTHING;
+
+-- search_tsquery('nali near metro gate 3') → every word must match, each as
+-- any of its synonyms: ('nali' | 'drain' | 'naala' | …) & 'near' & 'metro' & …
+-- Stop words drop out; an empty result matches nothing.
+CREATE OR REPLACE FUNCTION search_tsquery(input TEXT)
+RETURNS tsquery
+LANGUAGE plpgsql STABLE AS $$
+DECLARE
+    word         TEXT;
+    alt          TEXT;
+    canon        TEXT;
+    alternatives tsquery;
+    result       tsquery;
+BEGIN
+    FOR word IN
+        SELECT w FROM regexp_split_to_table(lower(COALESCE(input, '')), '[^[:alnum:]]+') AS w WHERE w <> ''
+    LOOP
+        SELECT canonical INTO canon FROM search_synonyms WHERE term = word;
+        canon := COALESCE(canon, word);
+        alternatives := NULL;
+        FOR alt IN
+            SELECT word UNION SELECT canon
+            UNION SELECT term FROM search_synonyms WHERE canonical = canon
+        LOOP
+            alternatives := CASE WHEN alternatives IS NULL THEN plainto_tsquery('english', alt)
+                                 ELSE alternatives || plainto_tsquery('english', alt) END;
+        END LOOP;
+        IF numnode(alternatives) > 0 THEN
+            result := CASE WHEN result IS NULL THEN alternatives ELSE result && alternatives END;
+        END IF;
+    END LOOP;
+    RETURN COALESCE(result, ''::tsquery);
+END;
+$$;
@@ -0,0 +1,27 @@
+-- ═══════════════════════════════════════════════════════════
+-- Migration 021 — Per-ward working calendars
+-- ═══════════════════════════════════════════════════════════
+
+-- A ward follows its own calendar; NULL keeps it on the default calendar
+ALTER TABLE city_wards
+    ADD COLUMN IF NOT EXISTS calendar_id INTEGER REFERENCES working_calendars(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_city_wards_calendar ON city_wards (calendar_id);
+
+-- Calendar a ward's SLA clocks run on (NULL = default calendar)
+CREATE OR REPLACE FUNCTION ward_calendar_id(p_ward_id INTEGER)
+RETURNS INTEGER AS $$
+    SELECT calendar_id FROM city_wards WHERE ward_id = p_ward_id
+$$ LANGUAGE sql STABLE;
+
+-- sla_hours_since gains the calendar to measure business hours on.
+-- Dropped first: a new trailing default would otherwise create an ambiguous overload.
+DROP FUNCTION IF EXISTS sla_hours_since(TIMESTAMPTZ, TEXT, TIMESTAMPTZ);
+CREATE OR REPLACE FUNCTION sla_hours_since(p_from TIMESTAMPTZ, p_clock TEXT, p_to TIMESTAMPTZ DEFAULT NOW(),
+                                           p_calendar_id INTEGER DEFAULT NULL)
+RETURNS DOUBLE PRECISION AS $$
+    SELECT CASE
+        WHEN p_from IS NULL THEN NULL
+        WHEN p_clock = 'business' THEN working_hours_between(p_from, p_to, p_calendar_id)
+        ELSE EXTRACT(EPOCH FROM p_to - p_from) / 3600
+    END
+$$ LANGUAGE sql STABLE;
@@ -7,35 +7,7 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
-const pool = require('./db/pool');
-
-/* ── Auto-migration: runs schema + seed on every cold start ── */
-async function runMigrations() {
-    const schemaFile = path.join(__dirname, 'db', 'schema_v5.sql');
-    const seedFile = path.join(__dirname, 'db', 'seed.sql');
-    const client = await pool.connect();
-    try {
-        console.log('[DB] Running schema migration…');
-        const schema = fs.readFileSync(schemaFile, 'utf8');
-        await client.query(schema);
-        console.log('[DB] Schema OK');
-
-        // Only seed if city_wards table is empty
-        const { rows } = await client.query('SELECT COUNT(*) AS n FROM city_wards');
-        if (parseInt(rows[0].n) === 0) {
-            console.log('[DB] Seeding ward data…');
-            const seed = fs.readFileSync(seedFile, 'utf8');
-            await client.query(seed);
-            console.log('[DB] Seed OK');
-        } else {
-            console.log('[DB] Ward data already present — skipping seed');
-        }
-    } catch (err) {
-        console.error('[DB] Migration error:', err.message);
-    } finally {
-        client.release();
-    }
-}
+const { runMigrations } = require('./db/migrate');
 
 const reportsRouter = require('./routes/reports');
 const pushRouter = require('./routes/push');
@@ -44,12 +16,28 @@ const analyticsRouter = require('./routes/analytics');
 const chatRouter = require('./routes/chat');
 const verifyRouter = require('./routes/verify');
 const liveRouter = require('./routes/live');
+const authRouter = require('./routes/auth');
+const wardsRouter = require('./routes/wards');
+const slaRouter = require('./routes/sla');
+const calendarsRouter = require('./routes/calendars');
+const escalationChainsRouter = require('./routes/escalationChains');
+const duplicatesRouter = require('./routes/duplicates');
+const dedupSettingsRouter = require('./routes/dedupSettings');
+const searchRouter = require('./routes/search');
+const tilesRouter = require('./routes/tiles');
+const open311Router = require('./routes/open311');
+const ogcRouter = require('./routes/ogc');
 const { startCron } = require('./lib/escalation');
+const { authenticate, ensureBootstrapAdmin } = require('./lib/auth');
+const { getStorage } = require('./lib/storage');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Ensure uploads directory exists
+// Photo storage driver (lib/storage.js) — fail fast on a bad S3 config
+getStorage();
+
+// Ensure uploads directory exists (local driver, and files not yet migrated off disk)
 const uploadDir = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads');
 if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
 
@@ -57,6 +45,7 @@ if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use('/api', authenticate);      // Resolves staff Bearer token → req.user (citizens pass through)
 
 // Serve uploaded images
 app.use('/uploads', express.static(uploadDir));
@@ -78,12 +67,23 @@ app.use(express.static(pwaRoot, {
 
 // ── API Routes ────────────────────────────────────────────────
 app.use('/api', liveRouter);        // SSE live feed (register first — no body parsing)
+app.use('/api/auth', authRouter);   // Staff sign-in + account management
 app.use('/api', reportsRouter);     // Phase 2+ spatial reports
+app.use('/api', wardsRouter);       // Ward boundaries + admin ward management / import
+app.use('/api', slaRouter);         // SLA policies per category + severity
+app.use('/api', calendarsRouter);   // Working calendars for business-hours SLA clocks
+app.use('/api', escalationChainsRouter); // Escalation recipients per ward / zone / level
+app.use('/api', dedupSettingsRouter); // Dedup radius + window per category
+app.use('/api', duplicatesRouter);  // Officer review of possible duplicate reports
+app.use('/api', searchRouter);      // Full-text search over reports, addresses and chat
+app.use('/api', tilesRouter);       // Vector tiles: clustered reports + ward boundaries
 app.use('/api', workflowRouter);    // Phase 3+: transitions, dashboard, ward performance
 app.use('/api', analyticsRouter);   // Phase 4: proof, votes, rankings, heatmap
 app.use('/api/push', pushRouter);
 app.use('/api', chatRouter);        // Phase 5: per-report chat
 app.use('/api', verifyRouter);      // Phase 5: citizen verification
+app.use('/open311/v2', open311Router); // Open311 GeoReport v2 (JSON / XML) for civic-tech clients
+app.use('/ogc', ogcRouter);         // OGC API – Features: reports, wards, proofs as GeoJSON for desktop GIS
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -103,7 +103,13 @@ app.use((err, req, res, next) => {
 
 // Start — run migrations first, then listen
 (async () => {
-    await runMigrations();
+    try {
+        await runMigrations();
+    } catch (err) {
+        console.error('[DB] ❌ Migration failed — refusing to start:', err.message);
+        process.exit(1);
+    }
+    await ensureBootstrapAdmin().catch(err => console.error('[Auth] Bootstrap admin error:', err.message));
     app.listen(PORT, () => {
         console.log(`\n🏛️  CivicPulse Phase 5 server running at http://localhost:${PORT}`);
         console.log(`   • PWA:          http://localhost:${PORT}/`);
@@ -0,0 +1,24 @@
+/**
+ * lib/audit.js — Per-report audit trail
+ *
+ * Every officer action on a report (state transition, proof upload, status change)
+ * is written to report_audit_log together with the acting staff user.
+ */
+
+const pool = require('../db/pool');
+
+/**
+ * logReportAction({ reportId, action, fromValue, toValue, user, detail }, client?)
+ *
+ * Pass the transaction `client` when called inside BEGIN/COMMIT so the audit row
+ * commits (or rolls back) together with the change it describes.
+ */
+async function logReportAction({ reportId, action, fromValue = null, toValue = null, user = null, detail = null }, client = pool) {
+    await client.query(
+        `INSERT INTO report_audit_log (report_id, action, from_value, to_value, actor_user_id, actor_name, detail)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [reportId, action, fromValue, toValue, user?.id || null, user?.name || 'system', detail]
+    );
+}
+
+module.exports = { logReportAction };
@@ -0,0 +1,146 @@
+/**
+ * lib/auth.js — CivicPulse Staff Authentication + Role-Based Access
+ *
+ * Officers, supervisors and admins sign in with email + password and receive
+ * an opaque bearer token. Only a SHA-256 of the token is stored in
+ * staff_sessions, so a database leak does not leak live sessions.
+ *
+ * Middleware:
+ *   authenticate        — attaches req.user when a valid Bearer token is sent (never rejects)
+ *   requireRole(...r)   — 401 when not signed in, 403 when role is not permitted
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const pool = require('../db/pool');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['officer', 'supervisor', 'admin'];
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS || '12');
+
+// ── Password hashing (scrypt, no native deps) ─────────────────
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const derived = await scrypt(password, salt, 64);
+    return `scrypt$${salt}$${derived.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const derived = await scrypt(password, salt, 64);
+    const expected = Buffer.from(hash, 'hex');
+    return expected.length === derived.length && crypto.timingSafeEqual(expected, derived);
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * createSession(userId)
+ * Returns { token, expiresAt } — the raw token is only ever returned here.
+ */
+async function createSession(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const { rows } = await pool.query(
+        `INSERT INTO staff_sessions (user_id, token_hash, expires_at)
+         VALUES ($1, $2, NOW() + ($3 || ' hours')::INTERVAL)
+         RETURNING expires_at`,
+        [userId, hashToken(token), SESSION_TTL_HOURS]
+    );
+    await pool.query('UPDATE staff_users SET last_login_at = NOW() WHERE id = $1', [userId]);
+    return { token, expiresAt: rows[0].expires_at };
+}
+
+async function revokeSession(token) {
+    await pool.query('DELETE FROM staff_sessions WHERE token_hash = $1', [hashToken(token)]);
+}
+
+function readBearer(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+([a-f0-9]{64})$/i);
+    return match ? match[1] : null;
+}
+
+/**
+ * authenticate — global middleware.
+ * Resolves the Bearer token to an active staff user and sets req.user.
+ * Anonymous (citizen) requests pass through with req.user = null.
+ */
+async function authenticate(req, res, next) {
+    req.user = null;
+    const token = readBearer(req);
+    if (!token) return next();
+
+    try {
+        const { rows } = await pool.query(
+            `SELECT u.id, u.name, u.email, u.phone, u.role, u.ward_id
+             FROM staff_sessions s
+             JOIN staff_users u ON u.id = s.user_id
+             WHERE s.token_hash = $1
+               AND s.expires_at > NOW()
+               AND u.is_active = TRUE`,
+            [hashToken(token)]
+        );
+        if (rows.length) {
+            req.user = rows[0];
+            req.authToken = token;
+        }
+        next();
+    } catch (err) {
+        console.error('[Auth] authenticate error:', err.message);
+        next();
+    }
+}
+
+/**
+ * requireRole(...roles) — route guard. With no arguments any staff role is accepted.
+ */
+function requireRole(...roles) {
+    const allowed = roles.length ? roles : ROLES;
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Staff sign-in required' });
+        }
+        if (!allowed.includes(req.user.role)) {
+            return res.status(403).json({
+                error: `Role '${req.user.role}' is not permitted. Required: ${allowed.join(' | ')}`,
+            });
+        }
+        next();
+    };
+}
+
+/**
+ * ensureBootstrapAdmin()
+ * Creates the first admin from ADMIN_EMAIL / ADMIN_PASSWORD when no admin exists yet.
+ */
+async function ensureBootstrapAdmin() {
+    const email = process.env.ADMIN_EMAIL;
+    const password = process.env.ADMIN_PASSWORD;
+    if (!email || !password) return;
+
+    const { rows } = await pool.query(`SELECT id FROM staff_users WHERE role = 'admin' LIMIT 1`);
+    if (rows.length) return;
+
+    await pool.query(
+        `INSERT INTO staff_users (name, email, password_hash, role)
+         VALUES ($1, LOWER($2), $3, 'admin')
+         ON CONFLICT (email) DO UPDATE SET role = 'admin', password_hash = EXCLUDED.password_hash, is_active = TRUE`,
+        [process.env.ADMIN_NAME || 'Administrator', email, await hashPassword(password)]
+    );
+    console.log(`[Auth] Bootstrap admin created: ${email}`);
+}
+
+module.exports = {
+    ROLES,
+    hashPassword,
+    verifyPassword,
+    createSession,
+    revokeSession,
+    authenticate,
+    requireRole,
+    ensureBootstrapAdmin,
+};
@@ -0,0 +1,155 @@
+/**
+ * lib/authenticity.js — How far to trust a citizen's photo and location claims
+ *
+ * image-worker.js strips EXIF before upload, so the browser sends what it read
+ * (exifLat / exifLon / exifTimestamp) next to the device's own fix (deviceLat /
+ * deviceLon / deviceAccuracy). None of it is proof on its own; the server
+ * cross-checks it and deducts penalties from 100:
+ *
+ *   capture_gap   EXIF capture time → upload: old or future-dated photos
+ *   gps_match     EXIF GPS vs device GPS: photo taken somewhere else
+ *   image_reuse   photo dHash matches an earlier report's photo
+ *   travel_speed  this reporter token's previous report was implausibly far
+ *                 away for the time between them
+ *
+ *   ≥ 80 trusted  ·  ≥ 50 check  ·  below suspicious
+ *
+ * Officers see the score as a trust badge; nothing is rejected automatically.
+ */
+
+const { haversineDistance } = require('./stateMachine');
+
+// Photo hashes this close count as the same picture (dedup treats ≤ 10 as "same scene")
+const REUSE_HASH_BITS = 4;
+
+const TRUSTED_SCORE = 80;
+const CHECK_SCORE = 50;
+
+const HOUR_MS = 3_600_000;
+
+/* ── capture_gap ─────────────────────────────────────────── */
+function captureGapCheck(exifTimestamp, receivedAt) {
+    const captured = exifTimestamp ? new Date(exifTimestamp) : null;
+    if (!captured || isNaN(captured)) {
+        return { check: 'capture_gap', penalty: 10, detail: 'Photo has no capture time' };
+    }
+    const hours = (receivedAt - captured) / HOUR_MS;
+    const penalty = hours < -0.25 ? 40
+        : hours <= 6 ? 0
+            : hours <= 48 ? 10
+                : hours <= 168 ? 25
+                    : 40;
+    const detail = hours < -0.25
+        ? `Capture time is ${Math.round(-hours * 60)} min in the future`
+        : `Taken ${hours < 1 ? `${Math.max(0, Math.round(hours * 60))} min` : `${hours.toFixed(1)} h`} before upload`;
+    return { check: 'capture_gap', penalty, detail, hours: Math.round(hours * 10) / 10 };
+}
+
+/* ── gps_match ───────────────────────────────────────────── */
+function gpsMatchCheck(exif, device) {
+    const hasExif = exif.lat != null && exif.lon != null;
+    const hasDevice = device.lat != null && device.lon != null;
+    if (!hasExif) return { check: 'gps_match', penalty: 10, detail: 'Photo has no GPS tag' };
+    if (!hasDevice) return { check: 'gps_match', penalty: 5, detail: 'No device fix to compare the photo GPS with' };
+
+    const distanceM = Math.round(haversineDistance(exif.lat, exif.lon, device.lat, device.lon));
+    const tolerance = Math.max(150, 2 * (device.accuracy || 0));
+    const penalty = distanceM <= tolerance ? 0 : distanceM <= 1000 ? 15 : 35;
+    return { check: 'gps_match', penalty, detail: `Photo GPS is ${distanceM} m from the device`, distance_m: distanceM };
+}
+
+/* ── image_reuse ─────────────────────────────────────────── */
+async function imageReuseCheck(client, imageHashes, reporterToken) {
+    const hashes = imageHashes.filter(Boolean);
+    if (!hashes.length) return { check: 'image_reuse', penalty: 0, detail: 'No photo hash to compare' };
+
+    // Hamming distance of two CHAR(16) hex hashes; a full scan, fine at city scale
+    const { rows } = await client.query(`
+        SELECT m.report_id, r.reporter_token,
+               MIN(length(replace((('x' || m.image_hash)::bit(64) # ('x' || h.hash)::bit(64))::text, '0', ''))) AS bits
+        FROM report_media m
+        JOIN reports r ON r.id = m.report_id
+        CROSS JOIN UNNEST($1::text[]) AS h(hash)
+        WHERE m.kind = 'report' AND m.image_hash IS NOT NULL
+        GROUP BY m.report_id, r.reporter_token
+        HAVING MIN(length(replace((('x' || m.image_hash)::bit(64) # ('x' || h.hash)::bit(64))::text, '0', ''))) <= $2
+        ORDER BY bits, m.report_id
+        LIMIT 5
+    `, [hashes, REUSE_HASH_BITS]);
+    if (!rows.length) return { check: 'image_reuse', penalty: 0, detail: 'Photo not seen before' };
+
+    // Re-sending one's own photo is usually a retry; someone else's photo is not
+    const foreign = rows.filter(r => !reporterToken || r.reporter_token !== reporterToken);
+    const ids = rows.map(r => `#${r.report_id}`).join(', ');
+    return {
+        check: 'image_reuse',
+        penalty: foreign.length ? 40 : 15,
+        detail: foreign.length ? `Same photo as report ${ids}` : `Same photo as this reporter's report ${ids}`,
+        report_ids: rows.map(r => r.report_id),
+    };
+}
+
+/* ── travel_speed ────────────────────────────────────────── */
+async function travelSpeedCheck(client, { reporterToken, lat, lon, exifTimestamp, receivedAt }) {
+    if (!reporterToken) return { check: 'travel_speed', penalty: 0, detail: 'Anonymous submission' };
+
+    const { rows } = await client.query(`
+        SELECT r.id, r.gps_lat, r.gps_lon, r.created_at, a.exif_timestamp
+        FROM reports r
+        LEFT JOIN report_authenticity a ON a.report_id = r.id
+        WHERE r.reporter_token = $1 AND r.gps_lat IS NOT NULL
+          AND r.created_at > NOW() - INTERVAL '24 hours'
+        ORDER BY r.created_at DESC
+        LIMIT 1
+    `, [reporterToken]);
+    if (!rows.length) return { check: 'travel_speed', penalty: 0, detail: 'No other report in the last 24 h' };
+
+    const prev = rows[0];
+    const distanceM = haversineDistance(lat, lon, prev.gps_lat, prev.gps_lon);
+    if (distanceM < 500) return { check: 'travel_speed', penalty: 0, detail: `Near report #${prev.id}` };
+
+    // Offline-queued reports arrive late, so upload times alone can look like a
+    // jump; the larger of the upload and EXIF capture gaps is used. Both EXIF
+    // times were scored by capture_gap on their own report, so back-dating one
+    // to stretch the gap costs points there.
+    const uploadGap = receivedAt - new Date(prev.created_at);
+    const captureGap = exifTimestamp && prev.exif_timestamp
+        ? Math.abs(new Date(exifTimestamp) - new Date(prev.exif_timestamp)) : 0;
+    const hours = Math.max(uploadGap, captureGap || 0, 60_000) / HOUR_MS;
+    const kmh = Math.round(distanceM / 1000 / hours);
+
+    const penalty = kmh > 250 ? 40 : kmh > 120 ? 15 : 0;
+    return {
+        check: 'travel_speed',
+        penalty,
+        detail: `${(distanceM / 1000).toFixed(1)} km from report #${prev.id} — ${kmh} km/h`,
+        speed_kmh: kmh,
+    };
+}
+
+/**
+ * trustLevel(score) — 'trusted' | 'check' | 'suspicious' (null for unscored reports)
+ */
+function trustLevel(score) {
+    if (score == null) return null;
+    return score >= TRUSTED_SCORE ? 'trusted' : score >= CHECK_SCORE ? 'check' : 'suspicious';
+}
+
+/**
+ * scoreAuthenticity(client, { reporterToken, lat, lon, exif: { lat, lon, timestamp },
+ *                             device: { lat, lon, accuracy }, imageHashes, receivedAt? })
+ *
+ * Run before the report is inserted. Returns { score, level, checks: [{ check, penalty, detail, … }] }.
+ */
+async function scoreAuthenticity(client, { reporterToken, lat, lon, exif, device, imageHashes, receivedAt = new Date() }) {
+    const checks = [
+        captureGapCheck(exif.timestamp, receivedAt),
+        gpsMatchCheck(exif, device),
+        await imageReuseCheck(client, imageHashes, reporterToken),
+        await travelSpeedCheck(client, { reporterToken, lat, lon, exifTimestamp: exif.timestamp, receivedAt }),
+    ];
+    const score = Math.max(0, 100 - checks.reduce((sum, c) => sum + c.penalty, 0));
+    return { score, level: trustLevel(score), checks };
+}
+
+module.exports = { scoreAuthenticity, trustLevel, TRUSTED_SCORE, CHECK_SCORE };
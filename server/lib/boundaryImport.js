@@ -0,0 +1,157 @@
+/**
+ * lib/boundaryImport.js — Ward boundary parsing for bulk import
+ *
+ * Accepts a GeoJSON FeatureCollection / Feature / bare geometry, or a KML
+ * document, and normalises every polygonal feature to:
+ *   { index, properties, geometry }   (geometry is GeoJSON Polygon | MultiPolygon)
+ *
+ * mapFeatureToWard() applies a property → column mapping so municipal files
+ * with their own attribute names ("WARD_NO", "Ward_Name", …) can be loaded as-is.
+ */
+
+// Columns that can be filled from feature properties
+const WARD_COLUMNS = ['ward_code', 'ward_name', 'zone', 'officer_name', 'officer_email', 'officer_phone'];
+
+// Property names tried (in order) when no explicit mapping is given for a column
+const DEFAULT_MAPPING = {
+    ward_code: ['ward_code', 'ward_no', 'WARD_NO', 'Ward_No', 'code', 'CODE'],
+    ward_name: ['ward_name', 'WARD_NAME', 'Ward_Name', 'name', 'NAME', 'Name'],
+    zone: ['zone', 'ZONE', 'Zone'],
+    officer_name: ['officer_name', 'OFFICER', 'officer'],
+    officer_email: ['officer_email', 'EMAIL', 'email'],
+    officer_phone: ['officer_phone', 'PHONE', 'phone'],
+};
+
+function badInput(message) {
+    return Object.assign(new Error(message), { status: 400 });
+}
+
+/* ── Format detection ────────────────────────────────────────── */
+function detectFormat(data) {
+    if (data && typeof data === 'object') return 'geojson';
+    const text = String(data || '').trim();
+    if (text.startsWith('<')) return 'kml';
+    if (text.startsWith('{')) return 'geojson';
+    throw badInput('Could not detect boundary format — expected GeoJSON or KML');
+}
+
+/* ── GeoJSON ─────────────────────────────────────────────────── */
+function parseGeoJSON(data) {
+    let doc = data;
+    if (typeof doc === 'string') {
+        try { doc = JSON.parse(doc); }
+        catch (err) { throw badInput(`Invalid GeoJSON: ${err.message}`); }
+    }
+
+    let features;
+    if (doc.type === 'FeatureCollection') features = doc.features || [];
+    else if (doc.type === 'Feature') features = [doc];
+    else if (doc.type === 'Polygon' || doc.type === 'MultiPolygon') features = [{ properties: {}, geometry: doc }];
+    else throw badInput(`Unsupported GeoJSON type '${doc.type}' — expected FeatureCollection`);
+
+    return features.map((f, index) => ({
+        index,
+        properties: f.properties || {},
+        geometry: f.geometry || null,
+    }));
+}
+
+/* ── KML (Placemark → Polygon / MultiGeometry) ───────────────── */
+const tag = (name) => `(?:[\\w-]+:)?${name}`;
+
+function decodeXml(str) {
+    return String(str)
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+function allBlocks(xml, name) {
+    const re = new RegExp(`<${tag(name)}\\b[^>]*>([\\s\\S]*?)</${tag(name)}>`, 'g');
+    return [...xml.matchAll(re)].map(m => m[1]);
+}
+
+function firstText(xml, name) {
+    const block = allBlocks(xml, name)[0];
+    return block == null ? null : decodeXml(block);
+}
+
+function parseKmlRing(xml) {
+    const coords = firstText(xml, 'coordinates');
+    if (!coords) return null;
+    return coords.split(/\s+/).filter(Boolean).map(tuple => {
+        const [lon, lat] = tuple.split(',').map(Number);
+        return [lon, lat];
+    });
+}
+
+function parseKmlPolygon(xml) {
+    const outer = allBlocks(xml, 'outerBoundaryIs').map(parseKmlRing).filter(Boolean);
+    const inner = allBlocks(xml, 'innerBoundaryIs').map(parseKmlRing).filter(Boolean);
+    return outer.length ? [outer[0], ...inner] : null;
+}
+
+function parseKml(text) {
+    const placemarks = allBlocks(String(text), 'Placemark');
+    if (!placemarks.length) throw badInput('KML contains no <Placemark> elements');
+
+    return placemarks.map((pm, index) => {
+        const properties = {};
+        const name = firstText(pm, 'name');
+        if (name) properties.name = name;
+
+        // <Data name="x"><value>…</value></Data>
+        for (const m of pm.matchAll(new RegExp(`<${tag('Data')}\\s+name="([^"]+)"[^>]*>([\\s\\S]*?)</${tag('Data')}>`, 'g'))) {
+            properties[m[1]] = firstText(m[2], 'value');
+        }
+        // <SimpleData name="x">…</SimpleData>
+        for (const m of pm.matchAll(new RegExp(`<${tag('SimpleData')}\\s+name="([^"]+)"[^>]*>([\\s\\S]*?)</${tag('SimpleData')}>`, 'g'))) {
+            properties[m[1]] = decodeXml(m[2]);
+        }
+
+        const polygons = allBlocks(pm, 'Polygon').map(parseKmlPolygon).filter(Boolean);
+        const geometry = polygons.length === 0 ? null
+            : polygons.length === 1 ? { type: 'Polygon', coordinates: polygons[0] }
+                : { type: 'MultiPolygon', coordinates: polygons };
+
+        return { index, properties, geometry };
+    });
+}
+
+/**
+ * parseBoundaries(data, format?)
+ * Returns [{ index, properties, geometry }]
+ */
+function parseBoundaries(data, format) {
+    const fmt = (format || detectFormat(data)).toLowerCase();
+    if (fmt === 'geojson' || fmt === 'json') return parseGeoJSON(data);
+    if (fmt === 'kml') return parseKml(data);
+    throw badInput(`Unsupported format '${format}' — use geojson or kml`);
+}
+
+/**
+ * mapFeatureToWard(feature, mapping)
+ * mapping: { column: 'propertyName' } — unmapped columns fall back to DEFAULT_MAPPING.
+ * Returns { index, ward_code, ward_name, zone, officer_*, geometry, problems: [] }
+ */
+function mapFeatureToWard(feature, mapping = {}) {
+    const props = feature.properties;
+    const ward = { index: feature.index, geometry: feature.geometry, problems: [] };
+
+    for (const col of WARD_COLUMNS) {
+        const keys = mapping[col] ? [mapping[col]] : DEFAULT_MAPPING[col];
+        const key = keys.find(k => props[k] != null && String(props[k]).trim() !== '');
+        ward[col] = key ? String(props[key]).trim() : null;
+    }
+
+    if (!ward.ward_name) ward.problems.push('missing ward name');
+    if (!ward.geometry) ward.problems.push('missing geometry');
+    else if (!['Polygon', 'MultiPolygon'].includes(ward.geometry.type)) {
+        ward.problems.push(`geometry type ${ward.geometry.type} is not a polygon`);
+    }
+    return ward;
+}
+
+module.exports = { parseBoundaries, mapFeatureToWard, WARD_COLUMNS };
@@ -0,0 +1,128 @@
+/**
+ * lib/dedup.js — Duplicate detection for new reports
+ *
+ * Open reports of the same category within that category's radius and look-back
+ * window (dedup_settings, admin-editable via routes/dedupSettings.js) are scored:
+ *
+ *   distance score  1 at the same spot → 0 at the category radius
+ *   text score      pg_trgm similarity of the descriptions, 1 from TEXT_FULL_MATCH up
+ *   image score     1 for identical dHashes → 0 at IMAGE_HASH_CEILING differing bits
+ *
+ *   confidence = 0.30 × distance + 0.25 × text + 0.45 × image   (both reports have a photo)
+ *   confidence = 0.60 × distance + 0.40 × text                  (either one has no photo)
+ *
+ * The best-scoring candidate decides what happens to the new report:
+ *   ≥ DEDUP_MERGE_CONFIDENCE   merged straight away (as before)
+ *   ≥ DEDUP_REVIEW_CONFIDENCE  filed as a new report, pair held in duplicate_reviews
+ *                              for an officer to confirm or dismiss
+ *   below                      new report
+ */
+
+const pool = require('../db/pool');
+const { hammingDistance, HASH_BITS } = require('./imageHash');
+
+const MERGE_CONFIDENCE = parseFloat(process.env.DEDUP_MERGE_CONFIDENCE) || 0.75;
+const REVIEW_CONFIDENCE = parseFloat(process.env.DEDUP_REVIEW_CONFIDENCE) || 0.45;
+
+// Unrelated photos differ in about half their bits; treat that as no resemblance
+const IMAGE_HASH_CEILING = HASH_BITS / 2;
+
+// Reworded descriptions of one issue ("open manhole near school gate" /
+// "manhole cover missing at school") land around 0.3–0.4 trigram similarity
+const TEXT_FULL_MATCH = 0.4;
+
+// Used only if the '*' row has been removed from dedup_settings by hand
+const DEFAULT_SETTINGS = { category: '*', radius_m: 150, window_days: 30 };
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * dedupSettingsFor(category, client?) — { category, radius_m, window_days } that applies
+ */
+async function dedupSettingsFor(category, client = pool) {
+    const { rows } = await client.query(
+        'SELECT category, radius_m, window_days FROM dedup_settings_for($1)',
+        [category]
+    );
+    return rows[0] || DEFAULT_SETTINGS;
+}
+
+/**
+ * scoreCandidate({ distance_m, text_similarity, image_hash }, imageHash, radiusM)
+ * Returns the reasoning: { confidence, distance_m, distance_score, text_similarity, text_score, image_score, hash_distance }
+ */
+function scoreCandidate(candidate, imageHash, radiusM) {
+    const distanceScore = Math.max(0, 1 - candidate.distance_m / radiusM);
+    const textSimilarity = candidate.text_similarity || 0;
+    const textScore = Math.min(1, textSimilarity / TEXT_FULL_MATCH);
+    const hashDistance = hammingDistance(imageHash, candidate.image_hash);
+    const imageScore = hashDistance == null ? null : Math.max(0, 1 - hashDistance / IMAGE_HASH_CEILING);
+
+    const confidence = imageScore == null
+        ? 0.6 * distanceScore + 0.4 * textScore
+        : 0.3 * distanceScore + 0.25 * textScore + 0.45 * imageScore;
+    return {
+        confidence: round2(confidence),
+        distance_m: Math.round(candidate.distance_m),
+        distance_score: round2(distanceScore),
+        text_similarity: round2(textSimilarity),
+        text_score: round2(textScore),
+        image_score: imageScore == null ? null : round2(imageScore),
+        hash_distance: hashDistance,
+    };
+}
+
+/**
+ * findDuplicate(client, { lat, lon, category, description, imageHash })
+ *
+ * Returns { candidate, decision: 'merge' | 'review' | 'none', ...reasoning } —
+ * candidate is null when nothing open lies within the search radius.
+ */
+async function findDuplicate(client, { lat, lon, category, description, imageHash }) {
+    const settings = await dedupSettingsFor(category, client);
+    const { rows } = await client.query(`
+        SELECT id, description, supporter_count, location_text, image_hash,
+               similarity(description, $5) AS text_similarity,
+               ST_Distance(
+                 coordinates::geography,
+                 ST_SetSRID(ST_Point($1, $2), 4326)::geography
+               ) AS distance_m
+        FROM reports
+        WHERE category = $3
+          AND state NOT IN ('RESOLVED', 'MERGED', 'REJECTED', 'TRANSFERRED')
+          AND parent_report_id IS NULL
+          AND ST_DWithin(
+            coordinates::geography,
+            ST_SetSRID(ST_Point($1, $2), 4326)::geography,
+            $4
+          )
+          AND created_at > NOW() - make_interval(days => $6)
+        ORDER BY distance_m ASC, created_at ASC
+        LIMIT 20
+    `, [lon, lat, category, settings.radius_m, description || '', settings.window_days]);
+
+    let best = null;
+    for (const candidate of rows) {
+        const score = scoreCandidate(candidate, imageHash, settings.radius_m);
+        if (!best || score.confidence > best.confidence) best = { candidate, ...score };
+    }
+    if (!best) return { candidate: null, decision: 'none', confidence: 0 };
+    best.radius_m = settings.radius_m;
+    best.window_days = settings.window_days;
+
+    best.decision = best.confidence >= MERGE_CONFIDENCE ? 'merge'
+        : best.confidence >= REVIEW_CONFIDENCE ? 'review'
+            : 'none';
+    return best;
+}
+
+/**
+ * dedupReasoning(result) — the public part of a findDuplicate() result (null if no candidate)
+ */
+function dedupReasoning(result) {
+    if (!result.candidate) return null;
+    const { candidate, ...reasoning } = result;
+    return { candidate_report_id: candidate.id, ...reasoning };
+}
+
+module.exports = { findDuplicate, scoreCandidate, dedupReasoning, dedupSettingsFor, MERGE_CONFIDENCE, REVIEW_CONFIDENCE };
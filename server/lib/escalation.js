@@ -1,48 +1,66 @@
 /**
  * lib/escalation.js — CivicPulse Multi-Tier SLA Escalation + Auto-Promotion Engine
  *
+ * Recipients per level come from the escalation chain of the report's ward or
+ * zone (lib/escalationChain.js), each on its own channel (email / SMS / push).
+ *
  * Phase 5 additions:
  *  • Auto-escalation: reports stuck in SUBMITTED/VERIFIED for >72h are auto-promoted
  *  • 3-day rule: SUBMITTED → auto VERIFIED after 72h, VERIFIED → auto ASSIGNED after 72h
+ *
+ * All thresholds come from the report's SLA policy (lib/slaPolicy.js); the
+ * 72 / 120 / 168h figures above are the city-wide default policy. Policies on
+ * the 'business' clock count only working hours on the ward's calendar.
  */
 
 const cron = require('node-cron');
 const pool = require('../db/pool');
 const { sendEscalationEmail } = require('./mailer');
 const { sendSMS, buildEscalationSMS } = require('./sms');
+const { sendStaffNotification } = require('../routes/push');
+const { resolveEscalationChain } = require('./escalationChain');
+const { SLA_POLICY_JOIN, SLA_POLICY_COLUMNS, slaElapsedSql, slaThresholds, slaTargetLevel } = require('./slaPolicy');
+
+// Fallback recipient names when a chain entry has none
+const LEVEL_TITLES = { 1: 'Junior Engineer', 2: 'Executive Engineer', 3: 'Commissioner' };
 
-const SLA_HOURS = { L1: 72, L2: 120, L3: 168 };
+// Correlated "past this level's deadline" test for UPDATE statements, where a lateral join is not available
+const pastPolicyLevel = (column, level) => `COALESCE((
+                SELECT ${slaElapsedSql(column, 'p')} >= p.${level}_hours
+                FROM sla_policy_for(r.category, r.severity_level) p
+              ), FALSE)`;
 
 /* ─────────────────────────────────────────────────────────────
-   Auto-Promotion: SUBMITTED → VERIFIED (72h)
-                   VERIFIED  → ASSIGNED  (72h further)
+   Auto-Promotion: SUBMITTED → VERIFIED (policy L1, default 72h)
+                   VERIFIED  → ASSIGNED  (policy L1 further)
    ─────────────────────────────────────────────────────────────*/
 async function runAutoPromotion() {
     console.log('[AutoPromotion] 🔄 Running auto-promotion check…');
     try {
-        // SUBMITTED → VERIFIED (older than 72h, no one verified it)
+        // SUBMITTED → VERIFIED (older than L1, no one verified it)
         const { rowCount: verifiedCount } = await pool.query(`
-            UPDATE reports
+            UPDATE reports r
             SET state = 'VERIFIED',
                 verified_at = NOW(),
                 auto_escalated_at = NOW(),
                 sla_level = GREATEST(sla_level, 1)
-            WHERE state = 'SUBMITTED'
-              AND parent_report_id IS NULL
-              AND created_at < NOW() - INTERVAL '72 hours'
+            WHERE r.state = 'SUBMITTED'
+              AND r.parent_report_id IS NULL
+              AND ${pastPolicyLevel('r.created_at', 'l1')}
         `);
         if (verifiedCount > 0) {
             console.log(`[AutoPromotion] ✅ ${verifiedCount} SUBMITTED → VERIFIED`);
         }
 
-        // VERIFIED → ASSIGNED (stuck verified for >72h, assign to ward officer)
+        // VERIFIED → ASSIGNED (stuck verified for >L1, assign to ward officer)
         const { rows: verifiedReports } = await pool.query(`
             SELECT r.id, r.category, r.description, w.officer_email, w.officer_name, w.officer_phone, w.ward_name
             FROM reports r
             LEFT JOIN city_wards w ON r.ward_id = w.ward_id
+            ${SLA_POLICY_JOIN}
             WHERE r.state = 'VERIFIED'
               AND r.parent_report_id IS NULL
-              AND r.verified_at < NOW() - INTERVAL '72 hours'
+              AND ${slaElapsedSql('r.verified_at')} >= sp.l1_hours
         `);
         for (const r of verifiedReports) {
             await pool.query(`
@@ -54,18 +72,18 @@ async function runAutoPromotion() {
                     sla_level = GREATEST(sla_level, 1)
                 WHERE id = $1
             `, [r.id, r.officer_email || null]);
-            console.log(`[AutoPromotion] 👷 Report #${r.id} → ASSIGNED (72h auto)`);
+            console.log(`[AutoPromotion] 👷 Report #${r.id} → ASSIGNED (SLA auto)`);
         }
 
-        // ASSIGNED → IN_PROGRESS (stuck assigned for >72h — send urgent notification but DO NOT geo-fence auto-start)
+        // ASSIGNED → IN_PROGRESS (stuck assigned past L2 — send urgent notification but DO NOT geo-fence auto-start)
         const { rowCount: urgentCount } = await pool.query(`
-            UPDATE reports
+            UPDATE reports r
             SET sla_level = GREATEST(sla_level, 2),
                 last_escalated_at = NOW()
-            WHERE state = 'ASSIGNED'
-              AND parent_report_id IS NULL
-              AND assigned_at < NOW() - INTERVAL '120 hours'
-              AND sla_level < 2
+            WHERE r.state = 'ASSIGNED'
+              AND r.parent_report_id IS NULL
+              AND ${pastPolicyLevel('r.assigned_at', 'l2')}
+              AND r.sla_level < 2
         `);
         if (urgentCount > 0) {
             console.log(`[AutoPromotion] 🔴 ${urgentCount} ASSIGNED reports marked URGENT`);
@@ -87,14 +105,17 @@ async function runEscalationCheck() {
                 r.id, r.category, r.description, r.location_text, r.state,
                 r.gps_lat, r.gps_lon, r.supporter_count, r.sla_level,
                 r.assigned_at, r.assigned_officer_email, r.assigned_officer_phone,
-                r.last_escalated_at,
-                w.ward_name, w.officer_name, w.officer_email, w.officer_phone
+                r.last_escalated_at, r.severity_level,
+                r.ward_id, w.ward_name, w.zone, w.officer_name, w.officer_email, w.officer_phone,
+                ${SLA_POLICY_COLUMNS},
+                ${slaElapsedSql('r.assigned_at')} AS sla_hours_elapsed
             FROM reports r
             LEFT JOIN city_wards w ON r.ward_id = w.ward_id
-            WHERE r.state IN ('ASSIGNED', 'IN_PROGRESS')
+            ${SLA_POLICY_JOIN}
+            WHERE r.state IN ('ASSIGNED', 'IN_PROGRESS', 'REOPENED')
               AND r.assigned_at IS NOT NULL
               AND r.sla_level < 3
-              AND r.assigned_at < NOW() - INTERVAL '${SLA_HOURS.L1} hours'
+              AND ${slaElapsedSql('r.assigned_at')} >= sp.l1_hours
             ORDER BY r.assigned_at ASC
         `);
 
@@ -111,57 +132,30 @@ async function runEscalationCheck() {
 }
 
 async function escalateReport(report) {
-    const hoursElapsed = Math.floor(
-        (Date.now() - new Date(report.assigned_at).getTime()) / 3_600_000
-    );
+    // Working hours when the policy uses the business clock; wall-clock otherwise
+    const hoursElapsed = report.sla_hours_elapsed != null
+        ? parseFloat(report.sla_hours_elapsed)
+        : (Date.now() - new Date(report.assigned_at).getTime()) / 3_600_000;
 
-    let targetLevel;
-    if (hoursElapsed >= SLA_HOURS.L3) targetLevel = 3;
-    else if (hoursElapsed >= SLA_HOURS.L2) targetLevel = 2;
-    else if (hoursElapsed >= SLA_HOURS.L1) targetLevel = 1;
-    else return;
+    const targetLevel = slaTargetLevel(hoursElapsed, slaThresholds(report));
+    if (!targetLevel || report.sla_level >= targetLevel) return;
 
-    if (report.sla_level >= targetLevel) return;
-
-    console.log(`[Escalation] Report #${report.id} → L${targetLevel} (${hoursElapsed}h elapsed)`);
+    console.log(`[Escalation] Report #${report.id} → L${targetLevel} (${hoursElapsed.toFixed(1)}h elapsed${report.sla_clock === 'business' ? ', working hours' : ''})`);
     const actions = [];
 
-    if (targetLevel === 1) {
-        const recipient = report.officer_email || report.assigned_officer_email;
-        const recipientName = report.officer_name || 'Junior Engineer';
-        if (recipient) {
-            const result = await sendEscalationEmail({ level: 1, report, recipient, recipientName });
-            actions.push({ action: 'email_l1', recipient, ...result });
-        } else {
-            actions.push({ action: 'email_l1', recipient: 'NONE', success: false, detail: 'No officer email' });
-        }
-    }
-
+    // Recipients for this level from the ward / zone / city escalation chain.
+    // L2 also reminds the L1 recipients that the report is still open.
+    const recipients = await resolveEscalationChain(report, targetLevel);
     if (targetLevel === 2) {
-        const execEmail = process.env.EXEC_ENG_EMAIL || 'exec.engineer@mcd.gov.in';
-        const execPhone = process.env.EXEC_ENG_PHONE || '+91-98100-00001';
-        const execName = process.env.EXEC_ENG_NAME || 'Executive Engineer';
-        const wardEmail = report.officer_email || report.assigned_officer_email;
-        if (wardEmail) {
-            const r1 = await sendEscalationEmail({ level: 1, report, recipient: wardEmail, recipientName: report.officer_name || 'Officer' });
-            actions.push({ action: 'email_l1', recipient: wardEmail, ...r1 });
+        for (const recipient of await resolveEscalationChain(report, 1)) {
+            actions.push(await notifyRecipient(1, report, recipient));
         }
-        const r2 = await sendEscalationEmail({ level: 2, report, recipient: execEmail, recipientName: execName });
-        actions.push({ action: 'email_l2', recipient: execEmail, ...r2 });
-        const smsResult = await sendSMS(execPhone, buildEscalationSMS(2, report));
-        actions.push({ action: 'sms_l2', recipient: execPhone, ...smsResult });
     }
-
-    if (targetLevel === 3) {
-        const commEmail = process.env.COMMISSIONER_EMAIL || 'commissioner@mcd.gov.in';
-        const commName = process.env.COMMISSIONER_NAME || 'Commissioner';
-        const r3 = await sendEscalationEmail({ level: 3, report, recipient: commEmail, recipientName: commName });
-        actions.push({ action: 'email_l3', recipient: commEmail, ...r3 });
-        const commPhone = process.env.COMMISSIONER_PHONE;
-        if (commPhone) {
-            const smsResult = await sendSMS(commPhone, buildEscalationSMS(3, report));
-            actions.push({ action: 'sms_l3', recipient: commPhone, ...smsResult });
-        }
+    for (const recipient of recipients) {
+        actions.push(await notifyRecipient(targetLevel, report, recipient));
+    }
+    if (!recipients.length) {
+        actions.push({ action: `email_l${targetLevel}`, recipient: 'NONE', success: false, detail: 'No escalation recipient configured' });
     }
 
     await pool.query(
@@ -177,7 +171,7 @@ async function escalateReport(report) {
                 report.id, targetLevel, action.action,
                 action.recipient || null,
                 action.success ?? true,
-                action.previewUrl || action.error || action.mock ? '[mock]' : null,
+                action.detail || (action.previewUrl || action.error || action.mock ? '[mock]' : null),
             ]
         );
     }
@@ -185,6 +179,36 @@ async function escalateReport(report) {
     console.log(`[Escalation] Report #${report.id} escalated to L${targetLevel} ✅`);
 }
 
+/**
+ * notifyRecipient(level, report, recipient) — deliver one escalation-chain entry
+ * Returns an escalation_log action: { action, recipient, success, ... }
+ */
+async function notifyRecipient(level, report, recipient) {
+    const action = `${recipient.channel}_l${level}`;
+    const recipientName = recipient.name || LEVEL_TITLES[level];
+
+    if (recipient.channel === 'email') {
+        if (!recipient.email) return { action, recipient: 'NONE', success: false, detail: `No email for ${recipientName}` };
+        const result = await sendEscalationEmail({ level, report, recipient: recipient.email, recipientName });
+        return { action, recipient: recipient.email, ...result };
+    }
+
+    if (recipient.channel === 'sms') {
+        if (!recipient.phone) return { action, recipient: 'NONE', success: false, detail: `No phone for ${recipientName}` };
+        const result = await sendSMS(recipient.phone, buildEscalationSMS(level, report));
+        return { action, recipient: recipient.phone, ...result };
+    }
+
+    const result = await sendStaffNotification(recipient.user_id, {
+        title: `CivicPulse — SLA Level ${level}`,
+        body: `Report #${report.id} (${report.category}) in ${report.ward_name || 'an unassigned ward'} needs attention.`,
+        reportId: report.id,
+        level,
+        url: '/dashboard.html',
+    });
+    return { action, recipient: recipient.email || recipientName, ...result };
+}
+
 function startCron() {
     console.log('[Escalation] Cron started — checking SLA every 15 min, auto-promote every 30 min');
 
@@ -213,7 +237,7 @@ async function generateWeeklyPendingReport() {
         FROM reports r
         LEFT JOIN city_wards w ON r.ward_id = w.ward_id
         WHERE r.sla_level >= 3
-          AND r.state NOT IN ('RESOLVED', 'MERGED')
+          AND r.state NOT IN ('RESOLVED', 'MERGED', 'REJECTED', 'TRANSFERRED')
         ORDER BY r.assigned_at ASC
     `);
     return rows;
@@ -0,0 +1,70 @@
+/**
+ * lib/escalationChain.js — Who gets notified at each SLA level
+ *
+ * Recipients come from the escalation_chains table (migration 007), scoped to
+ * a ward, a zone or the whole city; the most specific scope with any entry for
+ * the level wins. When nothing is configured for a level the legacy defaults
+ * apply: L1 → the ward officer, L2 / L3 → EXEC_ENG_* / COMMISSIONER_* env vars.
+ */
+
+const pool = require('../db/pool');
+
+const CHANNELS = ['email', 'sms', 'push'];
+
+/**
+ * resolveEscalationChain(report, level)
+ * report needs ward_id and zone (plus officer_* for the legacy L1 fallback)
+ * Returns [{ id, channel, name, email, phone, user_id, scope }]
+ */
+async function resolveEscalationChain(report, level, client = pool) {
+    const { rows } = await client.query(`
+        WITH matches AS (
+            SELECT c.id, c.channel, c.staff_user_id AS user_id,
+                   COALESCE(c.recipient_name, u.name)   AS name,
+                   COALESCE(c.recipient_email, u.email) AS email,
+                   COALESCE(c.recipient_phone, u.phone) AS phone,
+                   CASE WHEN c.ward_id IS NOT NULL THEN 'ward'
+                        WHEN c.zone IS NOT NULL THEN 'zone'
+                        ELSE 'city' END AS scope,
+                   (c.ward_id IS NOT NULL)::int * 2 + (c.zone IS NOT NULL)::int AS specificity
+            FROM escalation_chains c
+            LEFT JOIN staff_users u ON u.id = c.staff_user_id
+            WHERE c.is_active
+              AND c.level = $1
+              AND (c.staff_user_id IS NULL OR u.is_active)
+              AND (c.ward_id = $2
+                   OR c.zone = $3
+                   OR (c.ward_id IS NULL AND c.zone IS NULL))
+        )
+        SELECT id, channel, user_id, name, email, phone, scope
+        FROM matches
+        WHERE specificity = (SELECT MAX(specificity) FROM matches)
+        ORDER BY id
+    `, [level, report.ward_id ?? null, report.zone ?? null]);
+
+    return rows.length ? rows : legacyRecipients(report, level);
+}
+
+/**
+ * legacyRecipients(report, level) — pre-chain behaviour, used when a level has no chain entries
+ */
+function legacyRecipients(report, level) {
+    const recipients = [];
+    if (level === 1) {
+        const email = report.officer_email || report.assigned_officer_email;
+        if (email) recipients.push({ channel: 'email', name: report.officer_name || 'Junior Engineer', email, scope: 'default' });
+    }
+    if (level === 2) {
+        const name = process.env.EXEC_ENG_NAME || 'Executive Engineer';
+        if (process.env.EXEC_ENG_EMAIL) recipients.push({ channel: 'email', name, email: process.env.EXEC_ENG_EMAIL, scope: 'default' });
+        if (process.env.EXEC_ENG_PHONE) recipients.push({ channel: 'sms', name, phone: process.env.EXEC_ENG_PHONE, scope: 'default' });
+    }
+    if (level === 3) {
+        const name = process.env.COMMISSIONER_NAME || 'Commissioner';
+        if (process.env.COMMISSIONER_EMAIL) recipients.push({ channel: 'email', name, email: process.env.COMMISSIONER_EMAIL, scope: 'default' });
+        if (process.env.COMMISSIONER_PHONE) recipients.push({ channel: 'sms', name, phone: process.env.COMMISSIONER_PHONE, scope: 'default' });
+    }
+    return recipients;
+}
+
+module.exports = { CHANNELS, resolveEscalationChain, legacyRecipients };
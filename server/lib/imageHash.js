@@ -0,0 +1,49 @@
+/**
+ * lib/imageHash.js — Perceptual image hashing (dHash)
+ *
+ * The photo is shrunk to 9×8 greyscale and each pixel is compared with its
+ * right-hand neighbour, giving a 64-bit hash stored as 16 hex chars. Re-encoding,
+ * resizing and small framing changes flip only a few bits, so the Hamming distance
+ * between two hashes says how alike two photos look:
+ *   0–10  same scene   ·   ~32  unrelated photos
+ */
+
+const sharp = require('sharp');
+
+const HASH_BITS = 64;
+
+/**
+ * dHash(input) — input is a file path or Buffer. Resolves to a 16-char hex string.
+ */
+async function dHash(input) {
+    const pixels = await sharp(input)
+        .rotate()                        // honour EXIF orientation
+        .greyscale()
+        .resize(9, 8, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+    let hash = 0n;
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            hash = (hash << 1n) | (pixels[y * 9 + x] < pixels[y * 9 + x + 1] ? 1n : 0n);
+        }
+    }
+    return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * hammingDistance(a, b) — differing bits between two hex hashes (null if either is missing)
+ */
+function hammingDistance(a, b) {
+    if (!a || !b) return null;
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let bits = 0;
+    while (diff) {
+        bits += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return bits;
+}
+
+module.exports = { dHash, hammingDistance, HASH_BITS };
@@ -0,0 +1,52 @@
+/**
+ * lib/imageVariants.js — Resized copies of uploaded photos
+ *
+ * Every report and proof photo is re-encoded at upload into three sizes, each as
+ * WebP and JPEG, so list views never pull the multi-megabyte original:
+ *   thumb   320px   cards, sidebars, feed tiles
+ *   medium  960px   detail panels, galleries
+ *   full    2048px  tap-to-zoom
+ * Sizes are the longest edge; smaller photos are never enlarged. Re-encoding
+ * also drops EXIF (GPS included) — only the stored original keeps it, unless
+ * it came from outside the app and was passed through stripMetadata().
+ *
+ * Stored as { thumb: { webp, jpeg }, medium: {…}, full: {…} } URLs on
+ * report_media.variants, reports.image_variants and (rejected_)resolution_proofs.after_image_variants.
+ */
+
+const sharp = require('sharp');
+
+const VARIANT_SIZES = { thumb: 320, medium: 960, full: 2048 };
+
+const FORMATS = {
+    webp: { ext: 'webp', contentType: 'image/webp', encode: (img) => img.webp({ quality: 75 }) },
+    jpeg: { ext: 'jpg', contentType: 'image/jpeg', encode: (img) => img.jpeg({ quality: 80, mozjpeg: true }) },
+};
+
+/**
+ * renderVariants(buffer) — [{ size, format, ext, contentType, buffer }] for every size × format
+ */
+async function renderVariants(buffer) {
+    const out = [];
+    for (const [size, px] of Object.entries(VARIANT_SIZES)) {
+        const resized = sharp(buffer)
+            .rotate()                    // honour EXIF orientation before it is stripped
+            .resize(px, px, { fit: 'inside', withoutEnlargement: true });
+        for (const [format, { ext, contentType, encode }] of Object.entries(FORMATS)) {
+            out.push({ size, format, ext, contentType, buffer: await encode(resized.clone()).toBuffer() });
+        }
+    }
+    return out;
+}
+
+/**
+ * stripMetadata(buffer) — the full-size photo re-encoded as JPEG without EXIF / XMP / ICC tags.
+ * For uploads that skipped the app's image-worker.js (e.g. Open311 clients), whose
+ * originals can carry the photographer's GPS position and device details.
+ * Rejects if the image cannot be decoded.
+ */
+async function stripMetadata(buffer) {
+    return sharp(buffer).rotate().jpeg({ quality: 90, mozjpeg: true }).toBuffer();
+}
+
+module.exports = { renderVariants, stripMetadata, VARIANT_SIZES };
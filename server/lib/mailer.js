@@ -106,7 +106,7 @@ async function sendEscalationEmail({ level, report, recipient, recipientName })
         <strong style="color:#ef4444;">⏰ Required Action:</strong>
         <p style="margin:8px 0 0;font-size:0.9rem;line-height:1.6;">
           ${level === 1 ? 'Please update the ticket status and begin field inspection within 48 hours.' : ''}
-          ${level === 2 ? 'This issue has been unresolved for 5+ days. Immediate escalation and field visit required.' : ''}
+          ${level === 2 ? 'This issue has passed its Level 2 SLA deadline. Immediate escalation and field visit required.' : ''}
           ${level === 3 ? 'This report appears in the Weekly Pending Report for the Commissioner\'s office. Resolution must be provided in the weekly status meeting.' : ''}
         </p>
       </div>
@@ -145,4 +145,75 @@ async function sendEscalationEmail({ level, report, recipient, recipientName })
     }
 }
 
-module.exports = { sendEscalationEmail };
+/**
+ * sendReopenedEmail({ report, recipient, recipientName, reason })
+ * Sent when citizens reject a resolution and the report reopens.
+ * Returns { success, messageId, previewUrl? }
+ */
+async function sendReopenedEmail({ report, recipient, recipientName, reason }) {
+    const transport = await getTransporter();
+    const color = '#f97316';
+
+    const html = `
+<!DOCTYPE html>
+<html>
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1"></head>
+<body style="margin:0;padding:0;background:#0f172a;font-family:Inter,Arial,sans-serif;color:#e2e8f0;">
+  <div style="max-width:600px;margin:32px auto;background:#1e293b;border-radius:16px;border:1px solid ${color}44;overflow:hidden;">
+    <div style="background:linear-gradient(135deg,${color}33,transparent);padding:32px;border-bottom:1px solid ${color}44;">
+      <div style="font-size:2.5rem;margin-bottom:8px;">🔁</div>
+      <h1 style="margin:0;font-size:1.4rem;color:#fff;">Resolution Rejected — Report #${report.id} Reopened</h1>
+      <p style="margin:8px 0 0;font-size:0.9rem;color:#94a3b8;">CivicPulse Accountability Engine — Citizen Verification</p>
+    </div>
+
+    <div style="padding:32px;">
+      <p style="margin:0 0 16px;">Dear <strong>${recipientName || 'Officer'}</strong>,</p>
+      <p style="margin:0 0 24px;font-size:0.9rem;line-height:1.6;color:#94a3b8;">
+        Citizens have rejected the resolution of report <strong style="color:#fff;">#${report.id}</strong>
+        (${report.category}${report.location_text ? ` — ${report.location_text}` : ''}).
+        ${reason ? `<br>${reason}.` : ''}
+      </p>
+
+      <div style="background:${color}11;border:1px solid ${color}44;border-radius:8px;padding:16px;margin-bottom:24px;">
+        <strong style="color:${color};">⏰ Required Action:</strong>
+        <p style="margin:8px 0 0;font-size:0.9rem;line-height:1.6;">
+          The previous proof photo has been set aside and the SLA clock has restarted.
+          Please revisit the site and submit a new resolution proof.
+        </p>
+      </div>
+
+      <a href="http://localhost:3000/dashboard.html"
+         style="display:inline-block;background:linear-gradient(135deg,${color},${color}cc);color:#fff;text-decoration:none;padding:12px 24px;border-radius:8px;font-weight:600;font-size:0.9rem;">
+        🗺️ View Dashboard
+      </a>
+    </div>
+
+    <div style="padding:16px 32px;border-top:1px solid #334155;color:#475569;font-size:0.75rem;">
+      CivicPulse Accountability Engine · Automated Notification · Do not reply to this email
+    </div>
+  </div>
+</body>
+</html>`;
+
+    try {
+        const info = await transport.sendMail({
+            from: `"CivicPulse 🏛️" <${process.env.SMTP_FROM || 'noreply@civicpulse.gov.in'}>`,
+            to: recipient,
+            subject: `🔁 CivicPulse — Report #${report.id} [${report.category}] reopened after citizen rejection`,
+            html,
+        });
+
+        const previewUrl = nodemailer.getTestMessageUrl(info);
+        if (previewUrl) {
+            console.log(`[Mailer] 📧 Reopen email preview: ${previewUrl}`);
+        }
+
+        return { success: true, messageId: info.messageId, previewUrl };
+
+    } catch (err) {
+        console.error('[Mailer] Failed to send email:', err.message);
+        return { success: false, error: err.message };
+    }
+}
+
+module.exports = { sendEscalationEmail, sendReopenedEmail };
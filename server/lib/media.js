@@ -0,0 +1,104 @@
+/**
+ * lib/media.js — Photos attached to reports and resolution proofs
+ *
+ * Each report has an ordered set of citizen photos (kind 'report') and, once
+ * resolved, an ordered set of proof photos (kind 'proof'). The first photo of
+ * each set is also kept on reports.image_url / resolution_proofs.after_image_url
+ * so single-photo consumers keep working.
+ *
+ * Photos are stored through lib/storage.js together with their thumb / medium /
+ * full variants (lib/imageVariants.js).
+ */
+
+const path = require('path');
+const pool = require('../db/pool');
+const { getStorage, uploadKey } = require('./storage');
+const { renderVariants, stripMetadata } = require('./imageVariants');
+
+// Per upload: cover + up to four more
+const MAX_PHOTOS = 5;
+
+/**
+ * uploadedFiles(req, ...fields) — multer .fields() files in field order, flattened
+ */
+function uploadedFiles(req, ...fields) {
+    return fields.flatMap(name => req.files?.[name] || []);
+}
+
+/**
+ * savePhoto(file, prefix, { stripMetadata? }) — store a multer memoryStorage file and its variants.
+ * With stripMetadata the original is re-encoded without EXIF first (a 400 error if it
+ * cannot be decoded) — for photos that did not come through the app's image worker.
+ * Resolves to { url, variants } — variants is null if the image could not be decoded.
+ */
+async function savePhoto(file, prefix, { stripMetadata: strip = false } = {}) {
+    const storage = getStorage();
+    const key = uploadKey(prefix);
+    if (strip) {
+        const buffer = await stripMetadata(file.buffer).catch(() => {
+            throw Object.assign(new Error(`${file.originalname} is not a readable image`), { status: 400 });
+        });
+        file = { ...file, buffer, mimetype: 'image/jpeg', originalname: `${path.parse(file.originalname).name}.jpg` };
+    }
+    const url = await storage.put(key + (path.extname(file.originalname) || '.jpg'), file.buffer, file.mimetype);
+
+    let variants = null;
+    try {
+        const rendered = await renderVariants(file.buffer);
+        variants = {};
+        for (const v of rendered) {
+            (variants[v.size] ||= {})[v.format] = await storage.put(`${key}-${v.size}.${v.ext}`, v.buffer, v.contentType);
+        }
+    } catch (err) {
+        console.warn(`[Media] Could not make variants of ${file.originalname}: ${err.message}`);
+        variants = null;
+    }
+    return { url, variants };
+}
+
+/**
+ * addMedia(client, { reportId, kind, photos: [{ url, imageHash?, variants?, redactedRegions? }], user? })
+ * Appends photos after any the report already has of that kind. Returns the new rows.
+ */
+async function addMedia(client, { reportId, kind, photos, user = null }) {
+    if (!photos.length) return [];
+    const { rows } = await client.query(`
+        INSERT INTO report_media (report_id, kind, url, image_hash, variants, redacted_regions, position, uploaded_by)
+        SELECT $1, $2, p.url, p.image_hash, p.variants, p.redacted_regions,
+               (SELECT COALESCE(MAX(position) + 1, 0) FROM report_media WHERE report_id = $1 AND kind = $2) + p.ord - 1,
+               $7
+        FROM UNNEST($3::text[], $4::text[], $5::jsonb[], $6::smallint[])
+             WITH ORDINALITY AS p(url, image_hash, variants, redacted_regions, ord)
+        RETURNING id, kind, url, variants, redacted_regions, position
+    `, [
+        reportId, kind,
+        photos.map(p => p.url),
+        photos.map(p => p.imageHash || null),
+        photos.map(p => (p.variants ? JSON.stringify(p.variants) : null)),
+        photos.map(p => p.redactedRegions || 0),
+        user?.id || null,
+    ]);
+    return rows;
+}
+
+/**
+ * mediaByReport(reportIds) — { [reportId]: { report: [{ url, variants, redacted_regions }…], proof: […] } }
+ * Rejected-proof photos are left out; GET /api/reports/:id/media lists them.
+ */
+async function mediaByReport(reportIds, client = pool) {
+    const byReport = {};
+    if (!reportIds.length) return byReport;
+    const { rows } = await client.query(`
+        SELECT report_id, kind, url, variants, redacted_regions
+        FROM report_media
+        WHERE report_id = ANY($1) AND kind IN ('report', 'proof')
+        ORDER BY report_id, kind, position, id
+    `, [reportIds]);
+    for (const m of rows) {
+        const sets = byReport[m.report_id] ||= { report: [], proof: [] };
+        sets[m.kind].push({ url: m.url, variants: m.variants, redacted_regions: m.redacted_regions });
+    }
+    return byReport;
+}
+
+module.exports = { MAX_PHOTOS, uploadedFiles, savePhoto, addMedia, mediaByReport };
@@ -0,0 +1,257 @@
+/**
+ * lib/merge.js — Manual merge / unmerge of duplicate reports
+ *
+ * POST /api/reports merges automatically (same category, 50m). Officers use
+ * these helpers for everything that check misses, and to split a wrongly
+ * merged child back out.
+ *
+ * Merge child → parent:
+ *   • child becomes MERGED under parent; its own merged duplicates follow it
+ *   • chat, citizen verifications and push subscriptions move to the parent
+ *     (a verification the same citizen already gave the parent stays behind)
+ *   • what moved is recorded in report_merges so unmerge can move it back
+ *
+ * supporter_count is recomputed on every parent touched:
+ *   1 (original reporter) + merged duplicates + citizen verifications
+ */
+
+const pool = require('../db/pool');
+const { logReportAction } = require('./audit');
+
+// States a report can be merged into
+const MERGEABLE_PARENT_STATES = ['SUBMITTED', 'VERIFIED', 'ASSIGNED', 'IN_PROGRESS', 'REOPENED', 'RESOLVED'];
+
+const fail = (message, status) => Object.assign(new Error(message), { status });
+
+/**
+ * recomputeSupport(client, reportId) — verification_count + supporter_count from source rows
+ */
+async function recomputeSupport(client, reportId) {
+    const { rows } = await client.query(`
+        UPDATE reports r
+        SET verification_count = v.n,
+            supporter_count = 1 + c.n + v.n
+        FROM (SELECT COUNT(*)::int AS n FROM user_verifications WHERE report_id = $1) v,
+             (SELECT COUNT(*)::int AS n FROM reports WHERE parent_report_id = $1) c
+        WHERE r.id = $1
+        RETURNING r.id, r.supporter_count, r.verification_count
+    `, [reportId]);
+    return rows[0];
+}
+
+async function postSystemMessage(client, reportId, message) {
+    await client.query(
+        `INSERT INTO report_chat (report_id, sender_role, sender_name, message) VALUES ($1, 'system', 'CivicPulse', $2)`,
+        [reportId, message]
+    );
+}
+
+/**
+ * mergeReports({ childId, parentId, user, reason, client? })
+ * Runs in its own transaction, or inside the caller's open transaction on `client`
+ * (the caller then commits or rolls back).
+ * Returns { child, parent, previousParent }
+ */
+async function mergeReports({ childId, parentId, user = null, reason = null, client = null }) {
+    childId = parseInt(childId);
+    parentId = parseInt(parentId);
+    if (!childId || !parentId) throw fail('Both report ids are required', 400);
+    if (childId === parentId) throw fail('A report cannot be merged into itself', 400);
+
+    if (client) return mergeOn(client, { childId, parentId, user, reason });
+
+    const own = await pool.connect();
+    try {
+        await own.query('BEGIN');
+        const result = await mergeOn(own, { childId, parentId, user, reason });
+        await own.query('COMMIT');
+        console.log(`[Merge] Report #${childId} → #${parentId}${user ? ` by ${user.email}` : ''}`);
+        return result;
+    } catch (err) {
+        await own.query('ROLLBACK');
+        throw err;
+    } finally {
+        own.release();
+    }
+}
+
+// The merge itself, on a client with an open transaction
+async function mergeOn(client, { childId, parentId, user, reason }) {
+    // Lock both in id order so concurrent merges cannot deadlock
+    const { rows } = await client.query(
+        'SELECT id, state, status, parent_report_id FROM reports WHERE id = ANY($1) ORDER BY id FOR UPDATE',
+        [[childId, parentId]]
+    );
+    const child = rows.find(r => r.id === childId);
+    const parent = rows.find(r => r.id === parentId);
+    if (!child) throw fail(`Report #${childId} not found`, 404);
+    if (!parent) throw fail(`Report #${parentId} not found`, 404);
+    if (parent.parent_report_id) {
+        throw fail(`Report #${parentId} is itself merged into #${parent.parent_report_id} — merge into that report instead`, 409);
+    }
+    if (!MERGEABLE_PARENT_STATES.includes(parent.state)) {
+        throw fail(`Cannot merge into a ${parent.state} report`, 409);
+    }
+    if (child.parent_report_id === parentId) throw fail(`Report #${childId} is already merged into #${parentId}`, 409);
+
+    const previousParentId = child.parent_report_id;
+
+    // Move the child's own duplicates, chat, verifications and push subscriptions
+    const { rows: movedChildren } = await client.query(
+        'UPDATE reports SET parent_report_id = $2 WHERE parent_report_id = $1 RETURNING id',
+        [childId, parentId]
+    );
+    const { rows: movedChat } = await client.query(
+        'UPDATE report_chat SET report_id = $2 WHERE report_id = $1 RETURNING id',
+        [childId, parentId]
+    );
+    const { rows: movedVerifications } = await client.query(`
+        UPDATE user_verifications v SET report_id = $2
+        WHERE v.report_id = $1
+          AND NOT EXISTS (SELECT 1 FROM user_verifications p
+                          WHERE p.report_id = $2 AND p.voter_token = v.voter_token)
+        RETURNING v.id
+    `, [childId, parentId]);
+    const { rows: movedPush } = await client.query(
+        'UPDATE push_subscriptions SET report_id = $2 WHERE report_id = $1 RETURNING id',
+        [childId, parentId]
+    );
+
+    await client.query(
+        `UPDATE reports SET parent_report_id = $2, state = 'MERGED', status = 'merged' WHERE id = $1`,
+        [childId, parentId]
+    );
+
+    // Re-parenting an already merged child supersedes its earlier merge
+    await client.query(
+        'UPDATE report_merges SET unmerged_at = NOW(), unmerged_by = $2 WHERE child_report_id = $1 AND unmerged_at IS NULL',
+        [childId, user?.id || null]
+    );
+    await client.query(`
+        INSERT INTO report_merges
+            (child_report_id, parent_report_id, previous_parent_id, previous_state, previous_status,
+             moved_chat_ids, moved_verification_ids, moved_push_ids, moved_child_ids, reason, merged_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    `, [childId, parentId, previousParentId, child.state, child.status,
+        movedChat.map(r => r.id), movedVerifications.map(r => r.id),
+        movedPush.map(r => r.id), movedChildren.map(r => r.id), reason, user?.id || null]);
+
+    await client.query(
+        'UPDATE report_merges SET parent_report_id = $2 WHERE child_report_id = ANY($1) AND unmerged_at IS NULL',
+        [movedChildren.map(r => r.id), parentId]
+    );
+
+    const updatedParent = await recomputeSupport(client, parentId);
+    const updatedChild = await recomputeSupport(client, childId);
+    const updatedPrevious = previousParentId ? await recomputeSupport(client, previousParentId) : null;
+
+    await postSystemMessage(client, parentId,
+        `🤝 Report #${childId} was merged into this report${user ? ` by ${user.name}` : ''}${reason ? ` — ${reason}` : ''}.`);
+
+    await logReportAction({
+        reportId: childId, action: 'merge', fromValue: previousParentId ? String(previousParentId) : child.state,
+        toValue: String(parentId), user, detail: reason,
+    }, client);
+    await logReportAction({
+        reportId: parentId, action: 'merge_in', toValue: String(childId), user,
+        detail: `${movedChildren.length} duplicate(s), ${movedChat.length} chat message(s), ${movedVerifications.length} verification(s) moved`,
+    }, client);
+
+    return { child: updatedChild, parent: updatedParent, previousParent: updatedPrevious };
+}
+
+/**
+ * unmergeReport({ childId, user, reason })
+ * Splits a merged child back out as a standalone report.
+ * Returns { child, parent }
+ */
+async function unmergeReport({ childId, user = null, reason = null }) {
+    childId = parseInt(childId);
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const { rows } = await client.query(
+            'SELECT id, state, parent_report_id FROM reports WHERE id = $1 FOR UPDATE',
+            [childId]
+        );
+        if (!rows.length) throw fail(`Report #${childId} not found`, 404);
+        const parentId = rows[0].parent_report_id;
+        if (!parentId) throw fail(`Report #${childId} is not merged`, 409);
+        await client.query('SELECT id FROM reports WHERE id = $1 FOR UPDATE', [parentId]);
+
+        // Manual merges move rows back; automatic merges had nothing moved
+        const { rows: merges } = await client.query(`
+            SELECT * FROM report_merges
+            WHERE child_report_id = $1 AND parent_report_id = $2 AND unmerged_at IS NULL
+            ORDER BY merged_at DESC LIMIT 1
+        `, [childId, parentId]);
+        const merge = merges[0] || null;
+
+        let restoredState = 'SUBMITTED';
+        let restoredStatus = 'active';
+        if (merge) {
+            await client.query(
+                'UPDATE report_chat SET report_id = $1 WHERE id = ANY($2) AND report_id = $3',
+                [childId, merge.moved_chat_ids, parentId]
+            );
+            await client.query(`
+                UPDATE user_verifications v SET report_id = $1
+                WHERE v.id = ANY($2) AND v.report_id = $3
+                  AND NOT EXISTS (SELECT 1 FROM user_verifications c
+                                  WHERE c.report_id = $1 AND c.voter_token = v.voter_token)
+            `, [childId, merge.moved_verification_ids, parentId]);
+            await client.query(
+                'UPDATE push_subscriptions SET report_id = $1 WHERE id = ANY($2) AND report_id = $3',
+                [childId, merge.moved_push_ids, parentId]
+            );
+            const { rows: returned } = await client.query(
+                'UPDATE reports SET parent_report_id = $1 WHERE id = ANY($2) AND parent_report_id = $3 RETURNING id',
+                [childId, merge.moved_child_ids, parentId]
+            );
+            await client.query(
+                'UPDATE report_merges SET parent_report_id = $1 WHERE child_report_id = ANY($2) AND unmerged_at IS NULL',
+                [childId, returned.map(r => r.id)]
+            );
+            await client.query(
+                'UPDATE report_merges SET unmerged_at = NOW(), unmerged_by = $2 WHERE id = $1',
+                [merge.id, user?.id || null]
+            );
+            // A child that was re-parented comes out as a standalone report
+            if (merge.previous_state !== 'MERGED') {
+                restoredState = merge.previous_state;
+                restoredStatus = merge.previous_status;
+            }
+        }
+
+        await client.query(
+            'UPDATE reports SET parent_report_id = NULL, state = $2, status = $3 WHERE id = $1',
+            [childId, restoredState, restoredStatus]
+        );
+
+        const updatedChild = await recomputeSupport(client, childId);
+        const updatedParent = await recomputeSupport(client, parentId);
+
+        await postSystemMessage(client, parentId,
+            `✂️ Report #${childId} was split out of this report${user ? ` by ${user.name}` : ''}${reason ? ` — ${reason}` : ''}.`);
+
+        await logReportAction({
+            reportId: childId, action: 'unmerge', fromValue: String(parentId), toValue: restoredState, user, detail: reason,
+        }, client);
+        await logReportAction({
+            reportId: parentId, action: 'unmerge_out', fromValue: String(childId), user, detail: reason,
+        }, client);
+
+        await client.query('COMMIT');
+        console.log(`[Merge] Report #${childId} split out of #${parentId}${user ? ` by ${user.email}` : ''}`);
+
+        return { child: { ...updatedChild, state: restoredState }, parent: updatedParent };
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = { mergeReports, unmergeReport, recomputeSupport };
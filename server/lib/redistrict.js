@@ -0,0 +1,123 @@
+/**
+ * lib/redistrict.js — Re-run ward assignment after boundary changes
+ *
+ * Ward assignment normally happens once, in the POST /api/reports
+ * point-in-polygon step. When a ward is created, redrawn, retired or bulk
+ * imported, this job re-runs ST_Contains for the affected reports:
+ *
+ *   • every report whose ward changed gets its ward_id updated (ward metrics
+ *     and rankings follow automatically),
+ *   • the move is recorded in report_ward_history,
+ *   • open ASSIGNED / IN_PROGRESS / REOPENED reports are re-routed to the new ward officer.
+ *
+ * Reports that fall outside every active ward keep their ward if it was
+ * retired (history), and are un-assigned if their active ward no longer covers them.
+ */
+
+const pool = require('../db/pool');
+const { OPEN_ASSIGNED_STATES } = require('./stateMachine');
+
+/**
+ * findWardMoves(client, wardIds?)
+ * wardIds — limit to reports currently in, or now covered by, these wards (null = whole city)
+ * Returns [{ id, state, old_ward_id, new_ward_id }]
+ */
+async function findWardMoves(client, wardIds = null) {
+    const { rows } = await client.query(`
+        WITH candidates AS (
+            SELECT r.id, r.state, r.ward_id AS old_ward_id,
+                   (SELECT w.ward_id FROM city_wards w
+                    WHERE w.is_active AND ST_Contains(w.ward_geometry, r.coordinates)
+                    ORDER BY w.ward_id LIMIT 1) AS new_ward_id
+            FROM reports r
+            WHERE r.coordinates IS NOT NULL
+              AND ($1::int[] IS NULL
+                   OR r.ward_id = ANY($1)
+                   OR EXISTS (SELECT 1 FROM city_wards w
+                              WHERE w.ward_id = ANY($1) AND ST_Contains(w.ward_geometry, r.coordinates)))
+        )
+        SELECT c.id, c.state, c.old_ward_id, c.new_ward_id
+        FROM candidates c
+        LEFT JOIN city_wards ow ON ow.ward_id = c.old_ward_id
+        WHERE c.new_ward_id IS DISTINCT FROM c.old_ward_id
+          AND (c.new_ward_id IS NOT NULL OR ow.is_active IS TRUE)
+        ORDER BY c.id
+    `, [wardIds && wardIds.length ? wardIds.map(Number) : null]);
+    return rows;
+}
+
+/**
+ * redistrictReports({ wardIds?, user?, dryRun? })
+ * Returns { moved, rerouted, moves: [...] }
+ */
+async function redistrictReports({ wardIds = null, user = null, dryRun = false } = {}) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const moves = await findWardMoves(client, wardIds);
+
+        if (dryRun || !moves.length) {
+            await client.query('ROLLBACK');
+            return summarise(moves);
+        }
+
+        const ids = moves.map(m => m.id);
+        const newWardIds = moves.map(m => m.new_ward_id);
+
+        // Move reports; open assigned work follows the new ward officer
+        await client.query(`
+            UPDATE reports r
+            SET ward_id = m.new_ward_id,
+                assigned_officer_email = CASE WHEN r.state = ANY($3) THEN w.officer_email ELSE r.assigned_officer_email END,
+                assigned_officer_phone = CASE WHEN r.state = ANY($3) THEN w.officer_phone ELSE r.assigned_officer_phone END
+            FROM unnest($1::int[], $2::int[]) AS m(id, new_ward_id)
+            LEFT JOIN city_wards w ON w.ward_id = m.new_ward_id
+            WHERE r.id = m.id
+        `, [ids, newWardIds, OPEN_ASSIGNED_STATES]);
+
+        await client.query(`
+            INSERT INTO report_ward_history (report_id, old_ward_id, new_ward_id, state, rerouted, changed_by)
+            SELECT m.id, m.old_ward_id, m.new_ward_id, m.state, m.state = ANY($5), $6
+            FROM unnest($1::int[], $2::int[], $3::int[], $4::text[]) AS m(id, old_ward_id, new_ward_id, state)
+        `, [ids, moves.map(m => m.old_ward_id), newWardIds, moves.map(m => m.state), OPEN_ASSIGNED_STATES, user?.id || null]);
+
+        await client.query(`
+            INSERT INTO report_audit_log (report_id, action, from_value, to_value, actor_user_id, actor_name, detail)
+            SELECT m.id, 'ward_change', m.old_ward_id::text, m.new_ward_id::text, $4, $5, 'Boundary re-districting'
+            FROM unnest($1::int[], $2::int[], $3::int[]) AS m(id, old_ward_id, new_ward_id)
+        `, [ids, moves.map(m => m.old_ward_id), newWardIds, user?.id || null, user?.name || 'system']);
+
+        await client.query('COMMIT');
+
+        const summary = summarise(moves);
+        console.log(`[Redistrict] ${summary.moved} report(s) moved, ${summary.rerouted} re-routed to new ward officers`);
+        return summary;
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+function summarise(moves) {
+    return {
+        moved: moves.length,
+        rerouted: moves.filter(m => OPEN_ASSIGNED_STATES.includes(m.state)).length,
+        moves,
+    };
+}
+
+/**
+ * scheduleRedistrict(wardIds, user?)
+ * Fire-and-forget variant used after ward edits — the admin response does not
+ * wait for the job, and a failure is logged rather than surfaced.
+ */
+function scheduleRedistrict(wardIds, user = null) {
+    setImmediate(() => {
+        redistrictReports({ wardIds, user })
+            .catch(err => console.error('[Redistrict] Job failed:', err.message));
+    });
+}
+
+module.exports = { redistrictReports, scheduleRedistrict, findWardMoves };
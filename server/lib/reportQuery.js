@@ -0,0 +1,188 @@
+/**
+ * lib/reportQuery.js — One filter / sort / cursor grammar for report lists
+ *
+ * GET /api/reports, /api/dashboard and /api/analytics/feed all parse their
+ * query string here, so every page filters the same way:
+ *
+ *   category   comma list                pothole,garbage
+ *   ward       comma list of ward ids    3,7
+ *   zone       comma list                North,East
+ *   severity   comma list                high,critical
+ *   state      comma list                SUBMITTED,VERIFIED
+ *   from / to  ISO date or date-time     created_at range; a bare `to` date includes that day
+ *   emergency  true | false
+ *   bbox       minLon,minLat,maxLon,maxLat
+ *   q          full-text words over description, location and category, synonyms
+ *              included (search_tsquery, migration 020 — ranked search is GET /api/search)
+ *   sort       priority | newest | oldest | updated | severity | resolved
+ *   limit      1–500
+ *   cursor     next_cursor from the previous page
+ *
+ * Pages are keyset-paginated: the cursor carries the last row's sort key, so
+ * pages stay stable while new reports arrive and a deep page costs the same
+ * as the first. Merged child reports are never listed.
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+const SEVERITY_RANK_SQL = `CASE r.severity_level
+    WHEN 'critical' THEN 4 WHEN 'high' THEN 3 WHEN 'medium' THEN 2 WHEN 'low' THEN 1 ELSE 0 END`;
+
+// Every key of a sort runs the same direction, so the cursor is one row comparison;
+// r.id breaks ties. Keys are round-tripped as text to keep timestamps' microseconds.
+const SORTS = {
+    priority: { dir: 'DESC', keys: [['COALESCE(r.is_emergency, FALSE)', 'boolean'], ['COALESCE(r.sla_level, 0)', 'int'], ['r.created_at', 'timestamptz']] },
+    newest: { dir: 'DESC', keys: [['r.created_at', 'timestamptz']] },
+    oldest: { dir: 'ASC', keys: [['r.created_at', 'timestamptz']] },
+    updated: { dir: 'DESC', keys: [['COALESCE(r.updated_at, r.created_at)', 'timestamptz']] },
+    severity: { dir: 'DESC', keys: [[SEVERITY_RANK_SQL, 'int'], ['r.created_at', 'timestamptz']] },
+    resolved: { dir: 'DESC', keys: [["COALESCE(r.resolved_at, '-infinity')", 'timestamptz']] },
+};
+
+const badRequest = (msg) => Object.assign(new Error(msg), { status: 400 });
+
+const list = (v) => (v == null || v === '' ? [] : String(v).split(',').map(s => s.trim()).filter(Boolean));
+
+function dateParam(name, value) {
+    if (!value) return null;
+    if (isNaN(new Date(value))) throw badRequest(`${name} must be an ISO date`);
+    return String(value);
+}
+
+// A cursor key must cast cleanly to its sort key's type, or the page query would 500
+const CURSOR_KEY_VALID = {
+    timestamptz: (v) => /^-?infinity$/.test(v) || (/^\d{4}-\d{2}-\d{2}/.test(v) && !isNaN(Date.parse(v))),
+    int: (v) => /^-?\d+$/.test(v) && Math.abs(Number(v)) <= 2147483647,
+    boolean: (v) => v === 'true' || v === 'false',
+};
+
+function decodeCursor(cursor, sort) {
+    try {
+        const { s, k } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        const types = s === sort ? [...SORTS[sort].keys.map(([, type]) => type), 'int'] : [];
+        if (Array.isArray(k) && k.length === types.length
+            && k.every((v, i) => typeof v === 'string' && CURSOR_KEY_VALID[types[i]](v))) return k;
+    } catch { /* fall through */ }
+    throw badRequest('Invalid cursor — it belongs to another sort or was altered');
+}
+
+/**
+ * parseReportQuery(query, defaults?) — validated filters from a request's query string
+ * `defaults` fill in what the caller's endpoint implies (e.g. { sort: 'resolved' }).
+ * Throws 400 errors for malformed values.
+ */
+function parseReportQuery(query, defaults = {}) {
+    const q = { ...defaults, ...Object.fromEntries(Object.entries(query).filter(([, v]) => v !== '')) };
+
+    const sort = q.sort || 'priority';
+    if (!SORTS[sort]) throw badRequest(`sort must be one of ${Object.keys(SORTS).join(', ')}`);
+
+    const limit = q.limit == null ? DEFAULT_LIMIT : parseInt(q.limit);
+    if (!(limit >= 1)) throw badRequest('limit must be a positive integer');
+
+    const wards = list(q.ward).map(Number);
+    if (wards.some(id => !Number.isInteger(id))) throw badRequest('ward must be a comma list of ward ids');
+
+    let bbox = null;
+    if (q.bbox) {
+        bbox = list(q.bbox).map(Number);
+        if (bbox.length !== 4 || bbox.some(n => !isFinite(n)) || bbox[0] > bbox[2] || bbox[1] > bbox[3]) {
+            throw badRequest('bbox must be minLon,minLat,maxLon,maxLat');
+        }
+    }
+
+    let emergency = null;
+    if (q.emergency != null) {
+        if (!['true', 'false'].includes(String(q.emergency))) throw badRequest('emergency must be true or false');
+        emergency = String(q.emergency) === 'true';
+    }
+
+    return {
+        categories: list(q.category),
+        wards,
+        zones: list(q.zone),
+        severities: list(q.severity),
+        states: list(q.state).map(s => s.toUpperCase()),
+        from: dateParam('from', q.from),
+        to: dateParam('to', q.to),
+        emergency,
+        bbox,
+        text: q.q ? String(q.q).trim() : '',
+        sort,
+        limit: Math.min(limit, MAX_LIMIT),
+        cursor: q.cursor ? decodeCursor(q.cursor, sort) : null,
+    };
+}
+
+/**
+ * reportFilterSql(filters, params) — WHERE conditions for the filters, pushing
+ * their values onto `params`. Expects reports as `r` and city_wards as `w`.
+ */
+function reportFilterSql(f, params) {
+    const p = (value) => `$${params.push(value)}`;
+    const where = ['r.parent_report_id IS NULL'];
+
+    if (f.categories.length) where.push(`r.category = ANY(${p(f.categories)}::text[])`);
+    if (f.wards.length) where.push(`r.ward_id = ANY(${p(f.wards)}::int[])`);
+    if (f.zones.length) where.push(`w.zone = ANY(${p(f.zones)}::text[])`);
+    if (f.severities.length) where.push(`r.severity_level = ANY(${p(f.severities)}::text[])`);
+    if (f.states.length) where.push(`r.state = ANY(${p(f.states)}::text[])`);
+    if (f.from) where.push(`r.created_at >= ${p(f.from)}::timestamptz`);
+    if (f.to) {
+        where.push(/^\d{4}-\d{2}-\d{2}$/.test(f.to)
+            ? `r.created_at < ${p(f.to)}::date + 1`
+            : `r.created_at <= ${p(f.to)}::timestamptz`);
+    }
+    if (f.emergency != null) where.push(`COALESCE(r.is_emergency, FALSE) = ${p(f.emergency)}`);
+    if (f.bbox) {
+        const [minLon, minLat, maxLon, maxLat] = f.bbox;
+        where.push(`r.coordinates && ST_MakeEnvelope(${p(minLon)}, ${p(minLat)}, ${p(maxLon)}, ${p(maxLat)}, 4326)`);
+    }
+    if (f.text) where.push(`r.search_vector @@ search_tsquery(${p(f.text)})`);
+    return where;
+}
+
+/**
+ * queryReports(client, filters, { select, joins?, where?, params? })
+ *
+ * One page of reports. `select` is the caller's column list over `r` / `w`;
+ * `joins` and `where` add caller-specific tables and conditions (their
+ * placeholders numbered from `params`, which the filters then extend).
+ * Returns { rows, next_cursor } — next_cursor is null on the last page.
+ */
+async function queryReports(client, f, { select, joins = '', where = [], params = [] }) {
+    const values = [...params];
+    const conditions = [...where, ...reportFilterSql(f, values)];
+    const { dir, keys } = SORTS[f.sort];
+    const sortExprs = [...keys.map(([expr]) => expr), 'r.id'];
+
+    if (f.cursor) {
+        const types = [...keys.map(([, type]) => type), 'int'];
+        const cursorValues = f.cursor.map((v, i) => `$${values.push(v)}::${types[i]}`);
+        conditions.push(`(${sortExprs.join(', ')}) ${dir === 'DESC' ? '<' : '>'} (${cursorValues.join(', ')})`);
+    }
+
+    const { rows } = await client.query(`
+        SELECT ${select},
+               ${sortExprs.map((expr, i) => `(${expr})::text AS _sort_${i}`).join(', ')}
+        FROM reports r
+        LEFT JOIN city_wards w ON r.ward_id = w.ward_id
+        ${joins}
+        WHERE ${conditions.join('\n          AND ')}
+        ORDER BY ${sortExprs.map(expr => `${expr} ${dir}`).join(', ')}
+        LIMIT ${f.limit + 1}
+    `, values);
+
+    const hasMore = rows.length > f.limit;
+    const page = rows.slice(0, f.limit);
+    const last = page[page.length - 1];
+    const nextCursor = hasMore
+        ? Buffer.from(JSON.stringify({ s: f.sort, k: sortExprs.map((_, i) => last[`_sort_${i}`]) })).toString('base64url')
+        : null;
+
+    for (const row of page) sortExprs.forEach((_, i) => delete row[`_sort_${i}`]);
+    return { rows: page, next_cursor: nextCursor };
+}
+
+module.exports = { parseReportQuery, reportFilterSql, queryReports, SORTS, MAX_LIMIT };
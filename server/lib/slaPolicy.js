@@ -0,0 +1,82 @@
+/**
+ * lib/slaPolicy.js — Single source for SLA thresholds
+ *
+ * Thresholds live in the sla_policies table (see migration 005) and are
+ * resolved per report by the sla_policy_for(category, severity) SQL function.
+ * Queries join the policy with SLA_POLICY_JOIN and select SLA_POLICY_COLUMNS;
+ * the helpers below turn those columns into escalation levels and countdowns.
+ *
+ * A policy's clock is either 'wall' (elapsed real time) or 'business'
+ * (working hours on the report ward's calendar, else the default city calendar;
+ * migrations 006 and 021). Elapsed time is always measured in SQL via
+ * sla_hours_since() so both clocks share one code path.
+ */
+
+// Used only if a row arrives without policy columns (e.g. policy table emptied by hand)
+const DEFAULT_SLA_HOURS = { L1: 72, L2: 120, L3: 168 };
+
+// "Watch" status starts at this fraction of the L1 deadline (48h of 72h)
+const WATCH_FRACTION = 2 / 3;
+
+const SLA_POLICY_JOIN = 'LEFT JOIN LATERAL sla_policy_for(r.category, r.severity_level) sp ON TRUE';
+const SLA_POLICY_COLUMNS = 'sp.l1_hours AS sla_l1_hours, sp.l2_hours AS sla_l2_hours, sp.l3_hours AS sla_l3_hours, sp.clock AS sla_clock';
+
+/**
+ * slaElapsedSql(column, policy = 'sp', until = 'NOW()', wardId = 'r.ward_id') — SQL
+ * expression for SLA hours between `column` and `until` under the joined policy's
+ * clock, on the calendar of ward `wardId`
+ */
+const slaElapsedSql = (column, policy = 'sp', until = 'NOW()', wardId = 'r.ward_id') =>
+    `sla_hours_since(${column}, ${policy}.clock, ${until}, ward_calendar_id(${wardId}))`;
+
+/**
+ * slaThresholds(row) — { L1, L2, L3 } in hours from a row carrying SLA_POLICY_COLUMNS
+ */
+function slaThresholds(row) {
+    return {
+        L1: row.sla_l1_hours ?? DEFAULT_SLA_HOURS.L1,
+        L2: row.sla_l2_hours ?? DEFAULT_SLA_HOURS.L2,
+        L3: row.sla_l3_hours ?? DEFAULT_SLA_HOURS.L3,
+    };
+}
+
+/**
+ * slaTargetLevel(hoursElapsed, thresholds) — 0..3
+ */
+function slaTargetLevel(hoursElapsed, t) {
+    if (hoursElapsed >= t.L3) return 3;
+    if (hoursElapsed >= t.L2) return 2;
+    if (hoursElapsed >= t.L1) return 1;
+    return 0;
+}
+
+/**
+ * slaCountdown(hoursElapsed, slaLevel, thresholds)
+ * Returns { next_deadline_hours, hours_until_escalation, sla_status }
+ */
+function slaCountdown(hoursElapsed, slaLevel, t) {
+    const nextDeadlineHours = [t.L1, t.L2, t.L3].find(h => hoursElapsed < h) ?? null;
+    const hoursUntil = nextDeadlineHours ? Math.max(0, nextDeadlineHours - hoursElapsed) : 0;
+
+    const sla_status =
+        slaLevel >= 3 ? 'CRITICAL' :
+            slaLevel >= 2 ? 'URGENT' :
+                slaLevel >= 1 ? 'WARNING' :
+                    hoursElapsed >= t.L1 * WATCH_FRACTION ? 'WATCH' : 'ON_TRACK';
+
+    return {
+        next_deadline_hours: nextDeadlineHours,
+        hours_until_escalation: Math.round(hoursUntil * 10) / 10,
+        sla_status,
+    };
+}
+
+module.exports = {
+    DEFAULT_SLA_HOURS,
+    SLA_POLICY_JOIN,
+    SLA_POLICY_COLUMNS,
+    slaElapsedSql,
+    slaThresholds,
+    slaTargetLevel,
+    slaCountdown,
+};
@@ -62,6 +62,7 @@ function buildEscalationSMS(level, report) {
         : '?';
 
     const msgs = {
+        1: `⚠️ CivicPulse: Report #${report.id} (${report.category}) in ${report.ward_name || report.location_text || 'Unknown ward'} has passed its Level 1 SLA deadline after ${hoursElapsed} hours. View: http://civicpulse.local/dashboard.html`,
         2: `🔴 CivicPulse URGENT: Report #${report.id} (${report.category}) in ${report.ward_name || report.location_text || 'Unknown ward'} has been unresolved for ${hoursElapsed} hours. Immediate action required. View: http://civicpulse.local/dashboard.html`,
         3: `🚨 CivicPulse CRITICAL: Report #${report.id} (${report.category}) scheduled for Commissioner's weekly review. Pending ${hoursElapsed} hours. View: http://civicpulse.local/dashboard.html`,
     };
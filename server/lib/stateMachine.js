@@ -5,30 +5,84 @@
  *
  * States:
  *   SUBMITTED → VERIFIED → ASSIGNED → IN_PROGRESS → RESOLVED
+ *   RESOLVED → REOPENED (citizens reject the resolution) → IN_PROGRESS / ASSIGNED
+ *   SUBMITTED / VERIFIED → REJECTED (spam, prank, invalid — terminal)
+ *   SUBMITTED / VERIFIED / ASSIGNED → TRANSFERRED (not municipal — terminal)
  *   Any state → MERGED (when report is a duplicate)
  *
  * Guards:
  *   IN_PROGRESS requires officer to be within 100m of the report's GPS location
+ *   REJECTED / TRANSFERRED require a reason code from TRIAGE_REASONS
+ *
+ * Reopening:
+ *   checkReopenThreshold() reopens a RESOLVED report automatically once
+ *   REOPEN_REJECT_THRESHOLD reject votes arrive within REOPEN_WINDOW_HOURS of
+ *   resolution. Reopening restarts the SLA clock, moves the rejected proof to
+ *   rejected_resolution_proofs and notifies the ward officer and supervisors.
  */
 
 const pool = require('../db/pool');
+const { logReportAction } = require('./audit');
+const { sendReopenedEmail } = require('./mailer');
+
+const REOPEN_REJECT_THRESHOLD = parseInt(process.env.REOPEN_REJECT_THRESHOLD || '5');
+const REOPEN_WINDOW_HOURS = parseFloat(process.env.REOPEN_WINDOW_HOURS || '72');
 
 // ── Transition map ────────────────────────────────────────────
 // Key: current state → Value: allowed next states
 const TRANSITIONS = {
-    SUBMITTED: ['VERIFIED'],
-    VERIFIED: ['ASSIGNED'],
-    ASSIGNED: ['IN_PROGRESS'],
+    SUBMITTED: ['VERIFIED', 'REJECTED', 'TRANSFERRED'],
+    VERIFIED: ['ASSIGNED', 'REJECTED', 'TRANSFERRED'],
+    ASSIGNED: ['IN_PROGRESS', 'TRANSFERRED'],
     IN_PROGRESS: ['RESOLVED'],
-    RESOLVED: [],
+    RESOLVED: ['REOPENED'],
+    REOPENED: ['IN_PROGRESS', 'ASSIGNED'],
+    REJECTED: [],
+    TRANSFERRED: [],
     MERGED: [],
 };
 
+// ── Triage reason codes (shown to the reporter) ───────────────
+const TRIAGE_REASONS = {
+    REJECTED: {
+        spam: 'Spam or advertising',
+        prank: 'Prank or deliberately false report',
+        abusive: 'Abusive or offensive content',
+        not_an_issue: 'No civic issue found at this location',
+        insufficient_info: 'Not enough information to act on',
+        invalid_location: 'Location is invalid or could not be found',
+    },
+    TRANSFERRED: {
+        not_municipal: 'Not a municipal responsibility',
+        state_agency: 'Handled by a state government department',
+        utility_provider: 'Handled by the electricity / water / gas utility',
+        police: 'Handled by the police',
+        private_property: 'On private property — owner is responsible',
+        other_jurisdiction: 'Outside this city\'s jurisdiction',
+    },
+};
+
+// ── States a report is closed in (MERGED children aside) ──────
+const CLOSED_STATES = ['RESOLVED', 'REJECTED', 'TRANSFERRED'];
+
+// ── Open states that have an officer on the case ──────────────
+const OPEN_ASSIGNED_STATES = ['ASSIGNED', 'IN_PROGRESS', 'REOPENED'];
+
+// ── status column kept in step with terminal states ───────────
+const STATE_STATUS = {
+    REOPENED: 'active',
+    REJECTED: 'rejected',
+    TRANSFERRED: 'transferred',
+};
+
 // ── Timestamp column written per transition ───────────────────
 const STATE_TIMESTAMP = {
     VERIFIED: 'verified_at',
     ASSIGNED: 'assigned_at',
     IN_PROGRESS: 'in_progress_at',
+    REOPENED: 'reopened_at',
+    REJECTED: 'triaged_at',
+    TRANSFERRED: 'triaged_at',
 };
 
 // ── Haversine distance (metres) ───────────────────────────────
@@ -66,6 +120,11 @@ function canTransition(fromState, toState) {
  *   officerLon?   — number
  *   officerEmail? — string  (stored when ASSIGNED)
  *   officerPhone? — string
+ *   actor?        — staff user performing the transition (written to report_audit_log)
+ *   reason?       — why the report was reopened (REOPENED only)
+ *   reasonCode?   — key of TRIAGE_REASONS[toState] (required for REJECTED / TRANSFERRED)
+ *   reasonNote?   — free-text note shown to the reporter
+ *   transferredTo? — receiving agency (TRANSFERRED)
  * }
  *
  * Returns: { success, report, transition: { from, to }, error? }
@@ -78,7 +137,8 @@ async function applyTransition(reportId, toState, metadata = {}) {
         // Fetch current report state
         const { rows } = await client.query(
             `SELECT id, state, gps_lat, gps_lon, category, description,
-                    location_text, ward_id, assigned_officer_email
+                    location_text, ward_id, assigned_officer_email,
+                    accept_count, reject_count
              FROM reports WHERE id = $1 FOR UPDATE`,
             [reportId]
         );
@@ -125,7 +185,16 @@ async function applyTransition(reportId, toState, metadata = {}) {
             }
         }
 
-        // 3. Build SET clause
+        // 3. Triage guard — a closed-without-fix report must say why
+        const reasons = TRIAGE_REASONS[toState];
+        if (reasons && !Object.hasOwn(reasons, metadata.reasonCode)) {
+            throw Object.assign(
+                new Error(`${toState} requires a reasonCode. Valid: ${Object.keys(reasons).join(', ')}`),
+                { status: 400 }
+            );
+        }
+
+        // 4. Build SET clause
         const tsCol = STATE_TIMESTAMP[toState];
         const setClauses = ['state = $2'];
         const values = [reportId, toState];
@@ -134,6 +203,18 @@ async function applyTransition(reportId, toState, metadata = {}) {
         if (tsCol) {
             setClauses.push(`${tsCol} = NOW()`);
         }
+        if (STATE_STATUS[toState]) {
+            setClauses.push(`status = $${paramIdx++}`);
+            values.push(STATE_STATUS[toState]);
+        }
+        if (reasons) {
+            setClauses.push(`triage_reason_code = $${paramIdx++}`, `triage_note = $${paramIdx++}`);
+            values.push(metadata.reasonCode, metadata.reasonNote || null);
+        }
+        if (toState === 'TRANSFERRED') {
+            setClauses.push(`transferred_to = $${paramIdx++}`);
+            values.push(metadata.transferredTo || null);
+        }
         if (toState === 'ASSIGNED' && metadata.officerEmail) {
             setClauses.push(`assigned_officer_email = $${paramIdx++}`);
             values.push(metadata.officerEmail);
@@ -143,7 +224,22 @@ async function applyTransition(reportId, toState, metadata = {}) {
             values.push(metadata.officerPhone);
         }
 
-        // 4. Apply
+        // Reopening restarts the SLA clock from zero and clears the rejected resolution
+        if (toState === 'REOPENED') {
+            setClauses.push(
+                'reopen_count = reopen_count + 1',
+                'assigned_at = NOW()',
+                'sla_level = 0',
+                'last_escalated_at = NULL',
+                'resolved_at = NULL',
+                'accept_count = 0',
+                'reject_count = 0',
+                'resolution_accepted = FALSE',
+            );
+            await archiveRejectedProof(client, report, metadata.reason);
+        }
+
+        // 5. Apply
         const updateSql = `
       UPDATE reports
       SET ${setClauses.join(', ')}
@@ -152,10 +248,22 @@ async function applyTransition(reportId, toState, metadata = {}) {
     `;
         const updated = await client.query(updateSql, values);
 
+        await logReportAction({
+            reportId, action: 'transition', fromValue: fromState, toValue: toState, user: metadata.actor,
+            detail: toState === 'REOPENED' ? metadata.reason || null
+                : reasons ? [metadata.reasonCode, metadata.transferredTo, metadata.reasonNote].filter(Boolean).join(' — ')
+                    : null,
+        }, client);
+
         await client.query('COMMIT');
 
         console.log(`[StateMachine] Report #${reportId}: ${fromState} → ${toState}`);
 
+        if (toState === 'REOPENED') {
+            notifyReopened(updated.rows[0], metadata.reason)
+                .catch(err => console.error('[Reopen] Notification failed:', err.message));
+        }
+
         return {
             success: true,
             transition: { from: fromState, to: toState },
@@ -170,4 +278,88 @@ async function applyTransition(reportId, toState, metadata = {}) {
     }
 }
 
-module.exports = { canTransition, applyTransition, haversineDistance, TRANSITIONS };
+/**
+ * archiveRejectedProof(client, report, reason)
+ * Moves the live resolution proof (and its vote tally) to rejected_resolution_proofs
+ * and clears the votes so the next resolution is judged afresh.
+ */
+async function archiveRejectedProof(client, report, reason = null) {
+    const { rows: archived } = await client.query(`
+        INSERT INTO rejected_resolution_proofs
+            (report_id, after_image_url, after_image_variants, officer_lat, officer_lon, distance_m,
+             submitted_by, submitted_at, accept_count, reject_count, reason)
+        SELECT report_id, after_image_url, after_image_variants, officer_lat, officer_lon, distance_m,
+               submitted_by, submitted_at, $2, $3, $4
+        FROM resolution_proofs WHERE report_id = $1
+        RETURNING id
+    `, [report.id, report.accept_count || 0, report.reject_count || 0, reason]);
+    // The proof's photo set goes with it
+    await client.query(
+        `UPDATE report_media SET kind = 'rejected_proof', rejected_proof_id = $2 WHERE report_id = $1 AND kind = 'proof'`,
+        [report.id, archived[0]?.id || null]
+    );
+    await client.query('DELETE FROM resolution_proofs WHERE report_id = $1', [report.id]);
+    await client.query('DELETE FROM acceptance_votes WHERE report_id = $1', [report.id]);
+}
+
+/**
+ * checkReopenThreshold(reportId)
+ * Called after every acceptance vote. Reopens the report when reject votes cast
+ * within the voting window reach the threshold. Returns the transition result or null.
+ */
+async function checkReopenThreshold(reportId) {
+    const { rows } = await pool.query(`
+        SELECT COUNT(*) FILTER (WHERE v.vote = 'reject') AS rejects
+        FROM reports r
+        JOIN acceptance_votes v ON v.report_id = r.id
+        WHERE r.id = $1
+          AND r.state = 'RESOLVED'
+          AND NOW() <= r.resolved_at + $2 * INTERVAL '1 hour'
+          AND v.voted_at <= r.resolved_at + $2 * INTERVAL '1 hour'
+    `, [reportId, REOPEN_WINDOW_HOURS]);
+
+    const rejects = parseInt(rows[0]?.rejects || 0);
+    if (rejects < REOPEN_REJECT_THRESHOLD) return null;
+
+    try {
+        return await applyTransition(reportId, 'REOPENED', {
+            reason: `${rejects} citizen reject vote(s) within ${REOPEN_WINDOW_HOURS}h of resolution`,
+        });
+    } catch (err) {
+        // A concurrent vote already reopened it
+        if (err.status === 409) return null;
+        throw err;
+    }
+}
+
+/**
+ * notifyReopened(report, reason)
+ * Emails the ward officer and every active supervisor for the ward (or city-wide).
+ */
+async function notifyReopened(report, reason) {
+    const { rows } = await pool.query(`
+        SELECT DISTINCT ON (email) email, name FROM (
+            SELECT COALESCE(w.officer_email, r.assigned_officer_email) AS email,
+                   COALESCE(w.officer_name, 'Ward Officer') AS name
+            FROM reports r
+            LEFT JOIN city_wards w ON w.ward_id = r.ward_id
+            WHERE r.id = $1
+            UNION ALL
+            SELECT u.email, u.name
+            FROM staff_users u
+            WHERE u.role = 'supervisor' AND u.is_active
+              AND (u.ward_id IS NULL OR u.ward_id = $2)
+        ) recipients
+        WHERE email IS NOT NULL
+    `, [report.id, report.ward_id]);
+
+    for (const r of rows) {
+        await sendReopenedEmail({ report, recipient: r.email, recipientName: r.name, reason });
+    }
+    console.log(`[Reopen] Report #${report.id} reopened — notified ${rows.length} recipient(s)`);
+}
+
+module.exports = {
+    canTransition, applyTransition, checkReopenThreshold, haversineDistance, TRANSITIONS, TRIAGE_REASONS,
+    CLOSED_STATES, OPEN_ASSIGNED_STATES, REOPEN_REJECT_THRESHOLD, REOPEN_WINDOW_HOURS,
+};
@@ -0,0 +1,132 @@
+/**
+ * lib/storage.js — Where uploaded photos live
+ *
+ * STORAGE_DRIVER=local (default): files under UPLOAD_DIR, served by index.js at /uploads
+ * STORAGE_DRIVER=s3: any S3-compatible bucket (AWS, MinIO, R2…), see .env.example
+ *
+ * Every driver has the same shape:
+ *   put(key, buffer, contentType) → public URL to store in the database
+ *   get(key)                      → Buffer
+ *   remove(key)
+ *   urlFor(key)                   → public URL
+ *   keyFromUrl(url)               → key, or null if the URL isn't this driver's
+ *
+ * Routes never build photo URLs themselves — they go through savePhoto()
+ * (lib/media.js) so switching drivers only changes what new rows point at.
+ * db/migrateStorage.js moves existing files and rewrites the stored URLs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+
+/**
+ * createLocalDriver({ dir?, baseUrl? }) — files on disk, served by express.static
+ */
+function createLocalDriver({ dir = process.env.UPLOAD_DIR || DEFAULT_UPLOAD_DIR, baseUrl = '/uploads' } = {}) {
+    const fileFor = (key) => path.join(dir, path.basename(key));
+    const prefix = `${baseUrl}/`;
+
+    return {
+        name: 'local',
+        dir,
+        async put(key, buffer) {
+            await fs.promises.mkdir(dir, { recursive: true });
+            await fs.promises.writeFile(fileFor(key), buffer);
+            return this.urlFor(key);
+        },
+        get: (key) => fs.promises.readFile(fileFor(key)),
+        remove: (key) => fs.promises.rm(fileFor(key), { force: true }),
+        urlFor: (key) => prefix + key,
+        keyFromUrl: (url) => (url && url.startsWith(prefix) ? url.slice(prefix.length) : null),
+    };
+}
+
+/**
+ * createS3Driver({ bucket, region?, endpoint?, accessKeyId?, secretAccessKey?, publicUrl?, forcePathStyle? })
+ *
+ * publicUrl is the base browsers fetch from (bucket website, CDN, or the MinIO
+ * endpoint + bucket). Without it the URL is derived from endpoint / region.
+ */
+function createS3Driver({
+    bucket = process.env.S3_BUCKET,
+    region = process.env.S3_REGION || 'us-east-1',
+    endpoint = process.env.S3_ENDPOINT || undefined,
+    accessKeyId = process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+    publicUrl = process.env.S3_PUBLIC_URL,
+    forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+} = {}) {
+    if (!bucket) throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+
+    const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    const s3 = new S3Client({
+        region,
+        endpoint,
+        forcePathStyle,
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    });
+
+    const base = (publicUrl
+        || (endpoint
+            ? (forcePathStyle ? `${endpoint}/${bucket}` : endpoint.replace('://', `://${bucket}.`))
+            : `https://${bucket}.s3.${region}.amazonaws.com`)
+    ).replace(/\/+$/, '');
+    const prefix = `${base}/`;
+
+    return {
+        name: 's3',
+        bucket,
+        async put(key, buffer, contentType) {
+            await s3.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: buffer,
+                ContentType: contentType,
+                CacheControl: 'public, max-age=31536000, immutable',
+            }));
+            return this.urlFor(key);
+        },
+        async get(key) {
+            const out = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+            return Buffer.from(await out.Body.transformToByteArray());
+        },
+        async remove(key) {
+            await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+        urlFor: (key) => prefix + key.split('/').map(encodeURIComponent).join('/'),
+        keyFromUrl: (url) => (url && url.startsWith(prefix) ? decodeURIComponent(url.slice(prefix.length)) : null),
+    };
+}
+
+/**
+ * createDriver(name) — 'local' | 's3'
+ */
+function createDriver(name) {
+    if (name === 'local') return createLocalDriver();
+    if (name === 's3') return createS3Driver();
+    throw new Error(`Unknown storage driver '${name}'. Use: local | s3`);
+}
+
+let driver = null;
+
+/**
+ * getStorage() — the driver selected by STORAGE_DRIVER, created once
+ */
+function getStorage() {
+    if (driver) return driver;
+    driver = createDriver(process.env.STORAGE_DRIVER || 'local');
+    console.log(`[Storage] Using ${driver.name} driver${driver.bucket ? ` (bucket ${driver.bucket})` : ''}`);
+    return driver;
+}
+
+/**
+ * uploadKey(prefix) — unique `${prefix}-${timestamp}-${random}` key stem (no extension)
+ */
+function uploadKey(prefix) {
+    return `${prefix}-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+module.exports = { getStorage, createDriver, createLocalDriver, createS3Driver, uploadKey };
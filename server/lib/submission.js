@@ -0,0 +1,192 @@
+/**
+ * lib/submission.js — The citizen report pipeline, shared by every intake
+ *
+ * POST /api/reports (the app) and POST /open311/v2/requests both submit here:
+ *
+ *   1. Point-in-Polygon — the active ward containing the point routes the report
+ *   2. Authenticity     — capture time / place cross-checks (lib/authenticity.js)
+ *   3. Dedup            — merge into an open report, hold for officer review, or
+ *                         insert as new (lib/dedup.js)
+ *   4. Photos           — report_media rows for photos stored beforehand with
+ *                         storeReportPhotos()
+ *
+ * Everything runs in one transaction on the caller's client.
+ */
+
+const { sendSupportNotification } = require('../routes/push');
+const { dHash } = require('./imageHash');
+const { savePhoto, addMedia } = require('./media');
+const { findDuplicate } = require('./dedup');
+const { scoreAuthenticity } = require('./authenticity');
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// Where the submitted point came from (migration 018)
+const LOCATION_SOURCES = ['gps', 'network', 'ip', 'exif', 'manual'];
+
+/**
+ * storeReportPhotos(files, redactedCounts?, { stripMetadata? }) — save multer files and hash them for dedup.
+ * `redactedCounts` is the regions the app blurred, per file. If the cover's hash
+ * fails the report is deduped without it. stripMetadata: see lib/media.js savePhoto.
+ */
+async function storeReportPhotos(files, redactedCounts = [], { stripMetadata = false } = {}) {
+    const photos = [];
+    for (const [i, file] of files.entries()) {
+        const imageHash = await dHash(file.buffer).catch(err => {
+            console.warn(`[Dedup] Could not hash ${file.originalname}: ${err.message}`);
+            return null;
+        });
+        photos.push({ ...await savePhoto(file, 'report', { stripMetadata }), imageHash, redactedRegions: redactedCounts[i] || 0 });
+    }
+    return photos;
+}
+
+/**
+ * submitReport(client, {
+ *     category, description, locationText?, lat, lon, captureTimestamp?,
+ *     severity?, reporterToken?, locationSource?, locationAccuracy?,
+ *     exif?: { lat, lon, timestamp }, device?: { lat, lon, accuracy },
+ *     photos?: [{ url, variants, imageHash, redactedRegions }]   — from storeReportPhotos()
+ * })
+ *
+ * Resolves to { reportId, isDuplicate, parentReportId, supporterCount, dedup, ward, authenticity }.
+ * Rolls back and rethrows on failure.
+ */
+async function submitReport(client, {
+    category, description, locationText = null, lat, lon, captureTimestamp = null,
+    severity = 'medium', reporterToken = null, locationSource = null, locationAccuracy = null,
+    exif = { lat: null, lon: null, timestamp: null }, device = { lat: null, lon: null, accuracy: null },
+    photos = [],
+}) {
+    const validSeverity = SEVERITIES.includes(severity) ? severity : 'medium';
+    const locSource = LOCATION_SOURCES.includes(locationSource) ? locationSource : null;
+    const imageUrl = photos[0]?.url || null;
+    const imageHash = photos[0]?.imageHash || null;
+    const imageVariants = photos[0]?.variants || null;
+
+    try {
+        await client.query('BEGIN');
+
+        // ── Step 1: Point-in-Polygon ──────────────────────────────
+        const wardResult = await client.query(`
+            SELECT ward_id, ward_name, zone, officer_name, officer_email, officer_phone
+            FROM city_wards
+            WHERE is_active
+              AND ST_Contains(ward_geometry, ST_SetSRID(ST_Point($1, $2), 4326))
+            LIMIT 1
+        `, [lon, lat]);
+        const ward = wardResult.rows[0] || null;
+
+        // ── Step 1b: Authenticity — cross-check the claimed capture time / place ──
+        const authenticity = await scoreAuthenticity(client, {
+            reporterToken, lat, lon, exif, device,
+            imageHashes: photos.map(p => p.imageHash),
+        });
+
+        // ── Step 2: Duplicate Detection (distance + text + photo similarity) ──
+        const dedup = await findDuplicate(client, { lat, lon, category, description, imageHash });
+        const existingDuplicate = dedup.decision === 'merge' ? dedup.candidate : null;
+
+        let reportId, isDuplicate = false, supporterCount = 1, parentReportId = null;
+
+        if (existingDuplicate) {
+            // ── Step 3a: Merge ────────────────────────────────────
+            isDuplicate = true;
+            parentReportId = existingDuplicate.id;
+
+            const childResult = await client.query(`
+                INSERT INTO reports (
+                    category, description, location_text, coordinates,
+                    ward_id, image_url, gps_lat, gps_lon, capture_timestamp,
+                    parent_report_id, state, status, severity_level, reporter_token, image_hash, image_variants,
+                    authenticity_score, location_source, location_accuracy_m
+                ) VALUES (
+                    $1, $2, $3,
+                    ST_SetSRID(ST_Point($4, $5), 4326),
+                    $6, $7, $8, $9, $10, $11, 'MERGED', 'merged', $12, $13, $14, $15, $16, $17, $18
+                )
+                RETURNING id
+            `, [
+                category, description, locationText,
+                lon, lat,
+                ward?.ward_id || null, imageUrl,
+                lat, lon,
+                captureTimestamp || null,
+                parentReportId,
+                validSeverity, reporterToken, imageHash, imageVariants,
+                authenticity.score, locSource, locationAccuracy,
+            ]);
+            reportId = childResult.rows[0].id;
+
+            const bumpResult = await client.query(`
+                UPDATE reports SET supporter_count = supporter_count + 1 WHERE id = $1
+                RETURNING supporter_count
+            `, [parentReportId]);
+            supporterCount = bumpResult.rows[0].supporter_count;
+
+        } else {
+            // ── Step 3b: New report ───────────────────────────────
+            const newResult = await client.query(`
+                INSERT INTO reports (
+                    category, description, location_text, coordinates,
+                    ward_id, image_url, gps_lat, gps_lon, capture_timestamp,
+                    severity_level, reporter_token, image_hash, image_variants, authenticity_score,
+                    location_source, location_accuracy_m
+                ) VALUES (
+                    $1, $2, $3,
+                    ST_SetSRID(ST_Point($4, $5), 4326),
+                    $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17
+                )
+                RETURNING id
+            `, [
+                category, description, locationText,
+                lon, lat,
+                ward?.ward_id || null, imageUrl,
+                lat, lon,
+                captureTimestamp || null,
+                validSeverity, reporterToken, imageHash, imageVariants, authenticity.score,
+                locSource, locationAccuracy,
+            ]);
+            reportId = newResult.rows[0].id;
+
+            // ── Step 3c: Possible duplicate — hold for an officer ─────
+            if (dedup.decision === 'review') {
+                await client.query(`
+                    INSERT INTO duplicate_reviews
+                        (report_id, candidate_report_id, confidence, distance_m, text_similarity, hash_distance)
+                    VALUES ($1, $2, $3, $4, $5, $6)
+                `, [reportId, dedup.candidate.id, dedup.confidence, dedup.candidate.distance_m,
+                    dedup.text_similarity, dedup.hash_distance]);
+            }
+        }
+
+        await addMedia(client, { reportId, kind: 'report', photos });
+
+        await client.query(`
+            INSERT INTO report_authenticity
+                (report_id, score, checks, exif_lat, exif_lon, exif_timestamp, device_lat, device_lon, device_accuracy_m)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        `, [reportId, authenticity.score, JSON.stringify(authenticity.checks),
+            exif.lat, exif.lon, exif.timestamp && !isNaN(new Date(exif.timestamp)) ? exif.timestamp : null,
+            device.lat, device.lon, device.accuracy]);
+
+        await client.query('COMMIT');
+
+        if (authenticity.level !== 'trusted') {
+            const flagged = authenticity.checks.filter(c => c.penalty).map(c => c.check).join(', ');
+            console.log(`[Authenticity] Report #${reportId} scored ${authenticity.score} (${flagged})`);
+        }
+
+        // Push notification (fire-and-forget)
+        if (isDuplicate && parentReportId) {
+            sendSupportNotification(parentReportId, supporterCount);
+        }
+
+        return { reportId, isDuplicate, parentReportId, supporterCount, dedup, ward, authenticity };
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    }
+}
+
+module.exports = { submitReport, storeReportPhotos, SEVERITIES, LOCATION_SOURCES };
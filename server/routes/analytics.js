@@ -1,34 +1,31 @@
 /**
  * routes/analytics.js — CivicPulse Phase 4: Transparency & Proof API
  *
- * POST /api/reports/:id/proof          — Upload "after" photo to resolve a report
- * GET  /api/reports/:id/proof          — Get before/after photos + acceptance counts
+ * POST /api/reports/:id/proof          — Upload "after" photos (up to 5) to resolve a report
+ * GET  /api/reports/:id/proof          — Get before/after photo sets + acceptance counts
  * POST /api/reports/:id/vote           — Citizen accept/reject vote
  * GET  /api/analytics/ward-rankings    — Weighted ward leaderboard
  * GET  /api/analytics/heatmap          — {lat,lon,value} points for heatmap.js
- * GET  /api/analytics/feed             — Public resolved feed (before+after pairs)
+ * GET  /api/analytics/feed             — Public resolved feed (before+after pairs, report filters + cursor)
  * GET  /api/analytics/repeat-offenders — Locations with repeat failures
  */
 
 const express = require('express');
 const multer = require('multer');
-const path = require('path');
 const crypto = require('crypto');
 const pool = require('../db/pool');
-const { haversineDistance } = require('../lib/stateMachine');
+const { haversineDistance, checkReopenThreshold, REOPEN_REJECT_THRESHOLD, REOPEN_WINDOW_HOURS } = require('../lib/stateMachine');
+const { requireRole } = require('../lib/auth');
+const { logReportAction } = require('../lib/audit');
+const { SLA_POLICY_JOIN } = require('../lib/slaPolicy');
+const { MAX_PHOTOS, uploadedFiles, savePhoto, addMedia, mediaByReport } = require('../lib/media');
+const { parseReportQuery, queryReports } = require('../lib/reportQuery');
 
 const router = express.Router();
 
-// ── Multer for resolution "after" photos ────────────────────
-const storage = multer.diskStorage({
-    destination: process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'),
-    filename: (req, file, cb) => {
-        const ext = path.extname(file.originalname) || '.jpg';
-        cb(null, `proof-${req.params.id}-${Date.now()}${ext}`);
-    },
-});
+// ── Multer for resolution "after" photos (saved via lib/storage.js) ──
 const upload = multer({
-    storage,
+    storage: multer.memoryStorage(),
     limits: { fileSize: 5 * 1024 * 1024 },
     fileFilter: (req, file, cb) => {
         if (file.mimetype.startsWith('image/')) cb(null, true);
@@ -37,22 +34,29 @@ const upload = multer({
 });
 
 /* ═══════════════════════════════════════════════════════════════
-   POST /api/reports/:id/proof
-   Multipart body: afterPhoto (file), officerLat, officerLon
+   POST /api/reports/:id/proof — officer / supervisor / admin
+   Multipart body: afterPhoto (file), afterPhotos (files, optional), officerLat, officerLon
 
    Protocol:
-     1. Officer takes "after" photo via camera on-site
+     1. Officer takes "after" photos (several angles) via camera on-site
      2. GPS coordinates verified ≤ 100m from report location
      3. Photo saved, resolution_proof record created
      4. Report state transitioned to RESOLVED, resolved_at stamped
    ═══════════════════════════════════════════════════════════════ */
-router.post('/reports/:id/proof', upload.single('afterPhoto'), async (req, res) => {
+router.post('/reports/:id/proof', requireRole(), upload.fields([
+    { name: 'afterPhoto', maxCount: 1 },
+    { name: 'afterPhotos', maxCount: MAX_PHOTOS },
+]), async (req, res) => {
     const { id } = req.params;
     const { officerLat, officerLon } = req.body;
+    const files = uploadedFiles(req, 'afterPhoto', 'afterPhotos');
 
-    if (!req.file) {
+    if (!files.length) {
         return res.status(400).json({ error: '"afterPhoto" image file is required' });
     }
+    if (files.length > MAX_PHOTOS) {
+        return res.status(400).json({ error: `At most ${MAX_PHOTOS} proof photos` });
+    }
     if (officerLat == null || officerLon == null) {
         return res.status(400).json({ error: 'officerLat and officerLon are required' });
     }
@@ -100,20 +104,27 @@ router.post('/reports/:id/proof', upload.single('afterPhoto'), async (req, res)
             console.warn(`[Proof] Report #${id} has no GPS — skipping geo-fence`);
         }
 
-        const afterImageUrl = `/uploads/${req.file.filename}`;
+        const photos = [];
+        for (const file of files) photos.push(await savePhoto(file, `proof-${id}`));
+        const afterImageUrls = photos.map(p => p.url);
+        const afterImageUrl = afterImageUrls[0];
 
         // Save resolution proof
         await client.query(
-            `INSERT INTO resolution_proofs (report_id, after_image_url, officer_lat, officer_lon, distance_m)
-             VALUES ($1, $2, $3, $4, $5)
+            `INSERT INTO resolution_proofs (report_id, after_image_url, after_image_variants, officer_lat, officer_lon, distance_m, submitted_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
              ON CONFLICT (report_id) DO UPDATE
                SET after_image_url = EXCLUDED.after_image_url,
+                   after_image_variants = EXCLUDED.after_image_variants,
                    officer_lat = EXCLUDED.officer_lat,
                    officer_lon = EXCLUDED.officer_lon,
                    distance_m = EXCLUDED.distance_m,
+                   submitted_by = EXCLUDED.submitted_by,
                    submitted_at = NOW()`,
-            [id, afterImageUrl, lat, lon, distanceM]
+            [id, afterImageUrl, photos[0].variants, lat, lon, distanceM, req.user.id]
         );
+        await client.query(`DELETE FROM report_media WHERE report_id = $1 AND kind = 'proof'`, [id]);
+        await addMedia(client, { reportId: id, kind: 'proof', photos, user: req.user });
 
         // Transition report to RESOLVED
         await client.query(
@@ -123,9 +134,14 @@ router.post('/reports/:id/proof', upload.single('afterPhoto'), async (req, res)
             [id]
         );
 
+        await logReportAction({
+            reportId: id, action: 'proof', fromValue: report.state, toValue: 'RESOLVED',
+            user: req.user, detail: `${afterImageUrls.join(', ')} (${distanceM.toFixed(0)}m from site)`,
+        }, client);
+
         await client.query('COMMIT');
 
-        console.log(`[Proof] Report #${id} resolved with photo proof (${distanceM.toFixed(0)}m from site)`);
+        console.log(`[Proof] Report #${id} resolved with ${files.length} proof photo(s) (${distanceM.toFixed(0)}m from site)`);
 
         res.json({
             success: true,
@@ -133,6 +149,9 @@ router.post('/reports/:id/proof', upload.single('afterPhoto'), async (req, res)
             proof: {
                 reportId: id,
                 afterImageUrl,
+                afterImageUrls,
+                afterImageVariants: photos[0].variants,
+                submittedBy: { id: req.user.id, name: req.user.name },
                 distanceMetres: Math.round(distanceM),
                 submittedAt: new Date().toISOString(),
             },
@@ -160,14 +179,16 @@ router.get('/reports/:id/proof', async (req, res) => {
         const { rows } = await pool.query(
             `SELECT
                r.id, r.category, r.description, r.location_text, r.state,
-               r.image_url AS before_image_url, r.resolved_at,
+               r.image_url AS before_image_url, r.image_variants AS before_image_variants, r.resolved_at,
                r.accept_count, r.reject_count, r.resolution_accepted,
-               r.gps_lat, r.gps_lon,
+               r.reopen_count, r.gps_lat, r.gps_lon,
                w.ward_name, w.officer_name,
-               p.after_image_url, p.distance_m, p.officer_lat, p.officer_lon, p.submitted_at
+               p.after_image_url, p.after_image_variants, p.distance_m, p.officer_lat, p.officer_lon, p.submitted_at,
+               u.name AS submitted_by_name
              FROM reports r
              LEFT JOIN city_wards w ON r.ward_id = w.ward_id
              LEFT JOIN resolution_proofs p ON p.report_id = r.id
+             LEFT JOIN staff_users u ON u.id = p.submitted_by
              WHERE r.id = $1`,
             [id]
         );
@@ -176,7 +197,20 @@ router.get('/reports/:id/proof', async (req, res) => {
             return res.status(404).json({ error: `Report #${id} not found` });
         }
 
-        res.json(rows[0]);
+        const { rows: rejected } = await pool.query(
+            `SELECT after_image_url, after_image_variants, submitted_at, accept_count, reject_count, reason, rejected_at
+             FROM rejected_resolution_proofs WHERE report_id = $1 ORDER BY rejected_at DESC`,
+            [id]
+        );
+
+        const media = (await mediaByReport([rows[0].id]))[rows[0].id] || { report: [], proof: [] };
+
+        res.json({
+            ...rows[0],
+            before_images: media.report,
+            after_images: media.proof,
+            rejected_proofs: rejected,
+        });
 
     } catch (err) {
         res.status(500).json({ error: 'Failed to fetch proof', detail: err.message });
@@ -189,6 +223,7 @@ router.get('/reports/:id/proof', async (req, res) => {
 
    Anonymous, idempotent — one vote per browser token per report.
    Updates accept_count / reject_count on the report atomically.
+   Enough reject votes inside the voting window reopen the report.
    ═══════════════════════════════════════════════════════════════ */
 router.post('/reports/:id/vote', async (req, res) => {
     const { id } = req.params;
@@ -278,12 +313,28 @@ router.post('/reports/:id/vote', async (req, res) => {
 
         await client.query('COMMIT');
 
+        // Citizens rejecting the fix reopens the report (outside the vote transaction)
+        const reopened = vote === 'reject'
+            ? await checkReopenThreshold(id).catch(err => {
+                console.error(`[Reopen] Threshold check failed for #${id}:`, err.message);
+                return null;
+            })
+            : null;
+        if (reopened && global.sseClients && global.sseClients.size > 0) {
+            const evt = JSON.stringify({ type: 'transition', reportId: parseInt(id), toState: 'REOPENED' });
+            global.sseClients.forEach(c => { try { c.write(`data: ${evt}\n\n`); } catch { } });
+        }
+
         res.json({
             success: true,
             vote,
-            accept_count: acceptCount,
-            reject_count: rejectCount,
-            resolution_accepted: accepted,
+            accept_count: reopened ? 0 : acceptCount,
+            reject_count: reopened ? 0 : rejectCount,
+            resolution_accepted: reopened ? false : accepted,
+            reopened: !!reopened,
+            reopen_threshold: REOPEN_REJECT_THRESHOLD,
+            voting_window_hours: REOPEN_WINDOW_HOURS,
+            ...(reopened && { message: `🔁 Report #${id} reopened — the resolution was rejected by citizens` }),
         });
 
     } catch (err) {
@@ -297,33 +348,37 @@ router.post('/reports/:id/vote', async (req, res) => {
 /* ═══════════════════════════════════════════════════════════════
    GET /api/analytics/feed
    Returns resolved reports with before+after photos for public feed.
-   Ordered by resolved_at DESC.
+   Ordered by resolved_at DESC; takes the report filters of
+   lib/reportQuery.js and pages with next_cursor.
    ═══════════════════════════════════════════════════════════════ */
 router.get('/analytics/feed', async (req, res) => {
-    const { limit = 50, offset = 0 } = req.query;
     try {
-        const { rows } = await pool.query(
-            `SELECT
+        const filters = parseReportQuery(req.query, { sort: 'resolved', limit: 50 });
+        const { rows, next_cursor } = await queryReports(pool, filters, {
+            select: `
                r.id, r.category, r.description, r.location_text,
-               r.image_url AS before_image_url,
+               r.image_url AS before_image_url, r.image_variants AS before_image_variants,
                r.resolved_at, r.accept_count, r.reject_count,
                r.resolution_accepted, r.supporter_count, r.created_at,
                r.gps_lat, r.gps_lon,
                w.ward_name, w.zone, w.officer_name,
-               p.after_image_url, p.distance_m, p.submitted_at
-             FROM reports r
-             LEFT JOIN city_wards w ON r.ward_id = w.ward_id
-             LEFT JOIN resolution_proofs p ON p.report_id = r.id
-             WHERE r.state = 'RESOLVED'
-               AND r.parent_report_id IS NULL
-             ORDER BY r.resolved_at DESC NULLS LAST
-             LIMIT $1 OFFSET $2`,
-            [parseInt(limit), parseInt(offset)]
-        );
+               p.after_image_url, p.after_image_variants, p.distance_m, p.submitted_at`,
+            joins: 'LEFT JOIN resolution_proofs p ON p.report_id = r.id',
+            where: ["r.state = 'RESOLVED'"],
+        });
 
-        res.json({ reports: rows, count: rows.length });
+        // Before / after photo sets for each card
+        const media = await mediaByReport(rows.map(r => r.id));
+        const reports = rows.map(r => ({
+            ...r,
+            before_images: media[r.id]?.report || [],
+            after_images: media[r.id]?.proof || [],
+        }));
+
+        res.json({ reports, count: reports.length, next_cursor });
 
     } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
         res.status(500).json({ error: 'Failed to fetch feed', detail: err.message });
     }
 });
@@ -351,6 +406,13 @@ router.get('/analytics/ward-rankings', async (req, res) => {
               ELSE NULL
             END
           )                                                               AS avg_response_hours,
+          -- Response time as a fraction of each report's L3 deadline (policy-aware)
+          AVG(
+            CASE WHEN r.state = 'RESOLVED' AND r.assigned_at IS NOT NULL AND r.resolved_at IS NOT NULL
+              THEN EXTRACT(EPOCH FROM (r.resolved_at - r.assigned_at)) / 3600 / sp.l3_hours
+              ELSE NULL
+            END
+          )                                                               AS avg_response_ratio,
           AVG(r.supporter_count)                                          AS avg_supporters,
           SUM(r.accept_count)                                             AS total_accepts,
           SUM(r.reject_count)                                             AS total_rejects
@@ -358,6 +420,9 @@ router.get('/analytics/ward-rankings', async (req, res) => {
         LEFT JOIN reports r
           ON r.ward_id = w.ward_id
           AND r.parent_report_id IS NULL
+          AND r.state NOT IN ('REJECTED', 'TRANSFERRED')   -- triaged out, not the ward's work
+        ${SLA_POLICY_JOIN}
+        WHERE w.is_active
         GROUP BY w.ward_id, w.ward_name, w.zone, w.officer_name
       )
       SELECT
@@ -371,17 +436,17 @@ router.get('/analytics/ward-rankings', async (req, res) => {
           THEN ROUND((resolved::numeric / total), 4)
           ELSE 0
         END                                         AS resolution_rate,
-        -- Response Time Score: clamped 0–1, best is 0h worst is 168h
-        CASE WHEN avg_response_hours IS NOT NULL
-          THEN ROUND(GREATEST(0, 1.0 - avg_response_hours / 168.0)::numeric, 4)
+        -- Response Time Score: clamped 0–1, best is 0h worst is the L3 deadline (default 168h)
+        CASE WHEN avg_response_ratio IS NOT NULL
+          THEN ROUND(GREATEST(0, 1.0 - avg_response_ratio)::numeric, 4)
           ELSE 0
         END                                         AS response_time_score,
         -- WEIGHTED SCORE: Score = (ResRate × 0.6) + (RespScore × 0.4)
         ROUND((
           CASE WHEN total > 0 THEN (resolved::numeric / total) ELSE 0 END * 0.6
           +
-          CASE WHEN avg_response_hours IS NOT NULL
-            THEN GREATEST(0, 1.0 - avg_response_hours / 168.0) ELSE 0 END * 0.4
+          CASE WHEN avg_response_ratio IS NOT NULL
+            THEN GREATEST(0, 1.0 - avg_response_ratio) ELSE 0 END * 0.4
         )::numeric, 4)                              AS score
       FROM ward_stats
       ORDER BY score DESC, resolved DESC
@@ -433,6 +498,7 @@ router.get('/analytics/heatmap', async (req, res) => {
              WHERE r.gps_lat IS NOT NULL
                AND r.gps_lon IS NOT NULL
                AND r.parent_report_id IS NULL
+               AND r.state <> 'REJECTED'
                AND r.created_at > NOW() - ($1 || ' days')::INTERVAL
                ${catFilter}`,
             params
@@ -457,7 +523,8 @@ router.get('/analytics/heatmap', async (req, res) => {
 router.get('/analytics/repeat-offenders', async (req, res) => {
     const { days = 90, minCount = 3 } = req.query;
     try {
-        // Cluster within 50m using ST_DWithin — groups nearby reports
+        // Grid cells sized to each category's dedup radius (dedup_settings), so a
+        // hotspot is "the same spot" by the same measure duplicate detection uses
         const { rows } = await pool.query(
             `SELECT
                r.category,
@@ -467,16 +534,18 @@ router.get('/analytics/repeat-offenders', async (req, res) => {
                MAX(r.created_at) AS last_seen,
                MIN(r.created_at) AS first_seen,
                SUM(r.supporter_count) AS total_supporters,
+               ds.radius_m,
                w.ward_name, w.zone
              FROM reports r
+             LEFT JOIN LATERAL dedup_settings_for(r.category) ds ON TRUE
              LEFT JOIN city_wards w ON r.ward_id = w.ward_id
              WHERE r.gps_lat IS NOT NULL
                AND r.parent_report_id IS NULL
+               AND r.state <> 'REJECTED'
                AND r.created_at > NOW() - ($1 || ' days')::INTERVAL
-             GROUP BY r.category, w.ward_name, w.zone,
-               -- Spatial grid cell (approx 100m resolution at Delhi latitude)
-               ROUND(r.gps_lat::numeric, 3),
-               ROUND(r.gps_lon::numeric, 3)
+             GROUP BY r.category, ds.radius_m, w.ward_name, w.zone,
+               FLOOR(r.gps_lat * 111320 / ds.radius_m),
+               FLOOR(r.gps_lon * 111320 * COS(RADIANS(r.gps_lat)) / ds.radius_m)
              HAVING COUNT(*) >= $2
              ORDER BY incident_count DESC, total_supporters DESC`,
             [parseInt(days), parseInt(minCount)]
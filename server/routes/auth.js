@@ -0,0 +1,161 @@
+/**
+ * routes/auth.js — Staff Sign-In + Account Management
+ *
+ * POST  /api/auth/login      — Email + password → bearer token
+ * POST  /api/auth/logout     — Revoke current token
+ * GET   /api/auth/me         — Current staff user
+ * GET   /api/auth/users      — List staff accounts        (admin)
+ * POST  /api/auth/users      — Create officer/supervisor/admin (admin)
+ * PATCH /api/auth/users/:id  — Change role, ward, password, active flag (admin)
+ */
+
+const express = require('express');
+const pool = require('../db/pool');
+const {
+    ROLES, hashPassword, verifyPassword, createSession, revokeSession, requireRole,
+} = require('../lib/auth');
+
+const router = express.Router();
+
+const USER_COLUMNS = 'id, name, email, phone, role, ward_id, is_active, created_at, last_login_at';
+
+/* ═══════════════════════════════════════════════════════════════
+   POST /api/auth/login
+   Body: { email, password }
+   ═══════════════════════════════════════════════════════════════ */
+router.post('/login', async (req, res) => {
+    const { email, password } = req.body;
+    if (typeof email !== 'string' || !email.trim() || typeof password !== 'string' || !password) {
+        return res.status(400).json({ error: 'email and password are required' });
+    }
+
+    try {
+        const { rows } = await pool.query(
+            `SELECT id, name, email, phone, role, ward_id, password_hash
+             FROM staff_users WHERE email = LOWER($1) AND is_active = TRUE`,
+            [email.trim()]
+        );
+        const user = rows[0];
+        if (!user || !(await verifyPassword(password, user.password_hash))) {
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+
+        const { token, expiresAt } = await createSession(user.id);
+        delete user.password_hash;
+
+        console.log(`[Auth] ${user.role} ${user.email} signed in`);
+        res.json({ success: true, token, expiresAt, user });
+    } catch (err) {
+        console.error('[Auth] POST /login error:', err.message);
+        res.status(500).json({ error: 'Failed to sign in', detail: err.message });
+    }
+});
+
+/* POST /api/auth/logout */
+router.post('/logout', requireRole(), async (req, res) => {
+    try {
+        await revokeSession(req.authToken);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to sign out', detail: err.message });
+    }
+});
+
+/* GET /api/auth/me */
+router.get('/me', requireRole(), (req, res) => {
+    res.json({ user: req.user });
+});
+
+/* ═══════════════════════════════════════════════════════════════
+   Admin: staff account management
+   ═══════════════════════════════════════════════════════════════ */
+router.get('/users', requireRole('admin'), async (req, res) => {
+    try {
+        const { rows } = await pool.query(`SELECT ${USER_COLUMNS} FROM staff_users ORDER BY role, name`);
+        res.json({ users: rows, count: rows.length });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to fetch users', detail: err.message });
+    }
+});
+
+router.post('/users', requireRole('admin'), async (req, res) => {
+    const { name, email, password, role = 'officer', phone, ward_id } = req.body;
+    if ([name, email, password].some(v => typeof v !== 'string' || !v.trim())) {
+        return res.status(400).json({ error: 'name, email and password are required' });
+    }
+    if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (password.length < 8) {
+        return res.status(400).json({ error: 'password must be at least 8 characters' });
+    }
+
+    try {
+        const { rows } = await pool.query(
+            `INSERT INTO staff_users (name, email, password_hash, role, phone, ward_id)
+             VALUES ($1, LOWER($2), $3, $4, $5, $6)
+             RETURNING ${USER_COLUMNS}`,
+            [name.trim(), email.trim(), await hashPassword(password), role, phone || null, ward_id || null]
+        );
+        res.status(201).json({ success: true, user: rows[0] });
+    } catch (err) {
+        if (err.code === '23505') {
+            return res.status(409).json({ error: `A staff account for ${email} already exists` });
+        }
+        res.status(500).json({ error: 'Failed to create user', detail: err.message });
+    }
+});
+
+router.patch('/users/:id', requireRole('admin'), async (req, res) => {
+    const { id } = req.params;
+    const { name, role, phone, ward_id, is_active, password } = req.body;
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+        return res.status(400).json({ error: 'name must be a non-empty string' });
+    }
+    if (role !== undefined && !ROLES.includes(role)) {
+        return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (password !== undefined && (typeof password !== 'string' || password.length < 8)) {
+        return res.status(400).json({ error: 'password must be a string of at least 8 characters' });
+    }
+    // JSON sends a boolean, a form sends "true" / "false"
+    const active = String(is_active) === 'true' ? true : String(is_active) === 'false' ? false : undefined;
+    if (is_active !== undefined && active === undefined) {
+        return res.status(400).json({ error: 'is_active must be true or false' });
+    }
+
+    const setClauses = [];
+    const values = [id];
+    const set = (col, val) => { values.push(val); setClauses.push(`${col} = $${values.length}`); };
+
+    try {
+        if (name !== undefined) set('name', name.trim());
+        if (role !== undefined) set('role', role);
+        if (phone !== undefined) set('phone', phone || null);
+        if (ward_id !== undefined) set('ward_id', ward_id || null);
+        if (active !== undefined) set('is_active', active);
+        if (password !== undefined) set('password_hash', await hashPassword(password));
+
+        if (!setClauses.length) {
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
+
+        const { rows } = await pool.query(
+            `UPDATE staff_users SET ${setClauses.join(', ')} WHERE id = $1 RETURNING ${USER_COLUMNS}`,
+            values
+        );
+        if (!rows.length) return res.status(404).json({ error: `User #${id} not found` });
+
+        // Deactivation or password reset ends every open session for that user
+        if (active === false || password !== undefined) {
+            await pool.query('DELETE FROM staff_sessions WHERE user_id = $1', [id]);
+        }
+
+        res.json({ success: true, user: rows[0] });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to update user', detail: err.message });
+    }
+});
+
+module.exports = router;
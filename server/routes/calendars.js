@@ -0,0 +1,206 @@
+/**
+ * routes/calendars.js — Working Calendars (business-hours SLA clocks)
+ *
+ * GET    /api/calendars                          — Calendars with their holidays (public)
+ * GET    /api/calendars/working-hours?from=&to=  — Working hours between two instants
+ * POST   /api/calendars                          — Create a city calendar          (admin)
+ * PATCH  /api/calendars/:id                      — Office hours / weekly offs / default (admin)
+ * PUT    /api/calendars/:id/holidays             — Add or rename holidays           (admin)
+ * DELETE /api/calendars/:id/holidays/:date       — Remove a holiday                 (admin)
+ *
+ * SLA policies with clock = 'business' are measured against the report ward's
+ * calendar (city_wards.calendar_id), or the default calendar if it has none.
+ */
+
+const express = require('express');
+const pool = require('../db/pool');
+const { requireRole } = require('../lib/auth');
+
+const router = express.Router();
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const CALENDAR_COLUMNS = `c.id, c.city, c.timezone, to_char(c.day_start, 'HH24:MI') AS day_start,
+    to_char(c.day_end, 'HH24:MI') AS day_end, c.weekly_offs, c.is_default, c.updated_at`;
+
+/**
+ * validateCalendar(body, partial) — returns an error string or null
+ */
+function validateCalendar(body, partial = false) {
+    const { city, timezone, day_start, day_end, weekly_offs } = body;
+    if (!partial && !city) return 'city is required';
+    if (timezone !== undefined && !isValidTimezone(timezone)) return `Unknown timezone '${timezone}'`;
+    if (day_start !== undefined && !TIME_RE.test(day_start)) return 'day_start must be HH:MM';
+    if (day_end !== undefined && !TIME_RE.test(day_end)) return 'day_end must be HH:MM';
+    if (day_start && day_end && day_start >= day_end) return 'day_start must be before day_end';
+    if (weekly_offs !== undefined) {
+        if (!Array.isArray(weekly_offs) || weekly_offs.some(d => !Number.isInteger(d) || d < 1 || d > 7)) {
+            return 'weekly_offs must be an array of ISO weekdays (1 = Mon … 7 = Sun)';
+        }
+        if (weekly_offs.length >= 7) return 'weekly_offs cannot cover the whole week';
+    }
+    return null;
+}
+
+function isValidTimezone(tz) {
+    try {
+        new Intl.DateTimeFormat('en', { timeZone: tz });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+router.get('/calendars', async (req, res) => {
+    try {
+        const { rows } = await pool.query(`
+            SELECT ${CALENDAR_COLUMNS},
+                   COALESCE(
+                       json_agg(json_build_object('date', h.holiday_date, 'name', h.name) ORDER BY h.holiday_date)
+                           FILTER (WHERE h.holiday_date IS NOT NULL),
+                       '[]') AS holidays
+            FROM working_calendars c
+            LEFT JOIN calendar_holidays h ON h.calendar_id = c.id
+            GROUP BY c.id
+            ORDER BY c.is_default DESC, c.city
+        `);
+        res.json({ calendars: rows, count: rows.length });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to fetch calendars', detail: err.message });
+    }
+});
+
+router.get('/calendars/working-hours', async (req, res) => {
+    const { from, to = new Date().toISOString(), calendar_id } = req.query;
+    if (!from || isNaN(Date.parse(from)) || isNaN(Date.parse(to))) {
+        return res.status(400).json({ error: 'from (and optional to) must be ISO timestamps' });
+    }
+    try {
+        const { rows } = await pool.query(
+            `SELECT working_hours_between($1::timestamptz, $2::timestamptz, $3::int) AS working_hours,
+                    EXTRACT(EPOCH FROM ($2::timestamptz - $1::timestamptz)) / 3600 AS wall_hours`,
+            [from, to, calendar_id ? parseInt(calendar_id) : null]
+        );
+        res.json({
+            from, to,
+            working_hours: Math.round(rows[0].working_hours * 100) / 100,
+            wall_hours: Math.round(rows[0].wall_hours * 100) / 100,
+        });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to compute working hours', detail: err.message });
+    }
+});
+
+/* ═══════════════════════════════════════════════════════════
+   POST /api/calendars — admin
+   Body: { city, timezone?, day_start?, day_end?, weekly_offs?, is_default? }
+   ═══════════════════════════════════════════════════════════ */
+router.post('/calendars', requireRole('admin'), async (req, res) => {
+    const problem = validateCalendar(req.body);
+    if (problem) return res.status(400).json({ error: problem });
+
+    const { city, timezone = 'Asia/Kolkata', day_start = '09:00', day_end = '17:30', weekly_offs = [7], is_default = false } = req.body;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        if (is_default) await client.query('UPDATE working_calendars SET is_default = FALSE WHERE is_default');
+        const { rows } = await client.query(`
+            INSERT INTO working_calendars AS c (city, timezone, day_start, day_end, weekly_offs, is_default)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING ${CALENDAR_COLUMNS}
+        `, [city.trim(), timezone, day_start, day_end, weekly_offs, !!is_default]);
+        await client.query('COMMIT');
+
+        console.log(`[Calendar] Created ${city} calendar by ${req.user.email}`);
+        res.status(201).json({ success: true, calendar: rows[0] });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (err.code === '23505') return res.status(409).json({ error: `A calendar for ${city} already exists` });
+        res.status(500).json({ error: 'Failed to create calendar', detail: err.message });
+    } finally {
+        client.release();
+    }
+});
+
+router.patch('/calendars/:id', requireRole('admin'), async (req, res) => {
+    const problem = validateCalendar(req.body, true);
+    if (problem) return res.status(400).json({ error: problem });
+
+    const { timezone, day_start, day_end, weekly_offs, is_default } = req.body;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        if (is_default === true) await client.query('UPDATE working_calendars SET is_default = FALSE WHERE is_default AND id <> $1', [req.params.id]);
+        const { rows } = await client.query(`
+            UPDATE working_calendars AS c
+            SET timezone    = COALESCE($2, timezone),
+                day_start   = COALESCE($3::time, day_start),
+                day_end     = COALESCE($4::time, day_end),
+                weekly_offs = COALESCE($5::smallint[], weekly_offs),
+                is_default  = COALESCE($6, is_default),
+                updated_at  = NOW()
+            WHERE id = $1
+            RETURNING ${CALENDAR_COLUMNS}
+        `, [req.params.id, timezone ?? null, day_start ?? null, day_end ?? null, weekly_offs ?? null,
+            typeof is_default === 'boolean' ? is_default : null]);
+        if (!rows.length) throw Object.assign(new Error('Calendar not found'), { status: 404 });
+        await client.query('COMMIT');
+
+        res.json({ success: true, calendar: rows[0] });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        // day_start / day_end may only conflict once combined with the stored value
+        if (err.code === '23514') return res.status(400).json({ error: 'day_start must be before day_end' });
+        res.status(err.status || 500).json({ error: err.message });
+    } finally {
+        client.release();
+    }
+});
+
+/* ═══════════════════════════════════════════════════════════
+   PUT /api/calendars/:id/holidays — admin
+   Body: { holidays: [{ date: 'YYYY-MM-DD', name }] }  (or a single { date, name })
+   ═══════════════════════════════════════════════════════════ */
+router.put('/calendars/:id/holidays', requireRole('admin'), async (req, res) => {
+    const holidays = Array.isArray(req.body.holidays) ? req.body.holidays : [req.body];
+    const bad = holidays.find(h => !h || !DATE_RE.test(h.date || '') || isNaN(Date.parse(h.date)) || !h.name);
+    if (!holidays.length || bad) {
+        return res.status(400).json({ error: 'Each holiday needs a date (YYYY-MM-DD) and a name' });
+    }
+
+    try {
+        const { rows } = await pool.query(`
+            INSERT INTO calendar_holidays (calendar_id, holiday_date, name)
+            SELECT $1, h.date, h.name
+            FROM unnest($2::date[], $3::text[]) AS h(date, name)
+            WHERE EXISTS (SELECT 1 FROM working_calendars WHERE id = $1)
+            ON CONFLICT (calendar_id, holiday_date) DO UPDATE SET name = EXCLUDED.name
+            RETURNING holiday_date AS date, name
+        `, [req.params.id, holidays.map(h => h.date), holidays.map(h => String(h.name).trim())]);
+        if (!rows.length) return res.status(404).json({ error: 'Calendar not found' });
+
+        console.log(`[Calendar] ${rows.length} holiday(s) saved on calendar #${req.params.id} by ${req.user.email}`);
+        res.json({ success: true, holidays: rows });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to save holidays', detail: err.message });
+    }
+});
+
+router.delete('/calendars/:id/holidays/:date', requireRole('admin'), async (req, res) => {
+    if (!DATE_RE.test(req.params.date)) return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    try {
+        const { rowCount } = await pool.query(
+            'DELETE FROM calendar_holidays WHERE calendar_id = $1 AND holiday_date = $2',
+            [req.params.id, req.params.date]
+        );
+        if (!rowCount) return res.status(404).json({ error: 'Holiday not found' });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to delete holiday', detail: err.message });
+    }
+});
+
+module.exports = router;
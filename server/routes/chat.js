@@ -3,6 +3,9 @@
  *
  * GET  /api/reports/:id/chat  — Fetch messages for a report
  * POST /api/reports/:id/chat  — Post a new message
+ *
+ * Citizens post anonymously. 'authority' messages require a staff sign-in and
+ * take their sender name from the account; 'system' is reserved for admins.
  */
 
 const express = require('express');
@@ -39,6 +42,16 @@ router.post('/reports/:id/chat', async (req, res) => {
     if (!['citizen', 'authority', 'system'].includes(sender_role)) {
         return res.status(400).json({ error: 'sender_role must be citizen | authority | system' });
     }
+    if (sender_role !== 'citizen' && !req.user) {
+        return res.status(401).json({ error: `Staff sign-in required to post as '${sender_role}'` });
+    }
+    if (sender_role === 'system' && req.user.role !== 'admin') {
+        return res.status(403).json({ error: "Only admins may post as 'system'" });
+    }
+
+    const isStaff = sender_role !== 'citizen';
+    const senderName = isStaff ? req.user.name : String(sender_name);
+    const senderUserId = isStaff ? req.user.id : null;
 
     try {
         // Verify report exists
@@ -46,10 +59,10 @@ router.post('/reports/:id/chat', async (req, res) => {
         if (!rr.length) return res.status(404).json({ error: `Report #${id} not found` });
 
         const { rows } = await pool.query(
-            `INSERT INTO report_chat (report_id, sender_role, sender_name, message)
-             VALUES ($1, $2, $3, $4)
+            `INSERT INTO report_chat (report_id, sender_role, sender_name, message, sender_user_id)
+             VALUES ($1, $2, $3, $4, $5)
              RETURNING id, report_id, sender_role, sender_name, message, sent_at`,
-            [id, sender_role, sender_name.slice(0, 100), message.trim().slice(0, 1000)]
+            [id, sender_role, senderName.slice(0, 100), message.trim().slice(0, 1000), senderUserId]
         );
 
         // Broadcast to SSE clients
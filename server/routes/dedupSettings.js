@@ -0,0 +1,95 @@
+/**
+ * routes/dedupSettings.js — Duplicate-detection radius + window per category
+ *
+ * GET    /api/dedup-settings                     — All settings (public)
+ * GET    /api/dedup-settings/resolve?category=   — Settings that apply to a category
+ * PUT    /api/dedup-settings                     — Create / replace a category's settings  (admin)
+ * DELETE /api/dedup-settings/:category           — Fall back to the city-wide default     (admin)
+ *
+ * Used by POST /api/reports (lib/dedup.js) and GET /api/analytics/repeat-offenders.
+ * The city-wide '*' row can be edited but not deleted.
+ */
+
+const express = require('express');
+const pool = require('../db/pool');
+const { requireRole } = require('../lib/auth');
+const { dedupSettingsFor } = require('../lib/dedup');
+
+const router = express.Router();
+
+const MAX_RADIUS_M = 2000;
+
+router.get('/dedup-settings', async (req, res) => {
+    try {
+        const { rows } = await pool.query(`
+            SELECT s.category, s.radius_m, s.window_days, s.updated_at, u.name AS updated_by_name
+            FROM dedup_settings s
+            LEFT JOIN staff_users u ON u.id = s.updated_by
+            ORDER BY (s.category = '*') DESC, s.category
+        `);
+        res.json({ settings: rows, count: rows.length });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to fetch dedup settings', detail: err.message });
+    }
+});
+
+router.get('/dedup-settings/resolve', async (req, res) => {
+    const { category } = req.query;
+    if (!category) return res.status(400).json({ error: 'category is required' });
+    try {
+        res.json({ settings: await dedupSettingsFor(category) });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to resolve dedup settings', detail: err.message });
+    }
+});
+
+/* ═══════════════════════════════════════════════════════════
+   PUT /api/dedup-settings
+   Body: { category?: '*', radius_m, window_days }
+   ═══════════════════════════════════════════════════════════ */
+router.put('/dedup-settings', requireRole('admin'), async (req, res) => {
+    const category = String(req.body.category ?? '*').trim() || '*';
+    const radius = parseFloat(req.body.radius_m);
+    const windowDays = parseInt(req.body.window_days);
+
+    if (!(radius > 0 && radius <= MAX_RADIUS_M)) {
+        return res.status(400).json({ error: `radius_m must be between 0 and ${MAX_RADIUS_M}` });
+    }
+    if (!(windowDays > 0)) {
+        return res.status(400).json({ error: 'window_days must be a positive whole number' });
+    }
+
+    try {
+        const { rows } = await pool.query(`
+            INSERT INTO dedup_settings (category, radius_m, window_days, updated_by)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (category) DO UPDATE
+              SET radius_m = EXCLUDED.radius_m,
+                  window_days = EXCLUDED.window_days,
+                  updated_by = EXCLUDED.updated_by,
+                  updated_at = NOW()
+            RETURNING category, radius_m, window_days, updated_at
+        `, [category, radius, windowDays, req.user.id]);
+
+        console.log(`[Dedup] Settings ${category} → ${radius}m / ${windowDays}d by ${req.user.email}`);
+        res.json({ success: true, settings: rows[0] });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to save dedup settings', detail: err.message });
+    }
+});
+
+router.delete('/dedup-settings/:category', requireRole('admin'), async (req, res) => {
+    const { category } = req.params;
+    if (category === '*') {
+        return res.status(409).json({ error: 'The city-wide default cannot be deleted' });
+    }
+    try {
+        const { rowCount } = await pool.query('DELETE FROM dedup_settings WHERE category = $1', [category]);
+        if (!rowCount) return res.status(404).json({ error: `No dedup settings for ${category}` });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to delete dedup settings', detail: err.message });
+    }
+});
+
+module.exports = router;
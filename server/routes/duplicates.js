@@ -0,0 +1,126 @@
+/**
+ * routes/duplicates.js — Officer review of possible duplicates
+ *
+ * GET  /api/duplicate-reviews              — Held pairs (?status=pending|merged|dismissed, ?report_id=)  (staff)
+ * POST /api/duplicate-reviews/:id/confirm  — Same issue: merge the new report into the candidate        (staff)
+ * POST /api/duplicate-reviews/:id/dismiss  — Different issues: keep both reports                         (staff)
+ *
+ * Pairs land here when POST /api/reports scores a match between the review and
+ * merge thresholds (see lib/dedup.js).
+ */
+
+const express = require('express');
+const pool = require('../db/pool');
+const { requireRole } = require('../lib/auth');
+const { mergeReports } = require('../lib/merge');
+const { logReportAction } = require('../lib/audit');
+
+const router = express.Router();
+
+const REVIEW_STATUSES = ['pending', 'merged', 'dismissed'];
+
+router.get('/duplicate-reviews', requireRole(), async (req, res) => {
+    const status = req.query.status || 'pending';
+    if (!REVIEW_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${REVIEW_STATUSES.join(', ')}` });
+    }
+    const reportId = req.query.report_id ? parseInt(req.query.report_id) : null;
+
+    try {
+        const { rows } = await pool.query(`
+            SELECT d.id, d.report_id, d.candidate_report_id, d.confidence,
+                   d.distance_m, d.text_similarity, d.hash_distance, d.status, d.reviewed_at, d.created_at, u.name AS reviewed_by_name,
+                   r.category, r.description, r.image_url, r.image_variants, r.location_text,
+                   c.description AS candidate_description, c.image_url AS candidate_image_url,
+                   c.image_variants AS candidate_image_variants,
+                   c.state AS candidate_state, w.ward_name
+            FROM duplicate_reviews d
+            JOIN reports r ON r.id = d.report_id
+            JOIN reports c ON c.id = d.candidate_report_id
+            LEFT JOIN city_wards w ON w.ward_id = r.ward_id
+            LEFT JOIN staff_users u ON u.id = d.reviewed_by
+            WHERE d.status = $1
+              AND ($2::int IS NULL OR d.report_id = $2 OR d.candidate_report_id = $2)
+            ORDER BY d.confidence DESC, d.created_at ASC
+            LIMIT 200
+        `, [status, reportId]);
+        res.json({ reviews: rows, count: rows.length });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to fetch duplicate reviews', detail: err.message });
+    }
+});
+
+// Locks the review row so a concurrent confirm / dismiss waits, then sees it decided
+async function pendingReview(client, id) {
+    const { rows } = await client.query('SELECT * FROM duplicate_reviews WHERE id = $1 FOR UPDATE', [id]);
+    if (!rows.length) throw Object.assign(new Error('Duplicate review not found'), { status: 404 });
+    if (rows[0].status !== 'pending') {
+        throw Object.assign(new Error(`Duplicate review already ${rows[0].status}`), { status: 409 });
+    }
+    return rows[0];
+}
+
+router.post('/duplicate-reviews/:id/confirm', requireRole(), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const review = await pendingReview(client, req.params.id);
+        const result = await mergeReports({
+            childId: review.report_id,
+            parentId: review.candidate_report_id,
+            user: req.user,
+            reason: `Possible duplicate confirmed (${Math.round(review.confidence * 100)}% match)`,
+            client,
+        });
+        await client.query(
+            `UPDATE duplicate_reviews SET status = 'merged', reviewed_by = $2, reviewed_at = NOW() WHERE id = $1`,
+            [review.id, req.user.id]
+        );
+        await client.query('COMMIT');
+        console.log(`[Merge] Report #${review.report_id} → #${review.candidate_report_id} by ${req.user.email} (duplicate review #${review.id})`);
+
+        if (global.sseClients && global.sseClients.size > 0) {
+            const evt = JSON.stringify({ type: 'merge', reportId: review.report_id, parentId: review.candidate_report_id });
+            global.sseClients.forEach(c => { try { c.write(`data: ${evt}\n\n`); } catch { } });
+        }
+
+        res.json({
+            success: true,
+            ...result,
+            message: `🤝 Report #${review.report_id} merged into #${review.candidate_report_id}`,
+        });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (!err.status) console.error('[API] POST /duplicate-reviews/:id/confirm error:', err);
+        res.status(err.status || 500).json({ error: err.message });
+    } finally {
+        client.release();
+    }
+});
+
+router.post('/duplicate-reviews/:id/dismiss', requireRole(), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const review = await pendingReview(client, req.params.id);
+        await client.query(
+            `UPDATE duplicate_reviews SET status = 'dismissed', reviewed_by = $2, reviewed_at = NOW() WHERE id = $1`,
+            [review.id, req.user.id]
+        );
+        await logReportAction({
+            reportId: review.report_id, action: 'duplicate_dismissed',
+            toValue: String(review.candidate_report_id), user: req.user,
+            detail: `${Math.round(review.confidence * 100)}% match — kept as a separate report`,
+        }, client);
+        await client.query('COMMIT');
+        res.json({ success: true, message: `✅ Report #${review.report_id} kept separate from #${review.candidate_report_id}` });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (!err.status) console.error('[API] POST /duplicate-reviews/:id/dismiss error:', err);
+        res.status(err.status || 500).json({ error: err.message });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
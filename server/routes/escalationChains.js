@@ -0,0 +1,164 @@
+/**
+ * routes/escalationChains.js — Escalation Hierarchy Administration
+ *
+ * GET    /api/escalation-chains                  — Chain entries (?ward_id= / ?zone= / ?level=)  (supervisor, admin)
+ * GET    /api/escalation-chains/resolve?ward_id= — Effective recipients per level for a ward    (supervisor, admin)
+ * POST   /api/escalation-chains                  — Add an entry                                  (admin)
+ * PATCH  /api/escalation-chains/:id              — Edit / deactivate an entry                    (admin)
+ * DELETE /api/escalation-chains/:id              — Remove an entry                               (admin)
+ *
+ * An entry is scoped to a ward (ward_id), a zone (zone) or the whole city
+ * (neither). Recipients are a staff account (staff_user_id — required for push)
+ * or explicit name / email / phone. See lib/escalationChain.js for resolution.
+ */
+
+const express = require('express');
+const pool = require('../db/pool');
+const { requireRole } = require('../lib/auth');
+const { CHANNELS, resolveEscalationChain } = require('../lib/escalationChain');
+
+const router = express.Router();
+
+const CHAIN_COLUMNS = `c.id, c.ward_id, c.zone, c.level, c.channel, c.staff_user_id,
+    c.recipient_name, c.recipient_email, c.recipient_phone, c.is_active, c.updated_at`;
+
+/**
+ * validateEntry(entry) — checks a complete (merged) entry, returns an error string or null
+ */
+function validateEntry(e) {
+    if (e.ward_id != null && e.zone) return 'An entry is scoped to a ward or a zone, not both';
+    if (![1, 2, 3].includes(Number(e.level))) return 'level must be 1, 2 or 3';
+    if (!CHANNELS.includes(e.channel)) return `channel must be one of: ${CHANNELS.join(', ')}`;
+    if (e.channel === 'push' && !e.staff_user_id) return 'push entries need a staff_user_id';
+    if (e.channel === 'email' && !e.staff_user_id && !e.recipient_email) return 'email entries need staff_user_id or recipient_email';
+    if (e.channel === 'sms' && !e.staff_user_id && !e.recipient_phone) return 'sms entries need staff_user_id or recipient_phone';
+    return null;
+}
+
+function fkError(err) {
+    if (err.code !== '23503') return null;
+    return err.constraint?.includes('ward') ? 'Unknown ward_id' : 'Unknown staff_user_id';
+}
+
+router.get('/escalation-chains', requireRole('supervisor', 'admin'), async (req, res) => {
+    const { ward_id, zone, level } = req.query;
+    try {
+        const { rows } = await pool.query(`
+            SELECT ${CHAIN_COLUMNS}, w.ward_name, u.name AS staff_name, u.email AS staff_email
+            FROM escalation_chains c
+            LEFT JOIN city_wards w ON w.ward_id = c.ward_id
+            LEFT JOIN staff_users u ON u.id = c.staff_user_id
+            WHERE ($1::int IS NULL OR c.ward_id = $1)
+              AND ($2::text IS NULL OR c.zone = $2)
+              AND ($3::int IS NULL OR c.level = $3)
+            ORDER BY c.ward_id NULLS LAST, c.zone NULLS LAST, c.level, c.id
+        `, [ward_id ? parseInt(ward_id) : null, zone || null, level ? parseInt(level) : null]);
+        res.json({ entries: rows, count: rows.length });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to fetch escalation chains', detail: err.message });
+    }
+});
+
+router.get('/escalation-chains/resolve', requireRole('supervisor', 'admin'), async (req, res) => {
+    const wardId = parseInt(req.query.ward_id);
+    if (!wardId) return res.status(400).json({ error: 'ward_id is required' });
+    try {
+        const { rows } = await pool.query(
+            'SELECT ward_id, ward_name, zone, officer_name, officer_email, officer_phone FROM city_wards WHERE ward_id = $1',
+            [wardId]
+        );
+        if (!rows.length) return res.status(404).json({ error: 'Ward not found' });
+
+        const levels = {};
+        for (const level of [1, 2, 3]) levels[level] = await resolveEscalationChain(rows[0], level);
+        res.json({ ward: rows[0], levels });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to resolve escalation chain', detail: err.message });
+    }
+});
+
+/* ═══════════════════════════════════════════════════════════
+   POST /api/escalation-chains — admin
+   Body: { ward_id? | zone?, level, channel, staff_user_id? | recipient_name?, recipient_email?, recipient_phone? }
+   ═══════════════════════════════════════════════════════════ */
+router.post('/escalation-chains', requireRole('admin'), async (req, res) => {
+    const entry = {
+        ward_id: req.body.ward_id ?? null,
+        zone: req.body.zone?.trim() || null,
+        level: parseInt(req.body.level),
+        channel: req.body.channel,
+        staff_user_id: req.body.staff_user_id ?? null,
+        recipient_name: req.body.recipient_name || null,
+        recipient_email: req.body.recipient_email?.trim().toLowerCase() || null,
+        recipient_phone: req.body.recipient_phone || null,
+    };
+    const problem = validateEntry(entry);
+    if (problem) return res.status(400).json({ error: problem });
+
+    try {
+        const { rows } = await pool.query(`
+            INSERT INTO escalation_chains AS c
+                (ward_id, zone, level, channel, staff_user_id, recipient_name, recipient_email, recipient_phone)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING ${CHAIN_COLUMNS}
+        `, [entry.ward_id, entry.zone, entry.level, entry.channel, entry.staff_user_id,
+            entry.recipient_name, entry.recipient_email, entry.recipient_phone]);
+
+        console.log(`[Escalation] Chain entry #${rows[0].id} (L${entry.level} ${entry.channel}) added by ${req.user.email}`);
+        res.status(201).json({ success: true, entry: rows[0] });
+    } catch (err) {
+        const fk = fkError(err);
+        if (fk) return res.status(400).json({ error: fk });
+        res.status(500).json({ error: 'Failed to add escalation chain entry', detail: err.message });
+    }
+});
+
+router.patch('/escalation-chains/:id', requireRole('admin'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows: current } = await client.query('SELECT * FROM escalation_chains WHERE id = $1 FOR UPDATE', [req.params.id]);
+        if (!current.length) throw Object.assign(new Error('Escalation chain entry not found'), { status: 404 });
+
+        const editable = ['ward_id', 'zone', 'level', 'channel', 'staff_user_id',
+            'recipient_name', 'recipient_email', 'recipient_phone', 'is_active'];
+        const entry = { ...current[0] };
+        for (const key of editable) if (key in req.body) entry[key] = req.body[key] === '' ? null : req.body[key];
+        entry.level = parseInt(entry.level);
+
+        const problem = validateEntry(entry);
+        if (problem) throw Object.assign(new Error(problem), { status: 400 });
+
+        const { rows } = await client.query(`
+            UPDATE escalation_chains AS c
+            SET ward_id = $2, zone = $3, level = $4, channel = $5, staff_user_id = $6,
+                recipient_name = $7, recipient_email = $8, recipient_phone = $9,
+                is_active = $10, updated_at = NOW()
+            WHERE id = $1
+            RETURNING ${CHAIN_COLUMNS}
+        `, [req.params.id, entry.ward_id, entry.zone, entry.level, entry.channel, entry.staff_user_id,
+            entry.recipient_name, entry.recipient_email, entry.recipient_phone, entry.is_active !== false]);
+        await client.query('COMMIT');
+
+        res.json({ success: true, entry: rows[0] });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        const fk = fkError(err);
+        if (fk) return res.status(400).json({ error: fk });
+        res.status(err.status || 500).json({ error: err.message });
+    } finally {
+        client.release();
+    }
+});
+
+router.delete('/escalation-chains/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const { rowCount } = await pool.query('DELETE FROM escalation_chains WHERE id = $1', [req.params.id]);
+        if (!rowCount) return res.status(404).json({ error: 'Escalation chain entry not found' });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to delete escalation chain entry', detail: err.message });
+    }
+});
+
+module.exports = router;
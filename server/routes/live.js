@@ -10,6 +10,7 @@
 
 const express = require('express');
 const pool = require('../db/pool');
+const { SLA_POLICY_JOIN, SLA_POLICY_COLUMNS, slaElapsedSql } = require('../lib/slaPolicy');
 const router = express.Router();
 
 // Global registry of connected SSE clients
@@ -27,14 +28,17 @@ async function broadcastReports() {
                 r.id, r.category, r.description, r.location_text,
                 r.state, r.status, r.sla_level, r.severity_level,
                 r.is_emergency, r.supporter_count, r.verification_count,
-                r.gps_lat, r.gps_lon, r.image_url,
+                r.gps_lat, r.gps_lon, r.image_url, r.image_variants, r.authenticity_score,
+                r.location_source, r.location_accuracy_m,
                 r.assigned_at, r.created_at, r.updated_at,
                 r.verified_at, r.in_progress_at, r.resolved_at,
                 w.ward_name, w.zone, w.officer_name,
-                EXTRACT(EPOCH FROM (NOW() - COALESCE(r.assigned_at, r.created_at))) / 3600 AS hours_elapsed
+                ${SLA_POLICY_COLUMNS},
+                ${slaElapsedSql('COALESCE(r.assigned_at, r.created_at)')} AS hours_elapsed
             FROM reports r
             LEFT JOIN city_wards w ON r.ward_id = w.ward_id
-            WHERE r.state NOT IN ('MERGED')
+            ${SLA_POLICY_JOIN}
+            WHERE r.state NOT IN ('MERGED', 'REJECTED')
               AND r.parent_report_id IS NULL
             ORDER BY r.is_emergency DESC, r.sla_level DESC, r.created_at DESC
             LIMIT 200
@@ -0,0 +1,385 @@
+/**
+ * routes/ogc.js — OGC API – Features for desktop GIS (QGIS, ArcGIS Pro)
+ *
+ * GET /ogc                                         — Landing page
+ * GET /ogc/conformance                             — Conformance classes (Core, GeoJSON)
+ * GET /ogc/collections                             — reports, wards, resolution_proofs
+ * GET /ogc/collections/:collection                 — One collection with its extent
+ * GET /ogc/collections/:collection/queryables      — Filterable properties (JSON Schema)
+ * GET /ogc/collections/:collection/items           — GeoJSON features
+ *       ?bbox=minLon,minLat,maxLon,maxLat  ?datetime=instant | start/end (".." = open)
+ *       ?<property>=value[,value…]         ?limit= (≤ MAX_LIMIT) ?offset=
+ * GET /ogc/collections/:collection/items/:featureId
+ *
+ * Coordinates are CRS84 (lon/lat). Items carry numberMatched / numberReturned
+ * and next / prev links, which QGIS follows to page through a layer. Every
+ * request reads the live tables, so a loaded layer refreshes to current data.
+ */
+
+const express = require('express');
+const pool = require('../db/pool');
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const CRS84 = 'http://www.opengis.net/def/crs/OGC/1.3/CRS84';
+const CONFORMANCE = [
+    'http://www.opengis.net/spec/ogcapi-features-1/1.0/conf/core',
+    'http://www.opengis.net/spec/ogcapi-features-1/1.0/conf/geojson',
+];
+
+// Properties are filterable unless `filter: false`; `type` is the JSON Schema type;
+// `url` properties hold upload paths, served as absolute URLs
+const COLLECTIONS = {
+    reports: {
+        title: 'Citizen reports',
+        description: 'Civic issues reported by residents — merged duplicates are folded into the report they joined',
+        from: 'reports r LEFT JOIN city_wards w ON r.ward_id = w.ward_id',
+        where: ['r.parent_report_id IS NULL'],
+        id: 'r.id',
+        geometry: 'r.coordinates',
+        geometryType: 'Point',
+        datetime: 'r.created_at',
+        properties: {
+            category: { sql: 'r.category', type: 'string' },
+            description: { sql: 'r.description', type: 'string', filter: false },
+            location_text: { sql: 'r.location_text', type: 'string', filter: false },
+            state: { sql: 'r.state', type: 'string' },
+            severity_level: { sql: 'r.severity_level', type: 'string' },
+            is_emergency: { sql: 'COALESCE(r.is_emergency, FALSE)', type: 'boolean' },
+            supporter_count: { sql: 'r.supporter_count', type: 'integer' },
+            sla_level: { sql: 'COALESCE(r.sla_level, 0)', type: 'integer' },
+            ward_id: { sql: 'r.ward_id', type: 'integer' },
+            ward_name: { sql: 'w.ward_name', type: 'string' },
+            zone: { sql: 'w.zone', type: 'string' },
+            image_url: { sql: 'r.image_url', type: 'string', filter: false, url: true },
+            created_at: { sql: 'r.created_at', type: 'string', format: 'date-time', filter: false },
+            updated_at: { sql: 'r.updated_at', type: 'string', format: 'date-time', filter: false },
+            resolved_at: { sql: 'r.resolved_at', type: 'string', format: 'date-time', filter: false },
+        },
+    },
+    wards: {
+        title: 'Wards',
+        description: 'Active ward boundaries and their officers',
+        from: 'city_wards w',
+        where: ['w.is_active'],
+        id: 'w.ward_id',
+        geometry: 'w.ward_geometry',
+        geometryType: 'MultiPolygon',
+        datetime: null,
+        properties: {
+            ward_code: { sql: 'w.ward_code', type: 'string' },
+            ward_name: { sql: 'w.ward_name', type: 'string' },
+            zone: { sql: 'w.zone', type: 'string' },
+            officer_name: { sql: 'w.officer_name', type: 'string' },
+        },
+    },
+    resolution_proofs: {
+        title: 'Resolution proofs',
+        description: 'Where officers stood when they photographed a fix',
+        from: 'resolution_proofs p JOIN reports r ON r.id = p.report_id LEFT JOIN city_wards w ON r.ward_id = w.ward_id',
+        where: [],
+        id: 'p.id',
+        geometry: 'ST_SetSRID(ST_MakePoint(p.officer_lon, p.officer_lat), 4326)',
+        geometryType: 'Point',
+        datetime: 'p.submitted_at',
+        properties: {
+            report_id: { sql: 'p.report_id', type: 'integer' },
+            category: { sql: 'r.category', type: 'string' },
+            ward_id: { sql: 'r.ward_id', type: 'integer' },
+            ward_name: { sql: 'w.ward_name', type: 'string' },
+            after_image_url: { sql: 'p.after_image_url', type: 'string', filter: false, url: true },
+            distance_m: { sql: 'p.distance_m', type: 'number', filter: false },
+            submitted_at: { sql: 'p.submitted_at', type: 'string', format: 'date-time', filter: false },
+        },
+    },
+};
+
+const SQL_TYPES = { string: 'text', integer: 'int', number: 'float8', boolean: 'boolean' };
+const ITEM_PARAMS = ['bbox', 'bbox-crs', 'datetime', 'limit', 'offset', 'f'];
+
+const badRequest = (msg) => Object.assign(new Error(msg), { status: 400 });
+const notFound = (msg) => Object.assign(new Error(msg), { status: 404 });
+
+/** OGC exception body: { code, description } */
+function sendError(res, err, route) {
+    if (err.status) {
+        return res.status(err.status).json({ code: err.status === 404 ? 'NotFound' : 'InvalidParameterValue', description: err.message });
+    }
+    console.error(`[OGC] GET ${route} error:`, err);
+    res.status(500).json({ code: 'ServerError', description: 'Failed to read features', detail: err.message });
+}
+
+function collectionFor(id) {
+    const c = Object.hasOwn(COLLECTIONS, id) ? COLLECTIONS[id] : null;
+    if (!c) throw notFound(`No collection '${id}'`);
+    return c;
+}
+
+/** Absolute URL under /ogc, with an optional query */
+function href(req, path, query) {
+    const qs = query && new URLSearchParams(query).toString();
+    return `${req.protocol}://${req.get('host')}${req.baseUrl}${path}${qs ? `?${qs}` : ''}`;
+}
+
+/* ── Filters ─────────────────────────────────────────────── */
+function bboxFilter(c, value, params) {
+    const n = String(value).split(',').map(Number);
+    if ((n.length !== 4 && n.length !== 6) || n.some(v => !isFinite(v))) {
+        throw badRequest('bbox must be minLon,minLat,maxLon,maxLat');
+    }
+    const [minLon, minLat, maxLon, maxLat] = n.length === 6 ? [n[0], n[1], n[3], n[4]] : n;
+    const p = (v) => `$${params.push(v)}`;
+    return `ST_Intersects(${c.geometry}, ST_MakeEnvelope(${p(minLon)}, ${p(minLat)}, ${p(maxLon)}, ${p(maxLat)}, 4326))`;
+}
+
+/** datetime=instant | start/end, ".." or empty for an open end; a bare date is that whole day */
+function datetimeFilter(c, value, params) {
+    if (!c.datetime) return null;   // collections without time ignore it, per the spec
+    const parse = (s) => {
+        if (s === '' || s === '..') return null;
+        if (isNaN(new Date(s))) throw badRequest(`datetime '${value}' is not an RFC 3339 instant or interval`);
+        return s;
+    };
+    const p = (v) => `$${params.push(v)}`;
+    const parts = String(value).split('/');
+    if (parts.length > 2) throw badRequest(`datetime '${value}' is not an RFC 3339 instant or interval`);
+
+    if (parts.length === 1) {
+        const at = parse(parts[0]);
+        if (!at) throw badRequest('datetime needs an instant or an interval');
+        return /^\d{4}-\d{2}-\d{2}$/.test(at)
+            ? `${c.datetime} >= ${p(at)}::date AND ${c.datetime} < ${p(at)}::date + 1`
+            : `${c.datetime} = ${p(at)}::timestamptz`;
+    }
+    const [start, end] = parts.map(parse);
+    const conditions = [];
+    if (start) conditions.push(`${c.datetime} >= ${p(start)}::timestamptz`);
+    if (end) {
+        conditions.push(/^\d{4}-\d{2}-\d{2}$/.test(end)
+            ? `${c.datetime} < ${p(end)}::date + 1`
+            : `${c.datetime} <= ${p(end)}::timestamptz`);
+    }
+    return conditions.join(' AND ') || null;
+}
+
+function propertyFilter(c, name, value, params) {
+    const prop = Object.hasOwn(c.properties, name) ? c.properties[name] : null;
+    if (!prop || prop.filter === false) throw badRequest(`Unknown query parameter '${name}' — see the collection's queryables`);
+    const values = String(value).split(',').map(s => s.trim()).filter(Boolean);
+    if (prop.type === 'boolean' && values.some(v => v !== 'true' && v !== 'false')) {
+        throw badRequest(`${name} must be true or false`);
+    }
+    if ((prop.type === 'integer' || prop.type === 'number') && values.some(v => !isFinite(v))) {
+        throw badRequest(`${name} must be a comma list of numbers`);
+    }
+    return `${prop.sql} = ANY($${params.push(values)}::${SQL_TYPES[prop.type]}[])`;
+}
+
+/** WHERE conditions for an items request; pushes values onto `params` */
+function itemFilters(c, query, params) {
+    const where = [...c.where];
+    for (const [name, value] of Object.entries(query)) {
+        if (value === '' || ['limit', 'offset', 'f'].includes(name)) continue;
+        if (name === 'bbox-crs' && value !== CRS84) throw badRequest(`bbox-crs must be ${CRS84}`);
+        if (name === 'bbox') where.push(bboxFilter(c, value, params));
+        else if (name === 'datetime') where.push(datetimeFilter(c, value, params));
+        else if (!ITEM_PARAMS.includes(name)) where.push(propertyFilter(c, name, value, params));
+    }
+    return where.filter(Boolean);
+}
+
+/* ── Features ────────────────────────────────────────────── */
+function featureSelect(c) {
+    const props = Object.entries(c.properties).map(([name, p]) => `${p.sql} AS "${name}"`).join(', ');
+    return `${c.id} AS _id, ST_AsGeoJSON(${c.geometry}, 7)::json AS _geometry, ${props}`;
+}
+
+function toFeature(req, c, { _id, _geometry, ...properties }) {
+    for (const [name, p] of Object.entries(c.properties)) {
+        if (p.url && properties[name]?.startsWith('/')) properties[name] = `${req.protocol}://${req.get('host')}${properties[name]}`;
+    }
+    return { type: 'Feature', id: _id, geometry: _geometry, properties };
+}
+
+/** Collection description, with the extent of what it holds now */
+async function describeCollection(req, id) {
+    const c = collectionFor(id);
+    const { rows: [extent] } = await pool.query(`
+        SELECT ST_XMin(x.e) AS minx, ST_YMin(x.e) AS miny, ST_XMax(x.e) AS maxx, ST_YMax(x.e) AS maxy, x.t0
+        FROM (
+            SELECT ST_Extent(${c.geometry}) AS e, ${c.datetime ? `MIN(${c.datetime})` : 'NULL::timestamptz'} AS t0
+            FROM ${c.from}
+            ${c.where.length ? `WHERE ${c.where.join(' AND ')}` : ''}
+        ) x
+    `);
+    const bbox = extent?.minx == null ? [-180, -90, 180, 90] : [extent.minx, extent.miny, extent.maxx, extent.maxy];
+    return {
+        id,
+        title: c.title,
+        description: c.description,
+        itemType: 'feature',
+        crs: [CRS84],
+        extent: {
+            spatial: { bbox: [bbox], crs: CRS84 },
+            // Open-ended: the layers are live
+            ...(c.datetime ? { temporal: { interval: [[extent?.t0 || null, null]] } } : {}),
+        },
+        links: [
+            { rel: 'self', type: 'application/json', title: c.title, href: href(req, `/collections/${id}`) },
+            { rel: 'items', type: 'application/geo+json', title: `${c.title} (GeoJSON)`, href: href(req, `/collections/${id}/items`) },
+            { rel: 'http://www.opengis.net/def/rel/ogc/1.0/queryables', type: 'application/schema+json', title: 'Queryables', href: href(req, `/collections/${id}/queryables`) },
+        ],
+    };
+}
+
+/* ═══════════════════════════════════════════════════════════
+   Landing page + conformance
+   ═══════════════════════════════════════════════════════════ */
+router.get('/', (req, res) => {
+    res.json({
+        title: 'CivicPulse — OGC API Features',
+        description: 'Live citizen reports, ward boundaries and resolution proofs',
+        links: [
+            { rel: 'self', type: 'application/json', title: 'This document', href: href(req, '/') },
+            { rel: 'conformance', type: 'application/json', title: 'Conformance classes', href: href(req, '/conformance') },
+            { rel: 'data', type: 'application/json', title: 'Collections', href: href(req, '/collections') },
+        ],
+    });
+});
+
+router.get('/conformance', (req, res) => {
+    res.json({ conformsTo: CONFORMANCE });
+});
+
+/* ═══════════════════════════════════════════════════════════
+   Collections
+   ═══════════════════════════════════════════════════════════ */
+router.get('/collections', async (req, res) => {
+    try {
+        const collections = [];
+        for (const id of Object.keys(COLLECTIONS)) collections.push(await describeCollection(req, id));
+        res.json({
+            links: [{ rel: 'self', type: 'application/json', href: href(req, '/collections') }],
+            collections,
+        });
+    } catch (err) {
+        sendError(res, err, '/collections');
+    }
+});
+
+router.get('/collections/:collection', async (req, res) => {
+    try {
+        res.json(await describeCollection(req, req.params.collection));
+    } catch (err) {
+        sendError(res, err, '/collections/:collection');
+    }
+});
+
+router.get('/collections/:collection/queryables', (req, res) => {
+    try {
+        const c = collectionFor(req.params.collection);
+        const properties = Object.fromEntries(Object.entries(c.properties)
+            .filter(([, p]) => p.filter !== false)
+            .map(([name, p]) => [name, { type: p.type }]));
+        res.type('application/schema+json').json({
+            $schema: 'https://json-schema.org/draft/2019-09/schema',
+            $id: href(req, `/collections/${req.params.collection}/queryables`),
+            type: 'object',
+            title: c.title,
+            properties: {
+                geometry: { $ref: `https://geojson.org/schema/${c.geometryType}.json` },
+                ...(c.datetime ? { datetime: { type: 'string', format: 'date-time' } } : {}),
+                ...properties,
+            },
+            additionalProperties: false,
+        });
+    } catch (err) {
+        sendError(res, err, '/collections/:collection/queryables');
+    }
+});
+
+/* ═══════════════════════════════════════════════════════════
+   Items — GeoJSON FeatureCollection with paging links
+   ═══════════════════════════════════════════════════════════ */
+router.get('/collections/:collection/items', async (req, res) => {
+    try {
+        const id = req.params.collection;
+        const c = collectionFor(id);
+        if (req.query.f && !['json', 'geojson'].includes(req.query.f)) throw badRequest('f must be json or geojson');
+
+        const limit = req.query.limit == null ? DEFAULT_LIMIT : parseInt(req.query.limit);
+        const offset = req.query.offset == null ? 0 : parseInt(req.query.offset);
+        if (!(limit >= 1)) throw badRequest('limit must be a positive integer');
+        if (!(offset >= 0)) throw badRequest('offset must be zero or more');
+        const pageSize = Math.min(limit, MAX_LIMIT);
+
+        const params = [];
+        const where = itemFilters(c, req.query, params);
+        const whereSql = where.length ? `WHERE ${where.join('\n              AND ')}` : '';
+
+        const [{ rows }, { rows: [{ count }] }] = await Promise.all([
+            pool.query(`
+                SELECT ${featureSelect(c)}
+                FROM ${c.from}
+                ${whereSql}
+                ORDER BY ${c.id}
+                LIMIT ${pageSize} OFFSET ${offset}
+            `, params),
+            pool.query(`SELECT COUNT(*)::int AS count FROM ${c.from} ${whereSql}`, params),
+        ]);
+
+        // Paging links keep the caller's filters
+        const query = { ...req.query, limit: pageSize };
+        const links = [
+            { rel: 'self', type: 'application/geo+json', title: 'This page', href: href(req, `/collections/${id}/items`, { ...query, offset }) },
+            { rel: 'collection', type: 'application/json', title: c.title, href: href(req, `/collections/${id}`) },
+        ];
+        if (offset + rows.length < count) {
+            links.push({ rel: 'next', type: 'application/geo+json', title: 'Next page', href: href(req, `/collections/${id}/items`, { ...query, offset: offset + pageSize }) });
+        }
+        if (offset > 0) {
+            links.push({ rel: 'prev', type: 'application/geo+json', title: 'Previous page', href: href(req, `/collections/${id}/items`, { ...query, offset: Math.max(0, offset - pageSize) }) });
+        }
+
+        res.type('application/geo+json').json({
+            type: 'FeatureCollection',
+            features: rows.map(row => toFeature(req, c, row)),
+            numberMatched: count,
+            numberReturned: rows.length,
+            timeStamp: new Date().toISOString(),
+            links,
+        });
+    } catch (err) {
+        sendError(res, err, '/collections/:collection/items');
+    }
+});
+
+router.get('/collections/:collection/items/:featureId', async (req, res) => {
+    try {
+        const id = req.params.collection;
+        const c = collectionFor(id);
+        const featureId = Number(req.params.featureId);
+        if (!Number.isInteger(featureId)) throw notFound(`No feature '${req.params.featureId}' in ${id}`);
+
+        const { rows } = await pool.query(`
+            SELECT ${featureSelect(c)}
+            FROM ${c.from}
+            WHERE ${[...c.where, `${c.id} = $1`].join(' AND ')}
+        `, [featureId]);
+        if (!rows.length) throw notFound(`No feature ${featureId} in ${id}`);
+
+        res.type('application/geo+json').json({
+            ...toFeature(req, c, rows[0]),
+            links: [
+                { rel: 'self', type: 'application/geo+json', href: href(req, `/collections/${id}/items/${featureId}`) },
+                { rel: 'collection', type: 'application/json', title: c.title, href: href(req, `/collections/${id}`) },
+            ],
+        });
+    } catch (err) {
+        sendError(res, err, '/collections/:collection/items/:featureId');
+    }
+});
+
+module.exports = router;
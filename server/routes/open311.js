@@ -0,0 +1,312 @@
+/**
+ * routes/open311.js — Open311 GeoReport v2 (http://wiki.open311.org/GeoReport_v2)
+ *
+ * GET  /open311/v2/services.{json|xml}          — Service list: one service per report category
+ * GET  /open311/v2/services/{code}.{json|xml}   — Service definition (optional `severity` attribute)
+ * POST /open311/v2/requests.{json|xml}          — Submit a request (form fields, optional `media` photo)
+ * GET  /open311/v2/requests.{json|xml}          — Requests: service_request_id | service_code,
+ *                                                 start_date, end_date, status
+ * GET  /open311/v2/requests/{id}.{json|xml}     — One request
+ *
+ * The format extension is optional and defaults to JSON. Service codes are our
+ * category names; SUBMITTED…REOPENED report `open`, RESOLVED / REJECTED /
+ * TRANSFERRED report `closed`, and status_notes says which step the report is
+ * at. A request merged into an earlier report follows that report's status.
+ *
+ * Submissions run the same pipeline as POST /api/reports (lib/submission.js):
+ * ward routing, authenticity and dedup. lat / long are required — addresses
+ * are not geocoded. Like the app, submissions are anonymous: api_key and
+ * jurisdiction_id are accepted but not checked, and contact fields (email,
+ * name, phone) are not stored. device_id / account_id become the reporter token.
+ * A `media` photo is re-encoded without its EXIF tags before it is stored.
+ */
+
+const express = require('express');
+const multer = require('multer');
+const pool = require('../db/pool');
+const { TRIAGE_REASONS, CLOSED_STATES } = require('../lib/stateMachine');
+const { parseReportQuery, reportFilterSql } = require('../lib/reportQuery');
+const { submitReport, storeReportPhotos, SEVERITIES } = require('../lib/submission');
+
+const router = express.Router();
+
+// Matches the category picker in the citizen app (index.html)
+const SERVICES = [
+    { service_code: 'pothole', service_name: 'Pothole / Road Damage', group: 'Roads', keywords: 'pothole,road,crack' },
+    { service_code: 'streetlight', service_name: 'Broken Streetlight', group: 'Lighting', keywords: 'streetlight,lamp,dark' },
+    { service_code: 'garbage', service_name: 'Illegal Dumping / Garbage', group: 'Sanitation', keywords: 'garbage,dumping,waste' },
+    { service_code: 'graffiti', service_name: 'Graffiti / Vandalism', group: 'Public Spaces', keywords: 'graffiti,vandalism' },
+    { service_code: 'flooding', service_name: 'Flooding / Drainage', group: 'Drainage', keywords: 'flooding,drain,waterlogging' },
+    { service_code: 'sidewalk', service_name: 'Damaged Sidewalk', group: 'Roads', keywords: 'sidewalk,footpath,pavement' },
+    { service_code: 'other', service_name: 'Other', group: 'Other', keywords: '' },
+].map(s => ({
+    ...s,
+    description: `Report ${s.service_name.toLowerCase()} to the ward office`,
+    metadata: true,
+    type: 'realtime',
+}));
+
+const SEVERITY_ATTRIBUTE = {
+    variable: true,
+    code: 'severity',
+    datatype: 'singlevaluelist',
+    required: false,
+    datatype_description: null,
+    order: 1,
+    description: 'How serious is the problem?',
+    values: SEVERITIES.map(key => ({ key, name: key.charAt(0).toUpperCase() + key.slice(1) })),
+};
+
+const OPEN_STATES = ['SUBMITTED', 'VERIFIED', 'ASSIGNED', 'IN_PROGRESS', 'REOPENED'];
+const STATUS_NOTES = {
+    SUBMITTED: 'Received — waiting for verification',
+    VERIFIED: 'Verified — waiting to be assigned',
+    ASSIGNED: 'Assigned to the ward officer',
+    IN_PROGRESS: 'Work in progress',
+    REOPENED: 'Reopened — residents reported the fix did not hold',
+    RESOLVED: 'Resolved',
+    REJECTED: 'Rejected',
+    TRANSFERRED: 'Transferred to another agency',
+};
+
+// Spec defaults: the last 90 days, at most 1000 requests
+const DEFAULT_WINDOW_DAYS = 90;
+const MAX_REQUESTS = 1000;
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype.startsWith('image/')) cb(null, true);
+        else cb(new Error('Only image files are allowed'));
+    },
+});
+
+/* ── Responses: JSON or XML ──────────────────────────────── */
+const FORMAT = '.:format(json|xml)';
+
+// XML element name for the items of each list
+const XML_ITEMS = {
+    services: 'service',
+    service_requests: 'request',
+    attributes: 'attribute',
+    values: 'value',
+    errors: 'error',
+};
+
+const escXml = (s) => String(s)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+function xmlNode(name, value) {
+    if (value == null) return `<${name}/>`;
+    if (Array.isArray(value)) return `<${name}>${value.map(v => xmlNode(XML_ITEMS[name], v)).join('')}</${name}>`;
+    if (value instanceof Date) return `<${name}>${value.toISOString()}</${name}>`;
+    if (typeof value === 'object') {
+        return `<${name}>${Object.entries(value).map(([k, v]) => xmlNode(k, v)).join('')}</${name}>`;
+    }
+    return `<${name}>${escXml(value)}</${name}>`;
+}
+
+/** `body` as JSON, or as XML under <root> */
+function send(req, res, root, body, status = 200) {
+    res.status(status);
+    if (req.params.format !== 'xml') return res.json(body);
+    res.type('application/xml').send(`<?xml version="1.0" encoding="utf-8"?>${xmlNode(root, body)}`);
+}
+
+function sendError(req, res, status, description) {
+    send(req, res, 'errors', [{ code: status, description }], status);
+}
+
+/* ── Report → Open311 service request ────────────────────── */
+const REQUEST_COLUMNS = `
+    r.id, r.category, r.description, r.location_text, r.gps_lat, r.gps_lon, r.image_url,
+    r.created_at, r.parent_report_id,
+    COALESCE(p.state, r.state) AS state,
+    COALESCE(p.triage_reason_code, r.triage_reason_code) AS triage_reason_code,
+    COALESCE(p.updated_at, p.created_at, r.updated_at, r.created_at) AS updated_at,
+    w.ward_name, w.officer_name`;
+
+// Merged reports take the status, ward and timestamps of the report they joined
+const REQUEST_JOINS = `
+    LEFT JOIN reports p ON p.id = r.parent_report_id
+    LEFT JOIN city_wards w ON w.ward_id = COALESCE(p.ward_id, r.ward_id)`;
+
+function statusNotes(r) {
+    const reason = TRIAGE_REASONS[r.state]?.[r.triage_reason_code];
+    const note = reason ? `${STATUS_NOTES[r.state]}: ${reason}` : (STATUS_NOTES[r.state] || null);
+    return r.parent_report_id ? `Merged into request ${r.parent_report_id} — ${note}` : note;
+}
+
+/** Uploads are stored with site-relative URLs; Open311 clients need absolute ones */
+function absoluteUrl(req, url) {
+    if (!url) return null;
+    return url.startsWith('/') ? `${req.protocol}://${req.get('host')}${url}` : url;
+}
+
+function toServiceRequest(req, r) {
+    const service = SERVICES.find(s => s.service_code === r.category);
+    return {
+        service_request_id: String(r.id),
+        status: CLOSED_STATES.includes(r.state) ? 'closed' : 'open',
+        status_notes: statusNotes(r),
+        service_name: service?.service_name || r.category,
+        service_code: r.category,
+        description: r.description,
+        agency_responsible: r.ward_name
+            ? `${r.ward_name} ward${r.officer_name ? ` — ${r.officer_name}` : ''}`
+            : null,
+        service_notice: null,
+        requested_datetime: r.created_at,
+        updated_datetime: r.updated_at,
+        expected_datetime: null,
+        address: r.location_text,
+        address_id: null,
+        zipcode: null,
+        lat: r.gps_lat,
+        long: r.gps_lon,
+        media_url: absoluteUrl(req, r.image_url),
+    };
+}
+
+/* ═══════════════════════════════════════════════════════════
+   Services
+   ═══════════════════════════════════════════════════════════ */
+router.get([`/services${FORMAT}`, '/services'], (req, res) => {
+    send(req, res, 'services', SERVICES);
+});
+
+router.get([`/services/:code${FORMAT}`, '/services/:code'], (req, res) => {
+    const service = SERVICES.find(s => s.service_code === req.params.code);
+    if (!service) return sendError(req, res, 404, `No service '${req.params.code}'`);
+    send(req, res, 'service_definition', { service_code: service.service_code, attributes: [SEVERITY_ATTRIBUTE] });
+});
+
+/* ═══════════════════════════════════════════════════════════
+   POST /open311/v2/requests — service_code, lat, long, description,
+   address_string?, attribute[severity]?, device_id?, account_id?, media?
+   → [{ service_request_id, service_notice, account_id }]
+   ═══════════════════════════════════════════════════════════ */
+router.post([`/requests${FORMAT}`, '/requests'], upload.single('media'), async (req, res) => {
+    const {
+        service_code, lat: latParam, long: lonParam, address_string,
+        description, attribute = {}, device_id, account_id,
+    } = req.body;
+    const lat = parseFloat(latParam);
+    const lon = parseFloat(lonParam);
+
+    if (!SERVICES.some(s => s.service_code === service_code)) {
+        return sendError(req, res, 400, 'service_code is missing or not a service of this endpoint');
+    }
+    if (isNaN(lat) || isNaN(lon)) {
+        return sendError(req, res, 400, 'lat and long are required — address_string alone is not geocoded');
+    }
+    if (!description || !String(description).trim()) {
+        return sendError(req, res, 400, 'description is required');
+    }
+
+    const client = await pool.connect();
+    try {
+        // Client photos skipped the app's image worker — drop their EXIF (GPS, device) before storing
+        const photos = await storeReportPhotos(req.file ? [req.file] : [], [], { stripMetadata: true });
+        const reporterId = device_id || account_id;
+        const { reportId, isDuplicate, parentReportId, dedup } = await submitReport(client, {
+            category: service_code,
+            description: String(description).trim(),
+            locationText: address_string ? String(address_string).trim() : null,
+            lat, lon,
+            severity: attribute.severity,
+            reporterToken: reporterId ? `open311:${reporterId}`.slice(0, 100) : null,
+            photos,
+        });
+
+        console.log(`[Open311] Request #${reportId} (${service_code})${isDuplicate ? ` merged into #${parentReportId}` : ''}`);
+        send(req, res, 'service_requests', [{
+            service_request_id: String(reportId),
+            service_notice: isDuplicate
+                ? `Already reported as request ${parentReportId} — your report was added to it`
+                : dedup.decision === 'review'
+                    ? `May duplicate request ${dedup.candidate.id} — an officer will check`
+                    : null,
+            account_id: null,
+        }], 201);
+    } catch (err) {
+        if (err.status) return sendError(req, res, err.status, err.message);
+        console.error('[Open311] POST /requests error:', err);
+        sendError(req, res, 500, 'Failed to submit request');
+    } finally {
+        client.release();
+    }
+});
+
+/* ═══════════════════════════════════════════════════════════
+   GET /open311/v2/requests
+   ?service_request_id=1,2 (alone) | ?service_code= &start_date= &end_date= &status=open,closed
+   ═══════════════════════════════════════════════════════════ */
+router.get([`/requests${FORMAT}`, '/requests'], async (req, res) => {
+    try {
+        const { service_request_id, service_code, start_date, end_date, status } = req.query;
+        let rows;
+
+        if (service_request_id) {
+            const ids = String(service_request_id).split(',').map(Number);
+            if (ids.some(id => !Number.isInteger(id))) {
+                return sendError(req, res, 400, 'service_request_id must be a comma list of request ids');
+            }
+            ({ rows } = await pool.query(`
+                SELECT ${REQUEST_COLUMNS}
+                FROM reports r ${REQUEST_JOINS}
+                WHERE r.id = ANY($1::int[])
+                ORDER BY r.created_at DESC
+            `, [ids]));
+        } else {
+            const statuses = String(status || '').split(',').filter(Boolean);
+            if (statuses.some(s => !['open', 'closed'].includes(s))) {
+                return sendError(req, res, 400, 'status must be open, closed or both');
+            }
+            const states = statuses.length === 1 ? (statuses[0] === 'open' ? OPEN_STATES : CLOSED_STATES) : [];
+            const end = end_date ? new Date(end_date) : new Date();
+            const filters = parseReportQuery({
+                category: service_code,
+                from: start_date || (isNaN(end) ? undefined : new Date(end - DEFAULT_WINDOW_DAYS * 86_400_000).toISOString()),
+                to: end_date,
+                state: states.join(','),
+            });
+
+            const params = [];
+            const where = reportFilterSql(filters, params);
+            ({ rows } = await pool.query(`
+                SELECT ${REQUEST_COLUMNS}
+                FROM reports r ${REQUEST_JOINS}
+                WHERE ${where.join('\n                  AND ')}
+                ORDER BY r.created_at DESC
+                LIMIT ${MAX_REQUESTS}
+            `, params));
+        }
+
+        send(req, res, 'service_requests', rows.map(r => toServiceRequest(req, r)));
+    } catch (err) {
+        if (err.status) return sendError(req, res, err.status, err.message);
+        console.error('[Open311] GET /requests error:', err);
+        sendError(req, res, 500, 'Failed to fetch requests');
+    }
+});
+
+router.get([`/requests/:id${FORMAT}`, '/requests/:id'], async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) return sendError(req, res, 404, `No request '${req.params.id}'`);
+    try {
+        const { rows } = await pool.query(`
+            SELECT ${REQUEST_COLUMNS}
+            FROM reports r ${REQUEST_JOINS}
+            WHERE r.id = $1
+        `, [id]);
+        if (!rows.length) return sendError(req, res, 404, `No request ${id}`);
+        send(req, res, 'service_requests', [toServiceRequest(req, rows[0])]);
+    } catch (err) {
+        console.error('[Open311] GET /requests/:id error:', err);
+        sendError(req, res, 500, 'Failed to fetch request');
+    }
+});
+
+module.exports = router;
@@ -3,12 +3,14 @@
  *
  * GET  /api/push/vapid-public-key  — Return VAPID public key to browser
  * POST /api/push/subscribe          — Save a push subscription for a report
+ * POST /api/push/staff-subscribe    — Save a staff member's device for escalation alerts (staff)
  * DELETE /api/push/unsubscribe      — Remove a push subscription by endpoint
  */
 
 const express = require('express');
 const webPush = require('web-push');
 const pool = require('../db/pool');
+const { requireRole } = require('../lib/auth');
 
 const router = express.Router();
 
@@ -72,6 +74,36 @@ router.post('/subscribe', async (req, res) => {
     }
 });
 
+/* ═══════════════════════════════════════════════════════════════
+   POST /api/push/staff-subscribe — staff
+   Body: { endpoint, keys: { p256dh, auth } }
+   Registers the signed-in staff member's browser for escalation
+   alerts on the 'push' channel of an escalation chain.
+   ═══════════════════════════════════════════════════════════════ */
+router.post('/staff-subscribe', requireRole(), async (req, res) => {
+    try {
+        const { endpoint, keys } = req.body;
+        if (!endpoint || !keys?.p256dh || !keys?.auth) {
+            return res.status(400).json({ error: 'endpoint and keys (p256dh, auth) are required' });
+        }
+
+        const { rows } = await pool.query(`
+            INSERT INTO staff_push_subscriptions (user_id, endpoint, p256dh, auth)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (endpoint)
+            DO UPDATE SET user_id = EXCLUDED.user_id, p256dh = EXCLUDED.p256dh, auth = EXCLUDED.auth
+            RETURNING id
+        `, [req.user.id, endpoint, keys.p256dh, keys.auth]);
+
+        console.log(`[Push] Staff subscription saved id=${rows[0].id} for ${req.user.email}`);
+        res.status(201).json({ success: true, subscriptionId: rows[0].id });
+
+    } catch (err) {
+        console.error('[Push] POST /staff-subscribe error:', err);
+        res.status(500).json({ error: 'Failed to save subscription', detail: err.message });
+    }
+});
+
 /* ═══════════════════════════════════════════════════════════════
    DELETE /api/push/unsubscribe
    Body: { endpoint }
@@ -82,6 +114,7 @@ router.delete('/unsubscribe', async (req, res) => {
         if (!endpoint) return res.status(400).json({ error: 'endpoint is required' });
 
         await pool.query('DELETE FROM push_subscriptions WHERE endpoint = $1', [endpoint]);
+        await pool.query('DELETE FROM staff_push_subscriptions WHERE endpoint = $1', [endpoint]);
         res.json({ success: true });
 
     } catch (err) {
@@ -148,5 +181,47 @@ async function sendSupportNotification(parentReportId, supporterCount) {
     }
 }
 
+/* ═══════════════════════════════════════════════════════════════
+   Exported helper: sendStaffNotification(userId, payload)
+   Called from lib/escalation.js for 'push' escalation-chain entries.
+   Returns { success, sent, detail? } — success is false when the
+   staff member has no live subscription.
+   ═══════════════════════════════════════════════════════════════ */
+async function sendStaffNotification(userId, payload) {
+    try {
+        const { rows } = await pool.query(
+            'SELECT endpoint, p256dh, auth FROM staff_push_subscriptions WHERE user_id = $1',
+            [userId]
+        );
+        if (!rows.length) return { success: false, sent: 0, detail: 'No push subscription' };
+
+        const body = JSON.stringify(payload);
+        const staleEndpoints = [];
+        let sent = 0;
+
+        await Promise.allSettled(
+            rows.map(async (sub) => {
+                try {
+                    await webPush.sendNotification({ endpoint: sub.endpoint, keys: { p256dh: sub.p256dh, auth: sub.auth } }, body);
+                    sent++;
+                } catch (err) {
+                    if (err.statusCode === 410 || err.statusCode === 404) staleEndpoints.push(sub.endpoint);
+                    else console.error('[Push] Staff sendNotification error:', err.message);
+                }
+            })
+        );
+
+        if (staleEndpoints.length > 0) {
+            await pool.query('DELETE FROM staff_push_subscriptions WHERE endpoint = ANY($1)', [staleEndpoints]);
+        }
+        return { success: sent > 0, sent };
+
+    } catch (err) {
+        console.error('[Push] sendStaffNotification error:', err.message);
+        return { success: false, sent: 0, error: err.message };
+    }
+}
+
 module.exports = router;
 module.exports.sendSupportNotification = sendSupportNotification;
+module.exports.sendStaffNotification = sendStaffNotification;
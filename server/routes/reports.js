@@ -1,33 +1,48 @@
 /**
  * routes/reports.js — Spatial API Routes (Phase 5 Update)
  *
- * POST /api/reports       — Submit report (GPS mandatory) → Point-in-Polygon → Dedup → Insert
- * GET  /api/reports       — List recent reports
+ * POST /api/reports       — Submit report (GPS mandatory) → Point-in-Polygon → Dedup → Insert (lib/submission.js)
+ *                           (up to 5 photos: `photo` = cover, `photos` = the rest)
+ *                           (dedup scores distance, description trigrams and photo dHash —
+ *                           see lib/dedup.js; the reasoning is returned as `dedup`)
+ *                           (optional exifLat/exifLon/exifTimestamp + deviceLat/deviceLon/deviceAccuracy
+ *                           feed the authenticity score — see lib/authenticity.js)
+ *                           (optional redactedRegions "2,0,1" — regions blurred in the app, per photo)
+ *                           (optional locationSource gps|network|ip|exif|manual + locationAccuracy metres)
+ * GET  /api/reports       — Filtered, cursor-paginated report list (filters: lib/reportQuery.js)
+ * GET  /api/reports/my    — Reporter's own reports (incl. rejection / transfer reasons)
  * GET  /api/reports/nearby — Nearby reports by GPS radius
- * GET  /api/wards         — Ward boundaries as GeoJSON
+ * GET  /api/reports/candidate-duplicates — Open reports a new submission may duplicate
+ * GET  /api/reports/:id/media — Report photos + resolution proof photos
+ * GET  /api/reports/:id/authenticity — Authenticity score and its checks (staff)
  * GET  /api/emergency-alerts — High-priority / emergency reports
- * PATCH /api/reports/:id/status — Officer status update
+ * PATCH /api/reports/:id/status — Officer status update (staff sign-in required)
  */
 
 const express = require('express');
 const multer = require('multer');
-const path = require('path');
 const pool = require('../db/pool');
-const { sendSupportNotification } = require('./push');
+const { requireRole } = require('../lib/auth');
+const { logReportAction } = require('../lib/audit');
+const { TRIAGE_REASONS, CLOSED_STATES } = require('../lib/stateMachine');
+const { MAX_PHOTOS, uploadedFiles } = require('../lib/media');
+const { dedupReasoning, dedupSettingsFor, scoreCandidate } = require('../lib/dedup');
+const { trustLevel } = require('../lib/authenticity');
+const { submitReport, storeReportPhotos } = require('../lib/submission');
+const { parseReportQuery, queryReports } = require('../lib/reportQuery');
 
 const router = express.Router();
 
-// ── Multer config ────────────────────────────────────────────
-const storage = multer.diskStorage({
-    destination: process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'),
-    filename: (req, file, cb) => {
-        const ts = Date.now();
-        const ext = path.extname(file.originalname) || '.jpg';
-        cb(null, `report-${ts}${ext}`);
-    },
+// Adds the human-readable reason for REJECTED / TRANSFERRED reports
+const withTriageReason = (r) => ({
+    ...r,
+    triage_reason: TRIAGE_REASONS[r.state]?.[r.triage_reason_code] || null,
 });
+
+// ── Multer config ────────────────────────────────────────────
+// Files are held in memory and written through lib/storage.js
 const upload = multer({
-    storage,
+    storage: multer.memoryStorage(),
     limits: { fileSize: 5 * 1024 * 1024 },
     fileFilter: (req, file, cb) => {
         if (file.mimetype.startsWith('image/')) cb(null, true);
@@ -38,7 +53,10 @@ const upload = multer({
 /* ═══════════════════════════════════════════════════════════
    POST /api/reports — Spatial Pipeline (GPS Mandatory)
    ═══════════════════════════════════════════════════════════ */
-router.post('/reports', upload.single('photo'), async (req, res) => {
+router.post('/reports', upload.fields([
+    { name: 'photo', maxCount: 1 },
+    { name: 'photos', maxCount: MAX_PHOTOS },
+]), async (req, res) => {
     const client = await pool.connect();
     try {
         const {
@@ -46,10 +64,19 @@ router.post('/reports', upload.single('photo'), async (req, res) => {
             location_detail,
             gpsLat, gpsLon, captureTimestamp,
             severity_level = 'medium', reporter_token,
+            exifLat, exifLon, exifTimestamp,
+            deviceLat, deviceLon, deviceAccuracy,
+            redactedRegions = '',
+            locationSource, locationAccuracy,
         } = req.body;
 
         const lat = parseFloat(gpsLat);
         const lon = parseFloat(gpsLon);
+        const optionalFloat = (v) => (v == null || v === '' || isNaN(parseFloat(v)) ? null : parseFloat(v));
+        const exif = { lat: optionalFloat(exifLat), lon: optionalFloat(exifLon), timestamp: exifTimestamp || null };
+        const device = { lat: optionalFloat(deviceLat), lon: optionalFloat(deviceLon), accuracy: optionalFloat(deviceAccuracy) };
+        const accuracy = optionalFloat(locationAccuracy);
+        const locAccuracy = Number.isFinite(accuracy) && accuracy >= 0 ? accuracy : null;
 
         // Combine GPS address + optional free-text detail into one location string
         const locationText = location_detail && location_detail.trim()
@@ -64,107 +91,22 @@ router.post('/reports', upload.single('photo'), async (req, res) => {
             return res.status(400).json({ error: 'GPS coordinates (gpsLat, gpsLon) are required' });
         }
 
-        const validSeverity = ['low', 'medium', 'high', 'critical'].includes(severity_level)
-            ? severity_level : 'medium';
-        const imageUrl = req.file ? `/uploads/${req.file.filename}` : null;
-
-        await client.query('BEGIN');
-
-        // ── Step 1: Point-in-Polygon ──────────────────────────────
-        const wardResult = await client.query(`
-            SELECT ward_id, ward_name, zone, officer_name, officer_email, officer_phone
-            FROM city_wards
-            WHERE ST_Contains(ward_geometry, ST_SetSRID(ST_Point($1, $2), 4326))
-            LIMIT 1
-        `, [lon, lat]);
-        const ward = wardResult.rows[0] || null;
-
-        // ── Step 2: Duplicate Detection (50m buffer) ──────────────
-        const dedupResult = await client.query(`
-            SELECT id, description, supporter_count, location_text,
-                   ST_Distance(
-                     coordinates::geography,
-                     ST_SetSRID(ST_Point($1, $2), 4326)::geography
-                   ) AS distance_m
-            FROM reports
-            WHERE category = $3
-              AND state NOT IN ('RESOLVED', 'MERGED')
-              AND parent_report_id IS NULL
-              AND ST_DWithin(
-                coordinates::geography,
-                ST_SetSRID(ST_Point($1, $2), 4326)::geography,
-                50
-              )
-            ORDER BY created_at ASC
-            LIMIT 1
-        `, [lon, lat, category]);
-        const existingDuplicate = dedupResult.rows[0] || null;
-
-        let reportId, isDuplicate = false, supporterCount = 1, parentReportId = null;
-
-        if (existingDuplicate) {
-            // ── Step 3a: Merge ────────────────────────────────────
-            isDuplicate = true;
-            parentReportId = existingDuplicate.id;
-
-            const childResult = await client.query(`
-                INSERT INTO reports (
-                    category, description, location_text, coordinates,
-                    ward_id, image_url, gps_lat, gps_lon, capture_timestamp,
-                    parent_report_id, state, status, severity_level, reporter_token
-                ) VALUES (
-                    $1, $2, $3,
-                    ST_SetSRID(ST_Point($4, $5), 4326),
-                    $6, $7, $8, $9, $10, $11, 'MERGED', 'merged', $12, $13
-                )
-                RETURNING id
-            `, [
-                category, description, locationText,
-                lon, lat,
-                ward?.ward_id || null, imageUrl,
-                lat, lon,
-                captureTimestamp || null,
-                parentReportId,
-                validSeverity, reporter_token || null,
-            ]);
-            reportId = childResult.rows[0].id;
-
-            const bumpResult = await client.query(`
-                UPDATE reports SET supporter_count = supporter_count + 1 WHERE id = $1
-                RETURNING supporter_count
-            `, [parentReportId]);
-            supporterCount = bumpResult.rows[0].supporter_count;
-
-        } else {
-            // ── Step 3b: New report ───────────────────────────────
-            const newResult = await client.query(`
-                INSERT INTO reports (
-                    category, description, location_text, coordinates,
-                    ward_id, image_url, gps_lat, gps_lon, capture_timestamp,
-                    severity_level, reporter_token
-                ) VALUES (
-                    $1, $2, $3,
-                    ST_SetSRID(ST_Point($4, $5), 4326),
-                    $6, $7, $8, $9, $10, $11, $12
-                )
-                RETURNING id
-            `, [
-                category, description, locationText,
-                lon, lat,
-                ward?.ward_id || null, imageUrl,
-                lat, lon,
-                captureTimestamp || null,
-                validSeverity, reporter_token || null,
-            ]);
-            reportId = newResult.rows[0].id;
+        const files = uploadedFiles(req, 'photo', 'photos');
+        if (files.length > MAX_PHOTOS) {
+            return res.status(400).json({ error: `At most ${MAX_PHOTOS} photos per report` });
         }
 
-        await client.query('COMMIT');
+        // Faces / plates hidden before upload, one count per photo in upload order
+        const redactedCounts = String(redactedRegions).split(',').map(n => Math.min(100, Math.max(0, parseInt(n) || 0)));
 
-        // Push notification (fire-and-forget)
-        if (isDuplicate && parentReportId) {
-            sendSupportNotification(parentReportId, supporterCount);
-        }
+        const photos = await storeReportPhotos(files, redactedCounts);
+
+        const { reportId, isDuplicate, parentReportId, supporterCount, dedup, ward } = await submitReport(client, {
+            category, description, locationText, lat, lon, captureTimestamp,
+            severity: severity_level, reporterToken: reporter_token || null,
+            locationSource, locationAccuracy: locAccuracy,
+            exif, device, photos,
+        });
 
         // Broadcast SSE update
         if (global.sseClients && global.sseClients.size > 0) {
@@ -178,6 +120,10 @@ router.post('/reports', upload.single('photo'), async (req, res) => {
             isDuplicate,
             parentReportId,
             supporterCount,
+            photoCount: photos.length,
+            duplicateConfidence: dedup.candidate ? dedup.confidence : null,
+            dedup: dedupReasoning(dedup),
+            pendingDuplicateOf: dedup.decision === 'review' ? dedup.candidate.id : null,
             ward: ward ? {
                 wardId: ward.ward_id,
                 wardName: ward.ward_name,
@@ -188,13 +134,14 @@ router.post('/reports', upload.single('photo'), async (req, res) => {
             } : null,
             message: isDuplicate
                 ? `🤝 Another neighbor already reported this! ${supporterCount} people now support this report.`
-                : ward
-                    ? `📍 Report routed to ${ward.ward_name} ward — Officer ${ward.officer_name} has been notified.`
-                    : `📋 Report submitted. Location recorded at ${lat.toFixed(4)}°, ${lon.toFixed(4)}°.`,
+                : dedup.decision === 'review'
+                    ? `🔍 This looks like report #${dedup.candidate.id} nearby — an officer will check whether it is the same issue.`
+                    : ward
+                        ? `📍 Report routed to ${ward.ward_name} ward — Officer ${ward.officer_name} has been notified.`
+                        : `📋 Report submitted. Location recorded at ${lat.toFixed(4)}°, ${lon.toFixed(4)}°.`,
         });
 
     } catch (err) {
-        await client.query('ROLLBACK');
         console.error('[API] POST /reports error:', err);
         res.status(500).json({ error: 'Failed to submit report', detail: err.message });
     } finally {
@@ -203,29 +150,25 @@ router.post('/reports', upload.single('photo'), async (req, res) => {
 });
 
 /* ═══════════════════════════════════════════════════════════
-   GET /api/reports — List recent reports
+   GET /api/reports — Filtered report list
+   ?category= &ward= &zone= &severity= &state= &from= &to= &emergency=
+   &bbox= &q= &sort= &limit= &cursor= — see lib/reportQuery.js
+   → { reports, count, next_cursor }
    ═══════════════════════════════════════════════════════════ */
 router.get('/reports', async (req, res) => {
     try {
-        const { limit = 50, state } = req.query;
-        const stateFilter = state ? `AND r.state = '${state}'` : '';
-
-        const { rows } = await pool.query(`
-            SELECT r.id, r.category, r.description, r.location_text,
+        const filters = parseReportQuery(req.query);
+        const { rows, next_cursor } = await queryReports(pool, filters, {
+            select: `r.id, r.category, r.description, r.location_text,
                    r.gps_lat, r.gps_lon, r.state, r.status, r.supporter_count,
                    r.severity_level, r.is_emergency, r.verification_count,
-                   r.parent_report_id, r.image_url, r.created_at, r.sla_level,
-                   w.ward_name, w.officer_name
-            FROM reports r
-            LEFT JOIN city_wards w ON r.ward_id = w.ward_id
-            WHERE r.parent_report_id IS NULL
-              ${stateFilter}
-            ORDER BY r.is_emergency DESC, r.created_at DESC
-            LIMIT $1
-        `, [parseInt(limit)]);
+                   r.parent_report_id, r.image_url, r.image_variants, r.created_at, r.updated_at,
+                   r.resolved_at, r.sla_level, w.ward_id, w.ward_name, w.zone, w.officer_name`,
+        });
 
-        res.json({ reports: rows, count: rows.length });
+        res.json({ reports: rows, count: rows.length, next_cursor });
     } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
         console.error('[API] GET /reports error:', err);
         res.status(500).json({ error: 'Failed to fetch reports', detail: err.message });
     }
@@ -245,8 +188,8 @@ router.get('/reports/my', async (req, res) => {
             SELECT r.id, r.category, r.description, r.location_text,
                    r.gps_lat, r.gps_lon, r.state, r.status, r.supporter_count,
                    r.severity_level, r.is_emergency, r.verification_count,
-                   r.parent_report_id, r.image_url, r.created_at, r.updated_at,
-                   r.sla_level,
+                   r.parent_report_id, r.image_url, r.image_variants, r.created_at, r.updated_at,
+                   r.sla_level, r.triaged_at, r.triage_reason_code, r.triage_note, r.transferred_to,
                    w.ward_name, w.zone, w.officer_name, w.officer_email
             FROM reports r
             LEFT JOIN city_wards w ON r.ward_id = w.ward_id
@@ -255,7 +198,7 @@ router.get('/reports/my', async (req, res) => {
             LIMIT 50
         `, [token]);
 
-        res.json({ reports: rows, count: rows.length });
+        res.json({ reports: rows.map(withTriageReason), count: rows.length });
     } catch (err) {
         console.error('[API] GET /reports/my error:', err);
         res.status(500).json({ error: 'Failed to fetch your reports', detail: err.message });
@@ -271,36 +214,10 @@ router.get('/reports/nearby', async (req, res) => {
     if (!lat || !lon) {
         return res.status(400).json({ error: 'lat and lon are required' });
     }
-    const userLat = parseFloat(lat);
-    const userLon = parseFloat(lon);
     const radiusM = Math.min(parseInt(radius) || 500, 5000); // cap at 5km
 
     try {
-        const { rows } = await pool.query(`
-            SELECT
-                r.id, r.category, r.description, r.location_text,
-                r.gps_lat, r.gps_lon, r.state, r.severity_level,
-                r.is_emergency, r.supporter_count, r.verification_count,
-                r.image_url, r.created_at, r.sla_level,
-                w.ward_name, w.officer_name,
-                ST_Distance(
-                    coordinates::geography,
-                    ST_SetSRID(ST_Point($2, $1), 4326)::geography
-                ) AS distance_m
-            FROM reports r
-            LEFT JOIN city_wards w ON r.ward_id = w.ward_id
-            WHERE r.parent_report_id IS NULL
-              AND r.state NOT IN ('MERGED', 'RESOLVED')
-              AND coordinates IS NOT NULL
-              AND ST_DWithin(
-                coordinates::geography,
-                ST_SetSRID(ST_Point($2, $1), 4326)::geography,
-                $3
-              )
-            ORDER BY distance_m ASC
-            LIMIT 30
-        `, [userLat, userLon, radiusM]);
-
+        const rows = await openReportsNear(parseFloat(lat), parseFloat(lon), radiusM);
         res.json({ reports: rows, count: rows.length, radius_m: radiusM });
     } catch (err) {
         console.error('[API] GET /reports/nearby error:', err);
@@ -308,6 +225,117 @@ router.get('/reports/nearby', async (req, res) => {
     }
 });
 
+/* ═══════════════════════════════════════════════════════════
+   GET /api/reports/candidate-duplicates?lat=&lon=&category=&description=
+   Open reports the dedup step would weigh for this submission (same
+   category, inside its radius + window), best match first — lets the
+   citizen support an existing report instead of filing a new one.
+   ═══════════════════════════════════════════════════════════ */
+router.get('/reports/candidate-duplicates', async (req, res) => {
+    const { lat, lon, category, description = '' } = req.query;
+    if (!lat || !lon || !category) {
+        return res.status(400).json({ error: 'lat, lon and category are required' });
+    }
+
+    try {
+        const settings = await dedupSettingsFor(category);
+        const rows = await openReportsNear(parseFloat(lat), parseFloat(lon), settings.radius_m, {
+            category, windowDays: settings.window_days, description, limit: 10,
+        });
+        const candidates = rows
+            .map(r => ({ ...r, ...scoreCandidate(r, null, settings.radius_m) }))
+            .sort((a, b) => b.confidence - a.confidence)
+            .slice(0, 5);
+
+        res.json({ candidates, count: candidates.length, radius_m: settings.radius_m, window_days: settings.window_days });
+    } catch (err) {
+        console.error('[API] GET /reports/candidate-duplicates error:', err);
+        res.status(500).json({ error: 'Failed to fetch candidate duplicates', detail: err.message });
+    }
+});
+
+/**
+ * openReportsNear(lat, lon, radiusM, { category, windowDays, description, limit })
+ * Open top-level reports within radiusM, nearest first. text_similarity scores
+ * each description against `description` (0 when none is given).
+ */
+async function openReportsNear(lat, lon, radiusM, { category = null, windowDays = null, description = '', limit = 30 } = {}) {
+    const { rows } = await pool.query(`
+        SELECT
+            r.id, r.category, r.description, r.location_text,
+            r.gps_lat, r.gps_lon, r.state, r.severity_level,
+            r.is_emergency, r.supporter_count, r.verification_count,
+            r.image_url, r.image_variants, r.created_at, r.sla_level,
+            w.ward_name, w.officer_name,
+            similarity(r.description, $6) AS text_similarity,
+            ST_Distance(
+                coordinates::geography,
+                ST_SetSRID(ST_Point($2, $1), 4326)::geography
+            ) AS distance_m
+        FROM reports r
+        LEFT JOIN city_wards w ON r.ward_id = w.ward_id
+        WHERE r.parent_report_id IS NULL
+          AND r.state <> 'MERGED' AND r.state <> ALL($8::text[])
+          AND coordinates IS NOT NULL
+          AND ST_DWithin(
+            coordinates::geography,
+            ST_SetSRID(ST_Point($2, $1), 4326)::geography,
+            $3
+          )
+          AND ($4::text IS NULL OR r.category = $4)
+          AND ($5::int IS NULL OR r.created_at > NOW() - make_interval(days => $5))
+        ORDER BY distance_m ASC
+        LIMIT $7
+    `, [lat, lon, radiusM, category, windowDays, description, limit, CLOSED_STATES]);
+    return rows;
+}
+
+/* ═══════════════════════════════════════════════════════════
+   GET /api/reports/:id/media
+   { report: [...], proof: [...], rejected_proof: [...] } — each ordered
+   as uploaded; rejected_proof rows carry rejected_proof_id
+   ═══════════════════════════════════════════════════════════ */
+router.get('/reports/:id/media', async (req, res) => {
+    const { id } = req.params;
+    try {
+        const { rows } = await pool.query(`
+            SELECT m.id, m.kind, m.url, m.variants, m.redacted_regions, m.position, m.rejected_proof_id, m.created_at,
+                   u.name AS uploaded_by_name
+            FROM report_media m
+            LEFT JOIN staff_users u ON u.id = m.uploaded_by
+            WHERE m.report_id = $1
+            ORDER BY m.kind, m.rejected_proof_id NULLS FIRST, m.position, m.id
+        `, [id]);
+
+        const media = { report: [], proof: [], rejected_proof: [] };
+        for (const m of rows) media[m.kind].push(m);
+        res.json(media);
+    } catch (err) {
+        console.error('[API] GET /reports/:id/media error:', err);
+        res.status(500).json({ error: 'Failed to fetch media', detail: err.message });
+    }
+});
+
+/* ═══════════════════════════════════════════════════════════
+   GET /api/reports/:id/authenticity — staff
+   { score, level, checks: [{ check, penalty, detail }], exif_*, device_* }
+   ═══════════════════════════════════════════════════════════ */
+router.get('/reports/:id/authenticity', requireRole(), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const { rows } = await pool.query(`
+            SELECT score, checks, exif_lat, exif_lon, exif_timestamp,
+                   device_lat, device_lon, device_accuracy_m, created_at
+            FROM report_authenticity WHERE report_id = $1
+        `, [id]);
+        if (!rows.length) return res.status(404).json({ error: `No authenticity score for report #${id}` });
+        res.json({ ...rows[0], level: trustLevel(rows[0].score) });
+    } catch (err) {
+        console.error('[API] GET /reports/:id/authenticity error:', err);
+        res.status(500).json({ error: 'Failed to fetch authenticity', detail: err.message });
+    }
+});
+
 /* ═══════════════════════════════════════════════════════════
    GET /api/emergency-alerts — High-priority emergency reports
    ═══════════════════════════════════════════════════════════ */
@@ -322,7 +350,7 @@ router.get('/emergency-alerts', async (req, res) => {
             FROM reports r
             LEFT JOIN city_wards w ON r.ward_id = w.ward_id
             WHERE r.is_emergency = TRUE
-              AND r.state NOT IN ('RESOLVED', 'MERGED')
+              AND r.state NOT IN ('RESOLVED', 'MERGED', 'REJECTED', 'TRANSFERRED')
               AND r.parent_report_id IS NULL
             ORDER BY r.sla_level DESC, r.supporter_count DESC, r.created_at ASC
             LIMIT 20
@@ -335,41 +363,10 @@ router.get('/emergency-alerts', async (req, res) => {
     }
 });
 
-/* ═══════════════════════════════════════════════════════════
-   GET /api/wards — Ward boundaries as GeoJSON FeatureCollection
-   ═══════════════════════════════════════════════════════════ */
-router.get('/wards', async (req, res) => {
-    try {
-        const { rows } = await pool.query(`
-            SELECT ward_id, ward_name, zone, officer_name, officer_email,
-                   ST_AsGeoJSON(ward_geometry)::json AS geometry
-            FROM city_wards ORDER BY ward_id
-        `);
-
-        res.json({
-            type: 'FeatureCollection',
-            features: rows.map(row => ({
-                type: 'Feature',
-                properties: {
-                    wardId: row.ward_id,
-                    wardName: row.ward_name,
-                    zone: row.zone,
-                    officerName: row.officer_name,
-                    officerEmail: row.officer_email,
-                },
-                geometry: row.geometry,
-            })),
-        });
-    } catch (err) {
-        console.error('[API] GET /wards error:', err);
-        res.status(500).json({ error: 'Failed to fetch wards', detail: err.message });
-    }
-});
-
 /* ════════════════════════════════════════════════════════
    PATCH /api/reports/:id/status — Quick status update
    ════════════════════════════════════════════════════════ */
-router.patch('/reports/:id/status', async (req, res) => {
+router.patch('/reports/:id/status', requireRole(), async (req, res) => {
     const { id } = req.params;
     const { status } = req.body;
     const VALID = ['active', 'in_progress', 'resolved'];
@@ -378,11 +375,17 @@ router.patch('/reports/:id/status', async (req, res) => {
     }
     try {
         const { rows } = await pool.query(
-            `UPDATE reports SET status = $1 WHERE id = $2
-             RETURNING id, category, description, status, ward_id, supporter_count, updated_at`,
+            `UPDATE reports r SET status = $1
+             FROM (SELECT id, status FROM reports WHERE id = $2) prev
+             WHERE r.id = prev.id
+             RETURNING r.id, r.category, r.description, r.status, r.ward_id, r.supporter_count, r.updated_at,
+                       prev.status AS previous_status`,
             [status, id]
         );
         if (!rows.length) return res.status(404).json({ error: `Report #${id} not found` });
+        await logReportAction({
+            reportId: id, action: 'status', fromValue: rows[0].previous_status, toValue: status, user: req.user,
+        });
         res.json({ success: true, report: rows[0], message: `✅ Report #${id} status updated to '${status}'` });
     } catch (err) {
         console.error('[API] PATCH /reports/:id/status error:', err);
@@ -0,0 +1,192 @@
+/**
+ * routes/search.js — Full-text search over reports, addresses and chat
+ *
+ * GET    /api/search?q=           — Ranked reports with highlighted snippets
+ *                                   (+ the report filters of lib/reportQuery.js, &limit= &offset=)
+ * GET    /api/search/synonyms     — Transliteration / spelling variants (public)
+ * PUT    /api/search/synonyms     — Map terms to a canonical word        (admin)
+ * DELETE /api/search/synonyms/:term                                      (admin)
+ *
+ * Matching uses search_tsquery() (migration 020): every word must match,
+ * as itself or any synonym — "nali" also finds "drain" and "naala". Ranking
+ * weights description > location > category > chat.
+ */
+
+const express = require('express');
+const pool = require('../db/pool');
+const { requireRole } = require('../lib/auth');
+const { parseReportQuery, reportFilterSql } = require('../lib/reportQuery');
+
+const router = express.Router();
+
+const MAX_SEARCH_LIMIT = 50;
+const MAX_QUERY_LENGTH = 200;
+
+// ts_headline marks matches with these; they are swapped for <mark> after HTML-escaping
+const HIT_START = '⟦';
+const HIT_END = '⟧';
+const HEADLINE_OPTIONS = `StartSel=${HIT_START}, StopSel=${HIT_END}, MaxWords=18, MinWords=6, MaxFragments=2, FragmentDelimiter=" … "`;
+
+const escHtml = (s) => String(s)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/** Headline → safe HTML with <mark> around the matches; null when nothing matched there */
+function highlight(headline) {
+    if (!headline || !headline.includes(HIT_START)) return null;
+    return escHtml(headline).split(HIT_START).join('<mark>').split(HIT_END).join('</mark>');
+}
+
+/* ═══════════════════════════════════════════════════════════
+   GET /api/search?q=nali+near+metro+gate+3
+   → { query, results: [{ …report, rank, snippets: { description, location, chat } }],
+       count, next_offset }
+   Snippets are HTML: escaped text with <mark> around the matches.
+   ═══════════════════════════════════════════════════════════ */
+router.get('/search', async (req, res) => {
+    const text = String(req.query.q || '').trim().slice(0, MAX_QUERY_LENGTH);
+    if (!text) return res.status(400).json({ error: 'q is required' });
+
+    try {
+        const { q, limit, offset, ...query } = req.query;
+        const filters = parseReportQuery(query);
+        const pageSize = Math.min(parseInt(limit) || 20, MAX_SEARCH_LIMIT);
+        const skip = Math.max(parseInt(offset) || 0, 0);
+
+        const params = [text];
+        const where = reportFilterSql(filters, params);
+        params.push(pageSize + 1, skip, HEADLINE_OPTIONS);
+        const [limitP, offsetP, optionsP] = [params.length - 2, params.length - 1, params.length];
+
+        const { rows } = await pool.query(`
+            WITH q AS (SELECT search_tsquery($1) AS query),
+            report_hits AS (
+                SELECT r.id AS report_id, ts_rank(r.search_vector, q.query) AS rank
+                FROM reports r, q
+                WHERE r.search_vector @@ q.query
+            ),
+            chat_hits AS (
+                SELECT DISTINCT ON (c.report_id) c.report_id, c.id AS chat_id, ts_rank(c.search_vector, q.query) AS rank
+                FROM report_chat c, q
+                WHERE c.search_vector @@ q.query
+                ORDER BY c.report_id, rank DESC, c.id DESC
+            ),
+            page AS (
+                SELECT r.id, r.category, r.description, r.location_text,
+                       r.gps_lat, r.gps_lon, r.state, r.status, r.supporter_count,
+                       r.severity_level, r.is_emergency, r.verification_count, r.sla_level,
+                       r.image_url, r.image_variants, r.created_at, r.updated_at, r.resolved_at,
+                       w.ward_id, w.ward_name, w.zone, w.officer_name,
+                       COALESCE(rh.rank, 0) + COALESCE(ch.rank, 0) AS rank,
+                       ch.chat_id
+                FROM report_hits rh
+                FULL JOIN chat_hits ch ON ch.report_id = rh.report_id
+                JOIN reports r ON r.id = COALESCE(rh.report_id, ch.report_id)
+                LEFT JOIN city_wards w ON r.ward_id = w.ward_id
+                WHERE ${where.join('\n                  AND ')}
+                ORDER BY rank DESC, r.id DESC
+                LIMIT $${limitP} OFFSET $${offsetP}
+            )
+            -- Headlines only for the page — ts_headline re-parses the text
+            SELECT page.*,
+                   ts_headline('english', COALESCE(page.description, ''), q.query, $${optionsP}) AS description_hl,
+                   ts_headline('english', COALESCE(page.location_text, ''), q.query, $${optionsP}) AS location_hl,
+                   ts_headline('english', c.message, q.query, $${optionsP}) AS chat_hl,
+                   c.sender_role AS chat_sender_role, c.sender_name AS chat_sender_name, c.sent_at AS chat_sent_at
+            FROM page
+            CROSS JOIN q
+            LEFT JOIN report_chat c ON c.id = page.chat_id
+            ORDER BY page.rank DESC, page.id DESC
+        `, params);
+
+        const results = rows.slice(0, pageSize).map(({
+            chat_id, description_hl, location_hl, chat_hl, chat_sender_role, chat_sender_name, chat_sent_at, rank, ...r
+        }) => ({
+            ...r,
+            rank: Math.round(rank * 1000) / 1000,
+            snippets: {
+                description: highlight(description_hl),
+                location: highlight(location_hl),
+                chat: chat_id ? {
+                    html: highlight(chat_hl),
+                    sender_role: chat_sender_role,
+                    sender_name: chat_sender_name,
+                    sent_at: chat_sent_at,
+                } : null,
+            },
+        }));
+
+        res.json({
+            query: text,
+            results,
+            count: results.length,
+            next_offset: rows.length > pageSize ? skip + pageSize : null,
+        });
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error('[API] GET /search error:', err);
+        res.status(500).json({ error: 'Search failed', detail: err.message });
+    }
+});
+
+/* ═══════════════════════════════════════════════════════════
+   Synonyms — { canonical: [terms…] }
+   ═══════════════════════════════════════════════════════════ */
+router.get('/search/synonyms', async (req, res) => {
+    try {
+        const { rows } = await pool.query(`
+            SELECT canonical, array_agg(term ORDER BY term) AS terms
+            FROM search_synonyms
+            GROUP BY canonical
+            ORDER BY canonical
+        `);
+        res.json({ synonyms: Object.fromEntries(rows.map(r => [r.canonical, r.terms])) });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to fetch synonyms', detail: err.message });
+    }
+});
+
+/* PUT /api/search/synonyms — Body: { canonical: 'drain', terms: ['nali', 'naala'] } */
+router.put('/search/synonyms', requireRole('admin'), async (req, res) => {
+    const canonical = String(req.body.canonical || '').trim().toLowerCase();
+    const terms = (Array.isArray(req.body.terms) ? req.body.terms : [])
+        .map(t => String(t).trim().toLowerCase())
+        .filter(t => t && t !== canonical);
+
+    if (!/^[\p{L}\p{N}]+$/u.test(canonical)) {
+        return res.status(400).json({ error: 'canonical must be a single word' });
+    }
+    if (!terms.length || terms.some(t => !/^[\p{L}\p{N}]+$/u.test(t))) {
+        return res.status(400).json({ error: 'terms must be a non-empty list of single words' });
+    }
+
+    try {
+        // A term belongs to one group; re-mapping it moves it
+        await pool.query(`
+            INSERT INTO search_synonyms (term, canonical)
+            SELECT UNNEST($1::text[]), $2
+            ON CONFLICT (term) DO UPDATE SET canonical = EXCLUDED.canonical
+        `, [terms, canonical]);
+        const { rows } = await pool.query(
+            'SELECT term FROM search_synonyms WHERE canonical = $1 ORDER BY term', [canonical]
+        );
+        console.log(`[Search] ${req.user.email} mapped ${terms.join(', ')} → ${canonical}`);
+        res.json({ canonical, terms: rows.map(r => r.term) });
+    } catch (err) {
+        console.error('[API] PUT /search/synonyms error:', err);
+        res.status(500).json({ error: 'Failed to save synonyms', detail: err.message });
+    }
+});
+
+router.delete('/search/synonyms/:term', requireRole('admin'), async (req, res) => {
+    try {
+        const { rowCount } = await pool.query(
+            'DELETE FROM search_synonyms WHERE term = $1', [req.params.term.toLowerCase()]
+        );
+        if (!rowCount) return res.status(404).json({ error: `No synonym '${req.params.term}'` });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to delete synonym', detail: err.message });
+    }
+});
+
+module.exports = router;
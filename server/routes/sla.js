@@ -0,0 +1,110 @@
+/**
+ * routes/sla.js — SLA Policy Administration
+ *
+ * GET    /api/sla-policies                       — All policies (public, for transparency)
+ * GET    /api/sla-policies/resolve?category=&severity= — Policy that applies to a report
+ * PUT    /api/sla-policies                       — Create / replace a policy   (admin)
+ * DELETE /api/sla-policies/:category/:severity   — Remove a policy             (admin)
+ *
+ * '*' matches any category or severity. The city-wide '*' / '*' default can be
+ * edited but not deleted. clock = 'business' measures deadlines in working
+ * hours on the city calendar (routes/calendars.js) instead of wall-clock hours.
+ */
+
+const express = require('express');
+const pool = require('../db/pool');
+const { requireRole } = require('../lib/auth');
+
+const router = express.Router();
+
+const SEVERITIES = ['*', 'low', 'medium', 'high', 'critical'];
+const CLOCKS = ['wall', 'business'];
+
+router.get('/sla-policies', async (req, res) => {
+    try {
+        const { rows } = await pool.query(`
+            SELECT p.category, p.severity_level, p.l1_hours, p.l2_hours, p.l3_hours, p.clock, p.updated_at,
+                   u.name AS updated_by_name
+            FROM sla_policies p
+            LEFT JOIN staff_users u ON u.id = p.updated_by
+            ORDER BY (p.category = '*') DESC, p.category, (p.severity_level = '*') DESC, p.severity_level
+        `);
+        res.json({ policies: rows, count: rows.length });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to fetch SLA policies', detail: err.message });
+    }
+});
+
+router.get('/sla-policies/resolve', async (req, res) => {
+    const { category, severity = 'medium' } = req.query;
+    if (!category) return res.status(400).json({ error: 'category is required' });
+    try {
+        const { rows } = await pool.query(
+            'SELECT category, severity_level, l1_hours, l2_hours, l3_hours, clock FROM sla_policy_for($1, $2)',
+            [category, severity]
+        );
+        res.json({ policy: rows[0] || null });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to resolve SLA policy', detail: err.message });
+    }
+});
+
+/* ═══════════════════════════════════════════════════════════
+   PUT /api/sla-policies
+   Body: { category?: '*', severity_level?: '*', l1_hours, l2_hours, l3_hours, clock?: 'wall' }
+   ═══════════════════════════════════════════════════════════ */
+router.put('/sla-policies', requireRole('admin'), async (req, res) => {
+    const { category = '*', severity_level = '*', clock = 'wall' } = req.body;
+    const l1 = parseFloat(req.body.l1_hours);
+    const l2 = parseFloat(req.body.l2_hours);
+    const l3 = parseFloat(req.body.l3_hours);
+
+    if (!SEVERITIES.includes(severity_level)) {
+        return res.status(400).json({ error: `severity_level must be one of: ${SEVERITIES.join(', ')}` });
+    }
+    if (!CLOCKS.includes(clock)) {
+        return res.status(400).json({ error: `clock must be one of: ${CLOCKS.join(', ')}` });
+    }
+    if ([l1, l2, l3].some(isNaN) || !(l1 > 0 && l1 <= l2 && l2 <= l3)) {
+        return res.status(400).json({ error: 'l1_hours, l2_hours, l3_hours must be positive and ascending' });
+    }
+
+    try {
+        const { rows } = await pool.query(`
+            INSERT INTO sla_policies (category, severity_level, l1_hours, l2_hours, l3_hours, clock, updated_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            ON CONFLICT (category, severity_level) DO UPDATE
+              SET l1_hours = EXCLUDED.l1_hours,
+                  l2_hours = EXCLUDED.l2_hours,
+                  l3_hours = EXCLUDED.l3_hours,
+                  clock = EXCLUDED.clock,
+                  updated_by = EXCLUDED.updated_by,
+                  updated_at = NOW()
+            RETURNING category, severity_level, l1_hours, l2_hours, l3_hours, clock, updated_at
+        `, [String(category).trim() || '*', severity_level, l1, l2, l3, clock, req.user.id]);
+
+        console.log(`[SLA] Policy ${category}/${severity_level} → ${l1}/${l2}/${l3}h (${clock}) by ${req.user.email}`);
+        res.json({ success: true, policy: rows[0] });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to save SLA policy', detail: err.message });
+    }
+});
+
+router.delete('/sla-policies/:category/:severity', requireRole('admin'), async (req, res) => {
+    const { category, severity } = req.params;
+    if (category === '*' && severity === '*') {
+        return res.status(409).json({ error: 'The city-wide default policy cannot be deleted' });
+    }
+    try {
+        const { rowCount } = await pool.query(
+            'DELETE FROM sla_policies WHERE category = $1 AND severity_level = $2',
+            [category, severity]
+        );
+        if (!rowCount) return res.status(404).json({ error: `No policy for ${category}/${severity}` });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to delete SLA policy', detail: err.message });
+    }
+});
+
+module.exports = router;
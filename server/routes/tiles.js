@@ -0,0 +1,146 @@
+/**
+ * routes/tiles.js — Mapbox Vector Tiles for the report and ward maps
+ *
+ * GET /api/tiles/reports/:z/:x/:y.mvt — Reports, layer `reports` (+ the report filters of lib/reportQuery.js)
+ * GET /api/tiles/wards/:z/:x/:y.mvt   — Active ward boundaries, layer `wards`
+ *
+ * Below CLUSTER_MAX_ZOOM reports are grouped into a grid of CLUSTER_CELLS ×
+ * CLUSTER_CELLS cells per tile, aligned to tile edges so a cluster never
+ * straddles two tiles. A cluster carries point_count, open_count,
+ * emergency_count, its most common state / category and its worst severity;
+ * from CLUSTER_MAX_ZOOM on each report is its own point (id, state,
+ * severity, category, is_emergency, sla_level, created).
+ *
+ * Tiles are built in PostGIS with ST_AsMVT (needs PostGIS ≥ 3.1 for
+ * ST_TileEnvelope's margin). Empty tiles answer 204.
+ */
+
+const express = require('express');
+const pool = require('../db/pool');
+const { parseReportQuery, reportFilterSql } = require('../lib/reportQuery');
+const { CLOSED_STATES } = require('../lib/stateMachine');
+
+const router = express.Router();
+
+const CLUSTER_MAX_ZOOM = 14;
+const CLUSTER_CELLS = 16;
+const MAX_ZOOM = 22;
+const EXTENT = 4096;
+const BUFFER = 64;
+const WEB_MERCATOR_WIDTH = 2 * 20037508.342789244;
+
+const SEVERITY_RANK_SQL = `CASE p.severity_level
+    WHEN 'critical' THEN 4 WHEN 'high' THEN 3 WHEN 'medium' THEN 2 WHEN 'low' THEN 1 ELSE 2 END`;
+// Reports in these states don't count as open
+const CLOSED_STATES_SQL = `(${[...CLOSED_STATES, 'MERGED'].map(s => `'${s}'`).join(', ')})`;
+
+/** { z, x, y } from the path, or a 400 error */
+function tileParams(req) {
+    const [z, x, y] = [req.params.z, req.params.x, req.params.y].map(Number);
+    const max = 2 ** z;
+    if (![z, x, y].every(Number.isInteger) || z < 0 || z > MAX_ZOOM || x < 0 || y < 0 || x >= max || y >= max) {
+        throw Object.assign(new Error(`No tile ${req.params.z}/${req.params.x}/${req.params.y}`), { status: 400 });
+    }
+    return { z, x, y };
+}
+
+function sendTile(res, tile) {
+    res.set('Cache-Control', 'public, max-age=30');
+    if (!tile || !tile.length) return res.status(204).end();
+    res.type('application/vnd.mapbox-vector-tile').send(tile);
+}
+
+/* ═══════════════════════════════════════════════════════════
+   GET /api/tiles/reports/:z/:x/:y.mvt?state=&severity=&category=…
+   ═══════════════════════════════════════════════════════════ */
+router.get('/tiles/reports/:z/:x/:y.mvt', async (req, res) => {
+    try {
+        const { z, x, y } = tileParams(req);
+        const { sort, limit, cursor, bbox, ...query } = req.query;
+        const filters = parseReportQuery(query);
+        const clustered = z < CLUSTER_MAX_ZOOM;
+
+        // Individual points bleed into the tile buffer so symbols aren't cut at
+        // tile edges; clusters are whole cells inside the tile and need no margin
+        const params = [z, x, y, clustered ? 0 : BUFFER / EXTENT];
+        const where = reportFilterSql(filters, params);
+        const cellP = params.push(WEB_MERCATOR_WIDTH / 2 ** z / CLUSTER_CELLS);
+
+        const features = clustered ? `
+            SELECT ST_AsMVTGeom(ST_Centroid(ST_Collect(p.geom)), b.env, ${EXTENT}, ${BUFFER}, true) AS geom,
+                   COUNT(*)::int AS point_count,
+                   COUNT(*) FILTER (WHERE p.state NOT IN ${CLOSED_STATES_SQL})::int AS open_count,
+                   COUNT(*) FILTER (WHERE p.is_emergency)::int AS emergency_count,
+                   mode() WITHIN GROUP (ORDER BY p.state) AS state,
+                   mode() WITHIN GROUP (ORDER BY p.category) AS category,
+                   (ARRAY['low', 'medium', 'high', 'critical'])[MAX(${SEVERITY_RANK_SQL})] AS severity
+            FROM pts p, bounds b
+            GROUP BY b.env, floor(ST_X(p.geom) / $${cellP}), floor(ST_Y(p.geom) / $${cellP})
+        ` : `
+            SELECT ST_AsMVTGeom(p.geom, b.env, ${EXTENT}, ${BUFFER}, true) AS geom,
+                   p.id, p.state, p.severity_level AS severity, p.category,
+                   COALESCE(p.is_emergency, FALSE) AS is_emergency,
+                   COALESCE(p.sla_level, 0) AS sla_level,
+                   EXTRACT(EPOCH FROM p.created_at)::int AS created
+            FROM pts p, bounds b
+        `;
+
+        const { rows } = await pool.query(`
+            WITH bounds AS (
+                SELECT ST_TileEnvelope($1, $2, $3) AS env,
+                       ST_Transform(ST_TileEnvelope($1, $2, $3, margin => $4), 4326) AS env4326
+            ),
+            pts AS (
+                SELECT r.id, r.state, r.severity_level, r.category, r.is_emergency, r.sla_level, r.created_at,
+                       ST_Transform(r.coordinates, 3857) AS geom
+                FROM reports r
+                LEFT JOIN city_wards w ON r.ward_id = w.ward_id
+                CROSS JOIN bounds
+                WHERE r.coordinates && bounds.env4326
+                  AND ${where.join('\n                  AND ')}
+            )
+            SELECT ST_AsMVT(t, 'reports', ${EXTENT}, 'geom') AS tile
+            FROM (${features}) t
+            WHERE t.geom IS NOT NULL
+        `, params);
+
+        sendTile(res, rows[0]?.tile);
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error('[API] GET /tiles/reports error:', err);
+        res.status(500).json({ error: 'Failed to build report tile', detail: err.message });
+    }
+});
+
+/* ═══════════════════════════════════════════════════════════
+   GET /api/tiles/wards/:z/:x/:y.mvt
+   ward_id, ward_name, ward_code, zone, open_reports per polygon
+   ═══════════════════════════════════════════════════════════ */
+router.get('/tiles/wards/:z/:x/:y.mvt', async (req, res) => {
+    try {
+        const { z, x, y } = tileParams(req);
+        const { rows } = await pool.query(`
+            WITH bounds AS (SELECT ST_TileEnvelope($1, $2, $3) AS env)
+            SELECT ST_AsMVT(t, 'wards', ${EXTENT}, 'geom') AS tile
+            FROM (
+                SELECT ST_AsMVTGeom(ST_Transform(w.ward_geometry, 3857), b.env, ${EXTENT}, ${BUFFER}, true) AS geom,
+                       w.ward_id, w.ward_name, w.ward_code, w.zone,
+                       (SELECT COUNT(*)::int FROM reports r
+                        WHERE r.ward_id = w.ward_id AND r.parent_report_id IS NULL
+                          AND r.state NOT IN ${CLOSED_STATES_SQL}) AS open_reports
+                FROM city_wards w, bounds b
+                WHERE w.is_active
+                  AND w.ward_geometry && ST_Transform(b.env, 4326)
+            ) t
+            WHERE t.geom IS NOT NULL
+        `, [z, x, y]);
+
+        sendTile(res, rows[0]?.tile);
+    } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        console.error('[API] GET /tiles/wards error:', err);
+        res.status(500).json({ error: 'Failed to build ward tile', detail: err.message });
+    }
+});
+
+module.exports = router;
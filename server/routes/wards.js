@@ -0,0 +1,459 @@
+/**
+ * routes/wards.js — Ward Boundaries + Admin Ward Management
+ *
+ * GET    /api/wards              — Ward boundaries as GeoJSON (?include_retired=true for all)
+ * POST   /api/wards              — Create a ward                       (admin)
+ * PATCH  /api/wards/:id          — Update name / zone / code / calendar / geometry (admin)
+ * DELETE /api/wards/:id          — Retire a ward (kept for history)    (admin)
+ * PUT    /api/wards/:id/officer  — Change the ward officer             (admin)
+ * POST   /api/wards/import       — Bulk GeoJSON / KML boundary import  (admin)
+ * POST   /api/wards/redistrict   — Re-run ward assignment for reports  (admin)
+ *
+ * Every boundary change (create, geometry edit, retire, import) schedules a
+ * re-districting job so existing reports follow the new boundaries.
+ *
+ * Import validates every geometry (ST_IsValid), flags overlaps between wards
+ * and reports gaps (holes) in city coverage before anything is written.
+ */
+
+const express = require('express');
+const multer = require('multer');
+const pool = require('../db/pool');
+const { requireRole } = require('../lib/auth');
+const { parseBoundaries, mapFeatureToWard } = require('../lib/boundaryImport');
+const { redistrictReports, scheduleRedistrict } = require('../lib/redistrict');
+
+const router = express.Router();
+
+// Boundary files are held in memory — they are parsed, never stored on disk
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 20 * 1024 * 1024 } });
+
+// Overlaps / gaps smaller than this are treated as digitising slivers
+const SLIVER_TOLERANCE_M2 = parseFloat(process.env.WARD_SLIVER_TOLERANCE_M2 || '10');
+
+const GEOM_FROM_GEOJSON = (param) => `ST_Multi(ST_SetSRID(ST_GeomFromGeoJSON(${param}), 4326))`;
+
+const WARD_RETURNING = `ward_id, ward_code, ward_name, zone, officer_name, officer_email, officer_phone,
+                        calendar_id, is_active, retired_at, updated_at`;
+
+/* ── Helpers ─────────────────────────────────────────────────── */
+// calendar_id on create / update: omitted, null (default calendar) or a calendar id
+const isCalendarId = (v) => v === undefined || v === null || (Number.isInteger(v) && v > 0);
+
+async function checkGeometry(client, geometry) {
+    if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+        throw Object.assign(new Error('geometry must be a GeoJSON Polygon or MultiPolygon'), { status: 400 });
+    }
+    const { rows } = await client.query(
+        `SELECT ST_IsValid(g) AS valid, ST_IsValidReason(g) AS reason
+         FROM (SELECT ${GEOM_FROM_GEOJSON('$1')} AS g) x`,
+        [JSON.stringify(geometry)]
+    );
+    if (!rows[0].valid) {
+        throw Object.assign(new Error(`Invalid ward geometry: ${rows[0].reason}`), { status: 422 });
+    }
+}
+
+/**
+ * validateCoverage(client)
+ * Runs against the ward_import temp table merged with the active wards it does not replace.
+ * Returns { invalid, overlaps, gaps }.
+ */
+async function validateCoverage(client) {
+    const { rows: invalid } = await client.query(`
+        SELECT idx AS index, ward_name, ST_IsValidReason(geom) AS reason
+        FROM ward_import WHERE NOT ST_IsValid(geom)
+        ORDER BY idx
+    `);
+
+    const coverageCte = `
+        WITH coverage AS (
+            SELECT 'import:' || idx AS key, idx AS import_index, NULL::int AS ward_id, ward_name, geom
+            FROM ward_import WHERE ST_IsValid(geom)
+            UNION ALL
+            SELECT 'ward:' || w.ward_id, NULL, w.ward_id, w.ward_name, w.ward_geometry
+            FROM city_wards w
+            WHERE w.is_active
+              AND NOT EXISTS (SELECT 1 FROM ward_import i WHERE i.ward_code IS NOT NULL AND i.ward_code = w.ward_code)
+        )`;
+
+    const { rows: overlaps } = await client.query(`
+        ${coverageCte}
+        SELECT a.import_index AS a_index, a.ward_id AS a_ward_id, a.ward_name AS a_name,
+               b.import_index AS b_index, b.ward_id AS b_ward_id, b.ward_name AS b_name,
+               ROUND(ST_Area(ST_Intersection(a.geom, b.geom)::geography)::numeric, 1) AS overlap_m2
+        FROM coverage a
+        JOIN coverage b ON a.key < b.key AND ST_Intersects(a.geom, b.geom)
+        WHERE (a.import_index IS NOT NULL OR b.import_index IS NOT NULL)
+          AND ST_Area(ST_Intersection(a.geom, b.geom)::geography) > $1
+        ORDER BY overlap_m2 DESC
+    `, [SLIVER_TOLERANCE_M2]);
+
+    // Gaps = holes inside the union of all wards (area enclosed by wards but covered by none)
+    const { rows: gaps } = await client.query(`
+        ${coverageCte},
+        parts AS (SELECT (ST_Dump(ST_Union(geom))).geom AS geom FROM coverage),
+        holes AS (
+            SELECT (ST_Dump(ST_Difference(ST_MakePolygon(ST_ExteriorRing(geom)), geom))).geom AS geom
+            FROM parts
+        )
+        SELECT ROUND(ST_Area(geom::geography)::numeric, 1) AS area_m2,
+               ST_AsGeoJSON(ST_Centroid(geom))::json AS centroid,
+               ST_AsGeoJSON(geom)::json AS geometry
+        FROM holes
+        WHERE ST_Area(geom::geography) > $1
+        ORDER BY area_m2 DESC
+    `, [SLIVER_TOLERANCE_M2]);
+
+    return {
+        invalid,
+        overlaps: overlaps.map(o => ({
+            a: o.a_ward_id ? { wardId: o.a_ward_id, wardName: o.a_name } : { importIndex: o.a_index, wardName: o.a_name },
+            b: o.b_ward_id ? { wardId: o.b_ward_id, wardName: o.b_name } : { importIndex: o.b_index, wardName: o.b_name },
+            overlap_m2: parseFloat(o.overlap_m2),
+        })),
+        gaps: gaps.map(g => ({ ...g, area_m2: parseFloat(g.area_m2) })),
+    };
+}
+
+/* ═══════════════════════════════════════════════════════════
+   GET /api/wards — Ward boundaries as GeoJSON FeatureCollection
+   ═══════════════════════════════════════════════════════════ */
+router.get('/wards', async (req, res) => {
+    const includeRetired = req.query.include_retired === 'true';
+    try {
+        const { rows } = await pool.query(`
+            SELECT ward_id, ward_code, ward_name, zone, officer_name, officer_email, calendar_id, is_active,
+                   ST_AsGeoJSON(ward_geometry)::json AS geometry
+            FROM city_wards
+            WHERE $1 OR is_active
+            ORDER BY ward_id
+        `, [includeRetired]);
+
+        res.json({
+            type: 'FeatureCollection',
+            features: rows.map(row => ({
+                type: 'Feature',
+                properties: {
+                    wardId: row.ward_id,
+                    wardCode: row.ward_code,
+                    wardName: row.ward_name,
+                    zone: row.zone,
+                    officerName: row.officer_name,
+                    officerEmail: row.officer_email,
+                    calendarId: row.calendar_id,
+                    isActive: row.is_active,
+                },
+                geometry: row.geometry,
+            })),
+        });
+    } catch (err) {
+        console.error('[API] GET /wards error:', err);
+        res.status(500).json({ error: 'Failed to fetch wards', detail: err.message });
+    }
+});
+
+/* ═══════════════════════════════════════════════════════════
+   POST /api/wards — Create ward
+   Body: { ward_name, geometry, ward_code?, zone?, officer_name?, officer_email?, officer_phone?, calendar_id? }
+   ═══════════════════════════════════════════════════════════ */
+router.post('/wards', requireRole('admin'), async (req, res) => {
+    const { ward_name, geometry, ward_code, zone, officer_name, officer_email, officer_phone, calendar_id } = req.body;
+    if (!ward_name) return res.status(400).json({ error: 'ward_name is required' });
+    if (!isCalendarId(calendar_id)) return res.status(400).json({ error: 'calendar_id must be a calendar id or null' });
+
+    try {
+        await checkGeometry(pool, geometry);
+        const { rows } = await pool.query(`
+            INSERT INTO city_wards (ward_name, ward_code, zone, officer_name, officer_email, officer_phone, calendar_id, ward_geometry)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, ${GEOM_FROM_GEOJSON('$8')})
+            RETURNING ${WARD_RETURNING}
+        `, [
+            ward_name.trim(), ward_code || null, zone || null,
+            officer_name || 'Unassigned', officer_email || null, officer_phone || null,
+            calendar_id ?? null, JSON.stringify(geometry),
+        ]);
+        console.log(`[Wards] Created ward #${rows[0].ward_id} ${rows[0].ward_name}`);
+        scheduleRedistrict([rows[0].ward_id], req.user);
+        res.status(201).json({ success: true, ward: rows[0] });
+    } catch (err) {
+        if (err.code === '23505') return res.status(409).json({ error: `Ward code '${ward_code}' already exists` });
+        if (err.code === '23503') return res.status(400).json({ error: `Calendar #${calendar_id} not found` });
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+/* ═══════════════════════════════════════════════════════════
+   PATCH /api/wards/:id — Update ward attributes and/or geometry
+   ═══════════════════════════════════════════════════════════ */
+router.patch('/wards/:id', requireRole('admin'), async (req, res) => {
+    const { id } = req.params;
+    const { ward_name, ward_code, zone, calendar_id, geometry } = req.body;
+    if (!isCalendarId(calendar_id)) return res.status(400).json({ error: 'calendar_id must be a calendar id or null' });
+
+    const setClauses = [];
+    const values = [id];
+    const set = (col, val, expr) => {
+        values.push(val);
+        setClauses.push(`${col} = ${expr ? expr(`$${values.length}`) : `$${values.length}`}`);
+    };
+
+    if (ward_name !== undefined) set('ward_name', String(ward_name).trim());
+    if (ward_code !== undefined) set('ward_code', ward_code || null);
+    if (zone !== undefined) set('zone', zone || null);
+    if (calendar_id !== undefined) set('calendar_id', calendar_id);
+    if (geometry !== undefined) set('ward_geometry', JSON.stringify(geometry), GEOM_FROM_GEOJSON);
+
+    if (!setClauses.length) return res.status(400).json({ error: 'Nothing to update' });
+
+    try {
+        if (geometry !== undefined) await checkGeometry(pool, geometry);
+        const { rows } = await pool.query(
+            `UPDATE city_wards SET ${setClauses.join(', ')} WHERE ward_id = $1 RETURNING ${WARD_RETURNING}`,
+            values
+        );
+        if (!rows.length) return res.status(404).json({ error: `Ward #${id} not found` });
+        if (geometry !== undefined) scheduleRedistrict([rows[0].ward_id], req.user);
+        res.json({ success: true, ward: rows[0] });
+    } catch (err) {
+        if (err.code === '23505') return res.status(409).json({ error: `Ward code '${ward_code}' already exists` });
+        if (err.code === '23503') return res.status(400).json({ error: `Calendar #${calendar_id} not found` });
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+/* ═══════════════════════════════════════════════════════════
+   DELETE /api/wards/:id — Retire ward
+   Retired wards stop receiving new reports but keep their history.
+   ═══════════════════════════════════════════════════════════ */
+router.delete('/wards/:id', requireRole('admin'), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const { rows } = await pool.query(
+            `UPDATE city_wards SET is_active = FALSE, retired_at = NOW()
+             WHERE ward_id = $1 AND is_active
+             RETURNING ${WARD_RETURNING}`,
+            [id]
+        );
+        if (!rows.length) return res.status(404).json({ error: `Active ward #${id} not found` });
+        console.log(`[Wards] Retired ward #${id} ${rows[0].ward_name}`);
+        scheduleRedistrict([rows[0].ward_id], req.user);
+        res.json({ success: true, ward: rows[0], message: `🗄️ Ward ${rows[0].ward_name} retired` });
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to retire ward', detail: err.message });
+    }
+});
+
+/* ═══════════════════════════════════════════════════════════
+   PUT /api/wards/:id/officer
+   Body: { staff_user_id } — copy contact details from a staff account
+      or { officer_name, officer_email?, officer_phone? }
+   ═══════════════════════════════════════════════════════════ */
+router.put('/wards/:id/officer', requireRole('admin'), async (req, res) => {
+    const { id } = req.params;
+    const { staff_user_id } = req.body;
+    let { officer_name, officer_email, officer_phone } = req.body;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        if (staff_user_id) {
+            const { rows } = await client.query(
+                `UPDATE staff_users SET ward_id = $2 WHERE id = $1 AND is_active
+                 RETURNING name, email, phone`,
+                [staff_user_id, id]
+            );
+            if (!rows.length) throw Object.assign(new Error(`Active staff user #${staff_user_id} not found`), { status: 404 });
+            ({ name: officer_name, email: officer_email, phone: officer_phone } = rows[0]);
+        }
+        if (!officer_name) throw Object.assign(new Error('officer_name or staff_user_id is required'), { status: 400 });
+
+        const { rows } = await client.query(
+            `UPDATE city_wards SET officer_name = $2, officer_email = $3, officer_phone = $4
+             WHERE ward_id = $1 RETURNING ${WARD_RETURNING}`,
+            [id, officer_name, officer_email || null, officer_phone || null]
+        );
+        if (!rows.length) throw Object.assign(new Error(`Ward #${id} not found`), { status: 404 });
+
+        await client.query('COMMIT');
+        console.log(`[Wards] Ward #${id} officer → ${officer_name}`);
+        res.json({ success: true, ward: rows[0], message: `👷 ${officer_name} is now officer for ${rows[0].ward_name}` });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ error: err.message });
+    } finally {
+        client.release();
+    }
+});
+
+/* ═══════════════════════════════════════════════════════════
+   POST /api/wards/import
+   Multipart: file (GeoJSON / KML) + fields below as form values, or
+   JSON body: { data, format?, mapping?, dryRun?, repair?, strict? }
+
+     mapping — { ward_name: 'WARD_NAME', ward_code: 'WARD_NO', zone: 'ZONE', … }
+     dryRun  — validate and return the report without writing
+     repair  — fix invalid geometries with ST_MakeValid instead of rejecting
+     strict  — treat overlaps and gaps as errors
+
+   Features whose ward_code matches an existing ward update that ward's
+   boundary; everything else is inserted as a new ward.
+   ═══════════════════════════════════════════════════════════ */
+router.post('/wards/import', requireRole('admin'), upload.single('file'), async (req, res) => {
+    const flag = (v) => v === true || v === 'true';
+    const dryRun = flag(req.body.dryRun);
+    const repair = flag(req.body.repair);
+    const strict = flag(req.body.strict);
+
+    let wards;
+    try {
+        const mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : (req.body.mapping ?? {});
+        if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)
+            || Object.values(mapping).some(v => v != null && typeof v !== 'string')) {
+            return res.status(400).json({ error: 'mapping must be an object of column → property name' });
+        }
+        const data = req.file ? req.file.buffer.toString('utf8') : req.body.data;
+        if (!data) return res.status(400).json({ error: 'Upload a "file" or send boundary "data"' });
+        wards = parseBoundaries(data, req.body.format).map(f => mapFeatureToWard(f, mapping));
+    } catch (err) {
+        return res.status(err.status || 400).json({ error: err.message });
+    }
+
+    const rejected = wards.filter(w => w.problems.length)
+        .map(w => ({ index: w.index, ward_name: w.ward_name, reason: w.problems.join('; ') }));
+    const candidates = wards.filter(w => !w.problems.length);
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query(`
+            CREATE TEMP TABLE ward_import (
+                idx INTEGER, ward_code VARCHAR(50), ward_name VARCHAR(100), zone VARCHAR(50),
+                officer_name VARCHAR(100), officer_email VARCHAR(150), officer_phone VARCHAR(20),
+                geom GEOMETRY
+            ) ON COMMIT DROP
+        `);
+        let loaded = 0;
+        for (const w of candidates) {
+            // Savepoint per feature so one malformed geometry is reported instead of aborting the import
+            await client.query('SAVEPOINT feature');
+            try {
+                await client.query(`
+                    INSERT INTO ward_import (idx, ward_code, ward_name, zone, officer_name, officer_email, officer_phone, geom)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, ${GEOM_FROM_GEOJSON('$8')})
+                `, [w.index, w.ward_code, w.ward_name, w.zone, w.officer_name, w.officer_email, w.officer_phone,
+                    JSON.stringify(w.geometry)]);
+                await client.query('RELEASE SAVEPOINT feature');
+                loaded++;
+            } catch (err) {
+                await client.query('ROLLBACK TO SAVEPOINT feature');
+                rejected.push({ index: w.index, ward_name: w.ward_name, reason: err.message });
+            }
+        }
+
+        let repaired = [];
+        if (repair) {
+            ({ rows: repaired } = await client.query(`
+                UPDATE ward_import SET geom = ST_Multi(ST_CollectionExtract(ST_MakeValid(geom), 3))
+                WHERE NOT ST_IsValid(geom)
+                RETURNING idx AS index, ward_name
+            `));
+        }
+
+        const validation = await validateCoverage(client);
+        const report = {
+            features: wards.length,
+            importable: loaded - validation.invalid.length,
+            rejected: [...rejected, ...validation.invalid],
+            repaired,
+            overlaps: validation.overlaps,
+            gaps: validation.gaps,
+        };
+
+        const blocking = report.rejected.length > 0 ||
+            (strict && (report.overlaps.length > 0 || report.gaps.length > 0));
+
+        if (dryRun || blocking) {
+            await client.query('ROLLBACK');
+            return res.status(blocking ? 422 : 200).json({
+                success: !blocking,
+                applied: false,
+                dryRun,
+                error: blocking ? 'Import rejected — fix the listed problems or use repair / non-strict mode' : undefined,
+                validation: report,
+            });
+        }
+
+        const { rows: updated } = await client.query(`
+            UPDATE city_wards w SET
+                ward_geometry = i.geom,
+                ward_name     = i.ward_name,
+                zone          = COALESCE(i.zone, w.zone),
+                officer_name  = COALESCE(i.officer_name, w.officer_name),
+                officer_email = COALESCE(i.officer_email, w.officer_email),
+                officer_phone = COALESCE(i.officer_phone, w.officer_phone),
+                is_active = TRUE, retired_at = NULL
+            FROM ward_import i
+            WHERE i.ward_code IS NOT NULL AND i.ward_code = w.ward_code
+            RETURNING w.ward_id, w.ward_code, w.ward_name
+        `);
+        const { rows: inserted } = await client.query(`
+            INSERT INTO city_wards (ward_code, ward_name, zone, officer_name, officer_email, officer_phone, ward_geometry)
+            SELECT i.ward_code, i.ward_name, i.zone, COALESCE(i.officer_name, 'Unassigned'),
+                   i.officer_email, i.officer_phone, i.geom
+            FROM ward_import i
+            WHERE NOT EXISTS (SELECT 1 FROM city_wards w WHERE i.ward_code IS NOT NULL AND w.ward_code = i.ward_code)
+            ORDER BY i.idx
+            RETURNING ward_id, ward_code, ward_name
+        `);
+
+        await client.query('COMMIT');
+        console.log(`[Wards] Import: ${inserted.length} created, ${updated.length} updated`);
+        scheduleRedistrict([...inserted, ...updated].map(w => w.ward_id), req.user);
+
+        res.status(201).json({
+            success: true,
+            applied: true,
+            created: inserted,
+            updated,
+            validation: report,
+            message: `🗺️ Imported ${inserted.length + updated.length} ward boundaries`,
+        });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('[Wards] Import error:', err.message);
+        res.status(err.status || 500).json({ error: 'Ward import failed', detail: err.message });
+    } finally {
+        client.release();
+    }
+});
+
+/* ═══════════════════════════════════════════════════════════
+   POST /api/wards/redistrict
+   Body: { ward_ids?: number[], dryRun?: boolean }
+   Omit ward_ids to re-check every report in the city.
+   ═══════════════════════════════════════════════════════════ */
+router.post('/wards/redistrict', requireRole('admin'), async (req, res) => {
+    const { ward_ids, dryRun = false } = req.body;
+    if (ward_ids !== undefined && (!Array.isArray(ward_ids) || ward_ids.some(id => !Number.isInteger(Number(id))))) {
+        return res.status(400).json({ error: 'ward_ids must be an array of ward ids' });
+    }
+
+    try {
+        const result = await redistrictReports({ wardIds: ward_ids || null, user: req.user, dryRun: Boolean(dryRun) });
+        res.json({
+            success: true,
+            dryRun: Boolean(dryRun),
+            ...result,
+            message: dryRun
+                ? `🔍 ${result.moved} report(s) would change ward`
+                : `🗺️ ${result.moved} report(s) re-districted, ${result.rerouted} re-routed to new officers`,
+        });
+    } catch (err) {
+        console.error('[Wards] Redistrict error:', err.message);
+        res.status(500).json({ error: 'Re-districting failed', detail: err.message });
+    }
+});
+
+module.exports = router;
@@ -1,20 +1,33 @@
 /**
  * routes/workflow.js — State Machine Transition API + Dashboard + Ward Performance
+ *
+ * GET /api/triage-reasons lists the reason codes REJECTED / TRANSFERRED require.
+ * GET /api/dashboard takes the report filters of lib/reportQuery.js (status= is the old name
+ * for state=) and pages with next_cursor; summary counts cover every
+ * report matching the filters, not just the returned page.
+ *
+ * POST /api/reports/:id/merge    — merge this report into { into }      (staff)
+ * POST /api/reports/:id/unmerge  — split a merged report back out        (staff)
+ * GET  /api/reports/:id/merges   — merged duplicates + merge history
  */
 
 const express = require('express');
 const pool = require('../db/pool');
-const { applyTransition, TRANSITIONS } = require('../lib/stateMachine');
+const { applyTransition, TRANSITIONS, TRIAGE_REASONS } = require('../lib/stateMachine');
 const { generateWeeklyPendingReport } = require('../lib/escalation');
+const { requireRole } = require('../lib/auth');
+const { mergeReports, unmergeReport } = require('../lib/merge');
+const { SLA_POLICY_JOIN, SLA_POLICY_COLUMNS, slaElapsedSql, slaThresholds, slaCountdown } = require('../lib/slaPolicy');
+const { parseReportQuery, reportFilterSql, queryReports } = require('../lib/reportQuery');
 
 const router = express.Router();
 
 /* ═══════════════════════════════════════════════════════════════
-   PATCH /api/reports/:id/transition
+   PATCH /api/reports/:id/transition — officer / supervisor / admin
    ═══════════════════════════════════════════════════════════════ */
-router.patch('/reports/:id/transition', async (req, res) => {
+router.patch('/reports/:id/transition', requireRole(), async (req, res) => {
     const { id } = req.params;
-    const { toState, officerLat, officerLon, officerEmail, officerPhone } = req.body;
+    const { toState, officerLat, officerLon, officerEmail, officerPhone, reasonCode, reasonNote, transferredTo } = req.body;
 
     if (!toState) return res.status(400).json({ error: 'toState is required' });
 
@@ -29,9 +42,13 @@ router.patch('/reports/:id/transition', async (req, res) => {
             officerLon: officerLon != null ? parseFloat(officerLon) : null,
             officerEmail,
             officerPhone,
+            reasonCode,
+            reasonNote: reasonNote?.trim() || null,
+            transferredTo: transferredTo?.trim() || null,
+            actor: req.user,
         });
 
-        const stateEmojis = { VERIFIED: '✅', ASSIGNED: '👷', IN_PROGRESS: '🔧', RESOLVED: '🎉' };
+        const stateEmojis = { VERIFIED: '✅', ASSIGNED: '👷', IN_PROGRESS: '🔧', RESOLVED: '🎉', REOPENED: '🔁', REJECTED: '🚫', TRANSFERRED: '↪️' };
 
         // Broadcast SSE
         if (global.sseClients && global.sseClients.size > 0) {
@@ -41,6 +58,7 @@ router.patch('/reports/:id/transition', async (req, res) => {
 
         res.json({
             ...result,
+            actedBy: { id: req.user.id, name: req.user.name, role: req.user.role },
             message: `${stateEmojis[toState] || '📋'} Report #${id} → ${result.transition.from} → ${result.transition.to}`,
         });
 
@@ -53,75 +71,73 @@ router.patch('/reports/:id/transition', async (req, res) => {
     }
 });
 
+/* ═══════════════════════════════════════════════════════════════
+   GET /api/triage-reasons — reason codes for REJECTED / TRANSFERRED
+   ═══════════════════════════════════════════════════════════════ */
+router.get('/triage-reasons', (req, res) => {
+    res.json({ reasons: TRIAGE_REASONS });
+});
+
 /* ═══════════════════════════════════════════════════════════════
    GET /api/dashboard
    ═══════════════════════════════════════════════════════════════ */
 router.get('/dashboard', async (req, res) => {
     try {
-        const { status = 'all', limit = 100 } = req.query;
+        const { status, ...query } = req.query;
+        const filters = parseReportQuery({
+            ...query,
+            state: query.state ?? (status && status !== 'all' ? status : undefined),
+        }, { limit: 100 });
 
-        const { rows } = await pool.query(`
-            SELECT
+        const { rows, next_cursor } = await queryReports(pool, filters, {
+            select: `
                 r.id, r.category, r.description, r.location_text, r.state,
-                r.status, r.sla_level, r.supporter_count, r.image_url,
-                r.severity_level, r.is_emergency, r.verification_count,
-                r.gps_lat, r.gps_lon,
+                r.status, r.sla_level, r.supporter_count, r.image_url, r.image_variants,
+                r.severity_level, r.is_emergency, r.verification_count, r.authenticity_score,
+                r.gps_lat, r.gps_lon, r.location_source, r.location_accuracy_m,
                 r.assigned_at, r.verified_at, r.in_progress_at, r.resolved_at,
                 r.last_escalated_at, r.created_at, r.updated_at,
                 r.assigned_officer_email,
-                w.ward_name, w.zone, w.officer_name, w.officer_email, w.officer_phone,
-                EXTRACT(EPOCH FROM (NOW() - COALESCE(r.assigned_at, r.created_at))) / 3600
-                    AS hours_elapsed
-            FROM reports r
-            LEFT JOIN city_wards w ON r.ward_id = w.ward_id
-            WHERE r.state NOT IN ('MERGED')
-              AND r.parent_report_id IS NULL
-              AND ($1 = 'all' OR r.state = $1)
-            ORDER BY r.is_emergency DESC, r.sla_level DESC, r.assigned_at ASC NULLS LAST, r.created_at DESC
-            LIMIT $2
-        `, [status === 'all' ? 'all' : status, parseInt(limit)]);
+                w.ward_id, w.ward_name, w.zone, w.officer_name, w.officer_email, w.officer_phone,
+                ${SLA_POLICY_COLUMNS},
+                ${slaElapsedSql('COALESCE(r.assigned_at, r.created_at)')} AS hours_elapsed`,
+            joins: SLA_POLICY_JOIN,
+            where: ["r.state NOT IN ('MERGED')"],
+        });
 
         const enriched = rows.map(r => {
             const hoursElapsed = parseFloat(r.hours_elapsed || 0);
             const slaLevel = r.sla_level || 0;
 
-            let nextDeadlineHours = null;
-            if (hoursElapsed < 72) nextDeadlineHours = 72;
-            else if (hoursElapsed < 120) nextDeadlineHours = 120;
-            else if (hoursElapsed < 168) nextDeadlineHours = 168;
-
-            const hoursUntilNextEscalation = nextDeadlineHours
-                ? Math.max(0, nextDeadlineHours - hoursElapsed) : 0;
-
-            const sla_status =
-                slaLevel >= 3 ? 'CRITICAL' :
-                    slaLevel >= 2 ? 'URGENT' :
-                        slaLevel >= 1 ? 'WARNING' :
-                            hoursElapsed >= 48 ? 'WATCH' : 'ON_TRACK';
-
             return {
                 ...r,
                 hours_elapsed: Math.round(hoursElapsed * 10) / 10,
-                hours_until_escalation: Math.round(hoursUntilNextEscalation * 10) / 10,
-                next_deadline_hours: nextDeadlineHours,
+                ...slaCountdown(hoursElapsed, slaLevel, slaThresholds(r)),
                 is_breached: slaLevel >= 2,
                 is_critical: slaLevel >= 3,
-                sla_status,
             };
         });
 
-        const summary = {
-            total: enriched.length,
-            on_track: enriched.filter(r => r.sla_status === 'ON_TRACK' || r.sla_status === 'WATCH').length,
-            warning: enriched.filter(r => r.sla_status === 'WARNING').length,
-            urgent: enriched.filter(r => r.sla_status === 'URGENT').length,
-            critical: enriched.filter(r => r.sla_status === 'CRITICAL').length,
-            emergency: enriched.filter(r => r.is_emergency).length,
-        };
+        // Summary covers every report matching the filters, not just this page.
+        // SLA buckets follow slaCountdown(): sla_status is decided by sla_level alone.
+        const params = [];
+        const where = ["r.state NOT IN ('MERGED')", ...reportFilterSql(filters, params)];
+        const { rows: [summary] } = await pool.query(`
+            SELECT COUNT(*)::int AS total,
+                   COUNT(*) FILTER (WHERE COALESCE(r.sla_level, 0) < 1)::int AS on_track,
+                   COUNT(*) FILTER (WHERE r.sla_level = 1)::int AS warning,
+                   COUNT(*) FILTER (WHERE r.sla_level = 2)::int AS urgent,
+                   COUNT(*) FILTER (WHERE r.sla_level >= 3)::int AS critical,
+                   COUNT(*) FILTER (WHERE r.is_emergency)::int AS emergency
+            FROM reports r
+            LEFT JOIN city_wards w ON r.ward_id = w.ward_id
+            WHERE ${where.join('\n              AND ')}
+        `, params);
 
-        res.json({ reports: enriched, count: enriched.length, summary });
+        res.json({ reports: enriched, count: enriched.length, summary, next_cursor });
 
     } catch (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
         console.error('[API] GET /dashboard error:', err);
         res.status(500).json({ error: 'Failed to fetch dashboard data', detail: err.message });
     }
@@ -129,7 +145,8 @@ router.get('/dashboard', async (req, res) => {
 
 /* ═══════════════════════════════════════════════════════════════
    GET /api/ward-performance
-   Per-ward stats: avg resolution time, on-time %, escalation rate
+   Per-ward stats: avg resolution time, on-time % (resolved within the
+   report's SLA policy L1), escalation rate
    ═══════════════════════════════════════════════════════════════ */
 router.get('/ward-performance', async (req, res) => {
     try {
@@ -159,7 +176,7 @@ router.get('/ward-performance', async (req, res) => {
                         WHERE r.state = 'RESOLVED'
                           AND r.resolved_at IS NOT NULL
                           AND r.assigned_at IS NOT NULL
-                          AND EXTRACT(EPOCH FROM (r.resolved_at - r.assigned_at))/3600 <= 72
+                          AND ${slaElapsedSql('r.assigned_at', 'sp', 'r.resolved_at')} <= sp.l1_hours
                     ) * 100.0) /
                     NULLIF(COUNT(r.id) FILTER (WHERE r.state = 'RESOLVED'), 0),
                 1) AS on_time_pct,
@@ -168,7 +185,11 @@ router.get('/ward-performance', async (req, res) => {
                     NULLIF(COUNT(r.id) FILTER (WHERE r.parent_report_id IS NULL AND r.state != 'MERGED'), 0),
                 1) AS escalation_rate_pct
             FROM city_wards w
-            LEFT JOIN reports r ON r.ward_id = w.ward_id
+            LEFT JOIN reports r
+              ON r.ward_id = w.ward_id
+              AND r.state NOT IN ('REJECTED', 'TRANSFERRED')
+            ${SLA_POLICY_JOIN}
+            WHERE w.is_active
             GROUP BY w.ward_id, w.ward_name, w.zone, w.officer_name
             ORDER BY resolved_count DESC, total_reports DESC
         `);
@@ -204,6 +225,102 @@ router.get('/reports/weekly-pending', async (req, res) => {
     }
 });
 
+/* ═══════════════════════════════════════════════════════════════
+   POST /api/reports/:id/merge — officer / supervisor / admin
+   Body: { into, reason? }
+   ═══════════════════════════════════════════════════════════════ */
+router.post('/reports/:id/merge', requireRole(), async (req, res) => {
+    const { into, reason } = req.body;
+    if (!into) return res.status(400).json({ error: 'into (parent report id) is required' });
+
+    try {
+        const result = await mergeReports({
+            childId: req.params.id,
+            parentId: into,
+            user: req.user,
+            reason: reason?.trim() || null,
+        });
+
+        // Broadcast SSE
+        if (global.sseClients && global.sseClients.size > 0) {
+            const evt = JSON.stringify({ type: 'merge', reportId: parseInt(req.params.id), parentId: result.parent.id });
+            global.sseClients.forEach(c => { try { c.write(`data: ${evt}\n\n`); } catch { } });
+        }
+
+        res.json({
+            success: true,
+            ...result,
+            message: `🤝 Report #${req.params.id} merged into #${into} — ${result.parent.supporter_count} supporters`,
+        });
+    } catch (err) {
+        if (!err.status) console.error('[API] POST /reports/:id/merge error:', err);
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+/* ═══════════════════════════════════════════════════════════════
+   POST /api/reports/:id/unmerge — officer / supervisor / admin
+   Body: { reason? }
+   ═══════════════════════════════════════════════════════════════ */
+router.post('/reports/:id/unmerge', requireRole(), async (req, res) => {
+    try {
+        const result = await unmergeReport({
+            childId: req.params.id,
+            user: req.user,
+            reason: req.body.reason?.trim() || null,
+        });
+
+        // Broadcast SSE
+        if (global.sseClients && global.sseClients.size > 0) {
+            const evt = JSON.stringify({ type: 'merge', reportId: parseInt(req.params.id), parentId: result.parent.id });
+            global.sseClients.forEach(c => { try { c.write(`data: ${evt}\n\n`); } catch { } });
+        }
+
+        res.json({
+            success: true,
+            ...result,
+            message: `✂️ Report #${req.params.id} split out of #${result.parent.id} — back to ${result.child.state}`,
+        });
+    } catch (err) {
+        if (!err.status) console.error('[API] POST /reports/:id/unmerge error:', err);
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+/* ═══════════════════════════════════════════════════════════════
+   GET /api/reports/:id/merges — duplicates merged into this report
+   ═══════════════════════════════════════════════════════════════ */
+router.get('/reports/:id/merges', async (req, res) => {
+    const { id } = req.params;
+    try {
+        const { rows: children } = await pool.query(`
+            SELECT r.id, r.category, r.description, r.location_text, r.image_url, r.image_variants, r.created_at,
+                   m.merged_at, m.reason, u.name AS merged_by_name
+            FROM reports r
+            LEFT JOIN report_merges m ON m.child_report_id = r.id AND m.parent_report_id = r.parent_report_id
+                                     AND m.unmerged_at IS NULL
+            LEFT JOIN staff_users u ON u.id = m.merged_by
+            WHERE r.parent_report_id = $1
+            ORDER BY r.created_at ASC
+        `, [id]);
+
+        const { rows: history } = await pool.query(`
+            SELECT m.id, m.child_report_id, m.parent_report_id, m.previous_parent_id, m.reason,
+                   m.merged_at, m.unmerged_at, mb.name AS merged_by_name, ub.name AS unmerged_by_name
+            FROM report_merges m
+            LEFT JOIN staff_users mb ON mb.id = m.merged_by
+            LEFT JOIN staff_users ub ON ub.id = m.unmerged_by
+            WHERE m.child_report_id = $1 OR m.parent_report_id = $1
+            ORDER BY m.merged_at DESC
+        `, [id]);
+
+        res.json({ children, history });
+    } catch (err) {
+        console.error('[API] GET /reports/:id/merges error:', err);
+        res.status(500).json({ error: 'Failed to fetch merges', detail: err.message });
+    }
+});
+
 /* ═══════════════════════════════════════════════════════════════
    GET /api/reports/:id/timeline
    ═══════════════════════════════════════════════════════════════ */
@@ -214,8 +331,9 @@ router.get('/reports/:id/timeline', async (req, res) => {
             SELECT r.id, r.category, r.state, r.sla_level, r.severity_level,
                    r.is_emergency, r.supporter_count, r.verification_count,
                    r.created_at, r.verified_at, r.assigned_at, r.in_progress_at,
-                   r.resolved_at, r.updated_at,
-                   r.gps_lat, r.gps_lon, r.description, r.location_text, r.image_url,
+                   r.resolved_at, r.reopened_at, r.reopen_count, r.updated_at,
+                   r.triaged_at, r.triage_reason_code, r.triage_note, r.transferred_to,
+                   r.gps_lat, r.gps_lon, r.description, r.location_text, r.image_url, r.image_variants,
                    w.ward_name, w.officer_name
             FROM reports r
             LEFT JOIN city_wards w ON r.ward_id = w.ward_id
@@ -232,6 +350,34 @@ router.get('/reports/:id/timeline', async (req, res) => {
             [id]
         );
 
+        // Staff actions (who moved the report, uploaded proof, etc.)
+        const { rows: audit } = await pool.query(
+            `SELECT action, from_value, to_value, actor_name, detail, created_at
+             FROM report_audit_log WHERE report_id = $1 ORDER BY created_at ASC`,
+            [id]
+        );
+
+        // Ward moves after boundary changes
+        const { rows: wardHistory } = await pool.query(
+            `SELECT h.changed_at, h.rerouted, h.reason,
+                    ow.ward_name AS old_ward_name, nw.ward_name AS new_ward_name
+             FROM report_ward_history h
+             LEFT JOIN city_wards ow ON ow.ward_id = h.old_ward_id
+             LEFT JOIN city_wards nw ON nw.ward_id = h.new_ward_id
+             WHERE h.report_id = $1 ORDER BY h.changed_at ASC`,
+            [id]
+        );
+
+        // Resolutions that citizens rejected (each one reopened the report)
+        const { rows: rejectedProofs } = await pool.query(
+            `SELECT p.after_image_url, p.after_image_variants, p.submitted_at, p.accept_count, p.reject_count,
+                    p.reason, p.rejected_at, u.name AS submitted_by_name
+             FROM rejected_resolution_proofs p
+             LEFT JOIN staff_users u ON u.id = p.submitted_by
+             WHERE p.report_id = $1 ORDER BY p.rejected_at ASC`,
+            [id]
+        );
+
         // Build timeline
         const timeline = [];
         if (report.created_at) timeline.push({ state: 'SUBMITTED', at: report.created_at, label: 'Report submitted by citizen' });
@@ -239,8 +385,26 @@ router.get('/reports/:id/timeline', async (req, res) => {
         if (report.assigned_at) timeline.push({ state: 'ASSIGNED', at: report.assigned_at, label: `Assigned to ${report.officer_name || 'officer'} — SLA timer started` });
         if (report.in_progress_at) timeline.push({ state: 'IN_PROGRESS', at: report.in_progress_at, label: 'Officer checked in at location' });
         if (report.resolved_at || report.state === 'RESOLVED') timeline.push({ state: 'RESOLVED', at: report.resolved_at || report.updated_at, label: 'Issue resolved' });
+        for (const p of rejectedProofs) {
+            if (p.submitted_at) timeline.push({ state: 'RESOLVED', at: p.submitted_at, label: 'Resolution submitted — later rejected by citizens', by: p.submitted_by_name });
+            timeline.push({ state: 'REOPENED', at: p.rejected_at, label: `Reopened — ${p.reject_count} reject / ${p.accept_count} accept votes` });
+        }
+        if (report.triaged_at && TRIAGE_REASONS[report.state]) {
+            const reason = TRIAGE_REASONS[report.state][report.triage_reason_code] || report.triage_reason_code;
+            const label = report.state === 'TRANSFERRED'
+                ? `Transferred${report.transferred_to ? ` to ${report.transferred_to}` : ''} — ${reason}`
+                : `Rejected — ${reason}`;
+            timeline.push({ state: report.state, at: report.triaged_at, label, note: report.triage_note });
+        }
+        timeline.sort((a, b) => new Date(a.at) - new Date(b.at));
+
+        for (const item of timeline) {
+            if (item.by) continue;
+            const act = audit.find(a => a.to_value === item.state);
+            if (act) item.by = act.actor_name;
+        }
 
-        res.json({ report, timeline, escalations: escLogs });
+        res.json({ report, timeline, escalations: escLogs, audit, ward_history: wardHistory, rejected_proofs: rejectedProofs });
     } catch (err) {
         console.error('[API] GET /reports/:id/timeline error:', err);
         res.status(500).json({ error: 'Failed to fetch timeline', detail: err.message });
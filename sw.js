@@ -8,7 +8,7 @@
  *  • Broadcasts sync completion to all clients
  */
 
-const CACHE_NAME = 'civicpulse-shell-v3';
+const CACHE_NAME = 'civicpulse-shell-v9';
 const SYNC_TAG = 'sync-reports';
 const API_ENDPOINT = '/api/reports'; // Adapts to real backend
 
@@ -168,6 +168,10 @@ function buildFormData(report) {
     fd.append('gpsLat', report.gpsLat ?? '');
     fd.append('gpsLon', report.gpsLon ?? '');
     fd.append('captureTimestamp', report.captureTimestamp ?? '');
+    ['exifLat', 'exifLon', 'exifTimestamp', 'deviceLat', 'deviceLon', 'deviceAccuracy', 'redactedRegions',
+        'locationSource', 'locationAccuracy'].forEach(k => {
+        if (report[k] != null) fd.append(k, report[k]);
+    });
     fd.append('submittedAt', report.createdAt ?? '');
     // Compressed image blob stored as base64 string in IDB
     if (report.imageBase64) {
@@ -179,6 +183,15 @@ function buildFormData(report) {
         const blob = new Blob([bytes], { type: 'image/jpeg' });
         fd.append('photo', blob, 'report.jpg');
     }
+    // Additional photos (close-up / context shots), same encoding
+    (report.extraImagesBase64 || []).forEach((b64, n) => {
+        const byteString = atob(b64);
+        const bytes = new Uint8Array(byteString.length);
+        for (let i = 0; i < byteString.length; i++) {
+            bytes[i] = byteString.charCodeAt(i);
+        }
+        fd.append('photos', new Blob([bytes], { type: 'image/jpeg' }), `report-${n + 2}.jpg`);
+    });
     return fd;
 }
 
@@ -242,7 +255,7 @@ self.addEventListener('push', (evt) => {
         // Collapse multiple push events for the same report into one notification
         tag: `support-${data.reportId || 'generic'}`,
         renotify: true,
-        data: { reportId: data.reportId, url: '/' },
+        data: { reportId: data.reportId, url: data.url || '/' },
         actions: [
             { action: 'view', title: '🗺️ View Report' },
             { action: 'dismiss', title: 'Dismiss' },
@@ -2,9 +2,10 @@
  * tracking.js — CivicPulse Live Issue Tracker
  *
  * Full-screen interactive map for citizens:
+ * - Reports inside the map view via GET /api/reports?bbox= (all pages), re-queried on pan / zoom
  * - SSE live feed for real-time updates
- * - Leaflet map with color-coded pins
- * - Sidebar with filterable issue list
+ * - Leaflet map of vector tiles: every report, clustered below zoom 14, over ward outlines
+ * - Sidebar with filterable issue list + full-text search (GET /api/search)
  * - Emergency ticker bar
  * - Slide-in detail panel: description, timeline, chat, verify
  */
@@ -12,7 +13,6 @@
 let allReports = [];
 let activeReportId = null;
 let map = null;
-let markers = {};
 let userLat = null, userLon = null;
 let nearbyRadiusM = 0; // 0 = show all
 let activeSev = 'all';
@@ -33,6 +33,9 @@ const STATE_META = {
     ASSIGNED: { label: 'Assigned', emoji: '👷', color: '#a78bfa' },
     IN_PROGRESS: { label: 'In Progress', emoji: '🔧', color: '#f59e0b' },
     RESOLVED: { label: 'Resolved', emoji: '🎉', color: '#10b981' },
+    REOPENED: { label: 'Reopened', emoji: '🔁', color: '#f97316' },
+    REJECTED: { label: 'Rejected', emoji: '🚫', color: '#ef4444' },
+    TRANSFERRED: { label: 'Transferred', emoji: '↪️', color: '#94a3b8' },
 };
 const SEV_META = {
     critical: { color: '#dc2626', icon: '🔥' },
@@ -50,6 +53,8 @@ function initMap() {
         maxZoom: 19,
     }).addTo(map);
     map.setView([28.62, 77.22], 12);
+    map.on('moveend', scheduleReportsREST);
+    initMapTiles();
 
     // Try user location
     if (navigator.geolocation) {
@@ -64,22 +69,53 @@ function initMap() {
     }
 }
 
-/* ── REST fallback: fetch reports immediately so map isn't stuck ── */
+/* ── REST: every open report inside the map view, page by page ── */
+const TRACKED_STATES = ['SUBMITTED', 'VERIFIED', 'ASSIGNED', 'IN_PROGRESS', 'RESOLVED', 'REOPENED', 'TRANSFERRED'];
+let restSeq = 0;
+let restTimer = null;
+
 async function fetchReportsREST() {
+    const seq = ++restSeq;
+    const b = map.getBounds();
+    const params = {
+        bbox: [b.getWest(), b.getSouth(), b.getEast(), b.getNorth()].map(n => n.toFixed(5)).join(','),
+        state: TRACKED_STATES.join(','),
+        limit: 500,
+    };
     try {
-        const res = await fetch('/api/reports?limit=100');
-        if (!res.ok) throw new Error(`HTTP ${res.status}`);
-        const { reports } = await res.json();
-        // Only apply if SSE hasn't already populated allReports
-        if (!allReports.length && reports.length) {
-            allReports = reports;
-            renderAll();
-        }
+        const reports = [];
+        let cursor = null;
+        do {
+            const qs = new URLSearchParams(params);
+            if (cursor) qs.set('cursor', cursor);
+            const res = await fetch(`/api/reports?${qs}`);
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const page = await res.json();
+            reports.push(...page.reports);
+            cursor = page.next_cursor;
+        } while (cursor && seq === restSeq);
+        if (seq !== restSeq) return;   // the map moved again meanwhile
+        // Keep live emergencies from outside the view for the ticker
+        allReports = mergeById(allReports.filter(r => r.is_emergency), reports);
+        renderAll();
     } catch (err) {
-        console.warn('[Tracking] REST fallback failed:', err.message);
+        console.warn('[Tracking] REST fetch failed:', err.message);
     }
 }
 
+/** Re-query when the map stops moving */
+function scheduleReportsREST() {
+    clearTimeout(restTimer);
+    restTimer = setTimeout(fetchReportsREST, 300);
+}
+
+/** `fresh` rows replace / extend `base` by id */
+function mergeById(base, fresh) {
+    const byId = new Map(base.map(r => [r.id, r]));
+    fresh.forEach(r => byId.set(r.id, { ...byId.get(r.id), ...r }));
+    return [...byId.values()];
+}
+
 /* ── SSE ────────────────────────────────────────────────── */
 function connectSSE() {
     const statusEl = document.getElementById('sse-status');
@@ -97,7 +133,8 @@ function connectSSE() {
         try {
             const data = JSON.parse(evt.data);
             if (data.type === 'snapshot') {
-                allReports = data.reports || [];
+                // The snapshot holds only the 200 most urgent reports — fold it in
+                allReports = mergeById(allReports, data.reports || []);
                 renderAll();
             } else if (data.type === 'chat' && data.reportId === activeReportId) {
                 appendChatMsg(data.msg);
@@ -115,7 +152,7 @@ function connectSSE() {
 /* ── Render All ─────────────────────────────────────────── */
 function renderAll() {
     renderEmergencyTicker();
-    updateMapPins();
+    refreshMapTiles();
     renderSidebarList();
 }
 
@@ -131,37 +168,88 @@ function renderEmergencyTicker() {
     ).join(' &nbsp;&nbsp;|&nbsp;&nbsp; ');
 }
 
-/* ── Map Pins ───────────────────────────────────────────── */
-function updateMapPins() {
-    if (!map) return;
-    const current = new Set(filteredReports().map(r => r.id));
+/* ── Map Tiles ──────────────────────────────────────────── */
+// Every report in view comes from vector tiles (server routes/tiles.js), so the
+// map shows the city's whole history; below CLUSTER_MAX_ZOOM they arrive as clusters.
+const CLUSTER_MAX_ZOOM = 14;
+const TILE_REFRESH_MS = 60_000;
+let reportTiles = null;
+let tilesRefreshedAt = Date.now();
+
+function reportTileUrl() {
+    const qs = new URLSearchParams({ state: TRACKED_STATES.join(','), v: tilesRefreshedAt });
+    if (activeSev !== 'all') qs.set('severity', activeSev);
+    return `/api/tiles/reports/{z}/{x}/{y}.mvt?${qs}`;
+}
 
-    // Remove stale
-    Object.keys(markers).forEach(id => {
-        if (!current.has(parseInt(id))) { map.removeLayer(markers[id]); delete markers[id]; }
-    });
+function reportTileStyle(p) {
+    const color = p.emergency_count || p.is_emergency ? '#dc2626' : (STATE_META[p.state]?.color || '#64748b');
+    if (p.point_count) {
+        return {
+            radius: Math.min(7 + 2 * Math.sqrt(p.point_count), 26),
+            fill: true, fillColor: color, fillOpacity: .55, color, weight: 2, opacity: .9,
+        };
+    }
+    const pulse = p.is_emergency || p.sla_level >= 2;
+    return {
+        radius: p.is_emergency ? 8 : 6,
+        fill: true, fillColor: color, fillOpacity: .9,
+        color: pulse ? color : 'rgba(255,255,255,.8)', weight: pulse ? 4 : 2, opacity: pulse ? .6 : 1,
+    };
+}
 
-    filteredReports().forEach(r => {
-        if (!r.gps_lat || !r.gps_lon) return;
-        const color = r.is_emergency ? '#dc2626' : (STATE_META[r.state]?.color || '#64748b');
-        const pulse = r.is_emergency || (r.sla_level || 0) >= 2;
-        const icon = L.divIcon({
-            className: '',
-            html: `<div style="background:${color};width:${r.is_emergency ? 18 : 14}px;height:${r.is_emergency ? 18 : 14}px;border-radius:50%;border:2px solid rgba(255,255,255,.8);box-shadow:0 0 ${pulse ? '12px' : '4px'} ${color}${pulse ? '99' : '44'}"></div>`,
-            iconSize: [18, 18], iconAnchor: [9, 9],
-        });
-        if (markers[r.id]) {
-            markers[r.id].setLatLng([r.gps_lat, r.gps_lon]);
-            markers[r.id].setIcon(icon);
+function initMapTiles() {
+    L.vectorGrid.protobuf('/api/tiles/wards/{z}/{x}/{y}.mvt', {
+        rendererFactory: L.canvas.tile,
+        vectorTileLayerStyles: {
+            wards: { weight: 1.5, color: '#6c63ff', opacity: .5, fill: true, fillColor: '#6c63ff', fillOpacity: .03 },
+        },
+        maxZoom: 19,
+        zIndex: 2,
+    }).addTo(map);
+
+    reportTiles = L.vectorGrid.protobuf(reportTileUrl(), {
+        // SVG: VectorGrid's canvas click handling breaks on Leaflet ≥ 1.8
+        vectorTileLayerStyles: { reports: reportTileStyle },
+        interactive: true,
+        maxZoom: 19,
+        zIndex: 3,
+    }).addTo(map);
+
+    reportTiles.on('click', (e) => {
+        const p = e.layer.properties;
+        if (p.point_count) {
+            map.setView(e.latlng, Math.min(map.getZoom() + 2, CLUSTER_MAX_ZOOM));
         } else {
-            const m = L.marker([r.gps_lat, r.gps_lon], { icon });
-            m.on('click', () => openDetail(r.id));
-            m.addTo(map);
-            markers[r.id] = m;
+            openReport(p.id);
         }
     });
 }
 
+/** Re-fetch tiles after filter changes, and on live updates at most once a minute */
+function refreshMapTiles(force = false) {
+    if (!reportTiles || (!force && Date.now() - tilesRefreshedAt < TILE_REFRESH_MS)) return;
+    tilesRefreshedAt = Date.now();
+    reportTiles.setUrl(reportTileUrl());
+}
+
+/** Open a report clicked on the map — it may not be in the sidebar's list */
+async function openReport(id) {
+    if (!allReports.some(r => r.id === id)) {
+        try {
+            const res = await fetch(`/api/reports/${id}`);
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const { report } = await res.json();
+            allReports = mergeById(allReports, [report]);
+            renderAll();
+        } catch (err) {
+            console.warn('[Tracking] Report fetch failed:', err.message);
+            return;
+        }
+    }
+    openDetail(id);
+}
+
 /* ── Sidebar List ───────────────────────────────────────── */
 function renderSidebarList() {
     const list = document.getElementById('issue-list');
@@ -181,7 +269,9 @@ function renderSidebarList() {
         <div class="issue-row ${r.is_emergency ? 'issue-emergency' : ''} ${activeReportId === r.id ? 'issue-active' : ''}"
              id="issue-row-${r.id}"
              onclick="openDetail(${r.id})">
-            <div class="issue-row-icon">${CAT_ICONS[r.category] || '📋'}</div>
+            <div class="issue-row-icon">${r.image_url
+                ? photoHtml(r.image_url, r.image_variants, 'thumb', 'class="issue-row-thumb" alt="" loading="lazy"')
+                : CAT_ICONS[r.category] || '📋'}</div>
             <div class="issue-row-body">
                 <div class="issue-row-title">
                     <span class="issue-row-cat">${capitalize(r.category)}</span>
@@ -246,6 +336,13 @@ window.openDetail = async function (reportId) {
     document.getElementById('dp-sev').style.color = sm2.color;
     document.getElementById('dp-category').textContent = `${CAT_ICONS[r.category] || '📋'} ${capitalize(r.category)}`;
     document.getElementById('dp-desc').textContent = r.description || '—';
+    const dpPhoto = document.getElementById('dp-photo');
+    dpPhoto.hidden = !r.image_url;
+    dpPhoto.innerHTML = r.image_url
+        ? `<a href="${escHtml(r.image_variants?.full?.jpeg || r.image_url)}" target="_blank" rel="noopener">
+               ${photoHtml(r.image_url, r.image_variants, 'medium', 'alt="Report photo"')}
+           </a>`
+        : '';
     document.getElementById('dp-ward').textContent = r.ward_name || '—';
     document.getElementById('dp-officer').textContent = r.officer_name || '—';
     document.getElementById('dp-supporters').textContent = `${r.supporter_count} citizen${r.supporter_count !== 1 ? 's' : ''}`;
@@ -338,6 +435,7 @@ async function loadDetailTimeline(reportId) {
                 <div class="dp-tl-body">
                     <strong>${STATE_META[t.state]?.emoji || '•'} ${t.state}</strong>
                     <p>${escHtml(t.label)}</p>
+                    ${t.note ? `<p>📝 ${escHtml(t.note)}</p>` : ''}
                     <small>${new Date(t.at).toLocaleString()}</small>
                 </div>
             </div>
@@ -420,10 +518,61 @@ document.querySelectorAll('.sfpill').forEach(btn => {
         document.querySelectorAll('.sfpill').forEach(b => b.classList.remove('active'));
         btn.classList.add('active');
         activeSev = btn.dataset.sev;
+        refreshMapTiles(true);
         renderAll();
     });
 });
 
+/* ── Search ──────────────────────────────────────────────── */
+const sbSearch = document.getElementById('sb-search');
+const sbSearchResults = document.getElementById('sb-search-results');
+let searchHits = [];
+let searchTimer = null;
+let searchSeq = 0;
+
+async function runSearch() {
+    const q = sbSearch.value.trim();
+    if (q.length < 2) { sbSearchResults.hidden = true; return; }
+
+    const seq = ++searchSeq;
+    try {
+        const res = await fetch(`/api/search?${new URLSearchParams({ q, limit: 10 })}`);
+        if (!res.ok) throw new Error((await res.json()).error || `HTTP ${res.status}`);
+        const { results } = await res.json();
+        if (seq !== searchSeq) return;   // a newer search is in flight
+        searchHits = results;
+
+        // Snippets arrive as escaped HTML with <mark> around the matches
+        sbSearchResults.innerHTML = results.length ? results.map(r => `
+            <li class="sb-search-hit" data-report-id="${r.id}">
+                <strong>${CAT_ICONS[r.category] || '📋'} #${r.id} · ${capitalize(r.category)}</strong>
+                <div class="sb-search-snippet">${r.snippets.description || r.snippets.location || escHtml((r.description || '').slice(0, 80))}</div>
+                ${r.snippets.chat?.html ? `<div class="sb-search-snippet">💬 ${r.snippets.chat.html}</div>` : ''}
+            </li>`).join('') : `<li class="sb-search-empty">No issues match “${escHtml(q)}”</li>`;
+        sbSearchResults.hidden = false;
+    } catch (err) {
+        if (seq !== searchSeq) return;
+        sbSearchResults.innerHTML = `<li class="sb-search-empty">⚠️ ${escHtml(err.message)}</li>`;
+        sbSearchResults.hidden = false;
+    }
+}
+
+sbSearch.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(runSearch, 300);
+});
+
+sbSearchResults.addEventListener('click', (e) => {
+    const hit = e.target.closest('.sb-search-hit');
+    if (!hit) return;
+    const report = searchHits.find(r => r.id === parseInt(hit.dataset.reportId));
+    if (!report) return;
+    // The hit may lie outside the current map view — add it so the panel can open
+    allReports = mergeById(allReports, [report]);
+    renderAll();
+    openDetail(report.id);
+});
+
 const sbRadius = document.getElementById('sb-radius');
 sbRadius.addEventListener('input', () => {
     nearbyRadiusM = parseInt(sbRadius.value);
@@ -437,6 +586,14 @@ function escHtml(s) {
 }
 function capitalize(s) { return s ? s.charAt(0).toUpperCase() + s.slice(1) : ''; }
 
+/** Photo as WebP with a JPEG fallback at the given variant size (thumb | medium | full);
+ *  photos uploaded before variants existed only have the original URL */
+function photoHtml(url, variants, size, attrs = '') {
+    const v = variants?.[size];
+    if (!v) return `<img src="${escHtml(url)}" ${attrs} />`;
+    return `<picture><source type="image/webp" srcset="${escHtml(v.webp)}" /><img src="${escHtml(v.jpeg)}" ${attrs} /></picture>`;
+}
+
 /* ── Init ────────────────────────────────────────────────── */
 (function init() {
     initMap();